@@ -118,6 +118,245 @@ CREATE TABLE IF NOT EXISTS seo_analysis (
     UNIQUE (job_id, url)
 );
 
+-- ---------------------------------------------------------------------------
+-- crawl_frontier: checkpoint of the traditional crawl's pending URLs, so a job
+-- reaped after a worker restart can be resumed instead of started over.
+-- Rows are added when a URL is queued and removed once it has been checked
+-- and its links extracted; the table is emptied when the crawl completes.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS crawl_frontier (
+    job_id     UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url        TEXT NOT NULL,
+    depth      INTEGER DEFAULT 0,
+    source_url TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- sitemap_entries: every URL a sitemap-mode job read from the site's
+-- sitemap(s), with what it actually resolved to. `issues` holds the reasons
+-- it doesn't belong in a sitemap: unreachable / non_200 / redirected /
+-- noindex / canonicalised.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS sitemap_entries (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id           UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url              TEXT NOT NULL,
+    sitemap_url      TEXT,
+    lastmod          TEXT,
+    http_status_code INTEGER,
+    final_url        TEXT,
+    redirect_count   INTEGER DEFAULT 0,
+    noindex          BOOLEAN DEFAULT false,
+    canonical_url    TEXT,
+    issues           JSONB DEFAULT '[]'::jsonb,
+    checked_at       TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- link_edges: every internal <a href> the crawl extracted, source page →
+-- target, with the first anchor text seen for that pair. Raw input for the
+-- post-crawl link-graph analysis.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS link_edges (
+    job_id      UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    source_url  TEXT NOT NULL,
+    target_url  TEXT NOT NULL,
+    anchor_text TEXT,
+    PRIMARY KEY (job_id, source_url, target_url)
+);
+
+-- ---------------------------------------------------------------------------
+-- link_graph_pages: per-page internal-linking metrics computed from
+-- link_edges once the crawl completes (src/lib/linkGraph.js).
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS link_graph_pages (
+    job_id           UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url              TEXT NOT NULL,
+    http_status_code INTEGER,
+    inlinks          INTEGER DEFAULT 0,
+    outlinks         INTEGER DEFAULT 0,
+    -- Fewest clicks from the start URL; NULL = not reachable by links
+    click_depth      INTEGER,
+    -- PageRank, log-scaled so the strongest page is 100
+    importance       REAL DEFAULT 0,
+    -- [{ "text": "...", "count": n }], most used first
+    anchors          JSONB DEFAULT '[]'::jsonb,
+    -- buried / unreachable / under_linked
+    flags            JSONB DEFAULT '[]'::jsonb,
+    PRIMARY KEY (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- fragment_links: links with a #fragment (source page → target page + id),
+-- validated against page_anchors once the crawl completes
+-- (src/lib/fragments.js).
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS fragment_links (
+    job_id      UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    source_url  TEXT NOT NULL,
+    target_url  TEXT NOT NULL,
+    fragment    TEXT NOT NULL,
+    link_text   TEXT,
+    PRIMARY KEY (job_id, source_url, target_url, fragment)
+);
+
+-- ---------------------------------------------------------------------------
+-- page_anchors: element ids and <a name>s of every HTML page fetched
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS page_anchors (
+    job_id      UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url         TEXT NOT NULL,
+    anchors     JSONB DEFAULT '[]'::jsonb,
+    PRIMARY KEY (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- rendered_pages: raw-vs-rendered HTML differences for pages loaded in
+-- headless Chromium (settings.renderJs, src/lib/renderer.js)
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS rendered_pages (
+    job_id              UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url                 TEXT NOT NULL,
+    raw_links           INTEGER DEFAULT 0,
+    rendered_links      INTEGER DEFAULT 0,
+    rendered_only_count INTEGER DEFAULT 0,
+    rendered_only       JSONB DEFAULT '[]'::jsonb,
+    raw_title           TEXT,
+    rendered_title      TEXT,
+    raw_words           INTEGER DEFAULT 0,
+    rendered_words      INTEGER DEFAULT 0,
+    render_ms           INTEGER,
+    error               TEXT,
+    PRIMARY KEY (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- job_credentials: login for staging / members-only crawls, AES-256-GCM
+-- sealed under CREDENTIALS_SECRET (src/lib/credentials.js). Kept out of
+-- crawl_jobs so job reads, exports and share views never include it.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS job_credentials (
+    job_id      UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    sealed      TEXT NOT NULL,
+    created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ---------------------------------------------------------------------------
+-- page_parity: mobile vs desktop analysis of content pages
+-- (settings.parityAudit, src/lib/parityAudit.js)
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS page_parity (
+    job_id        UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    url           TEXT NOT NULL,
+    mobile        JSONB,
+    desktop       JSONB,
+    differences   JSONB DEFAULT '[]'::jsonb,
+    drops_content BOOLEAN DEFAULT false,
+    error         TEXT,
+    PRIMARY KEY (job_id, url)
+);
+
+-- ---------------------------------------------------------------------------
+-- sites: the site above its one-off audits, keyed by normalized origin
+-- (src/lib/sites.js siteOrigin) — crawl_jobs.site_id points here.
+-- default_settings are the crawl settings new audits of the site start from.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS sites (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    origin           TEXT NOT NULL UNIQUE,
+    name             TEXT,
+    default_settings JSONB DEFAULT '{}'::jsonb,
+    created_at       TIMESTAMPTZ DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ---------------------------------------------------------------------------
+-- audit_schedules: recurring audits of a site (src/lib/scheduledAudits.js),
+-- each registered as a BullMQ job scheduler. settings NULL = the site's
+-- default_settings as they stand at run time.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS audit_schedules (
+    id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    site_id      UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+    url          TEXT NOT NULL,
+    cron         TEXT NOT NULL,
+    timezone     TEXT NOT NULL DEFAULT 'UTC',
+    settings     JSONB,
+    paused       BOOLEAN DEFAULT false,
+    last_run_at  TIMESTAMPTZ,
+    last_job_id  UUID REFERENCES crawl_jobs(id) ON DELETE SET NULL,
+    last_error   TEXT,
+    created_at   TIMESTAMPTZ DEFAULT NOW(),
+    updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ---------------------------------------------------------------------------
+-- audit_history: one row per completed audit of a site — the figures its
+-- trend charts plot (src/lib/siteHistory.js). Written when the audit's
+-- post-crawl analysis finishes; older audits are filled in on first view.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS audit_history (
+    job_id            UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+    site_id           UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+    completed_at      TIMESTAMPTZ NOT NULL,
+    links_checked     INTEGER NOT NULL DEFAULT 0,
+    broken_links      INTEGER NOT NULL DEFAULT 0,
+    -- classifyFinding() class -> broken links of that class
+    broken_by_class   JSONB NOT NULL DEFAULT '{}'::jsonb,
+    integrity_score   INTEGER,
+    health_score      INTEGER,
+    grade             TEXT,
+    -- NULL when the audit ran without SEO analysis
+    seo_score         INTEGER,
+    avg_response_ms   INTEGER,
+    pages_crawled     INTEGER,
+    recorded_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ---------------------------------------------------------------------------
+-- site_webhooks: outgoing webhooks of a site (src/lib/webhooks.js). Every
+-- delivery is signed with the webhook's secret (HMAC-SHA256); events is the
+-- subset of job.completed, job.failed, job.stopped, links.newly_broken sent.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS site_webhooks (
+    id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    site_id      UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+    url          TEXT NOT NULL,
+    secret       TEXT NOT NULL,
+    events       TEXT[] NOT NULL,
+    active       BOOLEAN DEFAULT true,
+    created_at   TIMESTAMPTZ DEFAULT NOW(),
+    updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ---------------------------------------------------------------------------
+-- webhook_deliveries: the delivery log — one row per event sent to a webhook,
+-- retried with backoff on the webhooks queue. A replay is a new row pointing
+-- at the delivery it repeats.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id       UUID NOT NULL REFERENCES site_webhooks(id) ON DELETE CASCADE,
+    job_id           UUID REFERENCES crawl_jobs(id) ON DELETE SET NULL,
+    event            TEXT NOT NULL,
+    payload          JSONB NOT NULL,
+    -- pending, retrying (an attempt failed, more to come), delivered, failed
+    status           TEXT NOT NULL DEFAULT 'pending',
+    attempts         INTEGER NOT NULL DEFAULT 0,
+    -- The last attempt: HTTP status and (truncated) body, or why it got none
+    response_status  INTEGER,
+    response_body    TEXT,
+    error            TEXT,
+    duration_ms      INTEGER,
+    replay_of        UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at       TIMESTAMPTZ DEFAULT NOW(),
+    last_attempt_at  TIMESTAMPTZ,
+    delivered_at     TIMESTAMPTZ
+);
+
 -- ---------------------------------------------------------------------------
 -- Idempotent column additions (for existing installs upgrading in place)
 -- ---------------------------------------------------------------------------
@@ -132,12 +371,80 @@ ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS shared_at TIMESTAMPTZ;
 ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS seo_tracker JSONB DEFAULT '{}'::jsonb;
 CREATE UNIQUE INDEX IF NOT EXISTS idx_crawl_jobs_share_token
     ON crawl_jobs (share_token) WHERE share_token IS NOT NULL;
+-- Sitemap coverage (orphans / unlisted pages), computed once after the crawl
+ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS sitemap_coverage JSONB;
+-- When link_graph_pages was last computed (NULL = never, so the report backfills it)
+ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS link_graph_computed_at TIMESTAMPTZ;
+-- Sitemap mode: whether any audited page links to the entry (NULL = unknown)
+ALTER TABLE sitemap_entries ADD COLUMN IF NOT EXISTS internally_linked BOOLEAN;
+-- Where a checked link ended up after redirects (NULL = not redirected)
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS final_url TEXT;
+-- Broken internal links: ranked "did you mean" replacements, computed after the crawl
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS suggestions JSONB;
+-- Every redirect hop followed while checking: [{ url, status, location, ms }]
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS redirect_chain JSONB;
+-- Soft-404 detection: fingerprint of the site's not-found page, probed once per job
+ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS soft404_fingerprint JSONB;
+-- Bot protection (Cloudflare, Akamai, …) that answered a challenge instead of the
+-- page; such links are undetermined, not broken (NULL = not blocked)
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS blocked_by TEXT;
+-- The <a> the link was first found in: space-separated rel tokens, target, and
+-- page region (nav / header / footer / main / comments; NULL = none or unknown)
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS rel TEXT;
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS link_target TEXT;
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS placement TEXT;
+-- Assets (image, icon, script, stylesheet, font, media, manifest, iframe, resource;
+-- NULL = a page link) and their Content-Length, for the asset report
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS resource_type TEXT;
+ALTER TABLE discovered_links ADD COLUMN IF NOT EXISTS content_length BIGINT;
+-- The site the audit belongs to (NULL only until the backfill below has run)
+ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE SET NULL;
+-- The schedule that started the audit (NULL = started by hand)
+ALTER TABLE crawl_jobs ADD COLUMN IF NOT EXISTS schedule_id UUID
+    REFERENCES audit_schedules(id) ON DELETE SET NULL;
+
+-- ---------------------------------------------------------------------------
+-- Backfill: file audits created before sites existed under their site.
+-- site_origin() mirrors siteOrigin() in src/lib/sites.js: lower-case scheme and
+-- host, no credentials, no leading "www.", no default port.
+-- ---------------------------------------------------------------------------
+CREATE OR REPLACE FUNCTION site_origin(url TEXT) RETURNS TEXT
+LANGUAGE SQL IMMUTABLE AS $$
+    SELECT regexp_replace(
+        regexp_replace(
+            regexp_replace(
+                substring(lower(url) FROM '^https?://[^/?#]+'), '^(https?://)[^@]*@', '\1'
+            ),
+            '^(https?://)www\.', '\1'
+        ),
+        '^(http://.+):80$|^(https://.+):443$', '\1\2'
+    )
+$$;
+
+INSERT INTO sites (origin)
+SELECT DISTINCT site_origin(url) FROM crawl_jobs
+WHERE site_id IS NULL AND site_origin(url) IS NOT NULL
+ON CONFLICT (origin) DO NOTHING;
+
+UPDATE crawl_jobs j SET site_id = s.id
+FROM sites s
+WHERE j.site_id IS NULL AND s.origin = site_origin(j.url);
+
+-- Missing-anchor findings used to be mirrored into discovered_links as
+-- url#fragment rows; they live in broken_links only (src/lib/fragments.js).
+DELETE FROM discovered_links dl USING broken_links bl
+WHERE bl.job_id = dl.job_id AND bl.url = dl.url AND bl.error_type = 'missing_anchor';
 
 -- ---------------------------------------------------------------------------
 -- Indexes
 -- ---------------------------------------------------------------------------
 CREATE INDEX IF NOT EXISTS idx_crawl_jobs_created_at        ON crawl_jobs (created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_crawl_jobs_status            ON crawl_jobs (status);
+CREATE INDEX IF NOT EXISTS idx_crawl_jobs_site_created     ON crawl_jobs (site_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_schedules_site         ON audit_schedules (site_id);
+CREATE INDEX IF NOT EXISTS idx_audit_history_site_completed ON audit_history (site_id, completed_at);
+CREATE INDEX IF NOT EXISTS idx_site_webhooks_site           ON site_webhooks (site_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook   ON webhook_deliveries (webhook_id, created_at DESC);
 
 CREATE INDEX IF NOT EXISTS idx_broken_links_job_id          ON broken_links (job_id);
 CREATE INDEX IF NOT EXISTS idx_broken_links_error_type      ON broken_links (job_id, error_type);
@@ -149,6 +456,8 @@ CREATE INDEX IF NOT EXISTS idx_discovered_links_is_working  ON discovered_links
 CREATE INDEX IF NOT EXISTS idx_discovered_links_source_url  ON discovered_links (source_url);
 CREATE INDEX IF NOT EXISTS idx_discovered_has_seo           ON discovered_links (has_seo_data);
 
+CREATE INDEX IF NOT EXISTS idx_sitemap_entries_job_id       ON sitemap_entries (job_id);
+
 CREATE INDEX IF NOT EXISTS idx_seo_job_id                   ON seo_analysis (job_id);
 CREATE INDEX IF NOT EXISTS idx_seo_score                    ON seo_analysis (seo_score DESC);
 CREATE INDEX IF NOT EXISTS idx_seo_grade                    ON seo_analysis (seo_grade);
@@ -6,6 +6,8 @@ import { corsOrigin } from '@/lib/cors';
 
 // Maps broken_links.error_type + status_code → the same cls buckets as auditReport.js
 function classifyError(errorType, statusCode) {
+  if (errorType === 'soft_404') return 'soft_404';
+  if (errorType === 'missing_anchor') return 'anchor';
   if (errorType === 'timeout') return 'timeout';
   if (errorType === 'ssl_error' || errorType === 'dns_error' || errorType === 'connection_error')
     return 'network';
@@ -18,6 +20,8 @@ function classifyError(errorType, statusCode) {
 
 const CLS_LABEL = {
   '4xx': 'missing pages (4xx)',
+  soft_404: 'soft 404s (not-found pages answering 200)',
+  anchor: 'links to missing #anchors',
   '5xx': 'server errors (5xx)',
   timeout: 'timeouts',
   network: 'SSL/network failures',
@@ -30,8 +34,8 @@ async function buildCondensed(jobId, job) {
     // Link-level stats
     query(
       `SELECT
-        COUNT(*) FILTER (WHERE status = 'checked') AS total_checked,
-        COUNT(*) FILTER (WHERE is_working = false AND status = 'checked') AS broken_count,
+        COUNT(*) FILTER (WHERE status = 'checked' AND blocked_by IS NULL) AS total_checked,
+        COUNT(*) FILTER (WHERE is_working = false AND status = 'checked' AND blocked_by IS NULL) AS broken_count,
         COUNT(*) FILTER (WHERE is_working = true  AND status = 'checked') AS healthy_count,
         COUNT(*) FILTER (WHERE response_time > 5000 AND status = 'checked') AS slow_links
        FROM discovered_links WHERE job_id = $1`,
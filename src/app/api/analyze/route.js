@@ -563,7 +563,8 @@ async function createJavaScriptSiteResponse(startUrl, homepageAnalysis) {
     type: 'warning',
     message:
       'This site uses JavaScript to load content dynamically. Our analyzer can only see the initial HTML.',
-    action: 'Try the full broken link checker instead - it may work better with JavaScript sites',
+    action:
+      'Run a Full Audit with "Render JavaScript" turned on to read links from the rendered pages',
   });
 
   if (sitemapUrls.length > 0) {
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { auditAssets } from '@/lib/assetAudit';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/assets/[jobId] — the checked assets (images, icons, scripts,
+ * stylesheets, fonts, media, iframes) by type, and those to fix: broken ones,
+ * kept apart from broken page links, and images over the size limit.
+ * `enabled` says whether the job ran in checkAssets mode; without it only the
+ * images, icons and <link> resources a plain crawl extracts are covered.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { jobId } = await params;
+    if (!jobId) {
+      return NextResponse.json({ error: 'Job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      enabled: !!job.settings?.checkAssets,
+      ...(await auditAssets(job)),
+    });
+  } catch (error) {
+    console.error('❌ Error getting asset report:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get asset report',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Run-over-run diff — GET /api/compare?base=<jobId>&head=<jobId> compares two
+ * completed audits of the same site (src/lib/auditDiff.js): broken links and
+ * SEO check failures as new, fixed or persisting, and the change in every
+ * score. Without `base` the head is compared with the site's previous
+ * completed audit; `comparison` is null when there is none.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { diffAudits, loadAuditSnapshot } from '@/lib/auditDiff';
+import { jobIdSchema, validateAdvancedRateLimit } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+async function findJob(jobId) {
+  try {
+    return await db.getJob(jobId);
+  } catch {
+    return null;
+  }
+}
+
+export async function GET(request) {
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'results');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const headId = searchParams.get('head');
+    const baseId = searchParams.get('base');
+    if (
+      !jobIdSchema.safeParse(headId).success ||
+      (baseId !== null && !jobIdSchema.safeParse(baseId).success)
+    ) {
+      return NextResponse.json({ error: 'Valid head (and base) job IDs required' }, { status: 400 });
+    }
+
+    const head = await findJob(headId);
+    if (!head) {
+      return NextResponse.json({ error: 'Head job not found' }, { status: 404 });
+    }
+    const base = baseId ? await findJob(baseId) : await db.getPreviousCompletedJob(head);
+    if (!base) {
+      if (baseId) return NextResponse.json({ error: 'Base job not found' }, { status: 404 });
+      return NextResponse.json({ comparison: null, reason: 'No earlier completed audit of this site' });
+    }
+
+    if (base.status !== 'completed' || head.status !== 'completed') {
+      return NextResponse.json(
+        {
+          error: 'Both audits must be completed',
+          baseStatus: base.status,
+          headStatus: head.status,
+        },
+        { status: 409 }
+      );
+    }
+    if (!base.site_id || base.site_id !== head.site_id) {
+      return NextResponse.json(
+        { error: 'The audits are of different sites', code: 'SITE_MISMATCH' },
+        { status: 400 }
+      );
+    }
+
+    const [baseSnapshot, headSnapshot] = await Promise.all([
+      loadAuditSnapshot(base),
+      loadAuditSnapshot(head),
+    ]);
+    return NextResponse.json(
+      { comparison: diffAudits(baseSnapshot, headSnapshot) },
+      { headers: rateLimit.headers || {} }
+    );
+  } catch (error) {
+    console.error('❌ Error comparing audits:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to compare audits',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
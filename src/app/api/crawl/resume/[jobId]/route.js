@@ -0,0 +1,130 @@
+/**
+ * Resume crawl endpoint
+ * Re-queues a failed, reaped or stopped job so the worker continues from its
+ * checkpoint: checked discovered_links rows are kept as done, and traditional
+ * crawls pick up their saved crawl_frontier instead of restarting at the root.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { validateAdvancedRateLimit, validateJobId } from '@/lib/validation';
+import { errorHandler } from '@/lib/errorHandler';
+import { getClientIp } from '@/lib/clientIp';
+import { corsOrigin } from '@/lib/cors';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { enqueueCrawl, getCrawlQueue } from '@/lib/queue/index';
+
+const securityHeaders = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'X-XSS-Protection': '1; mode=block',
+};
+
+export async function POST(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403, headers: securityHeaders });
+    }
+    throw e;
+  }
+
+  const { jobId } = await params;
+
+  try {
+    const clientIP = getClientIp(request);
+    const rateLimit = await validateAdvancedRateLimit(clientIP, 'crawl');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': rateLimit.retryAfter.toString() } }
+      );
+    }
+
+    if (!validateJobId(jobId).success) {
+      return NextResponse.json(
+        { error: 'Invalid job ID format' },
+        { status: 400, headers: securityHeaders }
+      );
+    }
+
+    let job;
+    try {
+      job = await db.getJob(jobId);
+    } catch {
+      job = null;
+    }
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404, headers: securityHeaders });
+    }
+
+    if (job.status !== 'failed') {
+      return NextResponse.json(
+        { error: 'Only failed or interrupted audits can be resumed', currentStatus: job.status },
+        { status: 409, headers: securityHeaders }
+      );
+    }
+
+    const isSitemapMode = job.settings?.crawlMode === 'sitemap';
+    const crawlType = job.settings?.usePreAnalyzedUrls || isSitemapMode ? 'smart' : 'traditional';
+
+    // Smart modes with nothing in discovered_links yet need the original URL
+    // list to start over; it only lives in the retained BullMQ job data.
+    // Sitemap mode re-reads the sitemap instead.
+    let preAnalyzedUrls = null;
+    if (crawlType === 'smart' && !isSitemapMode) {
+      const { checked, unchecked } = await db.getLinkCheckState(jobId);
+      if (checked.length === 0 && unchecked.length === 0) {
+        const original = await getCrawlQueue().getJob(jobId);
+        preAnalyzedUrls = original?.data?.preAnalyzedUrls || null;
+        if (!preAnalyzedUrls?.length) {
+          return NextResponse.json(
+            { error: 'Nothing to resume from — run a fresh audit instead' },
+            { status: 409, headers: securityHeaders }
+          );
+        }
+      }
+    }
+
+    const requeued = await db.requeueJob(jobId);
+    if (!requeued) {
+      return NextResponse.json(
+        { error: 'Job is already being resumed' },
+        { status: 409, headers: securityHeaders }
+      );
+    }
+
+    await enqueueCrawl(jobId, crawlType, job.url, preAnalyzedUrls, job.settings, { resume: true });
+
+    console.log(`♻️ RESUME: Job ${jobId} re-queued (${crawlType}), previous error: ${job.error_message}`);
+
+    return NextResponse.json(
+      {
+        success: true,
+        jobId,
+        status: 'queued',
+        crawlType,
+        previousError: job.error_message,
+        statusUrl: `/api/crawl/status/${jobId}`,
+        resultsUrl: `/api/results/${jobId}`,
+      },
+      { headers: { ...securityHeaders, ...(rateLimit.headers || {}) } }
+    );
+  } catch (error) {
+    console.error('❌ RESUME ERROR:', error);
+    return await errorHandler.handleError(error, request, { step: 'resume_crawl', jobId });
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
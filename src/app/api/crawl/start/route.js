@@ -2,13 +2,21 @@ import { NextResponse } from 'next/server';
 import { urlUtils } from '@/lib/utils';
 import { securityUtils } from '@/lib/security';
 import { db } from '@/lib/supabase';
-import { validateCrawlRequest, validateAdvancedRateLimit } from '@/lib/validation';
+import {
+  validateCrawlRequest,
+  validateAdvancedRateLimit,
+  siteDefaultsSchema,
+} from '@/lib/validation';
 import { logBlockedUrl, logInvalidInput, logRobotsBlocked } from '@/lib/securityLogger';
 import { errorHandler, handleValidationError } from '@/lib/errorHandler';
 import { getClientIp } from '@/lib/clientIp';
 import { corsOrigin } from '@/lib/cors';
 import { enqueueCrawl } from '@/lib/queue/index';
 import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { isCredentialStoreConfigured, sealCredentials } from '@/lib/credentials';
+import { crawlHeaders } from '@/lib/crawlProfiles';
+import { buildJobSettings } from '@/lib/jobSettings';
+import { siteOrigin } from '@/lib/sites';
 
 const securityHeaders = {
   'X-Content-Type-Options': 'nosniff',
@@ -53,8 +61,23 @@ export async function POST(request) {
       return await handleValidationError(new Error('Request validation failed'), request);
     }
 
-    const { url: validatedUrl, settings: validatedSettings, preAnalyzedUrls: validatedPreAnalyzedUrls } =
-      requestValidation.data;
+    const {
+      url: validatedUrl,
+      settings: validatedSettings,
+      preAnalyzedUrls: validatedPreAnalyzedUrls,
+      credentials: validatedCredentials,
+      saveSiteDefaults,
+    } = requestValidation.data;
+
+    if (validatedCredentials && !isCredentialStoreConfigured()) {
+      return NextResponse.json(
+        {
+          error: 'Authenticated crawling is not configured on this server',
+          code: 'CREDENTIALS_UNAVAILABLE',
+        },
+        { status: 400, headers: securityHeaders }
+      );
+    }
 
     const normalizedUrl = urlUtils.normalizeUrl(validatedUrl);
 
@@ -67,9 +90,13 @@ export async function POST(request) {
       );
     }
 
+    let crawlDelayMs = null;
     if (validatedSettings.respectRobots !== false) {
       try {
-        const robotsCheck = await securityUtils.checkRobotsTxt(normalizedUrl);
+        const robotsCheck = await securityUtils.checkRobotsTxt(
+          normalizedUrl,
+          crawlHeaders(validatedSettings)
+        );
         if (!robotsCheck.allowed) {
           await logRobotsBlocked(request, normalizedUrl, robotsCheck.reason);
           return NextResponse.json(
@@ -83,22 +110,31 @@ export async function POST(request) {
             robotsCheck.crawlDelay
           );
         }
+        // Paces the link check on the site's own host (lib/hostScheduler)
+        crawlDelayMs = robotsCheck.declaredCrawlDelay || null;
       } catch {
         // robots.txt unreachable — proceed
       }
     }
 
-    const jobSettings = {
-      maxDepth: validatedSettings.maxDepth || 3,
-      includeExternal: validatedSettings.includeExternal || false,
-      timeout: validatedSettings.timeout || 10000,
-      usePreAnalyzedUrls: !!validatedPreAnalyzedUrls,
-      crawlMode: validatedSettings.crawlMode || 'auto',
-      enableSEO: validatedSettings.enableSEO || false,
-    };
+    const jobSettings = buildJobSettings(validatedSettings, {
+      preAnalyzed: !!validatedPreAnalyzedUrls,
+      authType: validatedCredentials?.type,
+      crawlDelayMs,
+    });
 
-    const job = await db.createJob(normalizedUrl, jobSettings);
+    const site = await db.ensureSite(siteOrigin(normalizedUrl));
+    const job = await db.createJob(normalizedUrl, jobSettings, { siteId: site.id });
     jobId = job.id;
+    if (saveSiteDefaults) {
+      // Parsed again to drop what the route added (the robots.txt crawl delay)
+      await db.updateSite(site.id, {
+        defaultSettings: siteDefaultsSchema.parse(validatedSettings),
+      });
+    }
+    if (validatedCredentials) {
+      await db.saveJobCredentials(jobId, sealCredentials(validatedCredentials));
+    }
 
     const responseHeaders = { ...securityHeaders, ...(rateLimit.headers || {}) };
 
@@ -109,6 +145,7 @@ export async function POST(request) {
         {
           success: true,
           jobId,
+          siteId: site.id,
           status: 'queued',
           url: normalizedUrl,
           settings: jobSettings,
@@ -128,12 +165,37 @@ export async function POST(request) {
       );
     }
 
+    // Sitemap mode seeds itself from the site's sitemap(s) inside the worker
+    if (jobSettings.crawlMode === 'sitemap') {
+      await enqueueCrawl(jobId, 'smart', normalizedUrl, null, jobSettings);
+
+      return NextResponse.json(
+        {
+          success: true,
+          jobId,
+          siteId: site.id,
+          status: 'queued',
+          url: normalizedUrl,
+          settings: jobSettings,
+          crawlMode: 'sitemap',
+          message: jobSettings.sitemapUrl
+            ? `Sitemap crawl queued — will check every URL listed in ${jobSettings.sitemapUrl}`
+            : 'Sitemap crawl queued — will find the site’s sitemap and check every URL it lists',
+          statusUrl: `/api/crawl/status/${jobId}`,
+          resultsUrl: `/api/results/${jobId}`,
+          crawlType: 'smart',
+        },
+        { status: 201, headers: responseHeaders }
+      );
+    }
+
     await enqueueCrawl(jobId, 'traditional', normalizedUrl, null, jobSettings);
 
     return NextResponse.json(
       {
         success: true,
         jobId,
+        siteId: site.id,
         status: 'queued',
         url: normalizedUrl,
         settings: jobSettings,
@@ -152,6 +152,14 @@ export async function GET(request, { params }) {
           : new Date() - new Date(job.created_at),
       },
       settings: job.settings,
+      // Soft-404 probe outcome, without the stored fingerprint itself
+      soft404: job.soft404_fingerprint
+        ? {
+            enabled: job.soft404_fingerprint.usable,
+            reason: job.soft404_fingerprint.reason || null,
+            probeStatus: job.soft404_fingerprint.status ?? null,
+          }
+        : null,
       errorMessage: job.error_message,
     };
 
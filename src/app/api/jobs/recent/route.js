@@ -1,5 +1,6 @@
 /**
- * Recent crawl jobs — feeds the "Previous Audits" ledger on /audit and /audits.
+ * Recent crawl jobs across every site, most recent first. The "Previous
+ * Audits" ledger browses by site instead (/api/sites).
  * Read-only, gated by the app-wide Basic Auth middleware like every route.
  */
 
@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { computeLinkGraph, summarizeLinkGraph } from '@/lib/linkGraph';
+import { jobIdSchema, validateAdvancedRateLimit } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { corsOrigin } from '@/lib/cors';
+
+// Graph backfills under way, by job: concurrent requests share one computation
+// instead of each analysing (and rewriting) the same job's graph
+const pendingGraphs = new Map();
+
+function backfillLinkGraph(job) {
+  if (!pendingGraphs.has(job.id)) {
+    const pending = computeLinkGraph(job).finally(() => pendingGraphs.delete(job.id));
+    pendingGraphs.set(job.id, pending);
+  }
+  return pendingGraphs.get(job.id);
+}
+
+const toPage = (row) => ({
+  url: row.url,
+  status: row.http_status_code,
+  inlinks: row.inlinks,
+  outlinks: row.outlinks,
+  clickDepth: row.click_depth,
+  importance: row.importance,
+  anchors: row.anchors || [],
+  flags: row.flags || [],
+});
+
+/**
+ * GET /api/link-graph/[jobId] — internal linking analytics for a job.
+ *
+ * The worker computes the graph when the crawl completes; jobs that finished
+ * before that (or whose analysis failed) get it computed here once, so the
+ * route is rate limited. Returns 204 while the crawl is running or when the
+ * crawl mode extracts no links.
+ * `?pages=all` adds every analyzed page, for the CSV export.
+ */
+export async function GET(request, { params }) {
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'results');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { jobId } = await params;
+    if (!jobIdSchema.safeParse(jobId).success) {
+      return NextResponse.json({ error: 'Valid job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId).catch(() => null);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    let rows = await db.getLinkGraphPages(jobId);
+    if (
+      rows.length === 0 &&
+      job.status === 'completed' &&
+      !job.link_graph_computed_at &&
+      (await backfillLinkGraph(job)) > 0
+    ) {
+      rows = await db.getLinkGraphPages(jobId);
+    }
+    if (rows.length === 0) {
+      return new NextResponse(null, { status: 204 });
+    }
+
+    const pages = rows.map(toPage);
+    const { searchParams } = new URL(request.url);
+    return NextResponse.json(
+      {
+        ...summarizeLinkGraph(pages),
+        ...(searchParams.get('pages') === 'all' ? { pages } : {}),
+      },
+      { headers: rateLimit.headers || {} }
+    );
+  } catch (error) {
+    console.error('❌ Error getting link graph:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get link graph',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
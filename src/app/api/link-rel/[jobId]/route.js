@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { auditRel } from '@/lib/relAudit';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/link-rel/[jobId] — how the crawl's links are marked up (rel
+ * tokens, target, page region) and the links to fix: internal nofollow,
+ * affiliate links without rel="sponsored", comment links without rel="ugc",
+ * and target="_blank" without noopener. Built from the attributes recorded at
+ * extraction, so it reflects whatever has been discovered so far.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { jobId } = await params;
+    if (!jobId) {
+      return NextResponse.json({ error: 'Job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(await auditRel(job));
+  } catch (error) {
+    console.error('❌ Error getting link attributes:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get link attributes',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
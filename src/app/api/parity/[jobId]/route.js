@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/parity/[jobId] — mobile vs desktop comparison for the content
+ * pages a parityAudit job re-fetched: each page's two snapshots, the fields
+ * that differ, and whether the mobile version drops content or links.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { jobId } = await params;
+    if (!jobId) {
+      return NextResponse.json({ error: 'Job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const pages = await db.getPageParity(jobId);
+    const compared = pages.filter((page) => !page.error);
+    return NextResponse.json({
+      enabled: !!job.settings?.parityAudit,
+      summary: {
+        pagesCompared: compared.length,
+        fetchFailures: pages.length - compared.length,
+        pagesDroppingContent: compared.filter((page) => page.drops_content).length,
+        pagesWithDifferences: compared.filter((page) => page.differences.length > 0).length,
+        mobileNoindex: compared.filter((page) => page.mobile.noindex && !page.desktop.noindex)
+          .length,
+      },
+      pages,
+    });
+  } catch (error) {
+    console.error('❌ Error getting mobile parity:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get mobile parity',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
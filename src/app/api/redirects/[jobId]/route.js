@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { auditRedirects } from '@/lib/redirectAudit';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/redirects/[jobId] — redirect chains, loops, temporary redirects,
+ * HTTPS→HTTP downgrades and internal links to redirects, with the pages to
+ * fix. Built from the hops recorded during the link check, so it reflects
+ * whatever has been checked so far while the crawl is still running.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { jobId } = await params;
+    if (!jobId) {
+      return NextResponse.json({ error: 'Job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(await auditRedirects(job));
+  } catch (error) {
+    console.error('❌ Error getting redirects:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get redirects',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
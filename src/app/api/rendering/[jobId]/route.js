@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/rendering/[jobId] — raw vs rendered HTML for the pages a
+ * renderJs job loaded in headless Chromium: link counts, links only the
+ * rendered DOM has, title and word-count changes, and render failures.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { jobId } = await params;
+    if (!jobId) {
+      return NextResponse.json({ error: 'Job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const pages = await db.getRenderedPages(jobId);
+    const rendered = pages.filter((page) => !page.error);
+    return NextResponse.json({
+      enabled: !!job.settings?.renderJs,
+      unavailable: !!job.settings?.renderJsUnavailable,
+      summary: {
+        pagesRendered: rendered.length,
+        renderFailures: pages.length - rendered.length,
+        pagesWithRenderedOnlyLinks: rendered.filter((page) => page.rendered_only_count > 0).length,
+        renderedOnlyLinks: rendered.reduce((sum, page) => sum + page.rendered_only_count, 0),
+        titleChanges: rendered.filter((page) => page.raw_title !== page.rendered_title).length,
+      },
+      pages,
+    });
+  } catch (error) {
+    console.error('❌ Error getting rendering differences:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get rendering differences',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -6,6 +6,7 @@
 
 import { NextResponse } from 'next/server';
 import { db } from '@/lib/supabase';
+import { missingAnchorRows } from '@/lib/fragments';
 import { validateUtils } from '@/lib/utils';
 import { errorHandler } from '@/lib/errorHandler';
 import { corsOrigin } from '@/lib/cors';
@@ -73,12 +74,15 @@ export async function GET(request, { params }) {
         source_url,
         is_internal,
         depth,
+        resource_type,
         status,
         http_status_code,
         response_time,
         checked_at,
         is_working,
         error_message,
+        final_url,
+        suggestions,
         created_at
       `,
         { count: 'exact' }
@@ -197,7 +201,10 @@ export async function GET(request, { params }) {
     if (statusFilter === 'working') {
       discoveredQuery = discoveredQuery.eq('is_working', true);
     } else if (statusFilter === 'broken') {
-      discoveredQuery = discoveredQuery.or('is_working.eq.false,is_working.is.null');
+      // Bot-protection challenges are undetermined, not broken (see blocked_by)
+      discoveredQuery = discoveredQuery
+        .or('is_working.eq.false,is_working.is.null')
+        .is('blocked_by', null);
     }
 
     // Apply HTTP status code filter
@@ -255,8 +262,19 @@ export async function GET(request, { params }) {
       });
     });
 
+    // Missing #anchors are findings in broken_links only (lib/fragments); list them with the
+    // broken links, under the same filters
+    const anchorRows =
+      statusFilter === 'working' || statusFilter === 'pages'
+        ? []
+        : missingAnchorRows(brokenLinks || []).filter(
+            (row) =>
+              (!statusCode || row.http_status_code === parseInt(statusCode)) &&
+              (!search || row.url.toLowerCase().includes(search.toLowerCase()))
+          );
+
     // FIXED: Enhanced results with proper source URL information
-    const enhancedResults = (discoveredLinks || []).map((link) => {
+    const enhancedResults = [...(discoveredLinks || []), ...anchorRows].map((link) => {
       const brokenLinkData = brokenLinksMap.get(link.url);
       const seoDataForLink = seoMap.get(link.url);
 
@@ -265,6 +283,8 @@ export async function GET(request, { params }) {
         url: link.url,
         is_internal: link.is_internal,
         depth: link.depth,
+        // Set for images, scripts, icons and other non-page links
+        resource_type: link.resource_type || null,
 
         // HTTP Status Information
         http_status_code: link.http_status_code,
@@ -322,6 +342,11 @@ export async function GET(request, { params }) {
         link_text: brokenLinkData?.link_text || 'Unknown',
         error_type: brokenLinkData?.error_type || null,
 
+        // Redirect target when the check was redirected; ranked "did you mean"
+        // replacements for broken internal links
+        final_url: link.final_url || null,
+        suggestions: link.suggestions || [],
+
         created_at: link.created_at,
       };
     });
@@ -370,11 +395,15 @@ export async function GET(request, { params }) {
     // Get comprehensive statistics
     const statsQuery = db.supabase
       .from('discovered_links')
-      .select('http_status_code, is_working, response_time, source_url, is_internal')
+      .select('http_status_code, is_working, response_time, source_url, is_internal, blocked_by')
       .eq('job_id', jobId)
       .eq('status', 'checked');
 
-    const { data: allLinks } = await statsQuery;
+    const { data: checkedRows } = await statsQuery;
+    // Links a bot-protection challenge kept us from checking count as neither
+    // working nor broken, so they stay out of every total below.
+    const allLinks = checkedRows?.filter((link) => !link.blocked_by);
+    const blockedByTargetCount = (checkedRows?.length || 0) - (allLinks?.length || 0);
 
     // Analyze HTTP status codes and performance
     const statusCodeSummary = {};
@@ -458,6 +487,7 @@ export async function GET(request, { params }) {
         totalLinksChecked: allLinks?.length || 0,
         workingLinks: workingCount,
         brokenLinks: brokenCount,
+        blockedByTarget: blockedByTargetCount,
         successRate: allLinks?.length > 0 ? Math.round((workingCount / allLinks.length) * 100) : 0,
         internalPagesCount: pageResults.length || internalPagesCount || 0,
         pagesAnalyzed: pageResults.length,
@@ -0,0 +1,62 @@
+/**
+ * Pause a schedule: it stops firing until resumed, keeping its timing,
+ * settings and run history. An audit it already started runs to the end.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { applySchedule, describeSchedule } from '@/lib/scheduledAudits';
+import { scheduleIdSchema, validateAdvancedRateLimit } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { errorHandler } from '@/lib/errorHandler';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+export async function POST(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  const { scheduleId } = await params;
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    if (!scheduleIdSchema.safeParse(scheduleId).success) {
+      return NextResponse.json({ error: 'Valid schedule ID required' }, { status: 400 });
+    }
+
+    const schedule = await db.updateSchedule(scheduleId, { paused: true });
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+    await applySchedule(schedule);
+
+    console.log(`⏸️ SCHEDULE: ${scheduleId} paused`);
+    return NextResponse.json({ schedule: await describeSchedule(schedule) });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, { step: 'pause_schedule', scheduleId });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
@@ -0,0 +1,174 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteOrigin } from '@/lib/sites';
+import { applySchedule, cronFor, describeSchedule } from '@/lib/scheduledAudits';
+import { unregisterSchedule } from '@/lib/queue/index';
+import {
+  scheduleIdSchema,
+  validateAdvancedRateLimit,
+  validateScheduleUpdate,
+} from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { urlUtils } from '@/lib/utils';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/schedules/[scheduleId] — one recurring audit and its next run.
+ * PATCH edits its URL, timing (cron, or frequency + time of day), time zone
+ * or settings (null = the site's defaults) and re-registers it. DELETE stops
+ * it for good; the audits it already ran stay on the site.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { scheduleId } = await params;
+    if (!scheduleIdSchema.safeParse(scheduleId).success) {
+      return NextResponse.json({ error: 'Valid schedule ID required' }, { status: 400 });
+    }
+
+    const schedule = await db.getSchedule(scheduleId);
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ schedule: await describeSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Error getting schedule:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get schedule',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { scheduleId } = await params;
+    if (!scheduleIdSchema.safeParse(scheduleId).success) {
+      return NextResponse.json({ error: 'Valid schedule ID required' }, { status: 400 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateScheduleUpdate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid schedule', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const existing = await db.getSchedule(scheduleId);
+    if (!existing) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    const { url, settings, timezone, ...timing } = validation.data;
+    if (url) {
+      const site = await db.getSite(existing.site_id);
+      if (siteOrigin(url) !== site.origin) {
+        return NextResponse.json(
+          { error: `The URL is not on ${site.origin}`, code: 'SITE_MISMATCH' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const schedule = await db.updateSchedule(scheduleId, {
+      url: url && urlUtils.normalizeUrl(url),
+      cron: timing.cron || (timing.frequency ? cronFor(timing) : undefined),
+      timezone,
+      settings,
+    });
+    await applySchedule(schedule);
+
+    return NextResponse.json({ schedule: await describeSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Error updating schedule:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to update schedule',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { scheduleId } = await params;
+    if (!scheduleIdSchema.safeParse(scheduleId).success) {
+      return NextResponse.json({ error: 'Valid schedule ID required' }, { status: 400 });
+    }
+
+    // Stop it firing first: a run that slips in after the row is gone is a no-op anyway
+    await unregisterSchedule(scheduleId);
+    if (!(await db.deleteSchedule(scheduleId))) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting schedule:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to delete schedule',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
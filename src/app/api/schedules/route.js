@@ -0,0 +1,139 @@
+/**
+ * Schedules — recurring audits of a site (src/lib/scheduledAudits.js), each
+ * with its next run. ?siteId=<id> lists one site's. POST schedules a site:
+ * a five-field cron pattern with a fixed minute and hour (at most daily), or
+ * a daily / weekly / monthly frequency at a time of day, in an IANA time
+ * zone. Runs audit the site's most recent audit URL (or its origin) unless a
+ * url is given, with the site's default settings at each run unless settings
+ * are given. A site can have MAX_ACTIVE_SCHEDULES active (unpaused) at once.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteOrigin } from '@/lib/sites';
+import {
+  MAX_ACTIVE_SCHEDULES,
+  atScheduleLimit,
+  cronFor,
+  describeSchedule,
+} from '@/lib/scheduledAudits';
+import { registerSchedule } from '@/lib/queue/index';
+import {
+  siteIdSchema,
+  validateAdvancedRateLimit,
+  validateScheduleCreate,
+} from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { urlUtils } from '@/lib/utils';
+import { errorHandler } from '@/lib/errorHandler';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const siteId = new URL(request.url).searchParams.get('siteId');
+    if (siteId && !siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    const schedules = await db.getSchedules({ siteId });
+    return NextResponse.json({ schedules: await Promise.all(schedules.map(describeSchedule)) });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'list_schedules',
+      endpoint: 'schedules',
+    });
+  }
+}
+
+export async function POST(request) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateScheduleCreate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid schedule', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { siteId, url, settings, timezone = 'UTC', ...timing } = validation.data;
+    const site = await db.getSite(siteId);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+    if (url && siteOrigin(url) !== site.origin) {
+      return NextResponse.json(
+        { error: `The URL is not on ${site.origin}`, code: 'SITE_MISMATCH' },
+        { status: 400 }
+      );
+    }
+    if (await atScheduleLimit(siteId)) {
+      return NextResponse.json(
+        {
+          error: `A site can have at most ${MAX_ACTIVE_SCHEDULES} active schedules`,
+          code: 'SCHEDULE_LIMIT',
+        },
+        { status: 409 }
+      );
+    }
+    const [latest] = url ? [] : await db.getSiteJobsWithCounts(siteId, 1);
+
+    const schedule = await db.createSchedule({
+      siteId,
+      url: urlUtils.normalizeUrl(url || latest?.url || site.origin),
+      cron: timing.cron || cronFor(timing),
+      timezone,
+      settings,
+    });
+    try {
+      await registerSchedule(schedule);
+    } catch (error) {
+      // Not left in Postgres to be picked up by the worker's next sync unannounced
+      await db.deleteSchedule(schedule.id);
+      throw error;
+    }
+
+    return NextResponse.json({ schedule: await describeSchedule(schedule) }, { status: 201 });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'create_schedule',
+      endpoint: 'schedules',
+    });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
@@ -6,6 +6,8 @@
 import { NextResponse } from 'next/server';
 import { query } from '@/lib/pg';
 import { db } from '@/lib/supabase';
+import { diffAudits, loadAuditSnapshot } from '@/lib/auditDiff';
+import { loadMissingAnchorRows } from '@/lib/fragments';
 import { validateAdvancedRateLimit } from '@/lib/validation';
 import { getClientIp } from '@/lib/clientIp';
 
@@ -29,7 +31,8 @@ export async function GET(request, { params }) {
     }
 
     const jobResult = await query(
-      `SELECT id, url, status, settings, created_at, completed_at, ai_narrative, seo_tracker
+      `SELECT id, site_id, url, status, settings, created_at, completed_at, ai_narrative,
+              seo_tracker, sitemap_coverage
        FROM crawl_jobs WHERE share_token = $1`,
       [token]
     );
@@ -38,33 +41,37 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Report not found' }, { status: 404 });
     }
 
-    const [discoveredResult, checkedResult, findingsResult, seoPagesResult] = await Promise.all([
-      query(`SELECT COUNT(*) AS total FROM discovered_links WHERE job_id = $1`, [job.id]),
-      query(
-        `SELECT url, source_url, is_internal, is_working, http_status_code, response_time
-         FROM discovered_links
-         WHERE job_id = $1 AND status = 'checked'
-         LIMIT $2`,
-        [job.id, MAX_CHECKED_LINKS]
-      ),
-      query(
-        `SELECT dl.url, dl.source_url, dl.is_internal, dl.http_status_code,
-                dl.response_time, dl.checked_at, dl.error_message,
-                bl.error_type, bl.link_text
-         FROM discovered_links dl
-         LEFT JOIN broken_links bl ON bl.job_id = dl.job_id AND bl.url = dl.url
-         WHERE dl.job_id = $1 AND dl.status = 'checked' AND dl.is_working IS NOT TRUE`,
-        [job.id]
-      ),
-      query(
-        `SELECT url, seo_score, seo_grade, title_text, title_length,
-                meta_description, description_length, canonical_url,
-                h1_count, h2_count, word_count, total_images, missing_alt,
-                response_time, issues, signals
-         FROM seo_analysis WHERE job_id = $1 ORDER BY seo_score ASC`,
-        [job.id]
-      ),
-    ]);
+    const [discoveredResult, checkedResult, findingsResult, seoPagesResult, missingAnchors] =
+      await Promise.all([
+        query(`SELECT COUNT(*) AS total FROM discovered_links WHERE job_id = $1`, [job.id]),
+        query(
+          `SELECT url, source_url, is_internal, is_working, http_status_code, response_time
+           FROM discovered_links
+           WHERE job_id = $1 AND status = 'checked' AND blocked_by IS NULL
+           LIMIT $2`,
+          [job.id, MAX_CHECKED_LINKS]
+        ),
+        query(
+          `SELECT dl.url, dl.source_url, dl.is_internal, dl.http_status_code,
+                  dl.response_time, dl.checked_at, dl.error_message, dl.suggestions,
+                  dl.resource_type, bl.error_type, bl.link_text
+           FROM discovered_links dl
+           LEFT JOIN broken_links bl ON bl.job_id = dl.job_id AND bl.url = dl.url
+           WHERE dl.job_id = $1 AND dl.status = 'checked' AND dl.is_working IS NOT TRUE
+             AND dl.blocked_by IS NULL`,
+          [job.id]
+        ),
+        query(
+          `SELECT url, seo_score, seo_grade, title_text, title_length,
+                  meta_description, description_length, canonical_url,
+                  h1_count, h2_count, word_count, total_images, missing_alt,
+                  response_time, issues, signals
+           FROM seo_analysis WHERE job_id = $1 ORDER BY seo_score ASC`,
+          [job.id]
+        ),
+        loadMissingAnchorRows(job.id),
+      ]);
+    const findings = [...findingsResult.rows, ...missingAnchors];
 
     const checkedLinks = checkedResult.rows;
     const workingCount = checkedLinks.filter((l) => l.is_working === true).length;
@@ -104,6 +111,30 @@ export async function GET(request, { params }) {
       }
     }
 
+    // Changes since the site's previous audit — counts and scores only, and
+    // no job ids: the token stays the only handle
+    let changes = null;
+    if (job.status === 'completed') {
+      try {
+        const previous = await db.getPreviousCompletedJob(job);
+        if (previous) {
+          const [baseSnapshot, headSnapshot] = await Promise.all([
+            loadAuditSnapshot(previous),
+            loadAuditSnapshot(job),
+          ]);
+          const diff = diffAudits(baseSnapshot, headSnapshot);
+          changes = {
+            since: diff.base.completedAt,
+            scores: diff.scores,
+            links: diff.links.counts,
+            seo: diff.seo?.counts || null,
+          };
+        }
+      } catch {
+        /* the changes section degrades gracefully on the share page */
+      }
+    }
+
     return NextResponse.json(
       {
         job: {
@@ -113,7 +144,7 @@ export async function GET(request, { params }) {
           settings: job.settings,
           stats: {
             totalLinksDiscovered: Number(discoveredResult.rows[0]?.total) || 0,
-            brokenLinksFound: findingsResult.rows.length,
+            brokenLinksFound: findings.length,
           },
           timestamps: {
             createdAt: job.created_at,
@@ -121,12 +152,14 @@ export async function GET(request, { params }) {
           },
         },
         summary,
-        findings: findingsResult.rows,
+        findings,
         checkedLinks,
         seoSummary,
         seoPages: seoPagesResult.rows,
         narrative: job.ai_narrative || null,
         seoTracker: job.seo_tracker || {},
+        sitemapCoverage: job.sitemap_coverage || null,
+        changes,
       },
       {
         headers: {
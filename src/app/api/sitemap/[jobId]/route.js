@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { summarizeSitemapEntries } from '@/lib/auditReport';
+import { computeSitemapCoverage } from '@/lib/sitemapCoverage';
+import { jobIdSchema, validateAdvancedRateLimit } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { corsOrigin } from '@/lib/cors';
+
+// Coverage backfills under way, by job: concurrent requests share one fetch of
+// the site's sitemaps instead of each starting their own
+const pendingCoverage = new Map();
+
+function backfillCoverage(job) {
+  if (!pendingCoverage.has(job.id)) {
+    const pending = (async () => {
+      const coverage = await computeSitemapCoverage(job);
+      await db.saveSitemapCoverage(job.id, coverage);
+      return coverage;
+    })().finally(() => pendingCoverage.delete(job.id));
+    pendingCoverage.set(job.id, pending);
+  }
+  return pendingCoverage.get(job.id);
+}
+
+/**
+ * GET /api/sitemap/[jobId] — sitemap findings for a job.
+ *
+ * `summary`/`problems`: the sitemap-mode entry audit (status, redirect,
+ * noindex and canonical issues per listed URL); empty for other modes.
+ * `coverage`: orphan / unlisted pages from the post-crawl diff. The worker
+ * stores it when the crawl completes; jobs from before that (or a failed
+ * attempt) get it computed here once and cached — it fetches the site's
+ * sitemaps, so the route is rate limited. Null while still running.
+ */
+export async function GET(request, { params }) {
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'results');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { jobId } = await params;
+    if (!jobIdSchema.safeParse(jobId).success) {
+      return NextResponse.json({ error: 'Valid job ID required' }, { status: 400 });
+    }
+
+    const job = await db.getJob(jobId).catch(() => null);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const entries = await db.getSitemapEntries(jobId);
+    const { problems, ...summary } = summarizeSitemapEntries(entries);
+
+    let coverage = job.sitemap_coverage || null;
+    if (!coverage && job.status === 'completed') {
+      try {
+        coverage = await backfillCoverage(job);
+      } catch (err) {
+        console.warn('Failed to compute sitemap coverage:', err.message);
+      }
+    }
+
+    return NextResponse.json(
+      {
+        sitemaps: job.settings?.sitemapFiles || [],
+        summary,
+        problems: problems.map((entry) => ({
+          url: entry.url,
+          sitemapUrl: entry.sitemap_url,
+          lastmod: entry.lastmod,
+          statusCode: entry.http_status_code,
+          finalUrl: entry.final_url,
+          redirectCount: entry.redirect_count,
+          noindex: entry.noindex,
+          canonicalUrl: entry.canonical_url,
+          issues: entry.issues,
+        })),
+        coverage,
+      },
+      { headers: rateLimit.headers || {} }
+    );
+  } catch (error) {
+    console.error('❌ Error getting sitemap audit:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get sitemap audit',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteJson } from '@/lib/sites';
+import { getSiteHistory } from '@/lib/siteHistory';
+import { siteIdSchema } from '@/lib/validation';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/sites/[siteId]/history — the site's completed audits over time,
+ * oldest first: broken links by failure class, Link Integrity and overall
+ * health, average SEO score, response time and pages crawled. Feeds the
+ * trend charts on /sites/[siteId].
+ */
+export async function GET(request, { params }) {
+  try {
+    const { siteId } = await params;
+    if (!siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    const site = await db.getSite(siteId);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ site: siteJson(site), history: await getSiteHistory(siteId) });
+  } catch (error) {
+    console.error('❌ Error getting site history:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get site history',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
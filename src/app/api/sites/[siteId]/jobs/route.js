@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteJson } from '@/lib/sites';
+import { siteIdSchema } from '@/lib/validation';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/sites/[siteId]/jobs — a site's audits, most recent first, in the
+ * same shape as /api/jobs/recent.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { siteId } = await params;
+    if (!siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    const site = await db.getSite(siteId);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const jobs = await db.getSiteJobsWithCounts(siteId, 100);
+    return NextResponse.json({
+      site: siteJson(site),
+      jobs: jobs.map((job) => ({
+        id: job.id,
+        url: job.url,
+        status: job.status,
+        createdAt: job.created_at,
+        completedAt: job.completed_at,
+        brokenCount: job.broken_count,
+        totalLinks: job.total_links,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error getting site audits:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get site audits',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteJson } from '@/lib/sites';
+import { siteIdSchema, validateAdvancedRateLimit, validateSiteUpdate } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/sites/[siteId] — one site: its origin, name and the default crawl
+ * settings the audit form starts from (/audit?site=<id>).
+ * PATCH renames it (name: null goes back to the host) and / or replaces its
+ * defaults.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { siteId } = await params;
+    if (!siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    const site = await db.getSite(siteId);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ site: siteJson(site) });
+  } catch (error) {
+    console.error('❌ Error getting site:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get site',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { siteId } = await params;
+    if (!siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateSiteUpdate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid site settings', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const site = await db.updateSite(siteId, validation.data);
+    if (!site) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ site: siteJson(site) });
+  } catch (error) {
+    console.error('❌ Error updating site:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to update site',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Sites — the audited sites, each with its audit count and latest audit,
+ * most recently audited first. Feeds the "Previous Audits" ledger on /audit
+ * and /audits. POST registers a site (and its default crawl settings) ahead
+ * of its first audit; audits file themselves under their site either way.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { siteJson, siteOrigin } from '@/lib/sites';
+import { validateAdvancedRateLimit, validateSiteCreate } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { errorHandler } from '@/lib/errorHandler';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const sites = await db.getSitesWithCounts(50);
+    return NextResponse.json({ sites: sites.map(siteJson) });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'list_sites',
+      endpoint: 'sites',
+    });
+  }
+}
+
+export async function POST(request) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateSiteCreate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid site', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { url, name, defaultSettings } = validation.data;
+    let site = await db.ensureSite(siteOrigin(url));
+    if (name !== undefined || defaultSettings) {
+      site = await db.updateSite(site.id, { name, defaultSettings });
+    }
+    return NextResponse.json({ site: siteJson(site) }, { status: 201 });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'create_site',
+      endpoint: 'sites',
+    });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
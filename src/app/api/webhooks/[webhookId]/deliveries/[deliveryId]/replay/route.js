@@ -0,0 +1,81 @@
+/**
+ * Replay a logged delivery: the same payload is queued to the webhook again
+ * as a new delivery (replayOf = the original), signed afresh with the
+ * webhook's current secret. Works for delivered and failed ones alike.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { deliveryJson, replayDelivery } from '@/lib/webhooks';
+import {
+  deliveryIdSchema,
+  validateAdvancedRateLimit,
+  webhookIdSchema,
+} from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { errorHandler } from '@/lib/errorHandler';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+export async function POST(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  const { webhookId, deliveryId } = await params;
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    if (
+      !webhookIdSchema.safeParse(webhookId).success ||
+      !deliveryIdSchema.safeParse(deliveryId).success
+    ) {
+      return NextResponse.json(
+        { error: 'Valid webhook and delivery IDs required' },
+        { status: 400 }
+      );
+    }
+
+    const delivery = await db.getWebhookDelivery(deliveryId);
+    if (!delivery || delivery.webhook_id !== webhookId) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+    const webhook = await db.getWebhook(webhookId);
+    if (!webhook.active) {
+      return NextResponse.json({ error: 'The webhook is disabled' }, { status: 409 });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    console.log(`🪝 WEBHOOK: delivery ${deliveryId} replayed as ${replay.id}`);
+    return NextResponse.json({ delivery: deliveryJson(replay) }, { status: 202 });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'replay_webhook_delivery',
+      deliveryId,
+    });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * One logged webhook delivery in full: the payload as sent (and as a replay
+ * would resend it) and the receiver's last response body.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { deliveryJson } from '@/lib/webhooks';
+import { deliveryIdSchema, webhookIdSchema } from '@/lib/validation';
+import { corsOrigin } from '@/lib/cors';
+
+export async function GET(request, { params }) {
+  try {
+    const { webhookId, deliveryId } = await params;
+    if (
+      !webhookIdSchema.safeParse(webhookId).success ||
+      !deliveryIdSchema.safeParse(deliveryId).success
+    ) {
+      return NextResponse.json(
+        { error: 'Valid webhook and delivery IDs required' },
+        { status: 400 }
+      );
+    }
+
+    const delivery = await db.getWebhookDelivery(deliveryId);
+    if (!delivery || delivery.webhook_id !== webhookId) {
+      return NextResponse.json({ error: 'Delivery not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ delivery: deliveryJson(delivery) });
+  } catch (error) {
+    console.error('❌ Error getting webhook delivery:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get webhook delivery',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
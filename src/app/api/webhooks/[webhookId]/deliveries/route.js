@@ -0,0 +1,55 @@
+/**
+ * A webhook's delivery log, newest first: each event sent, its status
+ * (pending, retrying, delivered, failed), attempts and the last response.
+ * ?limit= up to 100 (default 50). Payloads are on the single-delivery route.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { deliveryJson } from '@/lib/webhooks';
+import { webhookIdSchema } from '@/lib/validation';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_LIMIT = 100;
+
+export async function GET(request, { params }) {
+  try {
+    const { webhookId } = await params;
+    if (!webhookIdSchema.safeParse(webhookId).success) {
+      return NextResponse.json({ error: 'Valid webhook ID required' }, { status: 400 });
+    }
+
+    const webhook = await db.getWebhook(webhookId);
+    if (!webhook) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    const requested = Number(new URL(request.url).searchParams.get('limit'));
+    const limit =
+      Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_LIMIT) : 50;
+    const deliveries = await db.getWebhookDeliveries(webhookId, limit);
+    return NextResponse.json({ deliveries: deliveries.map(deliveryJson) });
+  } catch (error) {
+    console.error('❌ Error listing webhook deliveries:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to list webhook deliveries',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -0,0 +1,155 @@
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { generateWebhookSecret, webhookJson } from '@/lib/webhooks';
+import {
+  validateAdvancedRateLimit,
+  validateWebhookUpdate,
+  webhookIdSchema,
+} from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+/**
+ * GET /api/webhooks/[webhookId] — one webhook (its secret masked). PATCH
+ * changes its URL, events or active flag; rotateSecret: true issues a new
+ * signing secret, returned in the response and in force from the next
+ * attempt. DELETE removes it and its delivery log.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { webhookId } = await params;
+    if (!webhookIdSchema.safeParse(webhookId).success) {
+      return NextResponse.json({ error: 'Valid webhook ID required' }, { status: 400 });
+    }
+
+    const webhook = await db.getWebhook(webhookId);
+    if (!webhook) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ webhook: webhookJson(webhook) });
+  } catch (error) {
+    console.error('❌ Error getting webhook:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to get webhook',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { webhookId } = await params;
+    if (!webhookIdSchema.safeParse(webhookId).success) {
+      return NextResponse.json({ error: 'Valid webhook ID required' }, { status: 400 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateWebhookUpdate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid webhook', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { rotateSecret, ...patch } = validation.data;
+    const webhook = await db.updateWebhook(webhookId, {
+      ...patch,
+      secret: rotateSecret ? generateWebhookSecret() : undefined,
+    });
+    if (!webhook) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ webhook: webhookJson(webhook, { withSecret: !!rotateSecret }) });
+  } catch (error) {
+    console.error('❌ Error updating webhook:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to update webhook',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    const { webhookId } = await params;
+    if (!webhookIdSchema.safeParse(webhookId).success) {
+      return NextResponse.json({ error: 'Valid webhook ID required' }, { status: 400 });
+    }
+
+    // Deliveries still queued find no row and are dropped
+    if (!(await db.deleteWebhook(webhookId))) {
+      return NextResponse.json({ error: 'Webhook not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting webhook:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to delete webhook',
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
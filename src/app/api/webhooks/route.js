@@ -0,0 +1,104 @@
+/**
+ * Webhooks — a site's outgoing, HMAC-signed notifications of its audits
+ * (src/lib/webhooks.js). ?siteId=<id> lists one site's. POST adds one: the
+ * URL to POST to and the events it receives — job.completed, job.failed,
+ * job.stopped, links.newly_broken (all by default). The signing secret is
+ * returned once, in the response to the POST.
+ */
+
+import { NextResponse } from 'next/server';
+import { db } from '@/lib/supabase';
+import { generateWebhookSecret, webhookJson } from '@/lib/webhooks';
+import { siteIdSchema, validateAdvancedRateLimit, validateWebhookCreate } from '@/lib/validation';
+import { getClientIp } from '@/lib/clientIp';
+import { errorHandler } from '@/lib/errorHandler';
+import { csrfProtect, CsrfError } from '@/lib/csrf';
+import { corsOrigin } from '@/lib/cors';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const siteId = new URL(request.url).searchParams.get('siteId');
+    if (siteId && !siteIdSchema.safeParse(siteId).success) {
+      return NextResponse.json({ error: 'Valid site ID required' }, { status: 400 });
+    }
+
+    const webhooks = await db.getWebhooks({ siteId });
+    return NextResponse.json({ webhooks: webhooks.map((row) => webhookJson(row)) });
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'list_webhooks',
+      endpoint: 'webhooks',
+    });
+  }
+}
+
+export async function POST(request) {
+  try {
+    await csrfProtect(request, new NextResponse());
+  } catch (e) {
+    if (e instanceof CsrfError) {
+      return NextResponse.json({ error: 'Invalid CSRF token' }, { status: 403 });
+    }
+    throw e;
+  }
+
+  try {
+    const rateLimit = await validateAdvancedRateLimit(getClientIp(request), 'settings');
+    if (!rateLimit.allowed) {
+      return NextResponse.json(
+        { error: 'Rate limit exceeded', retryAfter: rateLimit.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(rateLimit.retryAfter) } }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    const validation = validateWebhookCreate(body);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid webhook', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { siteId, url, events } = validation.data;
+    if (!(await db.getSite(siteId))) {
+      return NextResponse.json({ error: 'Site not found' }, { status: 404 });
+    }
+
+    const webhook = await db.createWebhook({
+      siteId,
+      url,
+      secret: generateWebhookSecret(),
+      events,
+    });
+
+    console.log(`🪝 WEBHOOK: ${webhook.id} added for site ${siteId} (${events.join(', ')})`);
+    return NextResponse.json(
+      { webhook: webhookJson(webhook, { withSecret: true }) },
+      { status: 201 }
+    );
+  } catch (error) {
+    return await errorHandler.handleError(error, request, {
+      step: 'create_webhook',
+      endpoint: 'webhooks',
+    });
+  }
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 200,
+    headers: {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CSRF-Token',
+    },
+  });
+}
@@ -72,18 +72,31 @@ export default function AuditSetupPage() {
   const [url, setUrl] = useState('');
   const [auditType, setAuditType] = useState('full');
 
-  // Pre-fill the URL when arriving from the homepage hero box (/audit?url=…).
-  // Read on the client after mount to avoid touching window during SSR.
-  useEffect(() => {
-    const prefill = new URLSearchParams(window.location.search).get('url');
-    if (prefill) setUrl(prefill);
-  }, []);
-
   const [maxDepth, setMaxDepth] = useState(3);
   const [includeExternal, setIncludeExternal] = useState(false);
   const [enableSEO, setEnableSEO] = useState(true);
+  const [renderJs, setRenderJs] = useState(false);
+  const [parityAudit, setParityAudit] = useState(false);
+  const [checkAssets, setCheckAssets] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
 
+  // Scope rules — blank fields fall back to the crawler's defaults
+  const [maxPages, setMaxPages] = useState('');
+  const [pathPrefix, setPathPrefix] = useState('');
+  const [includeSubdomains, setIncludeSubdomains] = useState(false);
+  const [includePatterns, setIncludePatterns] = useState('');
+  const [excludePatterns, setExcludePatterns] = useState('');
+  const [sitemapUrl, setSitemapUrl] = useState('');
+
+  // Crawler identity (src/lib/crawlProfiles.js) and extra request headers
+  const [crawlProfile, setCrawlProfile] = useState('seoscrub');
+  const [customHeaders, setCustomHeaders] = useState('');
+
+  // Login for staging / members-only sites — sent to the site's own origin only
+  const [authType, setAuthType] = useState('none');
+  const [authUser, setAuthUser] = useState('');
+  const [authSecret, setAuthSecret] = useState('');
+
   // Scope estimate = the old URL Structure Analyzer, demoted to an optional
   // pre-flight step. Its page list rides along on a Full Audit start.
   const [scope, setScope] = useState(null);
@@ -94,6 +107,57 @@ export default function AuditSetupPage() {
   const [isStarting, setIsStarting] = useState(false);
   const [startError, setStartError] = useState('');
 
+  // Site whose saved settings the form started from, and whether to save this
+  // audit's settings as that site's new defaults
+  const [siteName, setSiteName] = useState('');
+  const [saveSiteDefaults, setSaveSiteDefaults] = useState(false);
+
+  // Pre-fill the URL when arriving from the homepage hero box (/audit?url=…),
+  // or the URL and settings when auditing a site again (/audit?site=<id>).
+  // Read on the client after mount to avoid touching window during SSR.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const prefill = params.get('url');
+    if (prefill) setUrl(prefill);
+    const siteId = params.get('site');
+    if (!siteId) return;
+    const applySiteDefaults = (defaults) => {
+      const lines = (list) => (list || []).join('\n');
+      if (defaults.crawlMode === 'sitemap') setAuditType('sitemap');
+      else if (defaults.enableSEO === false) setAuditType('quick');
+      if (defaults.maxDepth) setMaxDepth(defaults.maxDepth);
+      if (defaults.includeExternal !== undefined) setIncludeExternal(defaults.includeExternal);
+      if (defaults.enableSEO !== undefined) setEnableSEO(defaults.enableSEO);
+      setRenderJs(!!defaults.renderJs);
+      setParityAudit(!!defaults.parityAudit);
+      setCheckAssets(!!defaults.checkAssets);
+      if (defaults.crawlProfile) setCrawlProfile(defaults.crawlProfile);
+      setCustomHeaders(
+        Object.entries(defaults.customHeaders || {})
+          .map(([name, value]) => `${name}: ${value}`)
+          .join('\n')
+      );
+      setMaxPages(defaults.maxPages ? String(defaults.maxPages) : '');
+      setPathPrefix(defaults.pathPrefix || '');
+      setIncludeSubdomains(!!defaults.includeSubdomains);
+      setIncludePatterns(lines(defaults.includePatterns));
+      setExcludePatterns(lines(defaults.excludePatterns));
+      setSitemapUrl(defaults.sitemapUrl || '');
+    };
+    (async () => {
+      try {
+        const response = await fetch(`/api/sites/${encodeURIComponent(siteId)}/jobs`);
+        if (!response.ok) return;
+        const { site, jobs } = await response.json();
+        setUrl(jobs[0]?.url || site.origin);
+        setSiteName(site.name);
+        applySiteDefaults(site.defaultSettings);
+      } catch {
+        // the form simply keeps its own defaults
+      }
+    })();
+  }, []);
+
   // An estimate only counts while the URL it was run for is still in the field
   const scopeCurrent = scope && scopeUrl === url ? scope : null;
   const scopeStale = Boolean(scope) && scopeUrl !== url;
@@ -134,6 +198,41 @@ export default function AuditSetupPage() {
     }
   };
 
+  const scopeSettings = () => {
+    const lines = (text) =>
+      text
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean);
+    const scoped = {};
+    if (maxPages) scoped.maxPages = Number(maxPages);
+    if (pathPrefix.trim()) scoped.pathPrefix = pathPrefix.trim();
+    if (includeSubdomains) scoped.includeSubdomains = true;
+    if (lines(includePatterns).length) scoped.includePatterns = lines(includePatterns);
+    if (lines(excludePatterns).length) scoped.excludePatterns = lines(excludePatterns);
+    return scoped;
+  };
+  const hasScopeRules = Object.keys(scopeSettings()).length > 0;
+
+  // "Name: value" per line → { Name: value }; throws on a malformed line
+  const parseCustomHeaders = () => {
+    const headers = {};
+    for (const line of customHeaders.split('\n')) {
+      if (!line.trim()) continue;
+      const sep = line.indexOf(':');
+      if (sep < 1) throw new Error(`Extra headers: "${line.trim()}" is not in "Name: value" form`);
+      headers[line.slice(0, sep).trim()] = line.slice(sep + 1).trim();
+    }
+    return headers;
+  };
+
+  const credentials = () => {
+    if (authType === 'basic') return { type: 'basic', username: authUser, password: authSecret };
+    if (authType === 'bearer') return { type: 'bearer', token: authSecret.trim() };
+    if (authType === 'cookie') return { type: 'cookie', cookies: authSecret.trim() };
+    return null;
+  };
+
   const startAudit = async (e) => {
     e.preventDefault();
     setStartError('');
@@ -150,11 +249,27 @@ export default function AuditSetupPage() {
         maxDepth: Number(maxDepth),
         includeExternal,
         enableSEO,
+        ...(renderJs ? { renderJs: true } : {}),
+        ...(parityAudit ? { parityAudit: true } : {}),
+        ...(checkAssets ? { checkAssets: true } : {}),
+        crawlProfile,
         timeout: 10000,
+        ...scopeSettings(),
       };
+      const extraHeaders = parseCustomHeaders();
+      if (Object.keys(extraHeaders).length) settings.customHeaders = extraHeaders;
 
       let body = { url, settings };
-      if (auditType === 'full' && scopeCurrent?.categories?.pages?.length) {
+      if (auditType === 'sitemap') {
+        body = {
+          url,
+          settings: {
+            ...settings,
+            crawlMode: 'sitemap',
+            ...(sitemapUrl.trim() ? { sitemapUrl: sitemapUrl.trim() } : {}),
+          },
+        };
+      } else if (auditType === 'full' && scopeCurrent?.categories?.pages?.length) {
         body = {
           url,
           settings: { ...settings, usePreAnalyzedUrls: true, crawlMode: 'content_pages' },
@@ -165,11 +280,13 @@ export default function AuditSetupPage() {
           })),
         };
       }
+      const login = credentials();
+      if (login) body = { ...body, credentials: login };
 
       const response = await fetch('/api/crawl/start', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': await getCsrfToken() },
-        body: JSON.stringify(body),
+        body: JSON.stringify(saveSiteDefaults ? { ...body, saveSiteDefaults: true } : body),
       });
       const result = await response.json();
 
@@ -281,7 +398,7 @@ export default function AuditSetupPage() {
                 <span className="font-mono text-sm text-action">02</span>
                 <span className="text-sm font-medium text-text">Audit type</span>
               </legend>
-              <div className="grid grid-cols-1 gap-px border border-border bg-border sm:grid-cols-2">
+              <div className="grid grid-cols-1 gap-px border border-border bg-border sm:grid-cols-3">
                 {[
                   {
                     id: 'full',
@@ -297,6 +414,13 @@ export default function AuditSetupPage() {
                     body: 'A straight crawl with live progress — the fastest route to a broken-link list on smaller sites.',
                     meta: 'Depth 2 · links only',
                   },
+                  {
+                    id: 'sitemap',
+                    title: 'Sitemap Audit',
+                    recommended: false,
+                    body: 'Checks every URL your XML sitemap lists — flags redirects, errors, noindex and canonicalised entries, then their outgoing links.',
+                    meta: 'Sitemap URLs · links only',
+                  },
                 ].map((mode) => {
                   const selected = auditType === mode.id;
                   return (
@@ -344,6 +468,26 @@ export default function AuditSetupPage() {
                   );
                 })}
               </div>
+              {auditType === 'sitemap' && (
+                <div className="mt-4">
+                  <label htmlFor="sitemapUrl" className="mb-2 block text-sm font-medium text-text">
+                    Sitemap URL <span className="font-normal text-text-muted">(optional)</span>
+                  </label>
+                  <input
+                    id="sitemapUrl"
+                    name="sitemapUrl"
+                    type="url"
+                    placeholder="https://example.com/sitemap.xml"
+                    value={sitemapUrl}
+                    onChange={(e) => setSitemapUrl(e.target.value)}
+                    className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                  />
+                  <p className="mt-1 text-xs text-text-muted">
+                    Leave blank to use the sitemaps declared in robots.txt or at /sitemap.xml.
+                    Index files and .xml.gz sitemaps are followed.
+                  </p>
+                </div>
+              )}
             </fieldset>
 
             {/* 03 — Advanced options */}
@@ -364,6 +508,7 @@ export default function AuditSetupPage() {
                 <p className="border-t border-border pt-3 font-mono text-xs text-text-subtle">
                   Depth {maxDepth} &middot; external links {includeExternal ? 'on' : 'off'} &middot;
                   SEO {enableSEO ? 'on' : 'off'}
+                  {hasScopeRules && <> &middot; scope rules on</>}
                 </p>
               )}
 
@@ -447,12 +592,319 @@ export default function AuditSetupPage() {
                         </span>
                       </span>
                     </label>
+
+                    <label
+                      htmlFor="renderJs"
+                      className="flex cursor-pointer items-start gap-3 border border-border p-4 transition-colors hover:border-border-strong"
+                    >
+                      <input
+                        id="renderJs"
+                        name="renderJs"
+                        type="checkbox"
+                        checked={renderJs}
+                        onChange={(e) => setRenderJs(e.target.checked)}
+                        className="mt-0.5 h-4 w-4 accent-action"
+                      />
+                      <span>
+                        <span className="block text-sm font-medium text-text">
+                          Render JavaScript
+                        </span>
+                        <span className="mt-1 block text-xs text-text-muted">
+                          Load up to 25 pages in a headless browser to find links built by scripts
+                        </span>
+                      </span>
+                    </label>
+
+                    <label
+                      htmlFor="parityAudit"
+                      className="flex cursor-pointer items-start gap-3 border border-border p-4 transition-colors hover:border-border-strong"
+                    >
+                      <input
+                        id="parityAudit"
+                        name="parityAudit"
+                        type="checkbox"
+                        checked={parityAudit}
+                        onChange={(e) => setParityAudit(e.target.checked)}
+                        className="mt-0.5 h-4 w-4 accent-action"
+                      />
+                      <span>
+                        <span className="block text-sm font-medium text-text">
+                          Compare mobile and desktop
+                        </span>
+                        <span className="mt-1 block text-xs text-text-muted">
+                          Fetch up to 50 content pages as a phone and a desktop and flag what mobile
+                          drops
+                        </span>
+                      </span>
+                    </label>
+
+                    <label
+                      htmlFor="checkAssets"
+                      className="flex cursor-pointer items-start gap-3 border border-border p-4 transition-colors hover:border-border-strong"
+                    >
+                      <input
+                        id="checkAssets"
+                        name="checkAssets"
+                        type="checkbox"
+                        checked={checkAssets}
+                        onChange={(e) => setCheckAssets(e.target.checked)}
+                        className="mt-0.5 h-4 w-4 accent-action"
+                      />
+                      <span>
+                        <span className="block text-sm font-medium text-text">
+                          Check page assets
+                        </span>
+                        <span className="mt-1 block text-xs text-text-muted">
+                          Images, srcsets, video, scripts, CSS backgrounds and icons, with oversized
+                          images flagged
+                        </span>
+                      </span>
+                    </label>
+                  </div>
+
+                  {/* Scope rules */}
+                  <div className="mt-6 grid gap-4 md:grid-cols-2">
+                    <div>
+                      <label htmlFor="maxPages" className="mb-2 block text-sm font-medium text-text">
+                        Page budget
+                      </label>
+                      <input
+                        id="maxPages"
+                        name="maxPages"
+                        type="number"
+                        min={1}
+                        max={5000}
+                        placeholder="500"
+                        value={maxPages}
+                        onChange={(e) => setMaxPages(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 text-sm text-text focus:border-action"
+                      />
+                      <p className="mt-1 text-xs text-text-muted">
+                        Stop after this many URLs have been checked
+                      </p>
+                    </div>
+                    <div>
+                      <label
+                        htmlFor="pathPrefix"
+                        className="mb-2 block text-sm font-medium text-text"
+                      >
+                        Stay under path
+                      </label>
+                      <input
+                        id="pathPrefix"
+                        name="pathPrefix"
+                        type="text"
+                        placeholder="/blog/"
+                        value={pathPrefix}
+                        onChange={(e) => setPathPrefix(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                      />
+                      <p className="mt-1 text-xs text-text-muted">
+                        Only follow pages whose path starts with this prefix
+                      </p>
+                    </div>
+                    <div>
+                      <label
+                        htmlFor="includePatterns"
+                        className="mb-2 block text-sm font-medium text-text"
+                      >
+                        Include paths
+                      </label>
+                      <textarea
+                        id="includePatterns"
+                        name="includePatterns"
+                        rows={3}
+                        placeholder={'/docs/**\n/guides/*'}
+                        value={includePatterns}
+                        onChange={(e) => setIncludePatterns(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                      />
+                      <p className="mt-1 text-xs text-text-muted">
+                        One glob per line &mdash; only matching pages are crawled for more links
+                      </p>
+                    </div>
+                    <div>
+                      <label
+                        htmlFor="excludePatterns"
+                        className="mb-2 block text-sm font-medium text-text"
+                      >
+                        Exclude paths
+                      </label>
+                      <textarea
+                        id="excludePatterns"
+                        name="excludePatterns"
+                        rows={3}
+                        placeholder={'/tag/**\n*.pdf'}
+                        value={excludePatterns}
+                        onChange={(e) => setExcludePatterns(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                      />
+                      <p className="mt-1 text-xs text-text-muted">
+                        One glob per line &mdash; matching URLs are skipped entirely
+                      </p>
+                    </div>
+                  </div>
+
+                  <label
+                    htmlFor="includeSubdomains"
+                    className="mt-4 flex cursor-pointer items-start gap-3 border border-border p-4 transition-colors hover:border-border-strong"
+                  >
+                    <input
+                      id="includeSubdomains"
+                      name="includeSubdomains"
+                      type="checkbox"
+                      checked={includeSubdomains}
+                      onChange={(e) => setIncludeSubdomains(e.target.checked)}
+                      className="mt-0.5 h-4 w-4 accent-action"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-text">
+                        Include subdomains
+                      </span>
+                      <span className="mt-1 block text-xs text-text-muted">
+                        Treat blog.example.com and shop.example.com as part of the site
+                      </span>
+                    </span>
+                  </label>
+
+                  {/* Crawler identity */}
+                  <div className="mt-6 grid gap-4 md:grid-cols-2">
+                    <div>
+                      <label
+                        htmlFor="crawlProfile"
+                        className="mb-2 block text-sm font-medium text-text"
+                      >
+                        Crawl as
+                      </label>
+                      <select
+                        id="crawlProfile"
+                        name="crawlProfile"
+                        value={crawlProfile}
+                        onChange={(e) => setCrawlProfile(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 text-sm text-text focus:border-action"
+                      >
+                        <option value="seoscrub">SeoScrub Bot &mdash; identifies itself</option>
+                        <option value="googlebot_smartphone">Googlebot smartphone</option>
+                        <option value="desktop">Desktop browser</option>
+                      </select>
+                      <p className="mt-1 text-xs text-text-muted">
+                        Sites can serve crawlers and phones different pages &mdash; audit what
+                        Google&rsquo;s mobile-first indexer sees
+                      </p>
+                    </div>
+                    <div>
+                      <label
+                        htmlFor="customHeaders"
+                        className="mb-2 block text-sm font-medium text-text"
+                      >
+                        Extra headers
+                      </label>
+                      <textarea
+                        id="customHeaders"
+                        name="customHeaders"
+                        rows={3}
+                        placeholder={'X-Preview-Mode: on\nAccept-Language: de-DE'}
+                        value={customHeaders}
+                        onChange={(e) => setCustomHeaders(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                      />
+                      <p className="mt-1 text-xs text-text-muted">
+                        One &ldquo;Name: value&rdquo; per line, sent with every request
+                      </p>
+                    </div>
+                  </div>
+
+                  {/* Authentication */}
+                  <div className="mt-6 grid gap-4 md:grid-cols-2">
+                    <div>
+                      <label htmlFor="authType" className="mb-2 block text-sm font-medium text-text">
+                        Site login
+                      </label>
+                      <select
+                        id="authType"
+                        name="authType"
+                        value={authType}
+                        onChange={(e) => setAuthType(e.target.value)}
+                        className="w-full rounded-md border border-border bg-surface px-4 py-3 text-sm text-text focus:border-action"
+                      >
+                        <option value="none">None &mdash; public site</option>
+                        <option value="basic">HTTP Basic auth</option>
+                        <option value="bearer">Bearer token</option>
+                        <option value="cookie">Session cookie</option>
+                      </select>
+                      <p className="mt-1 text-xs text-text-muted">
+                        For staging and members-only areas. Sent to this site&rsquo;s origin only,
+                        stored encrypted, never shown in reports.
+                      </p>
+                    </div>
+                    {authType !== 'none' && (
+                      <div className="space-y-3">
+                        {authType === 'basic' && (
+                          <input
+                            id="authUser"
+                            name="authUser"
+                            type="text"
+                            autoComplete="off"
+                            placeholder="Username"
+                            aria-label="Username"
+                            value={authUser}
+                            onChange={(e) => setAuthUser(e.target.value)}
+                            className="w-full rounded-md border border-border bg-surface px-4 py-3 text-sm text-text focus:border-action"
+                          />
+                        )}
+                        <input
+                          id="authSecret"
+                          name="authSecret"
+                          type="password"
+                          autoComplete="off"
+                          placeholder={
+                            authType === 'basic'
+                              ? 'Password'
+                              : authType === 'bearer'
+                                ? 'Token'
+                                : 'session=abc123; other=value'
+                          }
+                          aria-label={
+                            authType === 'basic'
+                              ? 'Password'
+                              : authType === 'bearer'
+                                ? 'Token'
+                                : 'Cookie header value'
+                          }
+                          value={authSecret}
+                          onChange={(e) => setAuthSecret(e.target.value)}
+                          className="w-full rounded-md border border-border bg-surface px-4 py-3 font-mono text-sm text-text focus:border-action"
+                        />
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
             </div>
 
             {/* Submit */}
+            <label
+              htmlFor="saveSiteDefaults"
+              className="mb-6 flex cursor-pointer items-start gap-3 border border-border p-4 transition-colors hover:border-border-strong"
+            >
+              <input
+                id="saveSiteDefaults"
+                name="saveSiteDefaults"
+                type="checkbox"
+                checked={saveSiteDefaults}
+                onChange={(e) => setSaveSiteDefaults(e.target.checked)}
+                className="mt-0.5 h-4 w-4 accent-action"
+              />
+              <span>
+                <span className="block text-sm font-medium text-text">
+                  Save these settings for {siteName || 'this site'}
+                </span>
+                <span className="mt-1 block text-xs text-text-muted">
+                  &ldquo;Audit again&rdquo; on the audits page will start from them. The site login
+                  is never saved.
+                </span>
+              </span>
+            </label>
             {startError && (
               <div className="mb-6 border border-danger/40 bg-danger-subtle p-4">
                 <p className="text-sm font-medium text-danger">Couldn&rsquo;t start the audit</p>
@@ -541,7 +993,8 @@ export default function AuditSetupPage() {
                         ? `We pulled ${summary.sitemapSupplemented} extra ${
                             summary.sitemapSupplemented === 1 ? 'page' : 'pages'
                           } from the site's sitemap into the scope — a Full Audit will check them all.`
-                        : 'No sitemap was found to fill the gaps, so the full crawl checks every link it can reach.'}
+                        : 'No sitemap was found to fill the gaps, so the full crawl checks every link it can reach.'}{' '}
+                      Turn on &ldquo;Render JavaScript&rdquo; to read links from the rendered pages.
                     </p>
                   </div>
                 )}
@@ -1,6 +1,6 @@
 // src/app/audits/page.js — Audit history. The "Previous Audits" ledger,
 // promoted to its own route so past reports are reachable from the header
-// (not only buried at the bottom of the setup page).
+// (not only buried at the bottom of the setup page), browsed by site.
 'use client';
 
 import Header from '@/app/components/Header';
@@ -24,8 +24,8 @@ export default function AuditsHistoryPage() {
             </div>
             <h1 className="mb-4 font-display text-4xl text-text md:text-5xl">Your audits.</h1>
             <p className="max-w-2xl leading-relaxed text-text-muted">
-              Every audit you&rsquo;ve run, most recent first. Open any one to read its report,
-              export the data, or share it.
+              Every site you&rsquo;ve audited, most recently audited first. Open a site to see
+              its audits, read any report, or audit it again with its saved settings.
             </p>
           </div>
           <Button href="/audit" size="lg" className="shrink-0">
@@ -34,7 +34,7 @@ export default function AuditsHistoryPage() {
           </Button>
         </div>
 
-        <PreviousAudits heading="All audits" className="" />
+        <PreviousAudits heading="All sites" className="" limit={50} />
       </main>
 
       <Footer />
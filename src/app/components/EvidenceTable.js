@@ -7,6 +7,7 @@ import {
   actionForClass,
   pathOf,
   CLASS_SHORT,
+  SUGGESTION_REASON_LABELS,
 } from '@/lib/auditReport';
 import SerpPreview from './SerpPreview';
 
@@ -30,6 +31,11 @@ const ERROR_TYPE_LABELS = {
   invalid_url: 'Invalid URL',
   security_blocked: 'Security Blocked',
   robots_blocked: 'Robots Blocked',
+  redirect_loop: 'Redirect Loop',
+  too_many_redirects: 'Too Many Redirects',
+  soft_404: 'Soft 404',
+  missing_anchor: 'Missing Anchor',
+  blocked_by_target: 'Bot Protection',
   other: 'Other',
 };
 
@@ -403,6 +409,27 @@ function FragmentRow({ row, cls, severity, isOpen, onToggle }) {
                     <span className="text-text">{actionForClass(cls, !!row.is_internal)}</span>
                   </Detail>
                 )}
+                {broken && row.suggestions?.length > 0 && (
+                  <Detail label="Did you mean" wide>
+                    <ul className="grid gap-1">
+                      {row.suggestions.map((s) => (
+                        <li key={s.url} className="flex items-baseline gap-3">
+                          <a
+                            href={s.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="break-all font-mono text-text underline decoration-border-strong underline-offset-4 hover:text-action hover:decoration-action"
+                          >
+                            {s.url}
+                          </a>
+                          <span className="shrink-0 font-mono text-text-subtle">
+                            {Math.round(s.score * 100)}% · {SUGGESTION_REASON_LABELS[s.reason] || s.reason}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </Detail>
+                )}
                 {row.has_seo_data && row.seo_score != null && (
                   <Detail label="SEO score">
                     <span className="font-mono text-text-muted">
@@ -1,8 +1,9 @@
 'use client';
 
-// Shared "Previous Audits" ledger — the recent-jobs list backed by
-// /api/jobs/recent. Used on the audit setup page and on the /audits history
-// route so both stay in sync.
+// Shared "Previous Audits" ledger — one row per audited site, backed by
+// /api/sites, each opening onto that site's audits (/api/sites/[id]/jobs).
+// Used on the audit setup page and on the /audits history route so both stay
+// in sync.
 
 import { useEffect, useState } from 'react';
 import Link from 'next/link';
@@ -17,9 +18,10 @@ const STATUS_TONE = {
   stopped: 'text-warning',
 };
 
-function hostnameOf(url) {
+function pathOf(url) {
   try {
-    return new URL(url).hostname;
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
   } catch {
     return url;
   }
@@ -39,14 +41,15 @@ function brokenReadout(job) {
   return '—';
 }
 
-export default function PreviousAudits({ heading = 'Previous Audits', className = 'mt-16 lg:mt-20' }) {
+/* ── One site's audits, loaded the first time its row is opened ─────── */
+function SiteAudits({ site }) {
   const [state, setState] = useState({ status: 'loading', jobs: [] });
 
   useEffect(() => {
     let cancelled = false;
     (async () => {
       try {
-        const response = await fetch('/api/jobs/recent');
+        const response = await fetch(`/api/sites/${site.id}/jobs`);
         const data = await response.json();
         if (!response.ok) throw new Error(data.error || 'Failed to load');
         if (!cancelled) setState({ status: 'done', jobs: data.jobs || [] });
@@ -57,7 +60,131 @@ export default function PreviousAudits({ heading = 'Previous Audits', className
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [site.id]);
+
+  return (
+    <div className="mb-4 ml-1 border-l border-border pl-4 sm:ml-4">
+      {state.status === 'loading' && (
+        <p className="py-2 font-mono text-xs text-text-subtle">Loading audits&hellip;</p>
+      )}
+      {state.status === 'error' && (
+        <p className="py-2 text-sm text-text-muted">
+          Couldn&rsquo;t load this site&rsquo;s audits.
+        </p>
+      )}
+      {state.jobs.map((job) => (
+        <Link
+          key={job.id}
+          href={`/results/${job.id}`}
+          className="group flex flex-wrap items-baseline gap-x-4 gap-y-1 px-1 py-2.5 transition-colors hover:bg-surface-subtle sm:flex-nowrap sm:gap-x-6"
+        >
+          <span className="shrink-0 font-mono text-xs text-text-subtle">
+            {ledgerDate(job.createdAt)}
+          </span>
+          <span className="min-w-0 truncate font-mono text-xs text-text-muted">
+            {pathOf(job.url)}
+          </span>
+          <span
+            className="hidden flex-1 border-b border-dotted border-border-strong sm:block"
+            aria-hidden="true"
+          />
+          <span
+            className={`shrink-0 font-mono text-xs ${STATUS_TONE[job.status] || 'text-text-muted'}`}
+          >
+            {job.status}
+          </span>
+          <span className="shrink-0 font-mono text-xs text-text-muted sm:w-20 sm:text-right">
+            {brokenReadout(job)}
+          </span>
+          <span className="shrink-0 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors group-hover:text-action group-hover:decoration-action">
+            View report <span aria-hidden="true">&rarr;</span>
+          </span>
+        </Link>
+      ))}
+      <Link
+        href={`/audit?site=${site.id}`}
+        className="mt-2 inline-block px-1 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+      >
+        Audit {site.name} again with its saved settings <span aria-hidden="true">&rarr;</span>
+      </Link>
+      <Link
+        href={`/sites/${site.id}`}
+        className="mt-2 ml-4 inline-block px-1 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+      >
+        Trends over time <span aria-hidden="true">&rarr;</span>
+      </Link>
+    </div>
+  );
+}
+
+function SiteRow({ site }) {
+  const [opened, setOpened] = useState(false);
+  const latest = site.latestJob;
+
+  return (
+    <details className="group" onToggle={(e) => e.currentTarget.open && setOpened(true)}>
+      <summary className="flex cursor-pointer list-none flex-wrap items-baseline gap-x-4 gap-y-1 px-1 py-3.5 transition-colors hover:bg-surface-subtle sm:flex-nowrap sm:gap-x-6 [&::-webkit-details-marker]:hidden">
+        <span className="min-w-0 truncate font-mono text-sm text-text">{site.name}</span>
+        <span className="shrink-0 font-mono text-xs text-text-subtle">
+          {site.jobCount} {site.jobCount === 1 ? 'audit' : 'audits'}
+        </span>
+        <span
+          className="hidden flex-1 border-b border-dotted border-border-strong sm:block"
+          aria-hidden="true"
+        />
+        {latest && (
+          <>
+            <span className="shrink-0 font-mono text-xs text-text-subtle">
+              {ledgerDate(latest.createdAt)}
+            </span>
+            <span
+              className={`shrink-0 font-mono text-xs ${
+                STATUS_TONE[latest.status] || 'text-text-muted'
+              }`}
+            >
+              {latest.status}
+            </span>
+            <span className="shrink-0 font-mono text-xs text-text-muted sm:w-20 sm:text-right">
+              {brokenReadout(latest)}
+            </span>
+          </>
+        )}
+        <span className="shrink-0 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 group-open:hidden">
+          History
+        </span>
+        <span className="hidden shrink-0 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 group-open:inline">
+          Hide
+        </span>
+      </summary>
+      {opened && <SiteAudits site={site} />}
+    </details>
+  );
+}
+
+export default function PreviousAudits({
+  heading = 'Previous Audits',
+  className = 'mt-16 lg:mt-20',
+  limit = 8,
+}) {
+  const [state, setState] = useState({ status: 'loading', sites: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch('/api/sites');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load');
+        const sites = (data.sites || []).filter((site) => site.jobCount > 0);
+        if (!cancelled) setState({ status: 'done', sites: sites.slice(0, limit) });
+      } catch {
+        if (!cancelled) setState({ status: 'error', sites: [] });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [limit]);
 
   return (
     <section className={className}>
@@ -72,44 +199,16 @@ export default function PreviousAudits({ heading = 'Previous Audits', className
       {state.status === 'error' && (
         <p className="text-sm text-text-muted">Couldn&rsquo;t load recent audits.</p>
       )}
-      {state.status === 'done' && state.jobs.length === 0 && (
+      {state.status === 'done' && state.sites.length === 0 && (
         <p className="text-sm text-text-muted">
           No audits yet &mdash; your first report will appear here.
         </p>
       )}
 
-      {state.jobs.length > 0 && (
+      {state.sites.length > 0 && (
         <div className="divide-y divide-border border-y border-border">
-          {state.jobs.map((job) => (
-            <Link
-              key={job.id}
-              href={`/results/${job.id}`}
-              className="group flex flex-wrap items-baseline gap-x-4 gap-y-1 px-1 py-3.5 transition-colors hover:bg-surface-subtle sm:flex-nowrap sm:gap-x-6"
-            >
-              <span className="min-w-0 truncate font-mono text-sm text-text">
-                {hostnameOf(job.url)}
-              </span>
-              <span
-                className="hidden flex-1 border-b border-dotted border-border-strong sm:block"
-                aria-hidden="true"
-              />
-              <span className="shrink-0 font-mono text-xs text-text-subtle">
-                {ledgerDate(job.createdAt)}
-              </span>
-              <span
-                className={`shrink-0 font-mono text-xs ${
-                  STATUS_TONE[job.status] || 'text-text-muted'
-                }`}
-              >
-                {job.status}
-              </span>
-              <span className="shrink-0 font-mono text-xs text-text-muted sm:w-20 sm:text-right">
-                {brokenReadout(job)}
-              </span>
-              <span className="shrink-0 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors group-hover:text-action group-hover:decoration-action">
-                View report <span aria-hidden="true">&rarr;</span>
-              </span>
-            </Link>
+          {state.sites.map((site) => (
+            <SiteRow key={site.id} site={site} />
           ))}
         </div>
       )}
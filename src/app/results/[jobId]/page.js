@@ -19,9 +19,15 @@ import {
   buildReport,
   classifyFinding,
   deriveSeverity,
+  formatSuggestions,
   hostnameOf,
   pathOf,
+  ASSET_TYPE_LABELS,
   CLASS_SHORT,
+  PLACEMENT_LABELS,
+  REDIRECT_ISSUE_LABELS,
+  REL_ISSUE_LABELS,
+  SITEMAP_ISSUE_LABELS,
   SLOW_MS,
   SHARED_SOURCE_THRESHOLD,
 } from '@/lib/auditReport';
@@ -30,6 +36,50 @@ const microLabel = 'font-mono text-[11px] uppercase tracking-[0.18em]';
 
 const RUNNING_STATUSES = ['running', 'queued', 'pending'];
 
+const SOFT_404_OFF_REASONS = {
+  no_html: 'no HTML not-found page',
+  start_page_matches: 'every path serves the same page',
+  probe_failed: 'probe failed',
+};
+
+const CRAWL_PROFILE_LABELS = {
+  seoscrub: 'SeoScrub Bot',
+  googlebot_smartphone: 'Googlebot smartphone',
+  desktop: 'Desktop browser',
+};
+
+const AUTH_TYPE_LABELS = {
+  basic: 'HTTP Basic auth',
+  bearer: 'bearer token',
+  cookie: 'session cookie',
+};
+
+const PARITY_FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  canonical: 'canonical',
+  noindex: 'noindex',
+  nofollow: 'nofollow',
+  h1: 'H1',
+  h2: 'H2',
+  h3: 'H3',
+  headings: 'headings',
+  internalLinks: 'internal links',
+  structuredDataTypes: 'structured data',
+  wordCount: 'words',
+};
+
+// One mobile-vs-desktop difference (lib/parityAudit) as a short phrase
+function parityDifferenceText({ field, kind, mobile, desktop }) {
+  const label = PARITY_FIELD_LABELS[field] || field;
+  if (field === 'structuredDataTypes') return `${desktop.join(', ')} missing on mobile`;
+  if (field === 'noindex' || field === 'nofollow') return `${label} on mobile only`;
+  if (kind === 'missing') return `${label} missing on mobile`;
+  if (kind === 'added') return `${label} on mobile only`;
+  if (typeof mobile === 'number') return `${label} ${desktop} → ${mobile}`;
+  return `${label} differs`;
+}
+
 const STATUS_TONE = {
   completed: 'text-success',
   running: 'text-info',
@@ -65,6 +115,17 @@ function reportDate(value) {
     .toUpperCase();
 }
 
+// Score change for the changes section: "72 → 80 (+8)"
+function scoreChange({ base, head, delta }, unit = '') {
+  return `${base}${unit} → ${head}${unit} (${delta > 0 ? '+' : ''}${delta})`;
+}
+
+function deltaTone(delta) {
+  if (delta > 0) return 'text-success';
+  if (delta < 0) return 'text-danger';
+  return 'text-text';
+}
+
 function formatDuration(ms) {
   if (ms == null) return '—';
   const seconds = Math.floor(ms / 1000);
@@ -177,13 +238,23 @@ export default function AuditReportPage() {
 
   const [showStopConfirm, setShowStopConfirm] = useState(false);
   const [isStopping, setIsStopping] = useState(false);
-  const [exporting, setExporting] = useState(null); // 'csv' | 'json' | 'seo' | null
+  const [isResuming, setIsResuming] = useState(false);
+  const [resumeError, setResumeError] = useState('');
+  const [exporting, setExporting] = useState(null); // 'csv' | 'json' | 'seo' | 'graph' | null
   const [sharePath, setSharePath] = useState(null); // '/share/<token>' once created
   const [shareBusy, setShareBusy] = useState(false);
   const [copiedWhich, setCopiedWhich] = useState(null); // 'client' | 'fixlist' | null
 
   const [aiNarrative, setAiNarrative] = useState(null);
   const [performance, setPerformance] = useState(null);
+  const [sitemapAudit, setSitemapAudit] = useState(null);
+  const [linkGraph, setLinkGraph] = useState(null);
+  const [redirectAudit, setRedirectAudit] = useState(null);
+  const [linkRel, setLinkRel] = useState(null);
+  const [assets, setAssets] = useState(null);
+  const [rendering, setRendering] = useState(null);
+  const [parity, setParity] = useState(null);
+  const [comparison, setComparison] = useState(null);
 
   const [appendixFocus, setAppendixFocus] = useState(null);
   const [evidenceOpen, setEvidenceOpen] = useState(false);
@@ -200,7 +271,8 @@ export default function AuditReportPage() {
 
     const tick = async () => {
       try {
-        const response = await fetch(`/api/crawl/status/${jobId}`);
+        // no-store: settled statuses are cacheable, but a resumed job changes status again
+        const response = await fetch(`/api/crawl/status/${jobId}`, { cache: 'no-store' });
         const data = await response.json();
         if (cancelled) return;
         if (!response.ok) {
@@ -283,9 +355,26 @@ export default function AuditReportPage() {
             summary: findingsPayload.summary,
             findings: findingsPayload.findings,
             checkedLinks: findingsPayload.checkedLinks,
+            sitemapCoverage: sitemapAudit?.coverage,
+            linkGraph,
+            redirects: redirectAudit,
+            linkRel,
+            assets,
+            rendering,
+            parity,
           })
         : null,
-    [findingsPayload, job]
+    [
+      findingsPayload,
+      job,
+      sitemapAudit,
+      linkGraph,
+      redirectAudit,
+      linkRel,
+      assets,
+      rendering,
+      parity,
+    ]
   );
 
   /* ── AI narrative, fetched once report data is ready ───────────────── */
@@ -326,6 +415,160 @@ export default function AuditReportPage() {
     };
   }, [jobId, reportReady]);
 
+  /* ── Sitemap audit + coverage, lazy once the report is ready ─────────── */
+  const isSitemapMode = job?.settings?.crawlMode === 'sitemap';
+  useEffect(() => {
+    if (!reportReady || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/sitemap/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setSitemapAudit(data);
+      } catch {
+        // the sitemap sections simply stay hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady]);
+
+  /* ── Internal link graph, lazy once the report is ready ──────────────── */
+  useEffect(() => {
+    if (!reportReady || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/link-graph/${jobId}`);
+        if (!res.ok || res.status === 204) return;
+        const data = await res.json();
+        if (!cancelled) setLinkGraph(data);
+      } catch {
+        // the internal linking section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady]);
+
+  /* ── Redirect chains, lazy once the report is ready ─────────────────── */
+  useEffect(() => {
+    if (!reportReady || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/redirects/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setRedirectAudit(data);
+      } catch {
+        // the redirects section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady]);
+
+  /* ── rel / target attributes of the crawl's links ─────────────────── */
+  useEffect(() => {
+    if (!reportReady || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/link-rel/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setLinkRel(data);
+      } catch {
+        // the link attributes section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady]);
+
+  /* ── Checked assets: broken and oversized ─────────────────────────── */
+  useEffect(() => {
+    if (!reportReady || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/assets/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setAssets(data);
+      } catch {
+        // the assets section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady]);
+
+  /* ── Rendered vs raw HTML, only for jobs that rendered JavaScript ──── */
+  useEffect(() => {
+    if (!reportReady || !jobId || !job?.settings?.renderJs) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/rendering/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setRendering(data);
+      } catch {
+        // the rendering section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady, job?.settings?.renderJs]);
+
+  /* ── Mobile vs desktop, only for jobs that ran the parity audit ────── */
+  useEffect(() => {
+    if (!reportReady || !jobId || !job?.settings?.parityAudit) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/parity/${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setParity(data);
+      } catch {
+        // the parity section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, reportReady, job?.settings?.parityAudit]);
+
+  /* ── Changes since the site's previous completed audit ─────────────── */
+  const isCompleted = job?.status === 'completed';
+  useEffect(() => {
+    if (!isCompleted || !jobId) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await fetch(`/api/compare?head=${jobId}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setComparison(data.comparison);
+      } catch {
+        // the changes section simply stays hidden
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, isCompleted]);
+
   /* ── Actions ────────────────────────────────────────────────────────── */
 
   const handleStop = async () => {
@@ -347,6 +590,24 @@ export default function AuditReportPage() {
     }
   };
 
+  const handleResume = async () => {
+    setIsResuming(true);
+    setResumeError('');
+    try {
+      const response = await fetch(`/api/crawl/resume/${jobId}`, {
+        method: 'POST',
+        headers: { 'X-CSRF-Token': await getCsrfToken() },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to resume the audit');
+      setPollNonce((n) => n + 1); // pick the job back up in the live view
+    } catch (err) {
+      setResumeError(err.message);
+    } finally {
+      setIsResuming(false);
+    }
+  };
+
   const copyLink = async (path, which) => {
     try {
       await navigator.clipboard.writeText(`${window.location.origin}${path}`);
@@ -478,6 +739,7 @@ export default function AuditReportPage() {
           'Scope',
           'Source Page',
           'Link Text',
+          'Suggested Replacement',
           'Response Time (ms)',
           'Error',
           'Checked At',
@@ -494,6 +756,7 @@ export default function AuditReportPage() {
             l.is_internal ? 'Internal' : 'External',
             l.source_url || '',
             l.link_text && l.link_text !== 'Unknown' ? l.link_text : '',
+            broken ? formatSuggestions(l.suggestions) : '',
             l.response_time ?? '',
             l.error_message || '',
             l.checked_at || '',
@@ -531,6 +794,195 @@ export default function AuditReportPage() {
     }
   };
 
+  const runSitemapExport = () => {
+    if (!job || !sitemapAudit) return;
+    const host = hostnameOf(job.url);
+    const day = new Date().toISOString().split('T')[0];
+    const headers = [
+      'URL',
+      'Issues',
+      'HTTP Code',
+      'Final URL',
+      'Redirects',
+      'Noindex',
+      'Canonical URL',
+      'Last Modified',
+      'Sitemap',
+    ];
+    const rows = sitemapAudit.problems.map((e) => [
+      e.url,
+      e.issues.map((issue) => SITEMAP_ISSUE_LABELS[issue] || issue).join(' | '),
+      e.statusCode ?? '',
+      e.finalUrl && e.finalUrl !== e.url ? e.finalUrl : '',
+      e.redirectCount || 0,
+      e.noindex ? 'YES' : 'no',
+      e.canonicalUrl || '',
+      e.lastmod || '',
+      e.sitemapUrl || '',
+    ]);
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    download(`seoscrub-sitemap-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
+  const runLinkGraphExport = async () => {
+    setExporting('graph');
+    try {
+      const response = await fetch(`/api/link-graph/${jobId}?pages=all`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Link graph export failed');
+      const host = hostnameOf(job.url);
+      const day = new Date().toISOString().split('T')[0];
+      const headers = [
+        'URL',
+        'HTTP Code',
+        'Inlinks',
+        'Outlinks',
+        'Click Depth',
+        'Importance',
+        'Flags',
+        'Top Anchor Texts',
+      ];
+      const rows = (data.pages || []).map((p) => [
+        p.url,
+        p.status ?? '',
+        p.inlinks,
+        p.outlinks,
+        p.clickDepth ?? 'unreachable',
+        p.importance,
+        p.flags.join(' | '),
+        p.anchors.map((a) => `${a.text} (${a.count})`).join(' | '),
+      ]);
+      const bom = String.fromCharCode(0xfeff);
+      const csv =
+        bom +
+        [headers, ...rows]
+          .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+          .join('\n');
+      download(`seoscrub-internal-links-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+    } catch (err) {
+      setFindingsError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const runRedirectExport = () => {
+    const redirects = report?.redirects;
+    if (!job || !redirects) return;
+    const host = hostnameOf(job.url);
+    const day = new Date().toISOString().split('T')[0];
+    const headers = [
+      'URL',
+      'Scope',
+      'Issues',
+      'Hops',
+      'Redirect Path',
+      'Final URL',
+      'Final Status',
+      'Total Redirect Time (ms)',
+      'Linked From (count)',
+      'Linked From',
+    ];
+    const rows = redirects.rows.map((r) => [
+      r.url,
+      r.isInternal ? 'Internal' : 'External',
+      r.issues.map((issue) => REDIRECT_ISSUE_LABELS[issue] || issue).join(' | '),
+      r.hops.length,
+      r.hops.map((hop) => `${hop.status} ${hop.url}`).join(' → '),
+      r.finalUrl || '',
+      r.finalStatus ?? '',
+      r.totalMs,
+      r.sourceCount,
+      r.sources.join(' | '),
+    ]);
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    download(`seoscrub-redirects-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
+  const runLinkRelExport = () => {
+    const linkRel = report?.linkRel;
+    if (!job || !linkRel) return;
+    const host = hostnameOf(job.url);
+    const day = new Date().toISOString().split('T')[0];
+    const headers = ['URL', 'Scope', 'Issues', 'rel', 'target', 'Placement', 'Found On'];
+    const rows = linkRel.rows.map((r) => [
+      r.url,
+      r.isInternal ? 'Internal' : 'External',
+      r.issues.map((issue) => REL_ISSUE_LABELS[issue] || issue).join(' | '),
+      r.rel.join(' '),
+      r.target || '',
+      PLACEMENT_LABELS[r.placement] || '',
+      r.sourceUrl || '',
+    ]);
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    download(`seoscrub-link-attributes-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
+  const runAssetExport = () => {
+    const assetReport = report?.assets;
+    if (!job || !assetReport) return;
+    const host = hostnameOf(job.url);
+    const day = new Date().toISOString().split('T')[0];
+    const headers = ['URL', 'Type', 'Scope', 'Issues', 'Status', 'Error', 'Bytes', 'Found On'];
+    const rows = assetReport.rows.map((r) => [
+      r.url,
+      ASSET_TYPE_LABELS[r.type] || r.type,
+      r.isInternal ? 'Internal' : 'External',
+      r.issues.join(' | '),
+      r.status ?? '',
+      r.errorType || r.errorMessage || '',
+      r.bytes ?? '',
+      r.sourceUrl || '',
+    ]);
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    download(`seoscrub-assets-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
+  const runCoverageExport = () => {
+    const coverage = report?.sitemapCoverage;
+    if (!job || !coverage) return;
+    const host = hostnameOf(job.url);
+    const day = new Date().toISOString().split('T')[0];
+    const headers = ['Finding', 'URL', 'Listed In Sitemap', 'Last Modified', 'Linked From'];
+    const rows = [
+      ...coverage.orphans.map((o) => [
+        'Orphan (no internal links)',
+        o.url,
+        o.sitemapUrl || '',
+        o.lastmod || '',
+        '',
+      ]),
+      ...coverage.unlisted.map((u) => ['Missing from sitemap', u.url, '', '', u.sourceUrl]),
+    ];
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    download(`seoscrub-sitemap-coverage-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
   const focusEvidence = (term) => {
     setEvidenceOpen(true); // the evidence table lives in a collapsed accordion — open it
     setAppendixFocus({ term: term || '', at: Date.now() });
@@ -546,7 +998,11 @@ export default function AuditReportPage() {
   let serialCount = 0;
   const nextSerial = () => String(++serialCount).padStart(2, '0');
 
-  const modeLabel = job?.settings?.enableSEO ? 'Full Audit' : 'Quick Check';
+  const modeLabel = isSitemapMode
+    ? 'Sitemap Audit'
+    : job?.settings?.enableSEO
+      ? 'Full Audit'
+      : 'Quick Check';
   const kpis = report?.kpis;
   const score = report?.score;
   const summary = findingsPayload?.summary;
@@ -772,12 +1228,28 @@ export default function AuditReportPage() {
                   {job.errorMessage ||
                     'The crawl hit an error it could not recover from. Run a fresh audit — transient network problems account for most failures.'}
                 </p>
-                <Link
-                  href="/audit"
-                  className="mt-4 inline-block font-mono text-xs text-text underline decoration-border-strong underline-offset-4 hover:text-action hover:decoration-action"
-                >
-                  Run a new audit &rarr;
-                </Link>
+                <p className="mt-2 max-w-2xl text-sm leading-relaxed text-text-muted">
+                  Everything checked so far is kept &mdash; resuming continues from where the crawl
+                  left off instead of starting over.
+                </p>
+                <div className="mt-4 flex flex-wrap items-center gap-4">
+                  <Button
+                    variant="primary"
+                    size="md"
+                    type="button"
+                    onClick={handleResume}
+                    disabled={isResuming}
+                  >
+                    {isResuming ? 'Resuming…' : 'Resume audit'}
+                  </Button>
+                  <Link
+                    href="/audit"
+                    className="inline-block font-mono text-xs text-text underline decoration-border-strong underline-offset-4 hover:text-action hover:decoration-action"
+                  >
+                    Run a new audit &rarr;
+                  </Link>
+                </div>
+                {resumeError && <p className="mt-3 text-sm text-danger">{resumeError}</p>}
               </section>
             )}
 
@@ -790,7 +1262,21 @@ export default function AuditReportPage() {
                   Check can&rsquo;t see &mdash; so these results may undercount pages and links. For
                   fuller coverage, run a <span className="font-medium">Full Audit</span>: its scope
                   estimate pulls the site&rsquo;s sitemap, which lists pages JavaScript would
-                  otherwise hide.
+                  otherwise hide &mdash; and turn on{' '}
+                  <span className="font-medium">Render JavaScript</span> to read links from the
+                  pages as a browser builds them.
+                </p>
+              </section>
+            )}
+
+            {/* ── Rendering requested but unavailable ─────────────────── */}
+            {job.settings?.renderJsUnavailable && job.status !== 'failed' && (
+              <section className="mb-16 border border-warning/40 bg-warning-subtle p-6">
+                <p className={`${microLabel} text-text`}>JavaScript rendering unavailable</p>
+                <p className="mt-2 max-w-2xl text-sm leading-relaxed text-text">
+                  This audit asked for JavaScript rendering, but no headless browser was available
+                  on the crawler, so pages were read from their raw HTML only. Links that scripts
+                  add in the browser may be missing from these results.
                 </p>
               </section>
             )}
@@ -813,6 +1299,24 @@ export default function AuditReportPage() {
               </section>
             )}
 
+            {/* ── Bot-protection caution ──────────────────────────────── */}
+            {job.settings?.blockedByTargetDetected && job.status !== 'failed' && (
+              <section className="mb-16 border border-warning/40 bg-warning-subtle p-6">
+                <p className={`${microLabel} text-text`}>Bot protection blocked our crawler</p>
+                <p className="mt-2 max-w-2xl text-sm leading-relaxed text-text">
+                  {job.settings.blockedByTargetCount
+                    ? `${job.settings.blockedByTargetCount} ${
+                        job.settings.blockedByTargetCount === 1 ? 'URL' : 'URLs'
+                      } answered`
+                    : 'Some URLs answered'}{' '}
+                  with a bot-protection challenge (Cloudflare, Akamai and similar) instead of the
+                  page, so we couldn&rsquo;t tell whether they work. They&rsquo;re left out of the
+                  findings and the Link Integrity score rather than counted as broken. If the site
+                  is yours, allow-list our crawler in the firewall and re-run the audit.
+                </p>
+              </section>
+            )}
+
             {/* ── Report loading / error ──────────────────────────────── */}
             {reportReady && !report && !findingsError && (
               <p className="py-16 text-center font-mono text-xs text-text-subtle">
@@ -1120,6 +1624,158 @@ export default function AuditReportPage() {
                   )}
                 </section>
 
+                {/* Changes since the site's last completed audit */}
+                {comparison && (
+                  <section className="mb-16 lg:mb-20">
+                    <SectionHeading
+                      serial={nextSerial()}
+                      label="Changes Since Last Audit"
+                      title="What moved."
+                    />
+                    <p className="mb-6 max-w-3xl text-sm leading-relaxed text-text-muted">
+                      Compared with the{' '}
+                      <Link
+                        href={`/results/${comparison.base.id}`}
+                        className="text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+                      >
+                        audit of {reportDate(comparison.base.completedAt)}
+                      </Link>
+                      . Broken links are matched by target URL, SEO issues by check and page.
+                      {comparison.links.counts.unrechecked > 0 &&
+                        ` ${comparison.links.counts.unrechecked} of the fixed links were not checked this time — their pages fell out of the crawl — so those fixes are unconfirmed.`}
+                    </p>
+                    <div className="grid grid-cols-1 gap-8 lg:grid-cols-12">
+                      <div className="space-y-1.5 lg:col-span-4">
+                        <LeaderRow
+                          k="Grade"
+                          v={`${comparison.scores.grade.base} → ${comparison.scores.grade.head}`}
+                        />
+                        {[
+                          ['Link health', comparison.scores.overall],
+                          ['Link integrity', comparison.scores.integrity],
+                          ['Response health', comparison.scores.response],
+                          ['Coverage', comparison.scores.coverage, '%'],
+                          ['SEO score', comparison.scores.seo],
+                        ]
+                          .filter(([, change]) => change)
+                          .map(([label, change, unit]) => (
+                            <LeaderRow
+                              key={label}
+                              k={label}
+                              v={scoreChange(change, unit)}
+                              tone={deltaTone(change.delta)}
+                            />
+                          ))}
+                      </div>
+
+                      <div className="lg:col-span-8">
+                        <div className="grid grid-cols-3 gap-px border border-border bg-border">
+                          {[
+                            {
+                              label: 'Newly broken',
+                              value: comparison.links.counts.new,
+                              tone: comparison.links.counts.new ? 'text-danger' : 'text-text',
+                            },
+                            {
+                              label: 'Fixed',
+                              value: comparison.links.counts.fixed,
+                              tone: comparison.links.counts.fixed ? 'text-success' : 'text-text',
+                            },
+                            { label: 'Still broken', value: comparison.links.counts.persisting },
+                            ...(comparison.seo
+                              ? [
+                                  {
+                                    label: 'New SEO issues',
+                                    value: comparison.seo.counts.new,
+                                    tone: comparison.seo.counts.new ? 'text-danger' : 'text-text',
+                                  },
+                                  {
+                                    label: 'SEO issues resolved',
+                                    value: comparison.seo.counts.fixed,
+                                    tone: comparison.seo.counts.fixed
+                                      ? 'text-success'
+                                      : 'text-text',
+                                  },
+                                  {
+                                    label: 'SEO issues remaining',
+                                    value: comparison.seo.counts.persisting,
+                                  },
+                                ]
+                              : []),
+                          ].map((stat) => (
+                            <div key={stat.label} className="bg-surface p-4">
+                              <p className={`font-mono text-2xl ${stat.tone || 'text-text'}`}>
+                                {stat.value.toLocaleString()}
+                              </p>
+                              <p className={`${microLabel} mt-1 text-text-subtle`}>
+                                {stat.label}
+                              </p>
+                            </div>
+                          ))}
+                        </div>
+
+                        {[
+                          ['Newly broken', comparison.links.new, comparison.links.counts.new],
+                          ['Fixed', comparison.links.fixed, comparison.links.counts.fixed],
+                        ]
+                          .filter(([, rows]) => rows.length > 0)
+                          .map(([heading, rows, total]) => (
+                            <div key={heading} className="mt-8">
+                              <ColumnHeading>{heading}</ColumnHeading>
+                              <div className="divide-y divide-border border-y border-border">
+                                {rows.slice(0, 10).map((r) => (
+                                  <div key={r.url} className="grid gap-1 px-1 py-3">
+                                    <div className="flex items-baseline gap-4">
+                                      <span
+                                        className="min-w-0 truncate font-mono text-sm text-text"
+                                        title={r.url}
+                                      >
+                                        {r.isInternal ? pathOf(r.url) : r.url}
+                                      </span>
+                                      <span
+                                        className="flex-1 border-b border-dotted border-border-strong"
+                                        aria-hidden="true"
+                                      />
+                                      <span
+                                        className={`shrink-0 font-mono text-xs ${
+                                          r.rechecked === undefined
+                                            ? 'text-danger'
+                                            : r.rechecked
+                                            ? 'text-success'
+                                            : 'text-text-subtle'
+                                        }`}
+                                      >
+                                        {r.rechecked === undefined
+                                          ? r.statusCode || CLASS_SHORT[r.cls]
+                                          : r.rechecked
+                                          ? 'works now'
+                                          : 'not re-checked'}
+                                      </span>
+                                    </div>
+                                    <p className="truncate font-mono text-xs text-text-subtle">
+                                      {r.resourceType
+                                        ? ASSET_TYPE_LABELS[r.resourceType] || r.resourceType
+                                        : r.isInternal
+                                        ? 'Internal'
+                                        : 'External'}
+                                      {r.sourceUrl !== 'Discovery' &&
+                                        ` · on ${pathOf(r.sourceUrl)}`}
+                                    </p>
+                                  </div>
+                                ))}
+                              </div>
+                              {total > 10 && (
+                                <p className="mt-3 font-mono text-xs text-text-subtle">
+                                  + {(total - 10).toLocaleString()} more
+                                </p>
+                              )}
+                            </div>
+                          ))}
+                      </div>
+                    </div>
+                  </section>
+                )}
+
                 {kpis.issues === 0 && (
                   <section className="mb-16 lg:mb-20">
                     <div className="border border-success/40 bg-success-subtle p-5">
@@ -1399,6 +2055,776 @@ export default function AuditReportPage() {
                       </AccordionSection>
                     )}
 
+                    {isSitemapMode && sitemapAudit && (
+                      <AccordionSection
+                        label="Sitemap audit"
+                        count={sitemapAudit.problems.length}
+                      >
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          Every URL the sitemap lists should be live, indexable and its own
+                          canonical. {sitemapAudit.summary.clean.toLocaleString()} of{' '}
+                          {sitemapAudit.summary.total.toLocaleString()} entries pass; the rest
+                          waste crawl budget or send search engines mixed signals.
+                        </p>
+                        <div className="mb-6 max-w-md space-y-1.5">
+                          {Object.entries(SITEMAP_ISSUE_LABELS).map(([issue, label]) => (
+                            <LeaderRow
+                              key={issue}
+                              k={label}
+                              v={String(sitemapAudit.summary.counts[issue] || 0)}
+                              tone={
+                                sitemapAudit.summary.counts[issue] ? 'text-warning' : 'text-text'
+                              }
+                            />
+                          ))}
+                        </div>
+                        {sitemapAudit.problems.length > 0 && (
+                          <>
+                            <div className="divide-y divide-border border-y border-border">
+                              {sitemapAudit.problems.slice(0, 25).map((entry) => (
+                                <div
+                                  key={entry.url}
+                                  className="flex flex-wrap items-baseline gap-x-4 gap-y-1 px-1 py-3.5 sm:flex-nowrap sm:gap-x-6"
+                                >
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={entry.url}
+                                  >
+                                    {pathOf(entry.url)}
+                                  </span>
+                                  <span
+                                    className="hidden flex-1 border-b border-dotted border-border-strong sm:block"
+                                    aria-hidden="true"
+                                  />
+                                  <span className="w-12 shrink-0 font-mono text-xs text-text-muted sm:text-right">
+                                    {entry.statusCode ?? '—'}
+                                  </span>
+                                  <span className="shrink-0 font-mono text-xs text-warning">
+                                    {entry.issues
+                                      .map((issue) => SITEMAP_ISSUE_LABELS[issue] || issue)
+                                      .join(' · ')}
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                            <div className="mt-3 flex flex-wrap items-baseline gap-4">
+                              {sitemapAudit.problems.length > 25 && (
+                                <p className="font-mono text-xs text-text-subtle">
+                                  + {sitemapAudit.problems.length - 25} more entries in the CSV.
+                                </p>
+                              )}
+                              <button
+                                type="button"
+                                onClick={runSitemapExport}
+                                className="font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+                              >
+                                Export sitemap issues (CSV)
+                              </button>
+                            </div>
+                          </>
+                        )}
+                      </AccordionSection>
+                    )}
+
+                    {report.internalLinking && (
+                      <AccordionSection
+                        label="Internal linking"
+                        count={report.internalLinking.buried + report.internalLinking.underLinked}
+                      >
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          How the site links to itself.{' '}
+                          <span className="font-medium text-text">Buried</span> pages sit{' '}
+                          {report.internalLinking.buriedDepth}+ clicks from the start page (or
+                          can&rsquo;t be reached by links at all);{' '}
+                          <span className="font-medium text-text">under-linked</span> pages have{' '}
+                          {report.internalLinking.underLinkedMax} or fewer internal links pointing
+                          at them. Importance is PageRank over the internal graph, scaled so the
+                          strongest page is 100.
+                        </p>
+                        <div className="mb-8 grid grid-cols-1 gap-10 lg:grid-cols-2">
+                          <div>
+                            <ColumnHeading>Graph</ColumnHeading>
+                            <div className="space-y-1.5">
+                              <LeaderRow
+                                k="Live pages"
+                                v={report.internalLinking.livePages.toLocaleString()}
+                              />
+                              <LeaderRow
+                                k="Internal links"
+                                v={report.internalLinking.links.toLocaleString()}
+                              />
+                              <LeaderRow
+                                k="Avg. inlinks per page"
+                                v={String(report.internalLinking.avgInlinks)}
+                              />
+                              <LeaderRow
+                                k="Buried / unreachable"
+                                v={report.internalLinking.buried.toLocaleString()}
+                                tone={report.internalLinking.buried ? 'text-warning' : 'text-text'}
+                              />
+                              <LeaderRow
+                                k="Under-linked"
+                                v={report.internalLinking.underLinked.toLocaleString()}
+                                tone={
+                                  report.internalLinking.underLinked ? 'text-warning' : 'text-text'
+                                }
+                              />
+                            </div>
+                          </div>
+                          <div>
+                            <ColumnHeading>Click depth</ColumnHeading>
+                            <div className="space-y-1.5">
+                              {report.internalLinking.depthDistribution.map((row) => (
+                                <LeaderRow
+                                  key={row.depth}
+                                  k={
+                                    row.depth === 'unreachable'
+                                      ? 'Unreachable'
+                                      : `${row.depth} click${row.depth === 1 ? '' : 's'}`
+                                  }
+                                  v={row.count.toLocaleString()}
+                                  tone={
+                                    row.depth === 'unreachable' ||
+                                    row.depth >= report.internalLinking.buriedDepth
+                                      ? 'text-warning'
+                                      : 'text-text'
+                                  }
+                                />
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                        <ColumnHeading>Most important pages</ColumnHeading>
+                        <div className="mb-8 overflow-x-auto border border-border bg-surface">
+                          <table className="w-full min-w-[640px] border-collapse text-left">
+                            <thead>
+                              <tr className="border-b border-border-strong">
+                                <th className={`${microLabel} px-4 py-3 text-text-subtle`}>Page</th>
+                                <th className={`${microLabel} px-4 py-3 text-right text-text-subtle`}>
+                                  Inlinks
+                                </th>
+                                <th className={`${microLabel} px-4 py-3 text-right text-text-subtle`}>
+                                  Depth
+                                </th>
+                                <th className={`${microLabel} px-4 py-3 text-right text-text-subtle`}>
+                                  Importance
+                                </th>
+                                <th className={`${microLabel} px-4 py-3 text-text-subtle`}>
+                                  Top anchor
+                                </th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-border align-baseline">
+                              {report.internalLinking.topPages.slice(0, 10).map((page) => (
+                                <tr key={page.url}>
+                                  <td
+                                    className="max-w-[280px] truncate px-4 py-3 font-mono text-sm text-text"
+                                    title={page.url}
+                                  >
+                                    {pathOf(page.url)}
+                                  </td>
+                                  <td className="px-4 py-3 text-right font-mono text-sm text-text">
+                                    {page.inlinks}
+                                  </td>
+                                  <td className="px-4 py-3 text-right font-mono text-sm text-text-muted">
+                                    {page.clickDepth ?? '—'}
+                                  </td>
+                                  <td className="px-4 py-3 text-right font-mono text-sm text-text">
+                                    {page.importance}
+                                  </td>
+                                  <td className="max-w-[200px] truncate px-4 py-3 text-xs text-text-muted">
+                                    {page.anchors[0]?.text || '—'}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                        <div className="grid grid-cols-1 gap-10 lg:grid-cols-2">
+                          {[
+                            {
+                              heading: 'Buried / unreachable',
+                              rows: report.internalLinking.buriedPages,
+                              total: report.internalLinking.buried,
+                              meta: (page) =>
+                                page.clickDepth == null
+                                  ? 'no link path'
+                                  : `${page.clickDepth} clicks`,
+                              empty: 'Every page is within a few clicks of the start page.',
+                            },
+                            {
+                              heading: 'Under-linked',
+                              rows: report.internalLinking.underLinkedPages,
+                              total: report.internalLinking.underLinked,
+                              meta: (page) =>
+                                `${page.inlinks} inlink${page.inlinks === 1 ? '' : 's'}`,
+                              empty: 'Every page has several internal links pointing to it.',
+                            },
+                          ].map((list) => (
+                            <div key={list.heading}>
+                              <ColumnHeading>{list.heading}</ColumnHeading>
+                              {list.rows.length === 0 ? (
+                                <p className="text-sm text-text-muted">{list.empty}</p>
+                              ) : (
+                                <div className="divide-y divide-border border-y border-border">
+                                  {list.rows.slice(0, 15).map((page) => (
+                                    <div
+                                      key={page.url}
+                                      className="flex items-baseline gap-4 px-1 py-2.5"
+                                    >
+                                      <span
+                                        className="min-w-0 truncate font-mono text-sm text-text"
+                                        title={page.url}
+                                      >
+                                        {pathOf(page.url)}
+                                      </span>
+                                      <span
+                                        className="flex-1 border-b border-dotted border-border-strong"
+                                        aria-hidden="true"
+                                      />
+                                      <span className="shrink-0 font-mono text-xs text-text-muted">
+                                        {list.meta(page)}
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                              {list.total > 15 && (
+                                <p className="mt-3 font-mono text-xs text-text-subtle">
+                                  + {(list.total - 15).toLocaleString()} more in the CSV.
+                                </p>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                        <button
+                          type="button"
+                          onClick={runLinkGraphExport}
+                          disabled={exporting === 'graph'}
+                          className="mt-6 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action disabled:opacity-50"
+                        >
+                          {exporting === 'graph'
+                            ? 'Exporting…'
+                            : 'Export internal link metrics (CSV)'}
+                        </button>
+                      </AccordionSection>
+                    )}
+
+                    {report.redirects && (
+                      <AccordionSection label="Redirects" count={report.redirects.flagged}>
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          Every hop followed while checking links. Loops never resolve; chains,
+                          temporary (302/307) redirects on the site and HTTPS&rarr;HTTP downgrades
+                          cost crawl budget and link equity. Internal links should point straight
+                          at the final URL &mdash; each row lists the pages to edit.
+                        </p>
+                        <div className="mb-8 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Redirected URLs"
+                            v={report.redirects.redirected.toLocaleString()}
+                          />
+                          <LeaderRow k="Longest chain" v={`${report.redirects.maxHops} hops`} />
+                          {Object.entries(REDIRECT_ISSUE_LABELS).map(([issue, label]) => (
+                            <LeaderRow
+                              key={issue}
+                              k={label}
+                              v={report.redirects.counts[issue].toLocaleString()}
+                              tone={
+                                !report.redirects.counts[issue]
+                                  ? 'text-text'
+                                  : issue === 'loop' || issue === 'downgrade'
+                                    ? 'text-danger'
+                                    : 'text-warning'
+                              }
+                            />
+                          ))}
+                        </div>
+                        {report.redirects.rows.length > 0 && (
+                          <div className="divide-y divide-border border-y border-border">
+                            {report.redirects.rows.slice(0, 20).map((r) => (
+                              <div key={r.url} className="grid gap-1 px-1 py-3">
+                                <div className="flex items-baseline gap-4">
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={r.url}
+                                  >
+                                    {r.isInternal ? pathOf(r.url) : r.url}
+                                  </span>
+                                  <span
+                                    className="flex-1 border-b border-dotted border-border-strong"
+                                    aria-hidden="true"
+                                  />
+                                  <span
+                                    className={`shrink-0 font-mono text-xs ${
+                                      r.issues.includes('loop') ? 'text-danger' : 'text-warning'
+                                    }`}
+                                  >
+                                    {r.issues
+                                      .map((issue) => REDIRECT_ISSUE_LABELS[issue] || issue)
+                                      .join(' · ')}
+                                  </span>
+                                </div>
+                                <p className="truncate font-mono text-xs text-text-muted">
+                                  {r.hops.map((hop) => hop.status).join(' → ')} →{' '}
+                                  {r.finalUrl ? `${r.finalStatus ?? '—'} ${r.finalUrl}` : 'loop'}
+                                </p>
+                                {r.sourceCount > 0 && (
+                                  <p className="truncate font-mono text-xs text-text-subtle">
+                                    linked from {pathOf(r.sources[0])}
+                                    {r.sourceCount > 1 && ` + ${r.sourceCount - 1} more`}
+                                  </p>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {report.redirects.rows.length > 20 && (
+                          <p className="mt-3 font-mono text-xs text-text-subtle">
+                            + {(report.redirects.rows.length - 20).toLocaleString()} more in the
+                            CSV.
+                          </p>
+                        )}
+                        <button
+                          type="button"
+                          onClick={runRedirectExport}
+                          disabled={!report.redirects.rows.length}
+                          className="mt-6 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action disabled:opacity-50"
+                        >
+                          Export redirect findings (CSV)
+                        </button>
+                      </AccordionSection>
+                    )}
+
+                    {report.linkRel && (
+                      <AccordionSection label="Link attributes" count={report.linkRel.flagged}>
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          The rel and target attributes of every link, from the tag it was first
+                          found in. Internal nofollow links withhold link equity from your own
+                          pages; paid and affiliate links should say rel=&ldquo;sponsored&rdquo;,
+                          links in comments rel=&ldquo;ugc&rdquo;; and new-tab links need
+                          rel=&ldquo;noopener&rdquo;.
+                        </p>
+                        <div className="mb-8 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Links with attributes"
+                            v={report.linkRel.annotated.toLocaleString()}
+                          />
+                          {['nofollow', 'sponsored', 'ugc'].map((token) => (
+                            <LeaderRow
+                              key={token}
+                              k={`Marked ${token}`}
+                              v={report.linkRel.marked[token].toLocaleString()}
+                            />
+                          ))}
+                          {Object.entries(REL_ISSUE_LABELS).map(([issue, label]) => (
+                            <LeaderRow
+                              key={issue}
+                              k={label}
+                              v={report.linkRel.counts[issue].toLocaleString()}
+                              tone={report.linkRel.counts[issue] ? 'text-warning' : 'text-text'}
+                            />
+                          ))}
+                        </div>
+                        {report.linkRel.rows.length > 0 && (
+                          <div className="divide-y divide-border border-y border-border">
+                            {report.linkRel.rows.slice(0, 20).map((r) => (
+                              <div key={r.url} className="grid gap-1 px-1 py-3">
+                                <div className="flex items-baseline gap-4">
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={r.url}
+                                  >
+                                    {r.isInternal ? pathOf(r.url) : r.url}
+                                  </span>
+                                  <span
+                                    className="flex-1 border-b border-dotted border-border-strong"
+                                    aria-hidden="true"
+                                  />
+                                  <span className="shrink-0 font-mono text-xs text-warning">
+                                    {r.issues
+                                      .map((issue) => REL_ISSUE_LABELS[issue] || issue)
+                                      .join(' · ')}
+                                  </span>
+                                </div>
+                                <p className="truncate font-mono text-xs text-text-subtle">
+                                  {r.rel.length ? `rel="${r.rel.join(' ')}"` : 'no rel'}
+                                  {r.target && ` · target="${r.target}"`}
+                                  {r.placement &&
+                                    ` · ${PLACEMENT_LABELS[r.placement].toLowerCase()}`}
+                                  {r.sourceUrl && ` · on ${pathOf(r.sourceUrl)}`}
+                                </p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {report.linkRel.rows.length > 20 && (
+                          <p className="mt-3 font-mono text-xs text-text-subtle">
+                            + {(report.linkRel.rows.length - 20).toLocaleString()} more in the CSV.
+                          </p>
+                        )}
+                        <button
+                          type="button"
+                          onClick={runLinkRelExport}
+                          disabled={!report.linkRel.rows.length}
+                          className="mt-6 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action disabled:opacity-50"
+                        >
+                          Export link attribute findings (CSV)
+                        </button>
+                      </AccordionSection>
+                    )}
+
+                    {report.assets && (
+                      <AccordionSection label="Assets" count={report.assets.flagged}>
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          Images, icons, scripts, stylesheets and other files the pages load,
+                          checked like links. Broken assets are listed here rather than with the
+                          broken links; images over{' '}
+                          {Math.round(report.assets.oversizedLimit / 1024)} KB are flagged as
+                          oversized.
+                          {!report.assets.enabled &&
+                            ' This audit ran without asset checking, so srcsets, video, scripts and CSS backgrounds were not covered.'}
+                        </p>
+                        <div className="mb-8 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Assets checked"
+                            v={report.assets.checked.toLocaleString()}
+                          />
+                          <LeaderRow
+                            k="Broken"
+                            v={report.assets.counts.broken.toLocaleString()}
+                            tone={report.assets.counts.broken ? 'text-danger' : 'text-text'}
+                          />
+                          <LeaderRow
+                            k="Oversized images"
+                            v={report.assets.counts.oversized.toLocaleString()}
+                            tone={report.assets.counts.oversized ? 'text-warning' : 'text-text'}
+                          />
+                          {Object.entries(report.assets.byType).map(([type, counts]) => (
+                            <LeaderRow
+                              key={type}
+                              k={ASSET_TYPE_LABELS[type] || type}
+                              v={
+                                counts.broken
+                                  ? `${counts.broken} of ${counts.checked.toLocaleString()} broken`
+                                  : counts.checked.toLocaleString()
+                              }
+                            />
+                          ))}
+                        </div>
+                        {report.assets.rows.length > 0 && (
+                          <div className="divide-y divide-border border-y border-border">
+                            {report.assets.rows.slice(0, 20).map((r) => (
+                              <div key={r.url} className="grid gap-1 px-1 py-3">
+                                <div className="flex items-baseline gap-4">
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={r.url}
+                                  >
+                                    {r.isInternal ? pathOf(r.url) : r.url}
+                                  </span>
+                                  <span
+                                    className="flex-1 border-b border-dotted border-border-strong"
+                                    aria-hidden="true"
+                                  />
+                                  <span
+                                    className={`shrink-0 font-mono text-xs ${
+                                      r.issues.includes('broken') ? 'text-danger' : 'text-warning'
+                                    }`}
+                                  >
+                                    {r.issues.includes('broken')
+                                      ? r.status || r.errorType || 'Broken'
+                                      : `${Math.round(r.bytes / 1024).toLocaleString()} KB`}
+                                  </span>
+                                </div>
+                                <p className="truncate font-mono text-xs text-text-subtle">
+                                  {ASSET_TYPE_LABELS[r.type] || r.type}
+                                  {r.sourceUrl && ` · on ${pathOf(r.sourceUrl)}`}
+                                </p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {report.assets.rows.length > 20 && (
+                          <p className="mt-3 font-mono text-xs text-text-subtle">
+                            + {(report.assets.rows.length - 20).toLocaleString()} more in the CSV.
+                          </p>
+                        )}
+                        <button
+                          type="button"
+                          onClick={runAssetExport}
+                          disabled={!report.assets.rows.length}
+                          className="mt-6 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action disabled:opacity-50"
+                        >
+                          Export asset findings (CSV)
+                        </button>
+                      </AccordionSection>
+                    )}
+
+                    {report.rendering && (
+                      <AccordionSection
+                        label="JavaScript rendering"
+                        count={report.rendering.pagesWithRenderedOnlyLinks}
+                      >
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          Pages loaded in a headless browser and compared with the HTML the server
+                          sends. Links that appear only after rendering are invisible to crawlers
+                          that don&rsquo;t run JavaScript &mdash; put important navigation in the
+                          server-rendered HTML.
+                        </p>
+                        <div className="mb-8 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Pages rendered"
+                            v={report.rendering.pagesRendered.toLocaleString()}
+                          />
+                          <LeaderRow
+                            k="Links only in rendered HTML"
+                            v={report.rendering.renderedOnlyLinks.toLocaleString()}
+                            tone={report.rendering.renderedOnlyLinks ? 'text-warning' : 'text-text'}
+                          />
+                          <LeaderRow
+                            k="Titles changed by JavaScript"
+                            v={report.rendering.titleChanges.toLocaleString()}
+                            tone={report.rendering.titleChanges ? 'text-warning' : 'text-text'}
+                          />
+                          {report.rendering.renderFailures > 0 && (
+                            <LeaderRow
+                              k="Render failures"
+                              v={report.rendering.renderFailures.toLocaleString()}
+                              tone="text-danger"
+                            />
+                          )}
+                        </div>
+                        {report.rendering.pages.length > 0 && (
+                          <div className="divide-y divide-border border-y border-border">
+                            {report.rendering.pages.slice(0, 20).map((p) => (
+                              <div key={p.url} className="grid gap-1 px-1 py-3">
+                                <div className="flex items-baseline gap-4">
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={p.url}
+                                  >
+                                    {pathOf(p.url)}
+                                  </span>
+                                  <span
+                                    className="flex-1 border-b border-dotted border-border-strong"
+                                    aria-hidden="true"
+                                  />
+                                  <span
+                                    className={`shrink-0 font-mono text-xs ${
+                                      p.error
+                                        ? 'text-danger'
+                                        : p.rendered_only_count
+                                          ? 'text-warning'
+                                          : 'text-text-muted'
+                                    }`}
+                                  >
+                                    {p.error
+                                      ? 'render failed'
+                                      : `${p.raw_links} → ${p.rendered_links} links`}
+                                  </span>
+                                </div>
+                                {p.error ? (
+                                  <p className="truncate font-mono text-xs text-text-subtle">
+                                    {p.error}
+                                  </p>
+                                ) : (
+                                  <p className="truncate font-mono text-xs text-text-muted">
+                                    {p.raw_words.toLocaleString()} →{' '}
+                                    {p.rendered_words.toLocaleString()} words
+                                    {p.raw_title !== p.rendered_title &&
+                                      ` · title “${p.raw_title || '—'}” → “${p.rendered_title || '—'}”`}
+                                  </p>
+                                )}
+                                {p.rendered_only_count > 0 && (
+                                  <p className="truncate font-mono text-xs text-text-subtle">
+                                    rendered only: {pathOf(p.rendered_only[0])}
+                                    {p.rendered_only_count > 1 &&
+                                      ` + ${p.rendered_only_count - 1} more`}
+                                  </p>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {report.rendering.pages.length > 20 && (
+                          <p className="mt-3 font-mono text-xs text-text-subtle">
+                            + {(report.rendering.pages.length - 20).toLocaleString()} more pages.
+                          </p>
+                        )}
+                      </AccordionSection>
+                    )}
+
+                    {report.parity && (
+                      <AccordionSection
+                        label="Mobile parity"
+                        count={report.parity.pagesDroppingContent}
+                      >
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          Content pages fetched as Googlebot smartphone and as a desktop browser.
+                          Google indexes the mobile version, so titles, headings, links or
+                          structured data that only desktop gets don&rsquo;t count in search.
+                        </p>
+                        <div className="mb-8 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Pages compared"
+                            v={report.parity.pagesCompared.toLocaleString()}
+                          />
+                          <LeaderRow
+                            k="Mobile drops content or links"
+                            v={report.parity.pagesDroppingContent.toLocaleString()}
+                            tone={report.parity.pagesDroppingContent ? 'text-warning' : 'text-text'}
+                          />
+                          <LeaderRow
+                            k="Noindex on mobile only"
+                            v={report.parity.mobileNoindex.toLocaleString()}
+                            tone={report.parity.mobileNoindex ? 'text-danger' : 'text-text'}
+                          />
+                          <LeaderRow
+                            k="Pages with any difference"
+                            v={report.parity.pagesWithDifferences.toLocaleString()}
+                          />
+                          {report.parity.fetchFailures > 0 && (
+                            <LeaderRow
+                              k="Fetch failures"
+                              v={report.parity.fetchFailures.toLocaleString()}
+                              tone="text-danger"
+                            />
+                          )}
+                        </div>
+                        {report.parity.pages.length > 0 && (
+                          <div className="divide-y divide-border border-y border-border">
+                            {report.parity.pages.slice(0, 20).map((p) => (
+                              <div key={p.url} className="grid gap-1 px-1 py-3">
+                                <div className="flex items-baseline gap-4">
+                                  <span
+                                    className="min-w-0 truncate font-mono text-sm text-text"
+                                    title={p.url}
+                                  >
+                                    {pathOf(p.url)}
+                                  </span>
+                                  <span
+                                    className="flex-1 border-b border-dotted border-border-strong"
+                                    aria-hidden="true"
+                                  />
+                                  <span
+                                    className={`shrink-0 font-mono text-xs ${
+                                      p.error
+                                        ? 'text-danger'
+                                        : p.drops_content
+                                          ? 'text-warning'
+                                          : 'text-text-muted'
+                                    }`}
+                                  >
+                                    {p.error
+                                      ? 'fetch failed'
+                                      : p.drops_content
+                                        ? 'mobile drops content'
+                                        : 'differs'}
+                                  </span>
+                                </div>
+                                <p className="truncate font-mono text-xs text-text-subtle">
+                                  {p.error || p.differences.map(parityDifferenceText).join(' · ')}
+                                </p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {report.parity.pages.length > 20 && (
+                          <p className="mt-3 font-mono text-xs text-text-subtle">
+                            + {(report.parity.pages.length - 20).toLocaleString()} more pages.
+                          </p>
+                        )}
+                      </AccordionSection>
+                    )}
+
+                    {report.sitemapCoverage && (
+                      <AccordionSection
+                        label="Sitemap coverage"
+                        count={
+                          report.sitemapCoverage.orphanCount + report.sitemapCoverage.unlistedCount
+                        }
+                      >
+                        <p className="mb-6 max-w-2xl text-sm leading-relaxed text-text-muted">
+                          The sitemap diffed against the crawl&rsquo;s internal link graph.{' '}
+                          <span className="font-medium text-text">Orphans</span> are listed in the
+                          sitemap but no crawled page links to them;{' '}
+                          <span className="font-medium text-text">unlisted</span> pages are
+                          linked and answer 200 but are missing from the sitemap.
+                          {report.sitemapCoverage.budgetReached &&
+                            ' The crawl hit its page budget, so some orphans may just be pages it never reached.'}
+                        </p>
+                        <div className="mb-6 max-w-md space-y-1.5">
+                          <LeaderRow
+                            k="Sitemap URLs"
+                            v={report.sitemapCoverage.sitemapUrls.toLocaleString()}
+                          />
+                          <LeaderRow
+                            k="Orphan pages"
+                            v={report.sitemapCoverage.orphanCount.toLocaleString()}
+                            tone={report.sitemapCoverage.orphanCount ? 'text-warning' : 'text-text'}
+                          />
+                          <LeaderRow
+                            k="Missing from sitemap"
+                            v={report.sitemapCoverage.unlistedCount.toLocaleString()}
+                            tone={
+                              report.sitemapCoverage.unlistedCount ? 'text-warning' : 'text-text'
+                            }
+                          />
+                        </div>
+                        <div className="grid grid-cols-1 gap-10 lg:grid-cols-2">
+                          {[
+                            {
+                              heading: 'Orphans',
+                              rows: report.sitemapCoverage.orphans,
+                              total: report.sitemapCoverage.orphanCount,
+                              empty: 'Every sitemap URL is linked from a crawled page.',
+                            },
+                            {
+                              heading: 'Missing from sitemap',
+                              rows: report.sitemapCoverage.unlisted,
+                              total: report.sitemapCoverage.unlistedCount,
+                              empty: 'Every linked page is listed in the sitemap.',
+                            },
+                          ].map((list) => (
+                            <div key={list.heading}>
+                              <ColumnHeading>{list.heading}</ColumnHeading>
+                              {list.rows.length === 0 ? (
+                                <p className="text-sm text-text-muted">{list.empty}</p>
+                              ) : (
+                                <div className="divide-y divide-border border-y border-border">
+                                  {list.rows.slice(0, 15).map((row) => (
+                                    <p
+                                      key={row.url}
+                                      className="truncate px-1 py-2.5 font-mono text-sm text-text"
+                                      title={row.url}
+                                    >
+                                      {pathOf(row.url)}
+                                    </p>
+                                  ))}
+                                </div>
+                              )}
+                              {list.total > 15 && (
+                                <p className="mt-3 font-mono text-xs text-text-subtle">
+                                  + {(list.total - 15).toLocaleString()} more in the CSV.
+                                </p>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                        {report.sitemapCoverage.orphanCount +
+                          report.sitemapCoverage.unlistedCount >
+                          0 && (
+                          <button
+                            type="button"
+                            onClick={runCoverageExport}
+                            className="mt-6 font-mono text-xs text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+                          >
+                            Export sitemap coverage (CSV)
+                          </button>
+                        )}
+                      </AccordionSection>
+                    )}
+
                     {/* Detailed findings — controlled so "view evidence" links can open it */}
                     <details
                       ref={appendixRef}
@@ -1431,11 +2857,60 @@ export default function AuditReportPage() {
                       <ColumnHeading>Scope</ColumnHeading>
                       <div className="space-y-1.5">
                         <LeaderRow k="Mode" v={modeLabel} />
+                        {isSitemapMode && (
+                          <LeaderRow
+                            k="Sitemap files"
+                            v={String(job.settings?.sitemapFiles?.length ?? '—')}
+                          />
+                        )}
+                        {isSitemapMode && (
+                          <LeaderRow
+                            k="Sitemap URLs"
+                            v={String(job.settings?.sitemapUrlCount ?? '—')}
+                          />
+                        )}
                         <LeaderRow k="Crawl depth" v={String(job.settings?.maxDepth ?? '—')} />
                         <LeaderRow
                           k="External links"
                           v={job.settings?.includeExternal ? 'checked' : 'not checked'}
                         />
+                        {job.settings?.maxPages && (
+                          <LeaderRow
+                            k="Page budget"
+                            v={job.settings.maxPages.toLocaleString()}
+                          />
+                        )}
+                        {job.settings?.pathPrefix && (
+                          <LeaderRow k="Path prefix" v={job.settings.pathPrefix} />
+                        )}
+                        {job.settings?.includeSubdomains && (
+                          <LeaderRow k="Subdomains" v="included" />
+                        )}
+                        {job.settings?.includePatterns?.length > 0 && (
+                          <LeaderRow k="Include" v={job.settings.includePatterns.join(', ')} />
+                        )}
+                        {job.settings?.excludePatterns?.length > 0 && (
+                          <LeaderRow k="Exclude" v={job.settings.excludePatterns.join(', ')} />
+                        )}
+                        <LeaderRow
+                          k="Crawled as"
+                          v={
+                            CRAWL_PROFILE_LABELS[job.settings?.crawlProfile] ||
+                            CRAWL_PROFILE_LABELS.seoscrub
+                          }
+                        />
+                        {job.settings?.customHeaders && (
+                          <LeaderRow
+                            k="Extra headers"
+                            v={Object.keys(job.settings.customHeaders).join(', ')}
+                          />
+                        )}
+                        {job.settings?.authType && (
+                          <LeaderRow
+                            k="Authentication"
+                            v={`${AUTH_TYPE_LABELS[job.settings.authType] || job.settings.authType} (site origin only)`}
+                          />
+                        )}
                         <LeaderRow
                           k="SEO analysis"
                           v={job.settings?.enableSEO ? 'on' : 'off'}
@@ -1444,6 +2919,16 @@ export default function AuditReportPage() {
                           k="SEO pages analyzed"
                           v={String(seoPages)}
                         />
+                        {job.soft404 && (
+                          <LeaderRow
+                            k="Soft-404 check"
+                            v={
+                              job.soft404.enabled
+                                ? `on (probe answered ${job.soft404.probeStatus})`
+                                : `off — ${SOFT_404_OFF_REASONS[job.soft404.reason] || 'probe failed'}`
+                            }
+                          />
+                        )}
                         <LeaderRow
                           k="Source pages seen"
                           v={String(summary?.sourcePagesCount ?? '—')}
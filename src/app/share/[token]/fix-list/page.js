@@ -18,6 +18,7 @@ import {
   classifyFinding,
   deriveSeverity,
   actionForClass,
+  formatSuggestions,
   hostnameOf,
   pathOf,
   CLASS_LABELS,
@@ -59,6 +60,7 @@ export default function SharedFixListPage() {
             summary: payload.summary,
             findings: payload.findings,
             checkedLinks: payload.checkedLinks,
+            sitemapCoverage: payload.sitemapCoverage,
           })
         : null,
     [payload]
@@ -76,6 +78,7 @@ export default function SharedFixListPage() {
         url: f.url,
         sourceUrl: f.source_url || null,
         linkText: f.link_text && f.link_text !== 'Unknown' ? f.link_text : null,
+        suggestion: f.suggestions?.[0] || null,
         statusCode: f.http_status_code,
         isInternal,
         isShared: sharedSet.has(f.url),
@@ -161,6 +164,25 @@ export default function SharedFixListPage() {
   const host = hostnameOf(payload.job.url);
   const isPartial = payload.job.status === 'stopped';
   const exposures = report.environmentExposures;
+  const coverage = report.sitemapCoverage;
+  const coverageRows = coverage
+    ? [
+        ...coverage.orphans.map((o) => ({
+          finding: 'Orphan',
+          url: o.url,
+          detail: o.lastmod ? `lastmod ${o.lastmod}` : '',
+          sitemapUrl: o.sitemapUrl || '',
+          sourceUrl: '',
+        })),
+        ...coverage.unlisted.map((u) => ({
+          finding: 'Not in sitemap',
+          url: u.url,
+          detail: '',
+          sitemapUrl: '',
+          sourceUrl: u.sourceUrl,
+        })),
+      ]
+    : [];
 
   const severityCounts = { critical: 0, major: 0, minor: 0 };
   for (const g of classGroups) for (const r of g.rows) severityCounts[r.severity]++;
@@ -189,6 +211,7 @@ export default function SharedFixListPage() {
         'Scope',
         'Source Page',
         'Link Text',
+        'Suggested Replacement',
         'Response Time (ms)',
         'Error',
       ],
@@ -205,6 +228,7 @@ export default function SharedFixListPage() {
           l.is_internal ? 'Internal' : 'External',
           l.source_url || '',
           f?.link_text && f.link_text !== 'Unknown' ? f.link_text : '',
+          formatSuggestions(f?.suggestions || []),
           l.response_time ?? '',
           f?.error_message || '',
         ];
@@ -256,6 +280,23 @@ export default function SharedFixListPage() {
     );
   };
 
+  const exportCoverageCsv = () => {
+    csvDownload(
+      `seoscrub-sitemap-coverage-${host}.csv`,
+      ['Finding', 'URL', 'Listed In Sitemap', 'Last Modified', 'Linked From'],
+      [
+        ...coverage.orphans.map((o) => [
+          'Orphan (no internal links)',
+          o.url,
+          o.sitemapUrl,
+          o.lastmod,
+          '',
+        ]),
+        ...coverage.unlisted.map((u) => ['Missing from sitemap', u.url, '', '', u.sourceUrl]),
+      ]
+    );
+  };
+
   let sectionNo = 0;
   const serial = () => String(++sectionNo).padStart(2, '0');
 
@@ -295,6 +336,16 @@ export default function SharedFixListPage() {
               SEO tracker CSV
             </button>
           )}
+          {coverageRows.length > 0 && (
+            <button
+              type="button"
+              onClick={exportCoverageCsv}
+              title="Sitemap URLs nothing links to, and linked pages missing from the sitemap"
+              className="rounded-lg border border-border bg-surface px-4 py-2 text-sm text-text transition-colors hover:border-border-strong"
+            >
+              Sitemap coverage CSV
+            </button>
+          )}
         </div>
       </div>
 
@@ -332,6 +383,11 @@ export default function SharedFixListPage() {
               `${seoFixList.totals.issues} across ${seoFixList.totals.pagesWithIssues} of ${seoFixList.totals.pagesMeasured} pages`,
               '#on-page-seo',
             ],
+            coverageRows.length > 0 && [
+              'Sitemap coverage',
+              `${coverage.orphanCount} orphan · ${coverage.unlistedCount} not in sitemap`,
+              '#sitemap-coverage',
+            ],
             exposures.length > 0 && [
               'Environment exposures',
               String(exposures.length),
@@ -401,6 +457,19 @@ export default function SharedFixListPage() {
                             )}
                             {row.isShared && ' · shared element — one edit fixes all instances'}
                           </p>
+                          {row.suggestion && (
+                            <p className="mt-0.5 font-mono text-[10px] text-text-muted">
+                              did you mean{' '}
+                              <a
+                                href={row.suggestion.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="break-all text-action hover:underline"
+                              >
+                                {pathOf(row.suggestion.url)}
+                              </a>
+                            </p>
+                          )}
                         </td>
                         <td className="py-2 pr-4 font-mono text-xs text-text">
                           <StatusCell row={row} />
@@ -512,7 +581,47 @@ export default function SharedFixListPage() {
         )}
       </section>
 
-      {/* 04 · Exposure review */}
+      {/* 04 · Sitemap coverage */}
+      {coverageRows.length > 0 && (
+        <section id="sitemap-coverage" className="mb-12">
+          <p className={`${microLabel} mb-5 text-text-subtle`}>{serial()} · Sitemap coverage</p>
+          <table className="w-full table-fixed border-collapse border-t border-border">
+            <thead>
+              <tr className="border-b border-border">
+                <th className={`${thCell} w-[16%]`}>Finding</th>
+                <th className={`${thCell} w-[50%]`}>URL</th>
+                <th className={`${thCell} w-[34%]`}>Linked from / lastmod</th>
+              </tr>
+            </thead>
+            <tbody className="align-top">
+              {coverageRows.slice(0, MAX_ROWS_PER_CLASS).map((row, i) => (
+                <tr key={`${row.url}-${i}`} className="break-inside-avoid border-b border-border">
+                  <td className="py-2 pr-4 text-xs text-text-muted">{row.finding}</td>
+                  <td className="break-all py-2 pr-4 font-mono text-xs text-text">{row.url}</td>
+                  <td className="break-all py-2 font-mono text-xs text-text-muted">
+                    {row.sourceUrl ? pathOf(row.sourceUrl) : row.detail || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {coverageRows.length > MAX_ROWS_PER_CLASS && (
+            <p className="mt-2 text-xs text-text-subtle">
+              Showing {MAX_ROWS_PER_CLASS} of {coverageRows.length} — the Sitemap coverage CSV has
+              the complete list.
+            </p>
+          )}
+          <p className="mt-3 text-xs text-text-subtle">
+            Orphans are in the sitemap but no crawled page links to them — add internal links or
+            drop them from the sitemap. Pages not in the sitemap are linked and live — add them so
+            search engines pick up changes promptly.
+            {coverage.budgetReached &&
+              ' The crawl hit its page budget, so some orphans may be pages it never reached.'}
+          </p>
+        </section>
+      )}
+
+      {/* 05 · Exposure review */}
       {exposures.length > 0 && (
         <section id="exposures" className="mb-12 break-inside-avoid">
           <p className={`${microLabel} mb-5 text-danger`}>{serial()} · Exposure review</p>
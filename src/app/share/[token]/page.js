@@ -49,6 +49,7 @@ export default function SharedReportPage() {
             summary: payload.summary,
             findings: payload.findings,
             checkedLinks: payload.checkedLinks,
+            sitemapCoverage: payload.sitemapCoverage,
           })
         : null,
     [payload]
@@ -120,10 +121,51 @@ export default function SharedReportPage() {
           : '.')
     );
   }
+  const orphans = report.sitemapCoverage?.orphanCount || 0;
+  if (orphans > 0) {
+    meaningSentences.push(
+      `${orphans.toLocaleString()} ${orphans === 1 ? 'page' : 'pages'} in your sitemap ${
+        orphans === 1 ? 'is' : 'are'
+      } not linked from anywhere on the site, so visitors can't browse to ${
+        orphans === 1 ? 'it' : 'them'
+      }.`
+    );
+  }
   meaningSentences.push(
     'None of this means your site is broken — most of it is missed opportunity that is quick to fix, and the priorities are listed below.'
   );
 
+  // Changes since the site's previous audit — plain counts, no URL tables.
+  const changes = payload.changes || null;
+  const changeStats = changes
+    ? [
+        ['Links fixed', changes.links.fixed],
+        ['New broken links', changes.links.new],
+        ['Still broken', changes.links.persisting],
+      ]
+    : [];
+  const changeSentences = [];
+  if (changes) {
+    const { grade, overall, seo: seoScores } = changes.scores;
+    changeSentences.push(
+      grade.base === grade.head
+        ? `Link health held at grade ${grade.head} (${overall.base} → ${overall.head} out of 100).`
+        : `Link health moved from grade ${grade.base} to ${grade.head} (${overall.base} → ${overall.head} out of 100).`
+    );
+    if (changes.links.unrechecked > 0) {
+      changeSentences.push(
+        `${changes.links.unrechecked} of the fixed links weren't checked again this time, so they may simply be off the pages we reviewed.`
+      );
+    }
+    if (seoScores && changes.seo) {
+      changeSentences.push(
+        `Your SEO score went from ${seoScores.base} to ${seoScores.head}: ${changes.seo.fixed.toLocaleString()} page issue${
+          changes.seo.fixed === 1 ? '' : 's'
+        } resolved, ${changes.seo.new.toLocaleString()} new.`
+      );
+    }
+  }
+
   // What we found: AI findings as prose, else the rule-generated takeaways.
   const found = narrative?.findings?.length > 0 ? narrative.findings : null;
 
@@ -220,6 +262,36 @@ export default function SharedReportPage() {
         </div>
       </section>
 
+      {/* Changes since last audit — only when the site has an earlier completed audit */}
+      {changes && (
+        <section className="mb-12 break-inside-avoid">
+          <p className={`${microLabel} mb-5 text-text-subtle`}>
+            {serial()} · Changes since last audit
+          </p>
+          <p className="mb-5 text-sm text-text-muted">
+            Compared with the audit of {reportDate(changes.since)}.
+          </p>
+          <div className="grid grid-cols-3 border-y border-border">
+            {changeStats.map(([label, value], i) => (
+              <div
+                key={label}
+                className={`py-5 text-center sm:text-left ${
+                  i > 0 ? 'sm:border-l sm:border-border sm:pl-6' : ''
+                }`}
+              >
+                <p className="font-display text-3xl text-text">{value.toLocaleString()}</p>
+                <p className={`${microLabel} mt-1.5 text-text-subtle`}>{label}</p>
+              </div>
+            ))}
+          </div>
+          <div className="mt-5 space-y-3 text-base leading-relaxed text-text">
+            {changeSentences.map((sentence, i) => (
+              <p key={i}>{sentence}</p>
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* 03 · What we found */}
       <section className="mb-12 break-inside-avoid">
         <p className={`${microLabel} mb-5 text-text-subtle`}>{serial()} · What we found</p>
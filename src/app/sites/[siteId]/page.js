@@ -0,0 +1,443 @@
+'use client';
+
+// src/app/sites/[siteId]/page.js — one site over time. Trend charts of its
+// completed audits (/api/sites/[id]/history): health and Link Integrity,
+// broken links by failure class, average SEO score, response time and pages
+// crawled, plus the audit-by-audit table behind them and a CSV of it.
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import Header from '@/app/components/Header';
+import Footer from '@/app/components/Footer';
+import Button from '@/app/components/Button';
+import { CLASS_LABELS, CLASS_SHORT } from '@/lib/auditReport';
+
+const microLabel = 'font-mono text-[11px] uppercase tracking-[0.18em]';
+
+// Stacking order and fill of each failure class on the broken-links chart
+const CLASS_FILLS = {
+  '4xx': 'var(--color-danger)',
+  '5xx': 'var(--color-text)',
+  soft_404: 'var(--color-warning)',
+  anchor: 'var(--color-info)',
+  timeout: 'var(--color-accent)',
+  network: 'var(--color-text-muted)',
+  blocked: 'var(--color-border-strong)',
+  other: 'var(--color-text-subtle)',
+};
+
+const TABLE_HEADINGS = [
+  'Completed',
+  'Grade',
+  'Health',
+  'Integrity',
+  'Broken',
+  'SEO',
+  'Avg resp.',
+  'Pages',
+  '',
+];
+
+// Chart geometry, in viewBox units
+const CHART_W = 640;
+const CHART_H = 180;
+const PAD = { top: 12, right: 16, bottom: 24, left: 44 };
+
+function ledgerDate(value) {
+  const d = new Date(value);
+  if (!value || isNaN(d)) return '—';
+  return d
+    .toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+    .toUpperCase();
+}
+
+function download(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const chartX = (i, n) => {
+  const inner = CHART_W - PAD.left - PAD.right;
+  return PAD.left + (n === 1 ? inner / 2 : (inner * i) / (n - 1));
+};
+
+const chartY = (value, top) => PAD.top + (CHART_H - PAD.top - PAD.bottom) * (1 - value / top);
+
+/* ── Axes shared by every chart: baseline, ceiling, first / last date ─ */
+function ChartAxes({ history, top, format }) {
+  const n = history.length;
+  const label = 'fill-text-subtle font-mono text-[10px]';
+  return (
+    <>
+      <line
+        x1={PAD.left}
+        x2={CHART_W - PAD.right}
+        y1={chartY(top, top)}
+        y2={chartY(top, top)}
+        stroke="var(--color-border)"
+        strokeDasharray="2 4"
+      />
+      <line
+        x1={PAD.left}
+        x2={CHART_W - PAD.right}
+        y1={chartY(0, top)}
+        y2={chartY(0, top)}
+        stroke="var(--color-border-strong)"
+      />
+      <text x={PAD.left - 8} y={chartY(top, top) + 4} textAnchor="end" className={label}>
+        {format(top)}
+      </text>
+      <text x={PAD.left - 8} y={chartY(0, top) + 4} textAnchor="end" className={label}>
+        {format(0)}
+      </text>
+      <text x={PAD.left} y={CHART_H - 6} className={label}>
+        {ledgerDate(history[0].completedAt)}
+      </text>
+      {n > 1 && (
+        <text x={CHART_W - PAD.right} y={CHART_H - 6} textAnchor="end" className={label}>
+          {ledgerDate(history[n - 1].completedAt)}
+        </text>
+      )}
+    </>
+  );
+}
+
+function ChartPanel({ title, legend = [], children }) {
+  return (
+    <div className="border border-border bg-surface p-5">
+      <div className="mb-4 flex flex-wrap items-baseline justify-between gap-x-4 gap-y-2">
+        <p className={`${microLabel} text-text-subtle`}>{title}</p>
+        {legend.length > 0 && (
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {legend.map(({ label, color }) => (
+              <span
+                key={label}
+                className="flex items-center gap-1.5 font-mono text-xs text-text-muted"
+              >
+                <span
+                  className="h-2 w-2 shrink-0"
+                  style={{ background: color }}
+                  aria-hidden="true"
+                />
+                {label}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/* ── One or more series over the audits; gaps where a value is missing ─ */
+function LineChart({ history, series, max = null, format = (v) => v.toLocaleString() }) {
+  const n = history.length;
+  const values = series.flatMap((s) => history.map((h) => h[s.key]).filter((v) => v != null));
+  const top = max ?? Math.max(1, ...values);
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="h-auto w-full" role="img">
+      <ChartAxes history={history} top={top} format={format} />
+      {series.map((s) => {
+        const points = history
+          .map((h, i) =>
+            h[s.key] == null ? null : { h, x: chartX(i, n), y: chartY(h[s.key], top) }
+          )
+          .filter(Boolean);
+        return (
+          <g key={s.key}>
+            <polyline
+              points={points.map((p) => `${p.x},${p.y}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="1.5"
+            />
+            {points.map((p) => (
+              <circle key={p.h.jobId} cx={p.x} cy={p.y} r="3" fill={s.color}>
+                <title>
+                  {`${s.label}: ${format(p.h[s.key])} · ${ledgerDate(p.h.completedAt)}`}
+                </title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/* ── Broken links per audit, stacked by failure class ─────────────── */
+function BrokenLinksChart({ history }) {
+  const n = history.length;
+  const top = Math.max(1, ...history.map((h) => h.brokenLinks));
+  const barWidth = Math.min(24, ((CHART_W - PAD.left - PAD.right) / n) * 0.6);
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="h-auto w-full" role="img">
+      <ChartAxes history={history} top={top} format={(v) => v.toLocaleString()} />
+      {history.map((h, i) => {
+        let stacked = 0;
+        return (
+          <g key={h.jobId}>
+            {Object.keys(CLASS_FILLS).map((cls) => {
+              const count = h.brokenByClass[cls] || 0;
+              if (!count) return null;
+              const y = chartY(stacked + count, top);
+              const height = chartY(stacked, top) - y;
+              stacked += count;
+              return (
+                <rect
+                  key={cls}
+                  x={chartX(i, n) - barWidth / 2}
+                  y={y}
+                  width={barWidth}
+                  height={height}
+                  fill={CLASS_FILLS[cls]}
+                >
+                  <title>{`${CLASS_LABELS[cls]}: ${count} · ${ledgerDate(h.completedAt)}`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function SiteTrendsPage() {
+  const { siteId } = useParams();
+  const [state, setState] = useState({ status: 'loading', site: null, history: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await fetch(`/api/sites/${siteId}/history`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load');
+        if (!cancelled) setState({ status: 'done', site: data.site, history: data.history });
+      } catch (error) {
+        if (!cancelled) {
+          setState({ status: 'error', site: null, history: [], error: error.message });
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [siteId]);
+
+  const { site, history } = state;
+  const hasSeo = history.some((h) => h.seoScore != null);
+  const classesSeen = Object.keys(CLASS_FILLS).filter((cls) =>
+    history.some((h) => h.brokenByClass[cls])
+  );
+
+  const runExport = () => {
+    if (!site || !history.length) return;
+    const day = new Date().toISOString().split('T')[0];
+    const headers = [
+      'Completed',
+      'Audit URL',
+      'Grade',
+      'Health Score',
+      'Link Integrity',
+      'Links Checked',
+      'Broken Links',
+      ...Object.keys(CLASS_LABELS).map((cls) => `Broken: ${CLASS_SHORT[cls]}`),
+      'SEO Score',
+      'Avg Response (ms)',
+      'Pages Crawled',
+      'Report',
+    ];
+    const rows = history.map((h) => [
+      h.completedAt,
+      h.url,
+      h.grade ?? '',
+      h.health ?? '',
+      h.integrity ?? '',
+      h.linksChecked,
+      h.brokenLinks,
+      ...Object.keys(CLASS_LABELS).map((cls) => h.brokenByClass[cls] || 0),
+      h.seoScore ?? '',
+      h.avgResponseMs ?? '',
+      h.pagesCrawled ?? '',
+      `${window.location.origin}/results/${h.jobId}`,
+    ]);
+    const bom = String.fromCharCode(0xfeff);
+    const csv =
+      bom +
+      [headers, ...rows]
+        .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+    const host = new URL(site.origin).host;
+    download(`seoscrub-history-${host}-${day}.csv`, csv, 'text/csv;charset=utf-8;');
+  };
+
+  return (
+    <div className="min-h-screen bg-bg">
+      <Header />
+
+      <main className="mx-auto max-w-6xl px-4 py-14 sm:px-6 lg:px-8 lg:py-16">
+        <div className="mb-12 flex flex-col gap-6 sm:flex-row sm:items-end sm:justify-between">
+          <div>
+            <div className="mb-4 flex items-center gap-4">
+              <Link
+                href="/audits"
+                className={`${microLabel} shrink-0 text-action underline-offset-4 hover:underline`}
+              >
+                History
+              </Link>
+              <span className="h-px w-24 bg-border" aria-hidden="true" />
+            </div>
+            <h1 className="mb-4 font-display text-4xl text-text md:text-5xl">
+              {site ? site.name : 'Site trends.'}
+            </h1>
+            <p className="max-w-2xl leading-relaxed text-text-muted">
+              How {site ? site.origin : 'this site'} has changed from one completed audit to the
+              next. Hover a point for its figure; open any audit for the full report.
+            </p>
+          </div>
+          <div className="flex shrink-0 flex-wrap gap-3">
+            <Button variant="secondary" size="lg" onClick={runExport} disabled={!history.length}>
+              Export CSV
+            </Button>
+            <Button href={`/audit?site=${siteId}`} size="lg">
+              Audit again
+              <span aria-hidden="true">&rarr;</span>
+            </Button>
+          </div>
+        </div>
+
+        {state.status === 'loading' && (
+          <p className="font-mono text-xs text-text-subtle">
+            Loading the site&rsquo;s history&hellip;
+          </p>
+        )}
+        {state.status === 'error' && (
+          <p className="text-sm text-text-muted">Couldn&rsquo;t load this site&rsquo;s history.</p>
+        )}
+        {state.status === 'done' && history.length === 0 && (
+          <p className="text-sm text-text-muted">
+            No completed audits yet &mdash; trends start with the first finished report.
+          </p>
+        )}
+
+        {history.length > 0 && (
+          <>
+            {history.length === 1 && (
+              <p className="mb-6 text-sm text-text-muted">
+                One completed audit so far &mdash; the lines fill in from the next one.
+              </p>
+            )}
+            <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+              <ChartPanel
+                title="Health score"
+                legend={[
+                  { label: 'Overall', color: 'var(--color-accent)' },
+                  { label: 'Link integrity', color: 'var(--color-text-muted)' },
+                ]}
+              >
+                <LineChart
+                  history={history}
+                  max={100}
+                  series={[
+                    { key: 'health', label: 'Overall', color: 'var(--color-accent)' },
+                    { key: 'integrity', label: 'Link integrity', color: 'var(--color-text-muted)' },
+                  ]}
+                />
+              </ChartPanel>
+              <ChartPanel
+                title="Broken links by class"
+                legend={classesSeen.map((cls) => ({
+                  label: CLASS_SHORT[cls],
+                  color: CLASS_FILLS[cls],
+                }))}
+              >
+                <BrokenLinksChart history={history} />
+              </ChartPanel>
+              {hasSeo && (
+                <ChartPanel title="Average SEO score">
+                  <LineChart
+                    history={history}
+                    max={100}
+                    series={[{ key: 'seoScore', label: 'SEO score', color: 'var(--color-info)' }]}
+                  />
+                </ChartPanel>
+              )}
+              <ChartPanel title="Average response time">
+                <LineChart
+                  history={history}
+                  format={(v) => `${v.toLocaleString()} ms`}
+                  series={[
+                    { key: 'avgResponseMs', label: 'Avg response', color: 'var(--color-warning)' },
+                  ]}
+                />
+              </ChartPanel>
+              <ChartPanel title="Pages crawled">
+                <LineChart
+                  history={history}
+                  series={[{ key: 'pagesCrawled', label: 'Pages', color: 'var(--color-text)' }]}
+                />
+              </ChartPanel>
+            </div>
+
+            <div className="mt-12 mb-4 flex items-center gap-4">
+              <p className={`${microLabel} shrink-0 text-text-subtle`}>Audit by audit</p>
+              <span className="h-px flex-1 bg-border" aria-hidden="true" />
+            </div>
+            <div className="overflow-x-auto border-y border-border">
+              <table className="w-full font-mono text-xs">
+                <thead>
+                  <tr className="text-left text-text-subtle">
+                    {TABLE_HEADINGS.map((heading) => (
+                      <th key={heading} className="px-2 py-3 font-normal">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border">
+                  {[...history].reverse().map((h) => (
+                    <tr key={h.jobId} className="text-text-muted">
+                      <td className="px-2 py-2.5 text-text-subtle">{ledgerDate(h.completedAt)}</td>
+                      <td className="px-2 py-2.5 text-text">{h.grade ?? '—'}</td>
+                      <td className="px-2 py-2.5">{h.health ?? '—'}</td>
+                      <td className="px-2 py-2.5">{h.integrity ?? '—'}</td>
+                      <td className={`px-2 py-2.5 ${h.brokenLinks ? 'text-danger' : ''}`}>
+                        {h.brokenLinks.toLocaleString()}
+                      </td>
+                      <td className="px-2 py-2.5">{h.seoScore ?? '—'}</td>
+                      <td className="px-2 py-2.5">
+                        {h.avgResponseMs != null ? `${h.avgResponseMs.toLocaleString()} ms` : '—'}
+                      </td>
+                      <td className="px-2 py-2.5">{h.pagesCrawled?.toLocaleString() ?? '—'}</td>
+                      <td className="px-2 py-2.5 text-right">
+                        <Link
+                          href={`/results/${h.jobId}`}
+                          className="text-text underline decoration-border-strong underline-offset-4 transition-colors hover:text-action hover:decoration-action"
+                        >
+                          Report <span aria-hidden="true">&rarr;</span>
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </main>
+
+      <Footer />
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+// src/lib/assetAudit.js - broken and oversized asset reporting
+//
+// Every link LinkExtractor finds outside an <a href> — images, icons,
+// scripts, stylesheets, fonts, media, iframes, manifests — is checked like a
+// page link and stored on discovered_links with its resource_type and the
+// Content-Length of the response. With settings.checkAssets the extractor
+// also takes srcset candidates, <source>/<video>/<audio>, scripts and CSS
+// url()s, and once the crawl completes the icons listed in each web app
+// manifest (plus /favicon.ico when no page declares an icon) are checked too.
+// This module reports the assets that are broken, apart from the broken page
+// links, and the images too heavy to serve as they are.
+
+import { query } from './pg.js';
+import { safeFetch } from './safeFetch.js';
+import { urlUtils } from './utils.js';
+import { crawlHeaders } from './crawlProfiles.js';
+import { createCrawlScope } from './crawler/scope.js';
+
+// Images above this Content-Length are flagged as oversized.
+export const OVERSIZED_IMAGE_BYTES = 200 * 1024;
+// Manifests read per job, and the most of one we read.
+const MAX_MANIFESTS = 5;
+const MAX_MANIFEST_BYTES = 256 * 1024;
+// Rows in the report; the counts stay exact.
+const MAX_ROWS = 500;
+
+async function manifestIcons(manifestUrl, settings) {
+  const response = await safeFetch(manifestUrl, {
+    timeout: settings.timeout || 10000,
+    headers: crawlHeaders(settings),
+    readBody: true,
+    maxBodyBytes: MAX_MANIFEST_BYTES,
+    auth: settings.auth,
+  });
+  if (!response.ok) return [];
+  const manifest = JSON.parse(await response.text());
+  return (Array.isArray(manifest.icons) ? manifest.icons : [])
+    .map((icon) => typeof icon?.src === 'string' && urlUtils.resolveUrl(icon.src, response.url))
+    .filter((url) => url && /^https?:/i.test(url))
+    .map((url) => urlUtils.normalizeUrl(url));
+}
+
+/**
+ * The site-level assets pages don't reference directly — manifest icons and
+ * the default /favicon.ico — as links for the link checker, minus any the
+ * crawl already checked. Runs after the crawl, so it knows which manifests
+ * and icons the pages declared.
+ */
+export async function collectSiteAssets(job, settings) {
+  const { rows } = await query(
+    `SELECT url, resource_type FROM discovered_links
+     WHERE job_id = $1 AND resource_type IN ('manifest', 'icon')`,
+    [job.id]
+  );
+  const scope = createCrawlScope(job.url, settings);
+  const assets = new Map(); // url -> link
+
+  const manifests = rows.filter((row) => row.resource_type === 'manifest');
+  for (const { url } of manifests.slice(0, MAX_MANIFESTS)) {
+    try {
+      for (const iconUrl of await manifestIcons(url, settings)) {
+        if (!assets.has(iconUrl)) {
+          assets.set(iconUrl, {
+            url: iconUrl,
+            sourceUrl: url,
+            linkText: 'Manifest icon',
+            isInternal: scope.isInternal(iconUrl),
+            depth: 1,
+            type: 'icon',
+          });
+        }
+      }
+    } catch (error) {
+      console.warn(`Manifest ${url} unreadable:`, error.message);
+    }
+  }
+
+  // Browsers (and search result favicons) fall back to /favicon.ico
+  if (!rows.some((row) => row.resource_type === 'icon')) {
+    const faviconUrl = urlUtils.normalizeUrl(new URL('/favicon.ico', job.url).toString());
+    assets.set(faviconUrl, {
+      url: faviconUrl,
+      sourceUrl: job.url,
+      linkText: 'Default favicon',
+      isInternal: true,
+      depth: 1,
+      type: 'icon',
+    });
+  }
+  if (assets.size === 0) return [];
+
+  const { rows: known } = await query(
+    'SELECT url FROM discovered_links WHERE job_id = $1 AND url = ANY($2::text[])',
+    [job.id, [...assets.keys()]]
+  );
+  known.forEach((row) => assets.delete(row.url));
+  return [...assets.values()];
+}
+
+/** Issue keys for one checked asset row. Pure. */
+export function assetIssues(row) {
+  const issues = [];
+  if (row.is_working === false && !row.blocked_by) issues.push('broken');
+  if (row.resource_type === 'image' && row.content_length > OVERSIZED_IMAGE_BYTES) {
+    issues.push('oversized');
+  }
+  return issues;
+}
+
+/**
+ * Asset report for a job: per-type counts, and every asset that is broken
+ * or oversized with the page that references it.
+ */
+export async function auditAssets(job) {
+  const { rows } = await query(
+    `SELECT dl.url, dl.source_url, dl.is_internal, dl.resource_type, dl.http_status_code,
+            dl.is_working, dl.error_message, dl.blocked_by, dl.content_length, bl.error_type
+     FROM discovered_links dl
+     LEFT JOIN broken_links bl ON bl.job_id = dl.job_id AND bl.url = dl.url
+     WHERE dl.job_id = $1 AND dl.resource_type IS NOT NULL AND dl.status = 'checked'
+     ORDER BY dl.url`,
+    [job.id]
+  );
+
+  const byType = {};
+  const counts = { broken: 0, oversized: 0 };
+  const flagged = [];
+  const seen = new Set(); // broken_links can hold one row per linking page
+  for (const row of rows) {
+    if (seen.has(row.url)) continue;
+    seen.add(row.url);
+    byType[row.resource_type] ??= { checked: 0, broken: 0 };
+    byType[row.resource_type].checked++;
+
+    const issues = assetIssues(row);
+    if (issues.length === 0) continue;
+    for (const issue of issues) counts[issue]++;
+    if (issues.includes('broken')) byType[row.resource_type].broken++;
+    flagged.push({
+      url: row.url,
+      type: row.resource_type,
+      isInternal: row.is_internal,
+      sourceUrl: row.source_url,
+      status: row.http_status_code,
+      errorType: row.error_type,
+      errorMessage: row.error_message,
+      bytes: row.content_length == null ? null : Number(row.content_length),
+      issues,
+    });
+  }
+
+  // Broken first (the site's own before third parties), then the heaviest images
+  flagged.sort(
+    (a, b) =>
+      Number(b.issues.includes('broken')) - Number(a.issues.includes('broken')) ||
+      Number(b.isInternal) - Number(a.isInternal) ||
+      (b.bytes || 0) - (a.bytes || 0)
+  );
+
+  return {
+    summary: {
+      checked: seen.size,
+      flagged: flagged.length,
+      counts,
+      byType,
+      oversizedLimit: OVERSIZED_IMAGE_BYTES,
+    },
+    assets: flagged.slice(0, MAX_ROWS),
+  };
+}
@@ -0,0 +1,218 @@
+// src/lib/auditDiff.js - run-over-run comparison of two audits of one site
+//
+// buildReport() sees one job; this compares two completed jobs of the same
+// site — an older `base` and a newer `head`. Every broken link (by target URL)
+// and every failing SEO check (by check and page, the SEO tracker's key) is
+// classified as
+//   new        – failing in head, not in base
+//   fixed      – failing in base, not in head
+//   persisting – failing in both
+// alongside the change in each score. A fixed row whose link or page the head
+// audit never re-checked (it fell out of the crawl) is marked rechecked: false
+// — gone from the report, but not shown to work.
+
+import { query } from './pg.js';
+import { buildReport, classifyFinding, SLOW_MS } from './auditReport.js';
+import { buildSeoFixList } from './seoChecks.js';
+import { loadMissingAnchorRows } from './fragments.js';
+
+// Rows per list; the counts stay exact.
+const MAX_ROWS = 500;
+
+/**
+ * Everything the comparison needs from one job, in the shapes buildReport()
+ * and buildSeoFixList() consume. `job` is a crawl_jobs row.
+ */
+export async function loadAuditSnapshot(job) {
+  const [totalsResult, findingsResult, checkedResult, seoPagesResult, missingAnchors] =
+    await Promise.all([
+      query(
+        `SELECT COUNT(*)::int AS discovered,
+                COUNT(*) FILTER (WHERE status = 'checked' AND blocked_by IS NULL)::int AS checked,
+                COUNT(*) FILTER (WHERE status = 'checked' AND blocked_by IS NULL
+                                   AND is_working)::int AS working,
+                COUNT(*) FILTER (WHERE status = 'checked' AND blocked_by IS NULL
+                                   AND response_time > $2)::int AS slow,
+                ROUND(AVG(response_time) FILTER (WHERE status = 'checked' AND blocked_by IS NULL
+                                                   AND response_time > 0))::int AS avg_response,
+                COUNT(DISTINCT source_url) FILTER (WHERE status = 'checked' AND blocked_by IS NULL
+                                                     AND is_internal)::int AS source_pages
+         FROM discovered_links WHERE job_id = $1`,
+        [job.id, SLOW_MS]
+      ),
+      query(
+        `SELECT dl.url, dl.source_url, dl.is_internal, dl.http_status_code, dl.error_message,
+                dl.resource_type, bl.error_type
+         FROM discovered_links dl
+         LEFT JOIN broken_links bl ON bl.job_id = dl.job_id AND bl.url = dl.url
+         WHERE dl.job_id = $1 AND dl.status = 'checked' AND dl.is_working IS NOT TRUE
+           AND dl.blocked_by IS NULL`,
+        [job.id]
+      ),
+      query(
+        `SELECT url FROM discovered_links
+         WHERE job_id = $1 AND status = 'checked' AND blocked_by IS NULL`,
+        [job.id]
+      ),
+      query(
+        `SELECT url, seo_score, title_text, title_length, meta_description, description_length,
+                canonical_url, h1_count, h2_count, word_count, total_images, missing_alt,
+                response_time, signals
+         FROM seo_analysis WHERE job_id = $1`,
+        [job.id]
+      ),
+      loadMissingAnchorRows(job.id),
+    ]);
+
+  const totals = totalsResult.rows[0];
+  return {
+    job: {
+      id: job.id,
+      url: job.url,
+      status: job.status,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+      stats: { totalLinksDiscovered: totals.discovered },
+    },
+    summary: {
+      totalLinksChecked: totals.checked,
+      workingLinks: totals.working,
+      pagesAnalyzed: seoPagesResult.rows.length,
+      sourcePagesCount: totals.source_pages,
+      performance: { averageResponseTime: totals.avg_response || 0, slowLinks: totals.slow },
+    },
+    findings: [...findingsResult.rows, ...missingAnchors],
+    checkedUrls: new Set(checkedResult.rows.map((row) => row.url)),
+    seoPages: seoPagesResult.rows,
+  };
+}
+
+// One row per broken target; broken_links can hold one per linking page
+function brokenByUrl(findings) {
+  const byUrl = new Map();
+  for (const f of findings) {
+    if (byUrl.has(f.url)) continue;
+    byUrl.set(f.url, {
+      url: f.url,
+      sourceUrl: f.source_url || 'Discovery',
+      isInternal: !!f.is_internal,
+      resourceType: f.resource_type || null,
+      statusCode: f.http_status_code,
+      errorType: f.error_type,
+      cls: classifyFinding(f),
+    });
+  }
+  return byUrl;
+}
+
+// Scored SEO check failures (not the unscored notices), keyed checkId::url
+function seoFailures(pages) {
+  const byKey = new Map();
+  for (const category of buildSeoFixList(pages).categories) {
+    for (const check of category.checks) {
+      if (check.severity === 'notice') continue;
+      for (const { url, value } of check.affected) {
+        byKey.set(`${check.id}::${url}`, {
+          checkId: check.id,
+          label: check.label,
+          severity: check.severity,
+          url,
+          value,
+        });
+      }
+    }
+  }
+  return byKey;
+}
+
+function classify(baseMap, headMap, isRechecked) {
+  const result = { new: [], fixed: [], persisting: [] };
+  for (const [key, row] of headMap) {
+    const before = baseMap.get(key);
+    if (before) result.persisting.push({ ...row, before });
+    else result.new.push(row);
+  }
+  for (const [key, row] of baseMap) {
+    if (!headMap.has(key)) result.fixed.push({ ...row, rechecked: isRechecked(row) });
+  }
+  return result;
+}
+
+const change = (base, head) => ({ base, head, delta: head - base });
+
+const averageSeoScore = (pages) =>
+  Math.round(pages.reduce((sum, p) => sum + (p.seo_score || 0), 0) / pages.length);
+
+// Re-checked fixes before unconfirmed ones, site-owned links first, then by URL
+const rowOrder = (a, b) =>
+  Number(b.rechecked ?? true) - Number(a.rechecked ?? true) ||
+  Number(!!b.isInternal) - Number(!!a.isInternal) ||
+  a.url.localeCompare(b.url);
+
+function withCounts(classified) {
+  return {
+    counts: {
+      new: classified.new.length,
+      fixed: classified.fixed.length,
+      persisting: classified.persisting.length,
+      unrechecked: classified.fixed.filter((row) => !row.rechecked).length,
+    },
+    new: classified.new.sort(rowOrder).slice(0, MAX_ROWS),
+    fixed: classified.fixed.sort(rowOrder).slice(0, MAX_ROWS),
+    persisting: classified.persisting.sort(rowOrder).slice(0, MAX_ROWS),
+  };
+}
+
+const jobJson = ({ job }) => ({
+  id: job.id,
+  url: job.url,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+});
+
+/**
+ * Compare two audit snapshots (loadAuditSnapshot). Pure.
+ *
+ * Returns { base, head, scores, links, seo }:
+ *   scores — { grade: {base, head}, overall / integrity / response / coverage /
+ *              seo: {base, head, delta} } (seo null unless both audits ran SEO)
+ *   links  — { counts: {new, fixed, persisting, unrechecked}, new, fixed, persisting }
+ *   seo    — the same for SEO check failures, or null when neither audit ran SEO
+ */
+export function diffAudits(base, head) {
+  const baseScore = buildReport(base).score;
+  const headScore = buildReport(head).score;
+
+  // A missing #anchor was re-checked if the page it points into was
+  const links = classify(brokenByUrl(base.findings), brokenByUrl(head.findings), (row) =>
+    head.checkedUrls.has(row.url.split('#')[0])
+  );
+
+  let seo = null;
+  if (base.seoPages.length > 0 || head.seoPages.length > 0) {
+    const headPages = new Set(head.seoPages.map((p) => p.url));
+    seo = withCounts(
+      classify(seoFailures(base.seoPages), seoFailures(head.seoPages), (row) =>
+        headPages.has(row.url)
+      )
+    );
+  }
+
+  return {
+    base: jobJson(base),
+    head: jobJson(head),
+    scores: {
+      grade: { base: baseScore.grade, head: headScore.grade },
+      overall: change(baseScore.overall, headScore.overall),
+      integrity: change(baseScore.integrity, headScore.integrity),
+      response: change(baseScore.response, headScore.response),
+      coverage: change(baseScore.coverage, headScore.coverage),
+      seo:
+        base.seoPages.length > 0 && head.seoPages.length > 0
+          ? change(averageSeoScore(base.seoPages), averageSeoScore(head.seoPages))
+          : null,
+    },
+    links: withCounts(links),
+    seo,
+  };
+}
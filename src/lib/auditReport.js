@@ -21,8 +21,26 @@ export const SLOW_MS = 5000;
 
 // Severity weights for the Link Integrity score (doc 09 §5).
 const CLASS_WEIGHTS = {
-  internal: { '5xx': 4, '4xx': 2, timeout: 1.5, network: 1.5, blocked: 0.5, other: 1 },
-  external: { '5xx': 0.5, '4xx': 0.5, timeout: 0.5, network: 0.5, blocked: 0.5, other: 0.5 },
+  internal: {
+    '5xx': 4,
+    '4xx': 2,
+    soft_404: 2,
+    anchor: 1,
+    timeout: 1.5,
+    network: 1.5,
+    blocked: 0.5,
+    other: 1,
+  },
+  external: {
+    '5xx': 0.5,
+    '4xx': 0.5,
+    soft_404: 0.5,
+    anchor: 0.5,
+    timeout: 0.5,
+    network: 0.5,
+    blocked: 0.5,
+    other: 0.5,
+  },
 };
 
 // Sub-score blend for the overall health score (doc 09 §5).
@@ -30,6 +48,8 @@ const BLEND = { integrity: 0.7, response: 0.2, coverage: 0.1 };
 
 export const CLASS_LABELS = {
   '4xx': 'Missing pages (4xx)',
+  soft_404: 'Soft 404s (not-found page served as 200)',
+  anchor: 'Missing anchors (#fragment)',
   '5xx': 'Server errors (5xx)',
   timeout: 'Timeouts',
   network: 'SSL / network failures',
@@ -39,6 +59,8 @@ export const CLASS_LABELS = {
 
 export const CLASS_SHORT = {
   '4xx': '4xx',
+  soft_404: 'Soft 404',
+  anchor: '#Anchor',
   '5xx': '5xx',
   timeout: 'Timeout',
   network: 'Net/SSL',
@@ -48,6 +70,36 @@ export const CLASS_SHORT = {
 
 export const SEVERITY_ORDER = ['critical', 'major', 'minor'];
 
+// Sitemap-mode entry issues, in the order the report lists them.
+export const SITEMAP_ISSUE_LABELS = {
+  unreachable: 'Unreachable',
+  non_200: 'Non-200 status',
+  redirected: 'Redirected',
+  noindex: 'Marked noindex',
+  canonicalised: 'Canonicalised elsewhere',
+};
+
+/**
+ * Roll sitemap_entries rows up into per-issue counts plus the problem rows,
+ * worst (most issues) first.
+ */
+export function summarizeSitemapEntries(entries = []) {
+  const counts = Object.fromEntries(Object.keys(SITEMAP_ISSUE_LABELS).map((k) => [k, 0]));
+  const problems = [];
+  for (const entry of entries) {
+    const issues = entry.issues || [];
+    for (const issue of issues) counts[issue] = (counts[issue] || 0) + 1;
+    if (issues.length) problems.push(entry);
+  }
+  problems.sort((a, b) => b.issues.length - a.issues.length || a.url.localeCompare(b.url));
+  return {
+    total: entries.length,
+    clean: entries.length - problems.length,
+    counts,
+    problems,
+  };
+}
+
 export function hostnameOf(url) {
   try {
     return new URL(url).hostname;
@@ -75,13 +127,20 @@ export function shortUrl(url) {
   }
 }
 
-/** Failure class of a broken finding: 4xx / 5xx / timeout / network / blocked / other. */
+/**
+ * Failure class of a broken finding: 4xx / soft_404 / anchor / 5xx / timeout /
+ * network / blocked / other.
+ */
 export function classifyFinding(link) {
   const type = link.error_type || '';
+  // Checked before the status code: soft 404s and missing anchors answer 200
+  if (type === 'soft_404') return 'soft_404';
+  if (type === 'missing_anchor') return 'anchor';
   if (type === 'timeout') return 'timeout';
   if (type === 'ssl_error' || type === 'dns_error' || type === 'connection_error')
     return 'network';
   if (type === 'robots_blocked' || type === 'security_blocked') return 'blocked';
+  if (type === 'redirect_loop' || type === 'too_many_redirects') return 'other';
   const code = link.http_status_code;
   if (code >= 500) return '5xx';
   if (code >= 400) return '4xx';
@@ -94,7 +153,7 @@ export function classifyFinding(link) {
  * template element) escalate because they hit every page that renders them.
  */
 export function deriveSeverity(cls, isInternal, isShared) {
-  if (cls === 'blocked') return 'minor';
+  if (cls === 'blocked' || cls === 'anchor') return 'minor';
   if (isInternal && cls === '5xx') return 'critical';
   if (isInternal && isShared) return 'critical';
   if (isInternal) return 'major';
@@ -117,6 +176,12 @@ export function actionForClass(cls, isInternal) {
       return isInternal
         ? 'Restore the page or 301-redirect the URL to its replacement.'
         : 'The external page is gone — update or remove the reference.';
+    case 'anchor':
+      return 'The page loads but the #fragment id no longer exists on it — fix the link or restore the id.';
+    case 'soft_404':
+      return isInternal
+        ? 'The URL shows the not-found page with a 200 — return a real 404/410, or restore or redirect the page.'
+        : 'The external page now shows a not-found page — update or remove the reference.';
     case 'timeout':
       return isInternal
         ? 'The page responds too slowly — profile it or raise capacity.'
@@ -130,6 +195,57 @@ export function actionForClass(cls, isInternal) {
   }
 }
 
+/** Redirect findings (lib/redirectAudit), in report order. */
+export const REDIRECT_ISSUE_LABELS = {
+  loop: 'Redirect loop',
+  chain: 'Redirect chain',
+  temporary: 'Temporary redirect',
+  downgrade: 'HTTPS → HTTP',
+  internal_link: 'Internal link to redirect',
+};
+
+/** rel / target findings (lib/relAudit), in report order. */
+export const REL_ISSUE_LABELS = {
+  internal_nofollow: 'Internal nofollow',
+  missing_sponsored: 'Affiliate link without sponsored',
+  missing_ugc: 'Comment link without ugc',
+  unsafe_blank: 'target=_blank without noopener',
+};
+
+/** Page regions recorded for links (LinkExtractor placement). */
+export const PLACEMENT_LABELS = {
+  nav: 'Navigation',
+  header: 'Header',
+  footer: 'Footer',
+  main: 'Main content',
+  comments: 'Comments',
+};
+
+/** discovered_links.resource_type values (LinkExtractor link types). */
+export const ASSET_TYPE_LABELS = {
+  image: 'Images',
+  icon: 'Icons',
+  stylesheet: 'Stylesheets',
+  script: 'Scripts',
+  font: 'Fonts',
+  media: 'Video & audio',
+  iframe: 'Iframes',
+  manifest: 'Manifests',
+  resource: 'Other resources',
+};
+
+/** Why a replacement was suggested for a dead internal URL (lib/linkSuggestions). */
+export const SUGGESTION_REASON_LABELS = {
+  redirect: 'redirect seen in crawl',
+  slug: 'similar slug',
+  path: 'similar path',
+};
+
+/** Ranked replacement suggestions as one export cell: "url (92%) | url (71%)". */
+export function formatSuggestions(suggestions = []) {
+  return suggestions.map((s) => `${s.url} (${Math.round(s.score * 100)}%)`).join(' | ');
+}
+
 function gradeOf(score) {
   if (score >= 90) return 'A';
   if (score >= 80) return 'B';
@@ -196,23 +312,133 @@ function deriveEnvironmentExposures(checkedLinks = []) {
   return exposures;
 }
 
+/**
+ * Sitemap coverage section from the stored post-crawl snapshot (see
+ * lib/sitemapCoverage.js). Null when it hasn't been computed or the site has
+ * no sitemap, so the report simply omits the section.
+ */
+function deriveSitemapCoverage(coverage) {
+  if (!coverage || coverage.reason || !coverage.sitemapUrls) return null;
+  return {
+    sitemapUrls: coverage.sitemapUrls,
+    sitemaps: coverage.sitemaps || [],
+    budgetReached: !!coverage.budgetReached,
+    orphanCount: coverage.orphanCount || 0,
+    unlistedCount: coverage.unlistedCount || 0,
+    orphans: coverage.orphans || [],
+    unlisted: coverage.unlisted || [],
+  };
+}
+
+/**
+ * Internal linking section from /api/link-graph. Null when the crawl mode
+ * extracted no links, so the report omits the section.
+ */
+function deriveInternalLinking(linkGraph) {
+  if (!linkGraph?.summary?.livePages) return null;
+  return {
+    ...linkGraph.summary,
+    topPages: linkGraph.topPages || [],
+    buriedPages: linkGraph.buried || [],
+    underLinkedPages: linkGraph.underLinked || [],
+  };
+}
+
+/**
+ * Redirects section from /api/redirects. Null when nothing redirected, so the
+ * report omits the section.
+ */
+function deriveRedirects(redirects) {
+  if (!redirects?.summary?.redirected) return null;
+  return { ...redirects.summary, rows: redirects.redirects || [] };
+}
+
+/**
+ * Link attributes section from /api/link-rel. Null unless the crawl recorded
+ * attributes for some links, so the report omits the section.
+ */
+function deriveLinkRel(linkRel) {
+  if (!linkRel?.summary?.annotated) return null;
+  return { ...linkRel.summary, rows: linkRel.links || [] };
+}
+
+/**
+ * Assets section from /api/assets. Null unless the crawl checked some
+ * assets, so the report omits the section.
+ */
+function deriveAssets(assets) {
+  if (!assets?.summary?.checked) return null;
+  return { ...assets.summary, enabled: !!assets.enabled, rows: assets.assets || [] };
+}
+
+/**
+ * JavaScript rendering section from /api/rendering. Null unless the job
+ * rendered (or tried to render) pages, so the report omits the section.
+ */
+function deriveRendering(rendering) {
+  const { pagesRendered = 0, renderFailures = 0 } = rendering?.summary || {};
+  if (!pagesRendered && !renderFailures) return null;
+  return { ...rendering.summary, pages: rendering.pages || [] };
+}
+
+/**
+ * Mobile parity section from /api/parity. Null unless the job compared
+ * pages, so the report omits the section. Only pages that differ (or
+ * couldn't be fetched) are listed; the summary counts stay whole.
+ */
+function deriveParity(parity) {
+  const { pagesCompared = 0, fetchFailures = 0 } = parity?.summary || {};
+  if (!pagesCompared && !fetchFailures) return null;
+  const pages = (parity.pages || []).filter((p) => p.error || p.differences.length > 0);
+  return { ...parity.summary, pages };
+}
+
 /**
  * Build the full report model.
  *
  * @param {object} args
  * @param {object} args.job      status payload (/api/crawl/status) — stats, settings, timestamps
  * @param {object} args.summary  summary block from /api/results — totals, performance
- * @param {Array}  args.findings broken rows from /api/results (statusFilter=broken)
+ * @param {Array}  args.findings broken rows from /api/results (statusFilter=broken); broken
+ *                               assets (rows with a resource_type) go to the assets section
+ * @param {object} [args.sitemapCoverage] stored coverage snapshot (/api/sitemap `coverage`)
+ * @param {object} [args.linkGraph] internal link graph rollup (/api/link-graph)
+ * @param {object} [args.redirects] redirect chain audit (/api/redirects)
+ * @param {object} [args.linkRel]   rel / target attribute audit (/api/link-rel)
+ * @param {object} [args.assets]    broken and oversized assets (/api/assets)
+ * @param {object} [args.rendering] raw vs rendered HTML differences (/api/rendering)
+ * @param {object} [args.parity]    mobile vs desktop differences (/api/parity)
  */
-export function buildReport({ job, summary, findings, checkedLinks = [] }) {
+export function buildReport({
+  job,
+  summary,
+  findings,
+  checkedLinks = [],
+  sitemapCoverage = null,
+  linkGraph = null,
+  redirects = null,
+  linkRel = null,
+  assets = null,
+  rendering = null,
+  parity = null,
+}) {
   const totalChecked = summary?.totalLinksChecked || 0;
   const totalDiscovered = job?.stats?.totalLinksDiscovered || totalChecked;
   const healthy = summary?.workingLinks || 0;
   const environmentExposures = deriveEnvironmentExposures(checkedLinks);
+  const coverageReport = deriveSitemapCoverage(sitemapCoverage);
+  const internalLinking = deriveInternalLinking(linkGraph);
+  const redirectReport = deriveRedirects(redirects);
+  const linkRelReport = deriveLinkRel(linkRel);
+  const assetReport = deriveAssets(assets);
+  const renderingReport = deriveRendering(rendering);
+  const parityReport = deriveParity(parity);
 
   // ── Normalize findings and detect shared-element targets ──────────────
+  // Broken images, scripts and the like are reported under Assets instead
+  const pageFindings = findings.filter((f) => !f.resource_type);
   const bySources = new Map(); // target url -> Set(source pages)
-  for (const f of findings) {
+  for (const f of pageFindings) {
     if (!bySources.has(f.url)) bySources.set(f.url, new Set());
     bySources.get(f.url).add(f.source_url || 'Discovery');
   }
@@ -222,7 +448,7 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
       .map(([url]) => url)
   );
 
-  const items = findings.map((f) => {
+  const items = pageFindings.map((f) => {
     const cls = classifyFinding(f);
     const isInternal = !!f.is_internal;
     const isShared = sharedTargets.has(f.url);
@@ -235,6 +461,7 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
       errorType: f.error_type,
       errorMessage: f.error_message,
       linkText: f.link_text,
+      suggestions: f.suggestions || [],
       cls,
       isShared,
       severity: deriveSeverity(cls, isInternal, isShared),
@@ -363,7 +590,8 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
   // 3 · target-pattern groups — a moved or renamed internal section
   const prefixMap = new Map();
   for (const item of items) {
-    if (claimed.has(item) || !item.isInternal) continue;
+    // A missing #anchor means the page still exists — not a moved section
+    if (claimed.has(item) || !item.isInternal || item.cls === 'anchor') continue;
     let prefix;
     try {
       prefix = new URL(item.url).pathname.split('/')[1] || '';
@@ -501,6 +729,36 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
     );
   }
 
+  if (coverageReport?.orphanCount > 0) {
+    takeaways.push(
+      `${coverageReport.orphanCount} sitemap URL${
+        coverageReport.orphanCount === 1 ? ' has' : 's have'
+      } no internal links pointing to ${coverageReport.orphanCount === 1 ? 'it' : 'them'}${
+        coverageReport.budgetReached ? ' within the crawled pages' : ''
+      } — orphaned pages get little link equity and are hard for visitors to find.`
+    );
+  }
+
+  if (internalLinking?.buried > 0) {
+    takeaways.push(
+      `${internalLinking.buried} page${internalLinking.buried === 1 ? ' sits' : 's sit'} ${
+        internalLinking.buriedDepth
+      }+ clicks from the start page or can't be reached by links at all — surface them in navigation or hub pages.`
+    );
+  }
+
+  if (redirectReport?.counts.loop > 0 || redirectReport?.counts.chain > 0) {
+    const { loop, chain } = redirectReport.counts;
+    takeaways.push(
+      `${[
+        loop && `${loop} redirect loop${loop === 1 ? '' : 's'}`,
+        chain && `${chain} multi-hop redirect chain${chain === 1 ? '' : 's'}`,
+      ]
+        .filter(Boolean)
+        .join(' and ')} — point links straight at the final URL and collapse the hops.`
+    );
+  }
+
   // ── One-line verdict (§2) ─────────────────────────────────────────────
   if (environmentExposures.length > 0) {
     takeaways.push(
@@ -541,6 +799,10 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
       affectedPages: affectedPages.length,
       pagesAnalyzed: summary?.pagesAnalyzed || 0,
       environmentExposures: environmentExposures.length,
+      orphanPages: coverageReport?.orphanCount ?? null,
+      buriedPages: internalLinking?.buried ?? null,
+      redirectIssues: redirectReport?.flagged ?? null,
+      brokenAssets: assetReport?.counts.broken ?? null,
       avgResponse: summary?.performance?.averageResponseTime || 0,
       slowLinks,
     },
@@ -552,6 +814,13 @@ export function buildReport({ job, summary, findings, checkedLinks = [] }) {
     categories,
     affectedPages,
     environmentExposures,
+    sitemapCoverage: coverageReport,
+    internalLinking,
+    redirects: redirectReport,
+    linkRel: linkRelReport,
+    assets: assetReport,
+    rendering: renderingReport,
+    parity: parityReport,
     tasks,
     sharedTargets: [...sharedTargets],
   };
@@ -0,0 +1,75 @@
+// src/lib/crawlProfiles.js - who the crawler says it is, per job
+//
+// A job picks a profile (settings.crawlProfile) and may add its own headers
+// (settings.customHeaders); every fetch the crawl makes — link checks, page
+// extraction, sitemaps, robots.txt, the headless renderer — takes its headers
+// from crawlHeaders(settings), so one job never mixes identities.
+//
+//   seoscrub             – our own bot, named by CRAWLER_USER_AGENT and
+//                          CRAWLER_CONTACT_EMAIL (the default)
+//   googlebot_smartphone – what Google's mobile-first indexer sends, for
+//                          sites that serve crawlers or phones differently
+//   desktop              – a plain desktop Chrome
+
+import { securityUtils } from './security.js';
+
+const CHROME_VERSION = '126.0.6478.126';
+
+const DESKTOP_UA = `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Safari/537.36`;
+const GOOGLEBOT_SMARTPHONE_UA = `Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION} Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)`;
+
+const BROWSER_ACCEPT = {
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+};
+
+export const DEFAULT_CRAWL_PROFILE = 'seoscrub';
+
+export const CRAWL_PROFILES = {
+  seoscrub: {
+    label: 'SeoScrub Bot',
+    device: 'desktop',
+    headers: () => securityUtils.getCrawlHeaders(),
+  },
+  googlebot_smartphone: {
+    label: 'Googlebot smartphone',
+    device: 'mobile',
+    headers: () => ({ 'User-Agent': GOOGLEBOT_SMARTPHONE_UA, ...BROWSER_ACCEPT }),
+  },
+  desktop: {
+    label: 'Desktop browser',
+    device: 'desktop',
+    headers: () => ({ 'User-Agent': DESKTOP_UA, ...BROWSER_ACCEPT }),
+  },
+};
+
+// Never accepted as custom headers: credentials have their own origin-scoped
+// path (lib/credentials), and the rest belong to the HTTP client.
+export const RESERVED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'host',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'upgrade',
+];
+
+/** The job's profile: { id, label, device }. Unknown ids fall back to the default. */
+export function crawlProfileOf(settings = {}) {
+  const id = CRAWL_PROFILES[settings.crawlProfile] ? settings.crawlProfile : DEFAULT_CRAWL_PROFILE;
+  const { label, device } = CRAWL_PROFILES[id];
+  return { id, label, device };
+}
+
+/** Request headers for the job: its profile's, then its custom headers on top. */
+export function crawlHeaders(settings = {}) {
+  const { id } = crawlProfileOf(settings);
+  return { ...CRAWL_PROFILES[id].headers(), ...(settings.customHeaders || {}) };
+}
+
+/** A real browser's headers — for servers that refuse anything bot-like. */
+export function browserHeaders(settings = {}) {
+  return { ...CRAWL_PROFILES.desktop.headers(), ...(settings.customHeaders || {}) };
+}
@@ -1,24 +1,133 @@
 import { db } from '@/lib/supabase';
+import { collectSiteAssets } from '@/lib/assetAudit';
+import { createAuthScope, openCredentials } from '@/lib/credentials';
+import { computeFragmentFindings } from '@/lib/fragments';
+import { createJobScheduler } from '@/lib/hostScheduler';
+import { computeLinkGraph } from '@/lib/linkGraph';
+import { computeLinkSuggestions } from '@/lib/linkSuggestions';
+import { computeParity } from '@/lib/parityAudit';
+import { computeSitemapCoverage } from '@/lib/sitemapCoverage';
+import { recordAuditHistory } from '@/lib/siteHistory';
+import { checkLinks } from './linkCheck';
 import { processContentPagesMode } from './modes/contentPages';
 import { processDiscoveredLinksMode } from './modes/discoveredLinks';
 import { processOriginalSmartMode } from './modes/originalSmart';
+import { processResumedLinks } from './modes/resumed';
+import { processSitemapMode } from './modes/sitemap';
 import { runTraditionalCrawl } from './modes/traditional';
 
-export async function runSmartCrawl(jobId, baseUrl, preAnalyzedUrls, settings) {
+// Analyses that need the finished crawl. Best-effort: the job is already
+// complete, so a failure here is logged and the report renders without it.
+// settings is the worker's copy, credentials included; scheduler the crawl's.
+async function runPostCrawlAnalysis(jobId, settings, scheduler) {
+  const job = await db.getJob(jobId);
+  if (job?.status !== 'completed') return;
+  try {
+    const pages = await computeLinkGraph(job);
+    if (pages > 0) console.log(`🕸️ LINK GRAPH: ${pages} pages analyzed for job ${jobId}`);
+  } catch (error) {
+    console.warn(`Link graph failed for job ${jobId}:`, error.message);
+  }
+  try {
+    job.sitemap_coverage = await computeSitemapCoverage(job);
+    await db.saveSitemapCoverage(jobId, job.sitemap_coverage);
+  } catch (error) {
+    console.warn(`Sitemap coverage failed for job ${jobId}:`, error.message);
+  }
+  // After coverage: sitemap orphans are replacement candidates too
+  try {
+    const fixed = await computeLinkSuggestions(job);
+    if (fixed > 0) console.log(`🔁 SUGGESTIONS: ${fixed} broken links have replacements for job ${jobId}`);
+  } catch (error) {
+    console.warn(`Link suggestions failed for job ${jobId}:`, error.message);
+  }
+  try {
+    const { missing, unverified } = await computeFragmentFindings(job);
+    if (missing + unverified > 0) {
+      console.log(
+        `⚓ FRAGMENTS: ${missing} missing anchors, ${unverified} unverified for job ${jobId}`
+      );
+    }
+  } catch (error) {
+    console.warn(`Fragment validation failed for job ${jobId}:`, error.message);
+  }
+  if (settings.parityAudit) {
+    try {
+      const { pages, dropping } = await computeParity(job, settings, { scheduler });
+      if (pages > 0) {
+        console.log(
+          `📱 PARITY: ${dropping} of ${pages} pages lose content on mobile for job ${jobId}`
+        );
+      }
+    } catch (error) {
+      console.warn(`Mobile parity audit failed for job ${jobId}:`, error.message);
+    }
+  }
+  if (settings.checkAssets) {
+    try {
+      const assets = await collectSiteAssets(job, settings);
+      if (assets.length > 0) {
+        await checkLinks(jobId, assets, settings, { scheduler });
+        console.log(`🖼️ ASSETS: ${assets.length} site icons checked for job ${jobId}`);
+      }
+    } catch (error) {
+      console.warn(`Site asset check failed for job ${jobId}:`, error.message);
+    }
+  }
+  // Last: the site's trend figures are read off the finished report
+  try {
+    const entry = await recordAuditHistory(job);
+    if (entry) console.log(`📈 HISTORY: health ${entry.health}/100 recorded for job ${jobId}`);
+  } catch (error) {
+    console.warn(`Audit history failed for job ${jobId}:`, error.message);
+  }
+}
+
+// A job with credentials (settings.authType) gets them opened here, in the
+// worker, as settings.auth — the queue payload only ever carries the job id.
+async function withJobAuth(jobId, url, settings) {
+  if (!settings.authType) return settings;
+  const sealed = await db.getJobCredentials(jobId);
+  if (!sealed) throw new Error('Credentials for this audit are no longer stored');
+  return { ...settings, auth: createAuthScope(url, openCredentials(sealed)) };
+}
+
+export async function runSmartCrawl(
+  jobId,
+  baseUrl,
+  preAnalyzedUrls,
+  settings,
+  { resume = false } = {}
+) {
   try {
     console.log(
       `🎯 SMART CRAWL: Starting job ${jobId} with mode: ${settings.crawlMode}`
     );
     await db.updateJobStatus(jobId, 'running');
+    settings = await withJobAuth(jobId, baseUrl, settings);
+    // One per job: every fetch of the crawl shares its per-host pacing
+    const scheduler = createJobScheduler(baseUrl, settings);
 
+    // A resumed job with checkpointed links finishes from those instead —
+    // except sitemap mode, which keeps its own checkpoint of audited entries
     const crawlMode = settings.crawlMode || 'auto';
-    if (crawlMode === 'content_pages') {
-      await processContentPagesMode(jobId, baseUrl, preAnalyzedUrls, settings);
+    const resumed =
+      resume &&
+      crawlMode !== 'sitemap' &&
+      (await processResumedLinks(jobId, baseUrl, settings, { scheduler }));
+
+    if (resumed) {
+      console.log(`♻️ SMART CRAWL: Job ${jobId} finished from its checkpoint`);
+    } else if (crawlMode === 'content_pages') {
+      await processContentPagesMode(jobId, baseUrl, preAnalyzedUrls, settings, { scheduler });
+    } else if (crawlMode === 'sitemap') {
+      await processSitemapMode(jobId, baseUrl, settings, { scheduler, resume });
     } else if (crawlMode === 'discovered_links') {
-      await processDiscoveredLinksMode(jobId, baseUrl, preAnalyzedUrls, settings);
+      await processDiscoveredLinksMode(jobId, baseUrl, preAnalyzedUrls, settings, { scheduler });
     } else {
-      await processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls, settings);
+      await processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls, settings, { scheduler });
     }
+    await runPostCrawlAnalysis(jobId, settings, scheduler);
   } catch (error) {
     console.error(`❌ SMART CRAWL: Job ${jobId} failed:`, error.message);
     try {
@@ -29,9 +138,12 @@ export async function runSmartCrawl(jobId, baseUrl, preAnalyzedUrls, settings) {
   }
 }
 
-export async function runTraditionalCrawlWithErrorHandling(jobId, startUrl, settings) {
+export async function runTraditionalCrawlWithErrorHandling(jobId, startUrl, settings, options) {
   try {
-    await runTraditionalCrawl(jobId, startUrl, settings);
+    settings = await withJobAuth(jobId, startUrl, settings);
+    const scheduler = createJobScheduler(startUrl, settings);
+    await runTraditionalCrawl(jobId, startUrl, settings, { ...options, scheduler });
+    await runPostCrawlAnalysis(jobId, settings, scheduler);
   } catch (error) {
     console.error(`❌ TRADITIONAL CRAWL: Job ${jobId} failed:`, error.message);
     try {
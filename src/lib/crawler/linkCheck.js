@@ -2,6 +2,9 @@ import { HttpChecker } from '@/lib/httpChecker';
 import { batchUtils, errorUtils } from '@/lib/utils';
 import { db } from '@/lib/supabase';
 import { loadRobotsRules } from '@/lib/robotsAudit';
+import { loadSoft404Fingerprint } from '@/lib/soft404';
+import { HostScheduler, createJobScheduler } from '@/lib/hostScheduler';
+import { crawlHeaders } from '@/lib/crawlProfiles';
 
 /**
  * Check link statuses and persist results.
@@ -12,26 +15,60 @@ import { loadRobotsRules } from '@/lib/robotsAudit';
  *                       traditional manages progress in its outer loop).
  * opts.completeJob    – call db.updateJobStatus('completed') at the end.
  * opts.enableStopCheck – poll job status each batch and exit early if stopped by user.
+ * opts.progressBase   – links already checked before this call (resumed jobs), added to
+ *                       both sides of the progress counter so the bar doesn't jump back.
+ * opts.keepBody       – predicate over a link; matching links are checked with a GET and
+ *                       their HTML handed back, so the crawl can extract links from the
+ *                       same response instead of fetching the page a second time.
+ * opts.roundSize      – links per round (default 100 in quickMode, else 50); the job's
+ *                       batchSize for modes that check a fixed URL list.
+ * opts.scheduler      – the job's HostScheduler, shared with its page fetches and every
+ *                       other checkLinks call, so host pacing carries across batches.
+ *                       Without one, a scheduler for this call alone.
+ *
+ * Resolves to { stopped, bodies, responses } so callers can tell an early exit from a
+ * finished run; bodies maps url -> HTML for the keepBody links that returned a working
+ * page, responses url -> { status, finalUrl, redirectCount, headers } for every keepBody
+ * link checked (status null when it couldn't be reached).
  */
 export async function checkLinks(
   jobId,
   linksToCheck,
   settings,
-  { preInserted = false, trackProgress = false, completeJob = false, enableStopCheck = false } = {}
+  {
+    preInserted = false,
+    trackProgress = false,
+    completeJob = false,
+    enableStopCheck = false,
+    progressBase = 0,
+    keepBody = null,
+    roundSize = null,
+    scheduler = null,
+  } = {}
 ) {
   const enableSEO = settings.enableSEO || false;
-  // quickMode: traditional crawl without SEO — uses HEAD-only quickCheck, larger batches
+  // quickMode: traditional crawl without SEO — uses HEAD-only quickCheck, larger rounds
   const quickMode = !enableSEO && !preInserted;
 
   const httpChecker = new HttpChecker({
     timeout: settings.timeout || 10000,
-    maxConcurrent: enableSEO ? 2 : quickMode ? 5 : 4,
     retryAttempts: 1,
+    headers: crawlHeaders(settings),
+    auth: settings.auth,
   });
 
-  const batchSize = enableSEO ? 8 : quickMode ? 25 : 10;
-  const batchDelay = enableSEO ? 800 : quickMode ? 200 : 500;
-  const batches = batchUtils.chunkArray(linksToCheck, batchSize);
+  // Per-host politeness (lib/hostScheduler) paces the requests; a round only
+  // sets how often results are persisted, stops polled and progress reported.
+  const batches = batchUtils.chunkArray(linksToCheck, roundSize || (quickMode ? 100 : 50));
+
+  if (!scheduler) {
+    try {
+      scheduler = createJobScheduler((await db.getJob(jobId)).url, settings);
+    } catch (delayError) {
+      console.error('Crawl-delay unavailable:', delayError.message);
+      scheduler = new HostScheduler();
+    }
+  }
 
   // G15: fetch the site's robots.txt once per job so each SEO-analyzed page
   // can be checked against Google's crawl rules. null = audit unavailable.
@@ -39,21 +76,40 @@ export async function checkLinks(
   if (enableSEO) {
     try {
       const job = await db.getJob(jobId);
-      robotsRules = await loadRobotsRules(job.url);
+      robotsRules = await loadRobotsRules(job.url, { headers: crawlHeaders(settings) });
     } catch (robotsError) {
       console.error('robots.txt audit unavailable:', robotsError.message);
     }
   }
 
+  // Soft-404 detection needs page bodies, so it runs on the GET path only —
+  // in quickMode that is just the keepBody pages.
+  let soft404 = null;
+  if (!quickMode || keepBody) {
+    try {
+      soft404 = await loadSoft404Fingerprint(jobId, {
+        timeout: settings.timeout || 10000,
+        auth: settings.auth,
+        headers: crawlHeaders(settings),
+        scheduler,
+      });
+    } catch (soft404Error) {
+      console.error('Soft-404 detection unavailable:', soft404Error.message);
+    }
+  }
+
   let processedCount = 0;
   let seoAnalyzedCount = 0;
   let rateLimitedCount = 0;
+  let blockedByTargetCount = 0;
+  const bodies = new Map();
+  const responses = new Map();
 
   for (let i = 0; i < batches.length; i++) {
     if (enableStopCheck) {
       const currentJob = await db.getJob(jobId);
       if (currentJob.status === 'failed' && currentJob.error_message === 'Stopped by user') {
-        return;
+        return { stopped: true, bodies, responses };
       }
     }
 
@@ -62,35 +118,50 @@ export async function checkLinks(
     const batch = batches[i];
 
     try {
-      let results;
-
-      if (quickMode) {
-        const raw = await Promise.all(batch.map((link) => httpChecker.quickCheck(link.url)));
-        results = raw.map((r, j) => ({
-          ...r,
-          sourceUrl: batch[j].sourceUrl,
-          isInternal: batch[j].isInternal,
-          depth: batch[j].depth,
-          linkText: batch[j].linkText,
-        }));
-      } else {
-        const { results: raw } = await httpChecker.checkUrlsWithSEO(
-          batch.map((link) => ({ url: link.url, sourceUrl: link.sourceUrl })),
-          { enableSEO, robotsRules }
-        );
-        results = raw.map((r, j) => ({
-          ...r,
-          isInternal: batch[j].isInternal,
-          depth: batch[j].depth,
-          linkText: batch[j].linkText,
-        }));
-      }
+      const checkOne = (link) => {
+        if (quickMode && !keepBody?.(link)) return httpChecker.quickCheck(link.url);
+        return httpChecker.checkUrlWithSEO(link.url, link.sourceUrl, {
+          enableSEO,
+          robotsRules,
+          isInternal: link.isInternal,
+          keepBody: !!keepBody?.(link),
+          // Only the site's own pages can be its not-found template
+          soft404: link.isInternal ? soft404 : null,
+        });
+      };
+      const raw = await scheduler.run(batch, async (link) => {
+        try {
+          return await checkOne(link);
+        } catch (error) {
+          return {
+            url: link.url,
+            http_status_code: null,
+            response_time: null,
+            checked_at: new Date().toISOString(),
+            is_working: false,
+            error_message: error.message,
+            errorType: errorUtils.classifyError(null, error),
+          };
+        }
+      });
+      const results = raw.map((r, j) => ({
+        ...r,
+        sourceUrl: batch[j].sourceUrl,
+        isInternal: batch[j].isInternal,
+        depth: batch[j].depth,
+        linkText: batch[j].linkText,
+      }));
 
       for (let j = 0; j < results.length; j++) {
         const result = results[j];
         const originalLink = batch[j];
         processedCount++;
 
+        // Only a working response's size is worth keeping (oversized assets)
+        const contentLength = result.is_working
+          ? parseInt(result.headers?.['content-length'], 10) || null
+          : null;
+
         try {
           if (preInserted) {
             await db.updateDiscoveredLinkStatus(jobId, result.url, {
@@ -99,7 +170,11 @@ export async function checkLinks(
               checked_at: result.checked_at,
               is_working: result.is_working,
               error_message: result.error_message,
+              final_url: result.redirectCount > 0 ? result.finalUrl : null,
+              redirect_chain: result.redirectChain?.length ? result.redirectChain : null,
+              blocked_by: result.blockedBy || null,
               has_seo_data: result.seo_data && !result.seo_data.error,
+              content_length: contentLength,
             });
           } else {
             await db.addDiscoveredLinks(jobId, [
@@ -114,6 +189,14 @@ export async function checkLinks(
                 checked_at: result.checked_at,
                 is_working: result.is_working,
                 error_message: result.error_message,
+                final_url: result.redirectCount > 0 ? result.finalUrl : null,
+                redirect_chain: result.redirectChain?.length ? result.redirectChain : null,
+                blocked_by: result.blockedBy || null,
+                rel: originalLink.rel,
+                target: originalLink.target,
+                placement: originalLink.placement,
+                type: originalLink.type,
+                content_length: contentLength,
               },
             ]);
           }
@@ -121,6 +204,24 @@ export async function checkLinks(
           console.error(`Failed to persist status for ${result.url}:`, updateError);
         }
 
+        if (result.body) bodies.set(result.url, result.body);
+        if (keepBody?.(originalLink)) {
+          responses.set(result.url, {
+            status: result.http_status_code,
+            finalUrl: result.finalUrl || result.url,
+            redirectCount: result.redirectCount || 0,
+            headers: result.headers || {},
+          });
+        }
+
+        if (result.anchorIds && originalLink.isInternal) {
+          try {
+            await db.savePageAnchors(jobId, [{ url: result.url, anchors: result.anchorIds }]);
+          } catch (anchorError) {
+            console.error(`Failed to save anchors for ${result.url}:`, anchorError);
+          }
+        }
+
         if (enableSEO && result.seo_data && !result.seo_data.error) {
           try {
             await db.addSEOAnalysis(jobId, result.seo_data);
@@ -136,6 +237,10 @@ export async function checkLinks(
         // the job can warn that its coverage is incomplete.
         if (result.rateLimited) {
           rateLimitedCount++;
+        } else if (result.blockedByTarget) {
+          // Same for a bot-protection challenge (Cloudflare, Akamai, …): the
+          // target refused the crawler, which says nothing about the page.
+          blockedByTargetCount++;
         } else if (!result.is_working) {
           const errorType =
             result.errorType || errorUtils.classifyError(result.http_status_code, result);
@@ -155,12 +260,14 @@ export async function checkLinks(
       }
 
       if (trackProgress) {
-        await db.updateJobProgress(jobId, processedCount, linksToCheck.length);
+        await db.updateJobProgress(
+          jobId,
+          progressBase + processedCount,
+          progressBase + linksToCheck.length
+        );
       }
-
-      await batchUtils.delay(batchDelay);
     } catch (batchError) {
-      console.error(`Error in link-check batch ${i + 1}:`, batchError);
+      console.error(`Error in link-check round ${i + 1}:`, batchError);
     }
   }
 
@@ -179,6 +286,18 @@ export async function checkLinks(
       console.error('Failed to flag rate-limited job:', flagError);
     }
   }
+  if (blockedByTargetCount > 0) {
+    try {
+      const job = await db.getJob(jobId);
+      const prior = job.settings?.blockedByTargetCount || 0;
+      await db.mergeJobSettings(jobId, {
+        blockedByTargetDetected: true,
+        blockedByTargetCount: prior + blockedByTargetCount,
+      });
+    } catch (flagError) {
+      console.error('Failed to flag bot-protected job:', flagError);
+    }
+  }
 
   if (completeJob) {
     await db.updateJobStatus(jobId, 'completed');
@@ -191,4 +310,6 @@ export async function checkLinks(
       }
     }
   }
+
+  return { stopped: false, bodies, responses };
 }
@@ -3,15 +3,36 @@ import { batchUtils } from '@/lib/utils';
 import { db } from '@/lib/supabase';
 import { checkLinks } from '../linkCheck';
 import { safeFetch } from '@/lib/safeFetch';
+import { crawlHeaders } from '@/lib/crawlProfiles';
+import { internalEdgesFrom } from '@/lib/linkGraph';
+import { recordFragments } from '@/lib/fragments';
+import { createJobScheduler } from '@/lib/hostScheduler';
+import { createCrawlScope } from '../scope';
+import { openRenderer, renderExtraction } from '../render';
+
+export async function processContentPagesMode(
+  jobId,
+  baseUrl,
+  analyzedPages,
+  settings,
+  { scheduler = createJobScheduler(baseUrl, settings) } = {}
+) {
+  const scope = createCrawlScope(baseUrl, settings);
+  // The scope estimate lists every page it found; visit only the in-scope
+  // ones, up to the job's page budget.
+  const contentPages = analyzedPages
+    .filter((pageData) => scope.shouldFollow(pageData.url))
+    .slice(0, scope.maxPages);
 
-export async function processContentPagesMode(jobId, baseUrl, contentPages, settings) {
   console.log(
-    `🎯 CONTENT PAGES MODE: Processing ${contentPages.length} content pages for job ${jobId}`
+    `🎯 CONTENT PAGES MODE: Processing ${contentPages.length} of ${analyzedPages.length} content pages for job ${jobId}`
   );
 
   const linkExtractor = new LinkExtractor({
     includeExternal: settings.includeExternal || false,
     maxLinksPerPage: 2000,
+    isInternalUrl: scope.isInternal,
+    extractAssets: !!settings.checkAssets,
   });
 
   const allExtractedLinks = new Map();
@@ -19,49 +40,68 @@ export async function processContentPagesMode(jobId, baseUrl, contentPages, sett
   let totalLinksExtracted = 0;
 
   const contentBatches = batchUtils.chunkArray(contentPages, 3);
+  const renderer = await openRenderer(jobId, settings);
+  const renderedSeo = [];
 
-  for (const batch of contentBatches) {
-    await Promise.all(
-      batch.map(async (pageData) => {
-        const pageUrl = pageData.url;
-        try {
-          const response = await safeFetch(pageUrl, {
-            timeout: settings.timeout || 10000,
-            headers: {
-              'User-Agent': 'SeoScrub Bot/1.0',
-              Accept: 'text/html,application/xhtml+xml',
-            },
-            readBody: true,
-          });
+  try {
+    for (const batch of contentBatches) {
+      await Promise.all(
+        batch.map(async (pageData) => {
+          const pageUrl = pageData.url;
+          try {
+            const response = await scheduler.schedule(pageUrl, () =>
+              safeFetch(pageUrl, {
+                timeout: settings.timeout || 10000,
+                headers: crawlHeaders(settings),
+                readBody: true,
+                auth: settings.auth,
+              })
+            );
 
-          if (response.ok) {
-            const pageContent = await response.text();
-            const extractionResult = linkExtractor.extractLinks(pageContent, pageUrl, 1);
+            if (response.ok) {
+              const pageContent = await response.text();
+              const extractionResult = await renderExtraction(
+                jobId,
+                renderer,
+                linkExtractor,
+                { url: pageUrl, html: pageContent, depth: 1 },
+                settings,
+                { seoRows: renderedSeo, scheduler }
+              );
 
-            extractionResult.links.forEach((link) => {
-              if (!allExtractedLinks.has(link.url)) {
-                allExtractedLinks.set(link.url, {
-                  url: link.url,
-                  sourceUrl: pageUrl,
-                  linkText: link.linkText || 'Extracted link',
-                  isInternal: link.isInternal,
-                  depth: 1,
-                  category: link.isInternal ? 'pages' : 'external',
-                });
-                totalLinksExtracted++;
-              }
-            });
+              extractionResult.links.forEach((link) => {
+                if (!allExtractedLinks.has(link.url) && scope.shouldCheck(link.url)) {
+                  allExtractedLinks.set(link.url, {
+                    url: link.url,
+                    sourceUrl: pageUrl,
+                    linkText: link.linkText || 'Extracted link',
+                    isInternal: link.isInternal,
+                    depth: 1,
+                    category: link.isInternal ? 'pages' : 'external',
+                    rel: link.rel,
+                    target: link.target,
+                    placement: link.placement,
+                    type: link.type,
+                  });
+                  totalLinksExtracted++;
+                }
+              });
+              await db.addLinkEdges(jobId, internalEdgesFrom(pageUrl, extractionResult.links));
+              await recordFragments(jobId, pageUrl, extractionResult);
+            }
+            contentPagesProcessed++;
+          } catch (error) {
+            console.error(`Error processing content page ${pageUrl}:`, error);
+            contentPagesProcessed++;
           }
-          contentPagesProcessed++;
-        } catch (error) {
-          console.error(`Error processing content page ${pageUrl}:`, error);
-          contentPagesProcessed++;
-        }
-      })
-    );
+        })
+      );
 
-    await db.updateJobProgress(jobId, contentPagesProcessed, contentPages.length);
-    await batchUtils.delay(500);
+      await db.updateJobProgress(jobId, contentPagesProcessed, contentPages.length);
+      await batchUtils.delay(500);
+    }
+  } finally {
+    await renderer?.close();
   }
 
   const linksToCheck = Array.from(allExtractedLinks.values());
@@ -71,6 +111,10 @@ export async function processContentPagesMode(jobId, baseUrl, contentPages, sett
     sourceUrl: linkData.sourceUrl,
     isInternal: linkData.isInternal,
     depth: linkData.depth,
+    rel: linkData.rel,
+    target: linkData.target,
+    placement: linkData.placement,
+    type: linkData.type,
     status: 'pending',
     http_status_code: null,
     response_time: null,
@@ -90,10 +134,18 @@ export async function processContentPagesMode(jobId, baseUrl, contentPages, sett
     await db.updateJobProgress(jobId, 0, totalLinksExtracted);
   }
 
-  await checkLinks(jobId, linksToCheck, settings, {
+  const { stopped } = await checkLinks(jobId, linksToCheck, settings, {
     preInserted: true,
     trackProgress: true,
     completeJob: true,
     enableStopCheck: true,
+    scheduler,
   });
+
+  // Rendered pages' SEO supersedes the raw-HTML analysis the check just wrote
+  if (!stopped) {
+    for (const seoData of renderedSeo) {
+      await db.replaceSEOAnalysis(jobId, seoData);
+    }
+  }
 }
@@ -1,13 +1,21 @@
-import { urlUtils } from '@/lib/utils';
 import { db } from '@/lib/supabase';
 import { checkLinks } from '../linkCheck';
+import { createCrawlScope } from '../scope';
 
-export async function processDiscoveredLinksMode(jobId, baseUrl, discoveredUrls, settings) {
+export async function processDiscoveredLinksMode(
+  jobId,
+  baseUrl,
+  discoveredUrls,
+  settings,
+  { scheduler } = {}
+) {
   console.log(
     `🔄 DISCOVERED LINKS MODE: Processing ${discoveredUrls.length} pre-discovered links for job ${jobId}`
   );
 
-  const linksToCheck = discoveredUrls
+  const scope = createCrawlScope(baseUrl, settings);
+
+  const candidates = discoveredUrls
     .map((urlData) => {
       let url, sourceUrl;
       if (typeof urlData === 'string') {
@@ -24,12 +32,19 @@ export async function processDiscoveredLinksMode(jobId, baseUrl, discoveredUrls,
         url,
         sourceUrl: sourceUrl || baseUrl,
         linkText: urlData.linkText || 'Discovered link',
-        isInternal: urlUtils.isInternalUrl(url, baseUrl),
+        isInternal: scope.isInternal(url),
         depth: 1,
         category: urlData.category || 'discovered',
       };
     })
-    .filter(Boolean);
+    .filter(Boolean)
+    .filter((link) => scope.shouldCheck(link.url));
+  const linksToCheck = scope.withinBudget(candidates);
+  if (linksToCheck.length < candidates.length) {
+    console.log(
+      `✂️ DISCOVERED LINKS MODE: ${candidates.length - linksToCheck.length} pages over the ${scope.maxPages}-page budget skipped`
+    );
+  }
 
   const discoveredLinks = linksToCheck.map((linkData) => ({
     url: linkData.url,
@@ -55,5 +70,7 @@ export async function processDiscoveredLinksMode(jobId, baseUrl, discoveredUrls,
     trackProgress: true,
     completeJob: true,
     enableStopCheck: true,
+    roundSize: scope.batchSize,
+    scheduler,
   });
 }
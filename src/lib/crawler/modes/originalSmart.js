@@ -1,13 +1,21 @@
-import { urlUtils } from '@/lib/utils';
 import { db } from '@/lib/supabase';
 import { checkLinks } from '../linkCheck';
+import { createCrawlScope } from '../scope';
 
-export async function processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls, settings) {
+export async function processOriginalSmartMode(
+  jobId,
+  baseUrl,
+  preAnalyzedUrls,
+  settings,
+  { scheduler } = {}
+) {
   console.log(
     `🔄 ORIGINAL SMART MODE: Processing ${preAnalyzedUrls.length} URLs for job ${jobId}`
   );
 
-  const discoveredLinks = preAnalyzedUrls
+  const scope = createCrawlScope(baseUrl, settings);
+
+  const candidates = preAnalyzedUrls
     .map((urlData, index) => {
       let url, sourceUrl;
       if (typeof urlData === 'string') {
@@ -26,7 +34,7 @@ export async function processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls,
       return {
         url,
         sourceUrl: sourceUrl || baseUrl,
-        isInternal: urlUtils.isInternalUrl(url, baseUrl),
+        isInternal: scope.isInternal(url),
         depth: 1,
         status: 'pending',
         http_status_code: null,
@@ -36,7 +44,14 @@ export async function processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls,
         error_message: null,
       };
     })
-    .filter(Boolean);
+    .filter(Boolean)
+    .filter((link) => scope.shouldCheck(link.url));
+  const discoveredLinks = scope.withinBudget(candidates);
+  if (discoveredLinks.length < candidates.length) {
+    console.log(
+      `✂️ ORIGINAL SMART MODE: ${candidates.length - discoveredLinks.length} pages over the ${scope.maxPages}-page budget skipped`
+    );
+  }
 
   if (discoveredLinks.length === 0) {
     throw new Error('No valid URLs to process');
@@ -56,5 +71,7 @@ export async function processOriginalSmartMode(jobId, baseUrl, preAnalyzedUrls,
     trackProgress: true,
     completeJob: true,
     enableStopCheck: true,
+    roundSize: scope.batchSize,
+    scheduler,
   });
 }
@@ -0,0 +1,40 @@
+import { urlUtils } from '@/lib/utils';
+import { db } from '@/lib/supabase';
+import { checkLinks } from '../linkCheck';
+
+/**
+ * Resume an interrupted smart-mode job. Every smart mode inserts its links as
+ * 'pending' before checking them, so discovered_links is the checkpoint:
+ * checked rows are done, the rest are re-checked.
+ *
+ * Returns false when the job never got as far as inserting links — the caller
+ * then runs the original mode from scratch.
+ */
+export async function processResumedLinks(jobId, baseUrl, settings, { scheduler } = {}) {
+  const { checked, unchecked } = await db.getLinkCheckState(jobId);
+  if (checked.length === 0 && unchecked.length === 0) return false;
+
+  console.log(
+    `♻️ RESUMED MODE: ${checked.length} links already checked, ${unchecked.length} remaining for job ${jobId}`
+  );
+
+  const linksToCheck = unchecked.map((row) => ({
+    url: row.url,
+    sourceUrl: row.source_url || baseUrl,
+    linkText: 'Resumed link',
+    isInternal: row.is_internal ?? urlUtils.isInternalUrl(row.url, baseUrl),
+    depth: row.depth || 1,
+  }));
+
+  await db.updateJobProgress(jobId, checked.length, checked.length + linksToCheck.length);
+
+  await checkLinks(jobId, linksToCheck, settings, {
+    preInserted: true,
+    trackProgress: true,
+    completeJob: true,
+    enableStopCheck: true,
+    scheduler,
+    progressBase: checked.length,
+  });
+  return true;
+}
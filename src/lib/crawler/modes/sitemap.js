@@ -0,0 +1,229 @@
+import { LinkExtractor } from '@/lib/linkExtractor';
+import { batchUtils } from '@/lib/utils';
+import { db } from '@/lib/supabase';
+import { loadSitemapEntries } from '@/lib/sitemap';
+import { normalizeCompareUrl } from '@/lib/seoDetector';
+import { internalEdgesFrom } from '@/lib/linkGraph';
+import { recordFragments } from '@/lib/fragments';
+import { createJobScheduler } from '@/lib/hostScheduler';
+import { checkLinks } from '../linkCheck';
+import { createCrawlScope } from '../scope';
+
+/**
+ * Why a sitemap entry shouldn't be in the sitemap. Search engines expect a
+ * sitemap to list only live, indexable, canonical URLs — anything else wastes
+ * crawl budget and sends mixed signals.
+ */
+function sitemapEntryIssues({ url, status, finalUrl, redirectCount, noindex, canonicalUrl }) {
+  if (status == null) return ['unreachable'];
+  const issues = [];
+  if (redirectCount > 0) issues.push('redirected');
+  if (status !== 200) issues.push('non_200');
+  if (noindex) issues.push('noindex');
+  if (
+    status === 200 &&
+    canonicalUrl &&
+    // Compared with where the URL landed — a redirect is already its own issue
+    normalizeCompareUrl(canonicalUrl) !== normalizeCompareUrl(finalUrl || url)
+  ) {
+    issues.push('canonicalised');
+  }
+  return issues;
+}
+
+/**
+ * Entries are checked in rounds: each round's pages are checked with their
+ * HTML kept, audited and extracted from that same response, then recorded —
+ * the sitemap_entries rows double as the checkpoint, so a resumed job (opts
+ * resume; index.js hands sitemap jobs straight back here) audits only the
+ * entries left and then checks every link still pending.
+ */
+export async function processSitemapMode(
+  jobId,
+  baseUrl,
+  settings,
+  { scheduler = createJobScheduler(baseUrl, settings), resume = false } = {}
+) {
+  const scope = createCrawlScope(baseUrl, settings);
+  const { sitemaps, entries } = await loadSitemapEntries(baseUrl, {
+    sitemapUrl: settings.sitemapUrl || null,
+    maxUrls: scope.maxPages,
+    auth: settings.auth,
+    settings,
+  });
+
+  const sitemapPages = entries.filter((entry) => scope.shouldCheck(entry.url));
+  console.log(
+    `🗺️ SITEMAP MODE: ${sitemapPages.length} URLs from ${sitemaps.length} sitemap file(s) for job ${jobId}`
+  );
+
+  if (sitemapPages.length === 0) {
+    throw new Error(
+      settings.sitemapUrl
+        ? `No URLs found in sitemap ${settings.sitemapUrl}`
+        : 'No sitemap found for this site'
+    );
+  }
+
+  await db.mergeJobSettings(jobId, {
+    sitemapFiles: sitemaps.slice(0, 50),
+    sitemapUrlCount: sitemapPages.length,
+  });
+
+  const linkExtractor = new LinkExtractor({
+    includeExternal: settings.includeExternal || false,
+    maxLinksPerPage: 2000,
+    isInternalUrl: scope.isInternal,
+    extractAssets: !!settings.checkAssets,
+  });
+
+  // Sitemap URLs are checked themselves (sourced from the sitemap file that
+  // listed them) and are the pages whose outgoing links get extracted.
+  const entryLinks = new Map();
+  for (const entry of sitemapPages) {
+    entryLinks.set(entry.url, {
+      url: entry.url,
+      sourceUrl: entry.sitemap,
+      linkText: 'Sitemap entry',
+      isInternal: scope.isInternal(entry.url),
+      depth: 0,
+    });
+  }
+  for (const chunk of batchUtils.chunkArray([...entryLinks.values()], 100)) {
+    await db.addDiscoveredLinks(
+      jobId,
+      chunk.map((link) => ({ ...link, status: 'pending' }))
+    );
+  }
+
+  const audited = resume
+    ? new Set((await db.getSitemapEntries(jobId)).map((row) => row.url))
+    : new Set();
+  const remaining = sitemapPages.filter((entry) => !audited.has(entry.url));
+  if (resume) {
+    console.log(
+      `♻️ SITEMAP MODE: ${audited.size} entries already audited, ${remaining.length} remaining for job ${jobId}`
+    );
+  }
+
+  // Links extracted this run, for their link text; queued as pending per round
+  const extractedLinks = new Map();
+
+  let pagesProcessed = audited.size;
+  await db.updateJobProgress(jobId, pagesProcessed, sitemapPages.length);
+  for (const batch of batchUtils.chunkArray(remaining, scope.batchSize)) {
+    // One request per entry: its check hands back the response to audit
+    const { stopped, bodies, responses } = await checkLinks(
+      jobId,
+      batch.map((entry) => entryLinks.get(entry.url)),
+      settings,
+      { preInserted: true, enableStopCheck: true, keepBody: () => true, scheduler }
+    );
+    if (stopped) {
+      console.log(`🛑 STOP DETECTED: Sitemap crawl job ${jobId} was stopped by user`);
+      return;
+    }
+
+    const rows = [];
+    const queued = [];
+    for (const entry of batch) {
+      const response = responses.get(entry.url);
+      const row = {
+        url: entry.url,
+        sitemapUrl: entry.sitemap,
+        lastmod: entry.lastmod,
+        status: response?.status ?? null,
+        finalUrl: response?.finalUrl || null,
+        redirectCount: response?.redirectCount || 0,
+        noindex: /noindex/i.test(response?.headers['x-robots-tag'] || ''),
+        canonicalUrl: null,
+      };
+
+      // Only a working HTML page comes back with its body
+      const html = bodies.get(entry.url);
+      if (html) {
+        try {
+          const extraction = linkExtractor.extractLinks(html, row.finalUrl, 0);
+          const { links, pageInfo } = extraction;
+          row.noindex = row.noindex || /noindex/i.test(pageInfo.robotsContent || '');
+          // pageInfo falls back to the page URL when no canonical tag exists
+          if (pageInfo.canonicalUrl !== row.finalUrl) row.canonicalUrl = pageInfo.canonicalUrl;
+
+          for (const link of links) {
+            if (entryLinks.has(link.url) || extractedLinks.has(link.url)) continue;
+            if (!scope.shouldCheck(link.url)) continue;
+            const linkData = {
+              url: link.url,
+              sourceUrl: entry.url,
+              linkText: link.linkText || 'Extracted link',
+              isInternal: link.isInternal,
+              depth: 1,
+              rel: link.rel,
+              target: link.target,
+              placement: link.placement,
+              type: link.type,
+            };
+            extractedLinks.set(link.url, linkData);
+            queued.push({ ...linkData, status: 'pending' });
+          }
+          await db.addLinkEdges(jobId, internalEdgesFrom(row.finalUrl, links));
+          await recordFragments(jobId, entry.url, extraction);
+        } catch (error) {
+          console.error(`Error extracting links from sitemap URL ${entry.url}:`, error.message);
+        }
+      }
+      rows.push({ ...row, issues: sitemapEntryIssues(row) });
+    }
+
+    // Checkpoint: the extracted links are queued before the entries count as audited
+    for (const chunk of batchUtils.chunkArray(queued, 100)) {
+      await db.addDiscoveredLinks(jobId, chunk);
+    }
+    try {
+      await db.addSitemapEntries(jobId, rows);
+    } catch (dbError) {
+      console.error('Failed to save sitemap audit rows:', dbError);
+    }
+
+    pagesProcessed += batch.length;
+    await db.updateJobProgress(jobId, pagesProcessed, sitemapPages.length);
+  }
+
+  // Sitemap URLs some other audited page links to — the rest are orphans. Read
+  // off the stored link graph, which covers the pages of an interrupted run too.
+  try {
+    const linkedTargets = new Set(
+      (await db.getLinkEdges(jobId)).map((edge) => normalizeCompareUrl(edge.target_url))
+    );
+    await db.markSitemapEntriesLinked(
+      jobId,
+      sitemapPages
+        .filter((entry) => linkedTargets.has(normalizeCompareUrl(entry.url)))
+        .map((entry) => entry.url)
+    );
+  } catch (dbError) {
+    console.error('Failed to record sitemap inlinks:', dbError);
+  }
+
+  // The entries are checked; what's left pending is the links they led to
+  const { unchecked } = await db.getLinkCheckState(jobId);
+  const linksToCheck = unchecked.map(
+    (row) =>
+      extractedLinks.get(row.url) || {
+        url: row.url,
+        sourceUrl: row.source_url,
+        linkText: 'Extracted link',
+        isInternal: row.is_internal ?? scope.isInternal(row.url),
+        depth: row.depth || 1,
+      }
+  );
+  await db.updateJobProgress(jobId, 0, linksToCheck.length);
+
+  await checkLinks(jobId, linksToCheck, settings, {
+    preInserted: true,
+    trackProgress: true,
+    completeJob: true,
+    enableStopCheck: true,
+    scheduler,
+  });
+}
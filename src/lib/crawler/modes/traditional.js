@@ -1,122 +1,247 @@
 import { LinkExtractor } from '@/lib/linkExtractor';
-import { urlUtils, batchUtils } from '@/lib/utils';
+import { batchUtils } from '@/lib/utils';
 import { safeFetch } from '@/lib/safeFetch';
+import { crawlHeaders } from '@/lib/crawlProfiles';
 import { db } from '@/lib/supabase';
 import { detectJsRendering } from '@/lib/jsSiteDetector';
+import { internalEdgesFrom } from '@/lib/linkGraph';
+import { recordFragments } from '@/lib/fragments';
+import { createJobScheduler } from '@/lib/hostScheduler';
 import { checkLinks } from '../linkCheck';
+import { openRenderer, renderExtraction } from '../render';
+import { createCrawlScope } from '../scope';
 
-export async function runTraditionalCrawl(jobId, startUrl, settings) {
+// Extract-only pages of a resumed job were checked by the interrupted run,
+// so their HTML is fetched here. Returns null for a page that isn't working.
+async function fetchPageHtml(url, settings, scheduler) {
+  const response = await scheduler.schedule(url, () =>
+    safeFetch(url, {
+      timeout: settings.timeout || 10000,
+      headers: crawlHeaders(settings),
+      readBody: true,
+      auth: settings.auth,
+    })
+  );
+  return response.status < 400 ? response.text() : null;
+}
+
+/**
+ * opts.resume – continue an interrupted job: URLs already checked in
+ * discovered_links count as visited and the crawl_frontier checkpoint becomes
+ * the pending queue, instead of starting over from startUrl.
+ * opts.scheduler – the job's HostScheduler (lib/hostScheduler), pacing the
+ * checks, page fetches and renders of every batch together.
+ */
+export async function runTraditionalCrawl(
+  jobId,
+  startUrl,
+  settings,
+  { resume = false, scheduler = createJobScheduler(startUrl, settings) } = {}
+) {
   console.log(`🕷️ TRADITIONAL CRAWL: Starting background processing for job ${jobId}`);
   console.log(`🎯 TRADITIONAL CRAWL: SEO enabled: ${!!settings.enableSEO}`);
 
   await db.updateJobStatus(jobId, 'running');
 
+  const scope = createCrawlScope(startUrl, settings);
   const linkExtractor = new LinkExtractor({
     includeExternal: settings.includeExternal || false,
     maxLinksPerPage: 1000,
+    isInternalUrl: scope.isInternal,
+    extractAssets: !!settings.checkAssets,
   });
 
   const visitedUrls = new Set();
-  const pendingUrls = new Map(); // url -> { depth, sourceUrl }
+  // url -> { depth, sourceUrl } plus the extracted link's type, followed, rel, target, placement
+  const pendingUrls = new Map();
+  // Frontier URLs that were checked before the interruption but whose links
+  // were never extracted — re-fetch them for extraction without re-checking.
+  const extractOnlyUrls = new Set();
   const maxDepth = settings.maxDepth || 3;
-  const maxPages = 500;
-  const batchSize = 10;
-
-  pendingUrls.set(startUrl, { depth: 0, sourceUrl: null });
+  const { maxPages, batchSize } = scope;
 
   let totalDiscovered = 0;
   let totalProcessed = 0;
 
-  while (pendingUrls.size > 0 && totalProcessed < maxPages) {
-    // Stop check at outer loop level
-    const currentJob = await db.getJob(jobId);
-    if (currentJob.status === 'failed' && currentJob.error_message === 'Stopped by user') {
-      console.log(`🛑 STOP DETECTED: Traditional crawl job ${jobId} was stopped by user`);
-      return;
-    }
+  // Pages whose links the crawl follows; the start URL is always followed,
+  // even when it sits outside the scope rules. Pages only reached through
+  // rel=nofollow links, and assets, are checked but not crawled further.
+  const shouldExtract = (linkData) =>
+    linkData.depth < maxDepth &&
+    (linkData.depth === 0 ||
+      (!linkData.type && linkData.followed !== false && scope.shouldFollow(linkData.url)));
 
-    const urlEntries = Array.from(pendingUrls.entries()).slice(0, batchSize);
-    const batchUrls = urlEntries.map(([url, metadata]) => {
-      pendingUrls.delete(url);
-      return { url, ...metadata };
+  if (resume) {
+    const [{ checked }, frontier] = await Promise.all([
+      db.getLinkCheckState(jobId),
+      db.getFrontier(jobId),
+    ]);
+    checked.forEach((row) => visitedUrls.add(row.url));
+    frontier.forEach((row) => {
+      pendingUrls.set(row.url, { depth: row.depth, sourceUrl: row.source_url });
+      if (visitedUrls.has(row.url)) extractOnlyUrls.add(row.url);
     });
+    totalProcessed = visitedUrls.size;
+    totalDiscovered = totalProcessed + pendingUrls.size - extractOnlyUrls.size;
+    console.log(
+      `♻️ TRADITIONAL CRAWL: Resuming job ${jobId} — ${totalProcessed} checked, ${pendingUrls.size} pending`
+    );
+  }
+
+  if (visitedUrls.size === 0 && pendingUrls.size === 0) {
+    pendingUrls.set(startUrl, { depth: 0, sourceUrl: null });
+    await db.addFrontierUrls(jobId, [{ url: startUrl, depth: 0 }]);
+  }
 
-    if (batchUrls.length === 0) break;
+  const renderer = await openRenderer(jobId, settings);
+  try {
+    while (pendingUrls.size > 0 && totalProcessed < maxPages) {
+      // Stop check at outer loop level
+      const currentJob = await db.getJob(jobId);
+      if (currentJob.status === 'failed' && currentJob.error_message === 'Stopped by user') {
+        console.log(`🛑 STOP DETECTED: Traditional crawl job ${jobId} was stopped by user`);
+        return;
+      }
+
+      const urlEntries = Array.from(pendingUrls.entries()).slice(
+        0,
+        Math.min(batchSize, maxPages - totalProcessed)
+      );
+      const batchUrls = urlEntries.map(([url, metadata]) => {
+        pendingUrls.delete(url);
+        return { url, ...metadata };
+      });
+
+      if (batchUrls.length === 0) break;
 
-    const linksToCheck = batchUrls
-      .filter((urlData) => !visitedUrls.has(urlData.url))
-      .map((urlData) => ({
+      const toLinkData = (urlData) => ({
         url: urlData.url,
         sourceUrl: urlData.sourceUrl || startUrl,
         linkText: 'Traditional crawl link',
-        isInternal: urlUtils.isInternalUrl(urlData.url, startUrl),
+        isInternal: scope.isInternal(urlData.url),
         depth: urlData.depth,
-      }));
-
-    if (linksToCheck.length > 0) {
-      linksToCheck.forEach((linkData) => {
-        visitedUrls.add(linkData.url);
-        totalProcessed++;
+        type: urlData.type,
+        followed: urlData.followed,
+        rel: urlData.rel,
+        target: urlData.target,
+        placement: urlData.placement,
       });
+      const linksToCheck = batchUrls
+        .filter((urlData) => !visitedUrls.has(urlData.url))
+        .map(toLinkData);
+      const pagesToExtract = [
+        ...linksToCheck,
+        ...batchUrls.filter((urlData) => extractOnlyUrls.delete(urlData.url)).map(toLinkData),
+      ];
+      const newlyQueued = [];
 
-      try {
-        // enableStopCheck: true fixes the latent bug where stopping a traditional SEO crawl
-        // was slow because the inner check function didn't poll job status between batches.
-        await checkLinks(jobId, linksToCheck, settings, {
-          preInserted: false,
-          trackProgress: false,
-          completeJob: false,
-          enableStopCheck: true,
-        });
-      } catch (checkError) {
-        console.error('Error in batch checking:', checkError);
-      }
+      if (pagesToExtract.length > 0) {
+        // The check step hands back the HTML of these pages, so extraction runs
+        // off the same response instead of a second request per page.
+        let bodies = new Map();
+        if (linksToCheck.length > 0) {
+          linksToCheck.forEach((linkData) => {
+            visitedUrls.add(linkData.url);
+            totalProcessed++;
+          });
 
-      // Extract links from working internal pages for further crawling
-      for (const linkData of linksToCheck) {
-        if (linkData.depth < maxDepth && urlUtils.isInternalUrl(linkData.url, startUrl)) {
           try {
-            const pageResponse = await safeFetch(linkData.url, {
-              timeout: settings.timeout || 10000,
-              headers: { 'User-Agent': 'SeoScrub Bot/1.0' },
-              readBody: true,
+            // enableStopCheck: true fixes the latent bug where stopping a traditional SEO crawl
+            // was slow because the inner check function didn't poll job status between batches.
+            const checked = await checkLinks(jobId, linksToCheck, settings, {
+              preInserted: false,
+              trackProgress: false,
+              completeJob: false,
+              enableStopCheck: true,
+              keepBody: shouldExtract,
+              scheduler,
             });
+            // Leave the batch in the frontier so a later resume re-checks what this run skipped
+            if (checked.stopped) {
+              console.log(`🛑 STOP DETECTED: Traditional crawl job ${jobId} was stopped by user`);
+              return;
+            }
+            bodies = checked.bodies;
+          } catch (checkError) {
+            console.error('Error in batch checking:', checkError);
+          }
+        }
+        const checkedNow = new Set(linksToCheck.map((linkData) => linkData.url));
 
-            if (pageResponse.status < 500) {
-              const pageContent = await pageResponse.text();
-
-              // Quick Check has no scope-estimate step, so JS-rendered sites
-              // would otherwise fail silently with a near-empty report. Flag
-              // the job so the results page can warn about incomplete counts.
-              if (linkData.depth === 0) {
-                const detection = detectJsRendering(pageContent);
-                if (detection.isJavaScriptHeavy) {
-                  console.log(`🎭 TRADITIONAL CRAWL: JS-heavy start page on job ${jobId}`);
-                  await db.mergeJobSettings(jobId, { jsSiteDetected: true });
-                }
+        // Extract links from working internal pages for further crawling
+        for (const linkData of pagesToExtract) {
+          if (!shouldExtract(linkData)) continue;
+          try {
+            // No body for a checked page means it was broken, a soft 404 or not HTML
+            const pageContent = checkedNow.has(linkData.url)
+              ? bodies.get(linkData.url)
+              : await fetchPageHtml(linkData.url, settings, scheduler);
+            if (!pageContent) continue;
+
+            // Quick Check has no scope-estimate step, so JS-rendered sites
+            // would otherwise fail silently with a near-empty report. Flag
+            // the job so the results page can warn about incomplete counts.
+            if (linkData.depth === 0) {
+              const detection = detectJsRendering(pageContent);
+              if (detection.isJavaScriptHeavy) {
+                console.log(`🎭 TRADITIONAL CRAWL: JS-heavy start page on job ${jobId}`);
+                await db.mergeJobSettings(jobId, { jsSiteDetected: true });
               }
+            }
 
-              const extractionResult = linkExtractor.extractLinks(pageContent, linkData.url, linkData.depth);
+            const extractionResult = await renderExtraction(
+              jobId,
+              renderer,
+              linkExtractor,
+              { url: linkData.url, html: pageContent, depth: linkData.depth },
+              settings,
+              { scheduler }
+            );
 
-              extractionResult.links.forEach((link) => {
-                if (!visitedUrls.has(link.url) && !pendingUrls.has(link.url)) {
-                  pendingUrls.set(link.url, { depth: link.depth, sourceUrl: linkData.url });
-                  totalDiscovered++;
-                }
-              });
-            }
+            extractionResult.links.forEach((link) => {
+              const pending = pendingUrls.get(link.url);
+              // A followed link outranks the nofollow one that queued the URL
+              if (pending && link.followed) pending.followed = true;
+              if (!visitedUrls.has(link.url) && !pending && scope.shouldCheck(link.url)) {
+                pendingUrls.set(link.url, {
+                  depth: link.depth,
+                  sourceUrl: linkData.url,
+                  type: link.type,
+                  followed: link.followed,
+                  rel: link.rel,
+                  target: link.target,
+                  placement: link.placement,
+                });
+                newlyQueued.push({ url: link.url, depth: link.depth, sourceUrl: linkData.url });
+                totalDiscovered++;
+              }
+            });
+            await db.addLinkEdges(jobId, internalEdgesFrom(linkData.url, extractionResult.links));
+            await recordFragments(jobId, linkData.url, extractionResult);
           } catch (extractError) {
             console.error(`Error extracting links from ${linkData.url}:`, extractError);
           }
         }
       }
-    }
 
-    await db.updateJobProgress(jobId, totalProcessed, Math.max(totalProcessed, totalDiscovered));
-    await batchUtils.delay(200);
+      // Checkpoint: queue the new URLs before retiring the batch, so a crash in
+      // between leaves the batch in the frontier rather than losing its links.
+      try {
+        await db.addFrontierUrls(jobId, newlyQueued);
+        await db.removeFrontierUrls(jobId, batchUrls.map((urlData) => urlData.url));
+      } catch (checkpointError) {
+        console.error('Failed to checkpoint crawl frontier:', checkpointError);
+      }
+
+      await db.updateJobProgress(jobId, totalProcessed, Math.max(totalProcessed, totalDiscovered));
+      await batchUtils.delay(200);
+    }
+  } finally {
+    await renderer?.close();
   }
 
   await db.updateJobStatus(jobId, 'completed');
+  await db.clearFrontier(jobId);
   console.log(`🎉 TRADITIONAL CRAWL COMPLETE: ${totalProcessed} URLs processed`);
 
   if (settings.enableSEO) {
@@ -0,0 +1,84 @@
+// src/lib/crawler/render.js - settings.renderJs support for the crawl modes
+//
+// A mode opens one renderer per job, then passes each page it extracts
+// through renderExtraction(): the page is loaded in headless Chromium, links
+// are taken from the rendered DOM (plus any the raw HTML had that the DOM
+// lost), the raw-vs-rendered comparison is stored in rendered_pages, and with
+// SEO enabled the page's SEO row is re-analysed from the rendered DOM. Once
+// the renderer's budget is spent, pages fall back to their raw HTML.
+
+import { db } from '@/lib/supabase';
+import { seoDetector } from '@/lib/seoDetector';
+import { createRenderer, compareRendered } from '@/lib/renderer';
+import { crawlHeaders, crawlProfileOf } from '@/lib/crawlProfiles';
+
+/** The job's renderer, or null when rendering is off or unavailable here. */
+export async function openRenderer(jobId, settings) {
+  if (!settings.renderJs) return null;
+  const renderer = await createRenderer({
+    auth: settings.auth,
+    userAgent: crawlHeaders(settings)['User-Agent'],
+    extraHeaders: settings.customHeaders || null,
+    device: crawlProfileOf(settings).device,
+  });
+  if (!renderer) {
+    console.log(`🎭 RENDER: Chromium unavailable, job ${jobId} uses raw HTML only`);
+    await db.mergeJobSettings(jobId, { renderJsUnavailable: true });
+  }
+  return renderer;
+}
+
+/**
+ * Extraction for one page, from its rendered DOM when the renderer still has
+ * budget, otherwise from the raw HTML. Never throws for a render failure —
+ * the failure is recorded and the raw extraction returned.
+ *
+ * opts.seoRows   – collect the rendered SEO analysis here instead of saving it,
+ *                  for modes whose link check (which writes the raw analysis)
+ *                  runs after extraction; they replace the rows once it's done.
+ * opts.scheduler – the job's HostScheduler; the page load counts against its host.
+ */
+export async function renderExtraction(
+  jobId,
+  renderer,
+  linkExtractor,
+  page,
+  settings,
+  { seoRows = null, scheduler = null } = {}
+) {
+  const { url, html, depth } = page;
+  const raw = linkExtractor.extractLinks(html, url, depth);
+  if (!renderer || renderer.exhausted) return raw;
+
+  let rendered;
+  try {
+    const load = () => renderer.render(url);
+    rendered = await (scheduler ? scheduler.schedule(url, load) : load());
+  } catch (error) {
+    console.error(`🎭 RENDER: ${url} failed:`, error.message);
+    await db.saveRenderedPage(jobId, { url, error: error.message }).catch(() => {});
+    return raw;
+  }
+
+  const extraction = linkExtractor.extractLinks(rendered.html, url, depth);
+  const comparison = compareRendered(
+    { html, links: raw.links },
+    { html: rendered.html, links: extraction.links }
+  );
+  await db.saveRenderedPage(jobId, { url, comparison, renderMs: rendered.ms });
+
+  if (settings.enableSEO && rendered.status && rendered.status < 400) {
+    try {
+      const seoData = seoDetector.analyzePage(rendered.html, url, rendered.status, rendered.ms);
+      if (seoRows) seoRows.push(seoData);
+      else await db.replaceSEOAnalysis(jobId, seoData);
+    } catch (seoError) {
+      console.error(`🎭 RENDER: SEO analysis of rendered ${url} failed:`, seoError.message);
+    }
+  }
+
+  // Crawlers that don't run scripts still see the raw links, so keep them
+  const renderedUrls = new Set(extraction.links.map((link) => link.url));
+  extraction.links.push(...raw.links.filter((link) => !renderedUrls.has(link.url)));
+  return extraction;
+}
@@ -0,0 +1,97 @@
+// src/lib/crawler/scope.js - per-job crawl scope and page budget
+//
+// One place that answers "is this URL part of the audit?" so every crawl mode
+// applies the same rules. Two levels, mirroring how desktop crawlers behave:
+//   shouldCheck(url)  – excluded paths are left out of the job entirely.
+//   shouldFollow(url) – only internal, in-prefix, include-matched pages are
+//                       fetched for more links; anything else that passes
+//                       shouldCheck is still status-checked as a leaf.
+// withinBudget(links) applies the page budget to modes handed a ready-made
+// URL list rather than crawling for one.
+
+export const DEFAULT_MAX_PAGES = 500;
+export const DEFAULT_BATCH_SIZE = 10;
+
+const stripWww = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Compile a path glob to a RegExp anchored on the URL path (+ query).
+ * `**` spans segments, `*` stays within one, `?` is one character. Patterns
+ * without a leading slash match anywhere, so `*.pdf` and `/blog/**` both work.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(glob.startsWith('/') ? `^${source}$` : `${source}$`);
+}
+
+/**
+ * Build the scope for a job from its start URL and settings. Unset options
+ * fall back to the historical behaviour: same host (www-insensitive), no path
+ * restriction, 500 pages in batches of 10.
+ */
+export function createCrawlScope(startUrl, settings = {}) {
+  const rootHost = stripWww(new URL(startUrl).hostname);
+  const includeSubdomains = !!settings.includeSubdomains;
+  const pathPrefix = settings.pathPrefix || null;
+  const include = (settings.includePatterns || []).map(globToRegExp);
+  const exclude = (settings.excludePatterns || []).map(globToRegExp);
+
+  const parse = (url) => {
+    try {
+      return new URL(url);
+    } catch {
+      return null;
+    }
+  };
+  const pathOf = (u) => u.pathname + u.search;
+
+  const isInternal = (url) => {
+    const u = parse(url);
+    if (!u) return false;
+    const host = stripWww(u.hostname);
+    return host === rootHost || (includeSubdomains && host.endsWith(`.${rootHost}`));
+  };
+
+  return {
+    maxPages: settings.maxPages || DEFAULT_MAX_PAGES,
+    batchSize: settings.batchSize || DEFAULT_BATCH_SIZE,
+    isInternal,
+
+    shouldCheck(url) {
+      const u = parse(url);
+      if (!u) return false;
+      // Exclusions only govern the site under audit; external links are
+      // already gated by includeExternal.
+      if (!isInternal(url)) return true;
+      return !exclude.some((re) => re.test(pathOf(u)));
+    },
+
+    shouldFollow(url) {
+      if (!isInternal(url) || !this.shouldCheck(url)) return false;
+      const path = pathOf(parse(url));
+      if (pathPrefix && !path.startsWith(pathPrefix)) return false;
+      return include.length === 0 || include.some((re) => re.test(path));
+    },
+
+    /** links (in order) with the internal ones cut to maxPages; external links all stay. */
+    withinBudget(links) {
+      let pages = 0;
+      return links.filter((link) => !link.isInternal || pages++ < this.maxPages);
+    },
+  };
+}
@@ -0,0 +1,107 @@
+// src/lib/credentials.js - per-job crawl credentials for staging and members-only sites
+//
+// A job can carry one credential: HTTP Basic auth, a bearer token, or a
+// cookie jar (a Cookie header value). It is sealed with AES-256-GCM under
+// CREDENTIALS_SECRET and stored in job_credentials, apart from crawl_jobs, so
+// status, results, exports and share views never see it; job settings only
+// record `authType`. The worker opens it into an auth scope that hands the
+// headers out for the job's exact origin (scheme + host + port) and nothing
+// else — external links, subdomains and cross-origin redirect hops go out
+// without them.
+
+import crypto from 'node:crypto';
+
+const SEAL_VERSION = 'v1';
+
+export class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialsError';
+  }
+}
+
+function sealKey() {
+  const secret = process.env.CREDENTIALS_SECRET;
+  if (!secret) throw new CredentialsError('Authenticated crawling is not configured');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/** Whether this deployment can store credentials (CREDENTIALS_SECRET is set). */
+export function isCredentialStoreConfigured() {
+  return !!process.env.CREDENTIALS_SECRET;
+}
+
+/** Encrypt a credential object into an opaque string for storage. */
+export function sealCredentials(credentials) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(credentials), 'utf8'),
+    cipher.final(),
+  ]);
+  return [SEAL_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+}
+
+/** Inverse of sealCredentials; throws CredentialsError when it can't be opened. */
+export function openCredentials(sealed) {
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== SEAL_VERSION || !ciphertext) {
+    throw new CredentialsError('Unrecognised credential format');
+  }
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      sealKey(),
+      Buffer.from(iv, 'base64url')
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    // Wrong or rotated CREDENTIALS_SECRET, or a tampered row
+    throw new CredentialsError('Stored credentials could not be decrypted');
+  }
+}
+
+/** Request headers a credential adds. */
+export function authHeaders(credentials) {
+  switch (credentials.type) {
+    case 'basic': {
+      const pair = `${credentials.username}:${credentials.password ?? ''}`;
+      return { Authorization: `Basic ${Buffer.from(pair, 'utf8').toString('base64')}` };
+    }
+    case 'bearer':
+      return { Authorization: `Bearer ${credentials.token}` };
+    case 'cookie':
+      return { Cookie: credentials.cookies };
+    default:
+      throw new CredentialsError(`Unknown credential type: ${credentials.type}`);
+  }
+}
+
+/**
+ * Auth scope for one job: headersFor(url) returns the credential headers for
+ * URLs on the target's origin and null for everything else. The headers live
+ * in the closure, so logging the scope (or settings carrying it) shows only
+ * the type and origin.
+ */
+export function createAuthScope(targetUrl, credentials) {
+  const origin = new URL(targetUrl).origin;
+  const headers = authHeaders(credentials);
+  return {
+    type: credentials.type,
+    origin,
+    headersFor(url) {
+      try {
+        return new URL(url).origin === origin ? headers : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+}
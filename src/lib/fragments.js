@@ -0,0 +1,134 @@
+// src/lib/fragments.js - fragment (#anchor) link validation
+//
+// Link checking compares URLs without their #fragment, so a link to
+// /docs#install keeps passing after the `install` id is gone. During the
+// crawl every fetched HTML page records its element ids (page_anchors) and
+// the fragment links it contains (fragment_links). Once the job completes,
+// links whose target page was fetched but has no matching id are filed as
+// findings with error_type 'missing_anchor' — in broken_links only: the link
+// was never a checked URL of its own, so it stays out of the discovered_links
+// totals, and the reports add it to their findings via missingAnchorRows().
+
+import { query } from './pg.js';
+import { db } from './supabase.js';
+import { normalizeCompareUrl } from './seoDetector.js';
+
+// Fragments browsers resolve without a matching element, or that are client
+// routes (#!/…, #/…) and text fragments (#:~:text=…) rather than ids.
+const ALWAYS_VALID = new Set(['', 'top']);
+const NOT_AN_ID = /^(!|\/|:~:)/;
+
+const ID_ATTR = /<[a-z][^>]*?\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const NAME_ATTR = /<a\s[^>]*?\bname\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+/** Element ids and <a name> values in an HTML document. */
+export function anchorIdsOf(html) {
+  const ids = new Set();
+  for (const pattern of [ID_ATTR, NAME_ATTR]) {
+    for (const match of html.matchAll(pattern)) {
+      const id = match[1] ?? match[2] ?? match[3];
+      if (id) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * The fragment of an href worth validating, decoded, or null. In-page links
+ * (`#install`) count — they resolve to the page they sit on.
+ */
+export function checkableFragment(href) {
+  const hashAt = href.indexOf('#');
+  if (hashAt === -1) return null;
+  let fragment = href.slice(hashAt + 1);
+  try {
+    fragment = decodeURIComponent(fragment);
+  } catch {
+    // keep the raw fragment
+  }
+  if (ALWAYS_VALID.has(fragment.toLowerCase()) || NOT_AN_ID.test(fragment)) return null;
+  return fragment;
+}
+
+/** Store one fetched page's ids and fragment links (a LinkExtractor result). */
+export async function recordFragments(jobId, pageUrl, { fragmentLinks = [], anchorIds = [] }) {
+  await db.savePageAnchors(jobId, [{ url: pageUrl, anchors: anchorIds }]);
+  await db.addFragmentLinks(jobId, fragmentLinks);
+}
+
+/**
+ * Missing-anchor broken_links rows in the shape of a discovered_links finding
+ * (error_type and link_text included): the target page answered, the id
+ * wasn't on it. Other error types are skipped.
+ */
+export function missingAnchorRows(brokenLinks) {
+  return brokenLinks
+    .filter((row) => row.error_type === 'missing_anchor')
+    .map((row) => ({
+      id: row.id,
+      url: row.url,
+      source_url: row.source_url,
+      is_internal: true,
+      depth: null,
+      resource_type: null,
+      status: 'checked',
+      http_status_code: row.status_code,
+      response_time: null,
+      checked_at: row.created_at,
+      is_working: false,
+      error_message: `Anchor #${checkableFragment(row.url)} not found on the target page`,
+      final_url: null,
+      suggestions: null,
+      error_type: row.error_type,
+      link_text: row.link_text,
+      created_at: row.created_at,
+    }));
+}
+
+/** The job's missing-anchor findings, as missingAnchorRows(). */
+export async function loadMissingAnchorRows(jobId) {
+  const { rows } = await query(
+    `SELECT id, url, source_url, status_code, error_type, link_text, created_at
+     FROM broken_links WHERE job_id = $1 AND error_type = 'missing_anchor'`,
+    [jobId]
+  );
+  return missingAnchorRows(rows);
+}
+
+/**
+ * Validate a finished job's fragment links and file the missing targets as
+ * findings. Returns { missing, unverified } — unverified links point at
+ * pages the crawl never fetched, so their ids are unknown.
+ */
+export async function computeFragmentFindings(job) {
+  const { rows: links } = await query(
+    'SELECT source_url, target_url, fragment, link_text FROM fragment_links WHERE job_id = $1',
+    [job.id]
+  );
+  if (links.length === 0) return { missing: 0, unverified: 0 };
+
+  const { rows: pages } = await query('SELECT url, anchors FROM page_anchors WHERE job_id = $1', [
+    job.id,
+  ]);
+  const anchorsByPage = new Map(
+    pages.map((page) => [normalizeCompareUrl(page.url), new Set(page.anchors)])
+  );
+
+  const missing = [];
+  let unverified = 0;
+  for (const link of links) {
+    const anchors = anchorsByPage.get(normalizeCompareUrl(link.target_url));
+    if (!anchors) unverified++;
+    else if (!anchors.has(link.fragment)) missing.push(link);
+  }
+
+  await db.replaceMissingAnchorFindings(
+    job.id,
+    missing.map((link) => ({
+      url: `${link.target_url}#${encodeURIComponent(link.fragment)}`,
+      sourceUrl: link.source_url,
+      linkText: link.link_text,
+    }))
+  );
+  return { missing: missing.length, unverified };
+}
@@ -0,0 +1,218 @@
+// src/lib/hostScheduler.js - per-host politeness for link checking
+//
+// Links are checked from one shared pool, but every host gets its own token
+// bucket and in-flight cap, so a batch of 2,000 external links spread over 300
+// hosts runs wide while no single server sees more than a couple of requests
+// at once. A host can be given a stricter pace (the job's own origin honours
+// robots.txt Crawl-delay), and each host slows itself down when its response
+// times climb or it starts rate-limiting us.
+//
+// One scheduler lives for one crawl job (createJobScheduler): its link checks,
+// page fetches, renders and post-crawl fetches all draw on the same host
+// state, so a Crawl-delay or a slowdown carries from one batch to the next.
+// The cross-job 429 cooldown / circuit breaker stays in httpChecker — this
+// module only decides when the next request may start.
+
+const DEFAULTS = {
+  concurrency: 12, // requests in flight across all hosts
+  perHost: 2, // requests in flight per host
+  intervalMs: 250, // spacing between request starts on one host (4 req/s)
+  burst: 2, // starts a quiet host may bank
+  maxSlowdown: 8, // ceiling on the adaptive interval multiplier
+};
+
+// Latency EWMA above this multiple of the host's best is "rising"
+const SLOW_RATIO = 2;
+// ... and back under this multiple lets the host speed up again
+const RECOVER_RATIO = 1.25;
+const EWMA_WEIGHT = 0.3;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+export class HostScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.hosts = new Map(); // host -> bucket state
+    this.overrides = new Map(); // host -> { intervalMs, perHost, burst }
+    this.pumps = new Set(); // wake-ups of the runs in progress
+  }
+
+  /**
+   * Stricter (or looser) pace for one host, e.g. the job's origin with a
+   * robots.txt Crawl-delay: { intervalMs: 5000, perHost: 1, burst: 1 }.
+   */
+  configureHost(host, overrides) {
+    this.overrides.set(host, overrides);
+    this.hosts.delete(host);
+  }
+
+  _state(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      const { intervalMs, perHost, burst } = { ...this.options, ...this.overrides.get(host) };
+      state = {
+        intervalMs,
+        perHost,
+        burst,
+        tokens: burst,
+        refilledAt: Date.now(),
+        inFlight: 0,
+        slowdown: 1,
+        latency: null,
+        bestLatency: null,
+      };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  // Refill the bucket; returns when the next start is allowed (ms epoch).
+  _readyAt(state, now) {
+    const interval = state.intervalMs * state.slowdown;
+    state.tokens = Math.min(state.burst, state.tokens + (now - state.refilledAt) / interval);
+    state.refilledAt = now;
+    return state.tokens >= 1 ? now : now + (1 - state.tokens) * interval;
+  }
+
+  /**
+   * Feed one finished request back into its host's pace. `throttled` (a 429
+   * or bot challenge) halves the rate at once; latency drifts it gradually.
+   */
+  observe(host, { ms, throttled = false } = {}) {
+    const state = this._state(host);
+    if (throttled) {
+      state.slowdown = Math.min(this.options.maxSlowdown, state.slowdown * 2);
+      return;
+    }
+    if (!Number.isFinite(ms)) return;
+    state.latency = state.latency == null ? ms : EWMA_WEIGHT * ms + (1 - EWMA_WEIGHT) * state.latency;
+    state.bestLatency = Math.min(state.bestLatency ?? state.latency, state.latency);
+    if (state.latency > SLOW_RATIO * state.bestLatency) {
+      state.slowdown = Math.min(this.options.maxSlowdown, state.slowdown * 1.5);
+    } else if (state.latency < RECOVER_RATIO * state.bestLatency) {
+      state.slowdown = Math.max(1, state.slowdown * 0.9);
+    }
+  }
+
+  /** One task counted against url's host, e.g. a page fetch; resolves to its result. */
+  schedule(url, task) {
+    return this.run([url], task, { urlOf: (item) => item }).then(([result]) => result);
+  }
+
+  /**
+   * Run worker(item) for every item under the per-host limits; resolves to the
+   * results in input order. Hosts are served round-robin so one big host
+   * can't starve the rest. The worker must handle its own errors — a
+   * rejection stops new starts and rejects the run.
+   *
+   * opts.urlOf – item -> URL whose host it counts against (default item.url)
+   */
+  run(items, worker, { urlOf = (item) => item.url } = {}) {
+    const results = new Array(items.length);
+    if (items.length === 0) return Promise.resolve(results);
+
+    const queues = new Map(); // host -> [index]
+    items.forEach((item, index) => {
+      const host = hostOf(urlOf(item));
+      if (!queues.has(host)) queues.set(host, []);
+      queues.get(host).push(index);
+    });
+
+    return new Promise((resolve, reject) => {
+      let inFlight = 0;
+      let settled = 0;
+      let failed = false;
+      let timer = null;
+
+      const start = (host, state, index) => {
+        state.tokens -= 1;
+        state.inFlight++;
+        inFlight++;
+        const startedAt = Date.now();
+        Promise.resolve()
+          .then(() => worker(items[index]))
+          .then(
+            (result) => {
+              results[index] = result;
+              this.observe(host, {
+                ms: Date.now() - startedAt,
+                throttled: !!(result?.rateLimited || result?.blockedByTarget),
+              });
+            },
+            (error) => {
+              failed = true;
+              clearTimeout(timer);
+              this.pumps.delete(pump);
+              reject(error);
+            }
+          )
+          .finally(() => {
+            state.inFlight--;
+            inFlight--;
+            settled++;
+            if (!failed && settled === items.length) {
+              this.pumps.delete(pump);
+              resolve(results);
+            }
+            // Runs share host state: another run may be waiting on this host
+            for (const wake of [...this.pumps]) wake();
+          });
+      };
+
+      const pump = () => {
+        clearTimeout(timer);
+        timer = null;
+        let wakeAt = Infinity;
+        let started = true;
+        while (started && inFlight < this.options.concurrency) {
+          started = false;
+          for (const [host, queue] of queues) {
+            if (inFlight >= this.options.concurrency) break;
+            if (queue.length === 0) {
+              queues.delete(host);
+              continue;
+            }
+            const state = this._state(host);
+            if (state.inFlight >= state.perHost) continue;
+            const now = Date.now();
+            const readyAt = this._readyAt(state, now);
+            if (readyAt > now) {
+              wakeAt = Math.min(wakeAt, readyAt);
+              continue;
+            }
+            start(host, state, queue.shift());
+            started = true;
+          }
+        }
+        // Hosts waiting only on their bucket need a timer; the rest resume
+        // when an in-flight request finishes.
+        if (wakeAt < Infinity) timer = setTimeout(pump, Math.max(0, wakeAt - Date.now()));
+      };
+
+      this.pumps.add(pump);
+      pump();
+    });
+  }
+}
+
+/**
+ * The scheduler for one crawl job: the job's own origin keeps to its
+ * robots.txt Crawl-delay (settings.crawlDelayMs, read at job start).
+ */
+export function createJobScheduler(jobUrl, settings) {
+  const scheduler = new HostScheduler();
+  if (settings.crawlDelayMs) {
+    scheduler.configureHost(new URL(jobUrl).host, {
+      intervalMs: settings.crawlDelayMs,
+      perHost: 1,
+      burst: 1,
+    });
+  }
+  return scheduler;
+}
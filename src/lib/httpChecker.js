@@ -8,6 +8,9 @@ import { securityUtils } from './security.js';
 import { seoDetector } from './seoDetector.js';
 import { evaluateRobots } from './robotsAudit.js';
 import { safeFetch } from './safeFetch.js';
+import { matchSoft404, soft404Message } from './soft404.js';
+import { anchorIdsOf } from './fragments.js';
+import { getRedisConnection } from './queue/connection.js';
 
 // ── Adaptive per-host rate-limit handling ────────────────────────────────
 // A 429 (or a 503 carrying Retry-After) means "you're going too fast", not
@@ -15,11 +18,12 @@ import { safeFetch } from './safeFetch.js';
 // if it keeps throttling — open a circuit breaker so the rest of that host's
 // URLs are skipped fast instead of hammered and mislabelled as broken.
 //
-// State is module-level on purpose: the crawl builds a fresh HttpChecker per
-// batch, so instance state would reset every ~10 URLs. Keying by host here
-// makes a throttling site slow us down for the rest of the run (and across
-// concurrent worker jobs hitting the same host). Entries are timestamp-based
-// and self-expire, so a cooldown can never get permanently stuck.
+// The state is shared through Redis (the queue's connection), so every
+// worker — other jobs in this process, other worker containers — backs off a
+// throttling host together. The module-level Map holds the same state when
+// Redis is unreachable; a throttle check must never stall or fail a crawl.
+// Entries are timestamp-based and self-expire, so a cooldown can never get
+// permanently stuck.
 const hostThrottle = new Map(); // host -> { cooldownUntil, consecutive, openUntil }
 
 const RL = {
@@ -56,40 +60,193 @@ function isRateLimitStatus(status, headers) {
   return false;
 }
 
-function isHostCircuitOpen(host) {
-  if (!host) return false;
-  const s = hostThrottle.get(host);
-  return !!(s && s.openUntil > Date.now());
+// ── Bot-protection (WAF / CDN challenge) detection ───────────────────────
+// A Cloudflare "Just a moment…" interstitial or an Akamai "Access Denied"
+// page means the target's bot protection refused the crawler — the page may
+// be fine for a browser. Such responses are reported as 'blocked_by_target'
+// (undetermined) rather than broken. Headers settle most cases; the body
+// fingerprints cover vendors whose block pages carry no distinctive header.
+const CHALLENGE_STATUSES = [403, 406, 503];
+// Challenge pages are small; anything bigger is a real error page.
+const CHALLENGE_BODY_BYTES = 256 * 1024;
+
+const BOT_PROTECTION_HEADERS = [
+  { vendor: 'Cloudflare', test: (h) => h.get('cf-mitigated') === 'challenge' },
+  { vendor: 'AWS WAF', test: (h) => /^(captcha|challenge)$/i.test(h.get('x-amzn-waf-action') || '') },
+  { vendor: 'Sucuri', test: (h) => !!h.get('x-sucuri-block') },
+  { vendor: 'DataDome', test: (h) => (h.get('x-datadome') || '').toLowerCase() === 'protected' },
+  // AkamaiGHost only answers itself when the edge blocks the request
+  { vendor: 'Akamai', test: (h) => /^akamaighost$/i.test(h.get('server') || '') },
+];
+
+const BOT_PROTECTION_BODIES = [
+  { vendor: 'Cloudflare', pattern: /<title>\s*(just a moment|attention required! \| cloudflare)|cf-browser-verification|\/cdn-cgi\/challenge-platform\// },
+  { vendor: 'Akamai', pattern: /<title>\s*access denied\s*<\/title>[\s\S]*reference\s*#[0-9a-f.]+/ },
+  { vendor: 'Imperva', pattern: /incapsula incident id|_incapsula_resource/ },
+  { vendor: 'DataDome', pattern: /captcha-delivery\.com/ },
+  { vendor: 'PerimeterX', pattern: /px-captcha|perimeterx/ },
+  { vendor: 'Sucuri', pattern: /sucuri website firewall - access denied/ },
+  { vendor: 'DDoS-Guard', pattern: /<title>\s*ddos-guard/ },
+];
+
+/**
+ * Name of the bot-protection service behind a refused response, or null.
+ * `body` is optional — header fingerprints are checked first.
+ */
+function detectBotProtection(status, headers, body = '') {
+  if (!CHALLENGE_STATUSES.includes(status)) return null;
+  const byHeader = BOT_PROTECTION_HEADERS.find(({ test }) => test(headers));
+  if (byHeader) return byHeader.vendor;
+  if (!body) return null;
+  const text = body.slice(0, CHALLENGE_BODY_BYTES).toLowerCase();
+  return BOT_PROTECTION_BODIES.find(({ pattern }) => pattern.test(text))?.vendor || null;
 }
 
-function hostCooldownMs(host) {
-  if (!host) return 0;
-  const s = hostThrottle.get(host);
-  if (!s || !s.cooldownUntil) return 0;
-  return Math.max(0, Math.min(s.cooldownUntil - Date.now(), RL.MAX_WAIT_MS));
+// ── Fetch planning ───────────────────────────────────────────────────────
+// Only internal HTML pages need a body (SEO analysis, soft-404 matching, link
+// extraction); everything else is checked with HEAD. Servers that reject HEAD
+// get a plain GET whose body is discarded unread.
+const HEAD_REJECTED_STATUSES = [405, 501];
+// HEAD failures a GET would repeat — no point paying for them twice
+const HEAD_FINAL_ERRORS = ['timeout', 'dns_error', 'ssl_error', 'redirect_loop', 'too_many_redirects'];
+const NON_HTML_PATH =
+  /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|bmp|tiff?|zip|gz|tgz|rar|7z|dmg|exe|msi|mp3|mp4|m4a|wav|ogg|mov|avi|webm|docx?|xlsx?|pptx?|odt|csv|xml|json|txt|css|js|woff2?|ttf|otf|eot)$/i;
+
+function isHtmlResponse(headers) {
+  return (headers.get('content-type') || '').includes('text/html');
 }
 
-// Record a rate-limit hit; escalate the host cooldown, maybe open the breaker,
-// and return how long to wait before retrying THIS url (bounded).
-function noteRateLimit(host, retryAfterMs) {
-  const bounded = (ms) => Math.min(ms, RL.MAX_WAIT_MS);
-  if (!host) return bounded(retryAfterMs ?? RL.BASE_COOLDOWN_MS);
+function looksLikeHtmlPage(url) {
+  try {
+    return !NON_HTML_PATH.test(new URL(url).pathname);
+  } catch {
+    return true;
+  }
+}
+
+// ── Shared throttle state (Redis, local Map fallback) ────────────────────
+// Redis calls give up after this long and fall back to the local Map.
+const REDIS_TIMEOUT_MS = 500;
+
+const throttleKey = (host) => `throttle:host:${host}`;
+
+// Record one rate-limit hit atomically; mirrors noteRateLimitLocally().
+// KEYS: [1] host hash
+// ARGV: [1] now_ms, [2] pauseMs (Retry-After, or -1), [3] baseCooldownMs,
+//       [4] maxCooldownMs, [5] openThreshold, [6] openMs
+// Returns: the escalated cooldown in ms
+const NOTE_RATE_LIMIT_LUA = `
+local now   = tonumber(ARGV[1])
+local pause = tonumber(ARGV[2])
+local consecutive = (tonumber(redis.call('HGET', KEYS[1], 'consecutive')) or 0) + 1
+local escalated = math.min(tonumber(ARGV[3]) * consecutive, tonumber(ARGV[4]))
+local cooldownUntil = now + math.max(escalated, pause)
+local openUntil = tonumber(redis.call('HGET', KEYS[1], 'openUntil')) or 0
+if consecutive >= tonumber(ARGV[5]) then openUntil = now + tonumber(ARGV[6]) end
+redis.call('HSET', KEYS[1], 'consecutive', consecutive, 'cooldownUntil', cooldownUntil, 'openUntil', openUntil)
+redis.call('PEXPIRE', KEYS[1], math.max(cooldownUntil, openUntil) - now + 60000)
+return escalated
+`;
+
+// The shared connection, or null when Redis isn't connected right now.
+function throttleRedis() {
+  try {
+    const conn = getRedisConnection();
+    return conn.status === 'ready' ? conn : null;
+  } catch {
+    return null;
+  }
+}
+
+// Run a Redis command, resolving to null on error or timeout.
+async function withRedis(run) {
+  const conn = throttleRedis();
+  if (!conn) return null;
+  let timer;
+  try {
+    return await Promise.race([
+      run(conn),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), REDIS_TIMEOUT_MS);
+      }),
+    ]);
+  } catch (err) {
+    console.error('[hostThrottle] Redis unavailable, using local state:', err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
+function gateFrom(s) {
+  const now = Date.now();
+  return {
+    open: !!(s && s.openUntil > now),
+    waitMs: s ? Math.max(0, Math.min(s.cooldownUntil - now, RL.MAX_WAIT_MS)) : 0,
+    throttled: !!s,
+  };
+}
+
+/**
+ * A host's throttle state before a request: { open, waitMs, throttled }.
+ * open = breaker open (skip the URL); waitMs = cooldown left (bounded);
+ * throttled = any state exists, so a clean response should clear it.
+ */
+async function readHostGate(host) {
+  if (!host) return gateFrom(null);
+  const fields = await withRedis((conn) =>
+    conn.hmget(throttleKey(host), 'cooldownUntil', 'consecutive', 'openUntil')
+  );
+  if (!fields) return gateFrom(hostThrottle.get(host));
+  const [cooldownUntil, consecutive, openUntil] = fields.map(Number);
+  return gateFrom(
+    consecutive ? { cooldownUntil: cooldownUntil || 0, consecutive, openUntil: openUntil || 0 } : null
+  );
+}
+
+function noteRateLimitLocally(host, retryAfterMs) {
   const now = Date.now();
   const s = hostThrottle.get(host) || { cooldownUntil: 0, consecutive: 0, openUntil: 0 };
   s.consecutive += 1;
   const escalated = Math.min(RL.BASE_COOLDOWN_MS * s.consecutive, RL.MAX_COOLDOWN_MS);
-  s.cooldownUntil = now + escalated;
+  s.cooldownUntil = now + Math.max(escalated, Math.min(retryAfterMs ?? 0, RL.MAX_WAIT_MS));
   if (s.consecutive >= RL.OPEN_THRESHOLD) s.openUntil = now + RL.OPEN_MS;
   hostThrottle.set(host, s);
+  return escalated;
+}
+
+// Record a rate-limit hit; escalate the host cooldown (at least its
+// Retry-After, for every worker), maybe open the breaker, and return how
+// long to wait before retrying THIS url (bounded).
+async function noteRateLimit(host, retryAfterMs) {
+  const bounded = (ms) => Math.min(ms, RL.MAX_WAIT_MS);
+  if (!host) return bounded(retryAfterMs ?? RL.BASE_COOLDOWN_MS);
+
+  const pause = retryAfterMs == null ? -1 : bounded(retryAfterMs);
+  const shared = await withRedis((conn) =>
+    conn.eval(
+      NOTE_RATE_LIMIT_LUA,
+      1,
+      throttleKey(host),
+      String(Date.now()),
+      String(Math.round(pause)),
+      String(RL.BASE_COOLDOWN_MS),
+      String(RL.MAX_COOLDOWN_MS),
+      String(RL.OPEN_THRESHOLD),
+      String(RL.OPEN_MS)
+    )
+  );
+  const escalated = shared == null ? noteRateLimitLocally(host, retryAfterMs) : Number(shared);
 
   return bounded(retryAfterMs ?? escalated);
 }
 
-// A clean response clears the host's throttle state.
-function noteSuccess(host) {
-  if (!host) return;
-  if (hostThrottle.has(host)) hostThrottle.delete(host);
+// A clean response clears the host's throttle state — only touched when the
+// gate read before the request found some.
+async function noteSuccess(host, gate) {
+  if (!host || !gate?.throttled) return;
+  hostThrottle.delete(host);
+  await withRedis((conn) => conn.del(throttleKey(host)));
 }
 
 // Exposed for tests / crawl handoff between jobs.
@@ -104,8 +261,7 @@ export const _rateLimitInternals = {
   hostOf,
   parseRetryAfter,
   isRateLimitStatus,
-  isHostCircuitOpen,
-  hostCooldownMs,
+  readHostGate,
   noteRateLimit,
   noteSuccess,
 };
@@ -124,9 +280,12 @@ export class HttpChecker {
     };
 
     this.fetchOpts = {
-      headers: securityUtils.getCrawlHeaders(),
+      // The job's crawl profile (lib/crawlProfiles); our own bot identity by default
+      headers: this.options.headers || securityUtils.getCrawlHeaders(),
       timeout: this.options.timeout,
       maxRedirects: this.options.maxRedirects,
+      // Job credentials (lib/credentials) — safeFetch scopes them to the job's origin
+      auth: this.options.auth || null,
     };
   }
 
@@ -152,18 +311,18 @@ export class HttpChecker {
     const host = hostOf(url);
     let attempt = 0;
     while (attempt <= this.options.retryAttempts) {
-      if (isHostCircuitOpen(host)) {
+      const gate = await readHostGate(host);
+      if (gate.open) {
         return this._rateLimitedResult(url, sourceUrl, null, Date.now() - startTime, attempt + 1, true);
       }
-      const gate = hostCooldownMs(host);
-      if (gate > 0) await batchUtils.delay(gate);
+      if (gate.waitMs > 0) await batchUtils.delay(gate.waitMs);
 
       try {
         const response = await safeFetch(url, { ...this.fetchOpts, readBody: false });
         const responseTime = Date.now() - startTime;
 
         if (isRateLimitStatus(response.status, response.headers)) {
-          const wait = noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
+          const wait = await noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
           if (attempt < this.options.retryAttempts) {
             await batchUtils.delay(wait);
             attempt++;
@@ -172,7 +331,11 @@ export class HttpChecker {
           return this._rateLimitedResult(url, sourceUrl, response.status, responseTime, attempt + 1);
         }
 
-        noteSuccess(host);
+        await noteSuccess(host, gate);
+        const blockedBy = await this._botProtection(url, response);
+        if (blockedBy) {
+          return this._blockedByTargetResult(url, sourceUrl, response.status, responseTime, attempt + 1, blockedBy);
+        }
         const isWorking = this._isStatusCodeOk(response.status);
 
         return {
@@ -185,6 +348,7 @@ export class HttpChecker {
           statusCode: response.status, responseTime, isWorking,
           finalUrl: response.url,
           redirectCount: response.redirectCount,
+          redirectChain: response.redirects,
           headers: this._extractRelevantHeaders(response.headers),
           attempt: attempt + 1,
           timestamp: new Date().toISOString(),
@@ -204,6 +368,7 @@ export class HttpChecker {
             error_message: error.message,
             statusCode: null, responseTime, isWorking: false,
             errorType, errorMessage: error.message,
+            redirectChain: error.redirects || null,
             attempt: attempt + 1,
             timestamp: new Date().toISOString(),
           };
@@ -279,25 +444,26 @@ export class HttpChecker {
     }
 
     const host = hostOf(url);
-    if (isHostCircuitOpen(host)) {
+    const gate = await readHostGate(host);
+    if (gate.open) {
       return this._rateLimitedResult(url, null, null, Date.now() - startTime, 1, true);
     }
-    const gate = hostCooldownMs(host);
-    if (gate > 0) await batchUtils.delay(gate);
+    if (gate.waitMs > 0) await batchUtils.delay(gate.waitMs);
 
     try {
       const response = await safeFetch(url, { ...this.fetchOpts, method: 'HEAD', timeout: 5000, readBody: false });
       const responseTime = Date.now() - startTime;
 
       if (isRateLimitStatus(response.status, response.headers)) {
-        const wait = noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
+        const wait = await noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
         await batchUtils.delay(wait);
         const retry = await safeFetch(url, { ...this.fetchOpts, method: 'HEAD', timeout: 5000, readBody: false });
         if (isRateLimitStatus(retry.status, retry.headers)) {
-          noteRateLimit(host, parseRetryAfter(retry.headers.get('retry-after')));
+          await noteRateLimit(host, parseRetryAfter(retry.headers.get('retry-after')));
           return this._rateLimitedResult(url, null, retry.status, Date.now() - startTime, 2);
         }
-        noteSuccess(host);
+        // The hit above left state behind, whatever the gate saw
+        await noteSuccess(host, { throttled: true });
         return {
           url,
           http_status_code: retry.status,
@@ -307,11 +473,19 @@ export class HttpChecker {
           error_message: null,
           statusCode: retry.status,
           isWorking: this._isStatusCodeOk(retry.status),
+          finalUrl: retry.url,
+          redirectCount: retry.redirectCount,
+          redirectChain: retry.redirects,
+          headers: this._extractRelevantHeaders(retry.headers),
           method: 'HEAD',
         };
       }
 
-      noteSuccess(host);
+      await noteSuccess(host, gate);
+      const blockedBy = await this._botProtection(url, response);
+      if (blockedBy) {
+        return this._blockedByTargetResult(url, null, response.status, responseTime, 1, blockedBy);
+      }
       return {
         url,
         http_status_code: response.status,
@@ -321,6 +495,10 @@ export class HttpChecker {
         error_message: null,
         statusCode: response.status,
         isWorking: this._isStatusCodeOk(response.status),
+        finalUrl: response.url,
+        redirectCount: response.redirectCount,
+        redirectChain: response.redirects,
+        headers: this._extractRelevantHeaders(response.headers),
         method: 'HEAD',
       };
     } catch {
@@ -343,6 +521,9 @@ export class HttpChecker {
           error_message: null,
           statusCode: response.status,
           isWorking: this._isStatusCodeOk(response.status),
+          finalUrl: response.url,
+          redirectCount: response.redirectCount,
+          redirectChain: response.redirects,
           method: 'GET (partial)',
         };
       } catch (getError) {
@@ -357,6 +538,7 @@ export class HttpChecker {
           statusCode: null, isWorking: false,
           errorType: getError.code === 'SSRF_BLOCKED' ? 'security_blocked' : errorUtils.classifyError(null, getError),
           errorMessage: getError.message,
+          redirectChain: getError.redirects || null,
           method: 'HEAD/GET failed',
         };
       }
@@ -365,9 +547,19 @@ export class HttpChecker {
 
   /**
    * Check URL with optional SEO analysis for content pages.
+   *
+   * options.soft404  – the job's not-found fingerprint (lib/soft404); when set,
+   *                    the page body is fetched and a 200 that matches it is
+   *                    reported as broken with errorType 'soft_404'.
+   * options.keepBody – fetch the body and return a working page's HTML as
+   *                    result.body, for callers that extract links from it.
    */
   async checkUrlWithSEO(url, sourceUrl = null, options = {}) {
     const enableSEO = options.enableSEO || false;
+    const soft404 = options.soft404 || null;
+    const keepBody = options.keepBody || false;
+    // External pages are never downloaded, whatever the caller asked for
+    const wantsBody = (enableSEO || !!soft404 || keepBody) && options.isInternal !== false;
     const startTime = Date.now();
 
     const validation = securityUtils.isSafeUrl(url);
@@ -386,24 +578,18 @@ export class HttpChecker {
     const host = hostOf(url);
     let attempt = 0;
     while (attempt <= this.options.retryAttempts) {
-      if (isHostCircuitOpen(host)) {
+      const gate = await readHostGate(host);
+      if (gate.open) {
         return this._rateLimitedResult(url, sourceUrl, null, Date.now() - startTime, attempt + 1, true);
       }
-      const gate = hostCooldownMs(host);
-      if (gate > 0) await batchUtils.delay(gate);
+      if (gate.waitMs > 0) await batchUtils.delay(gate.waitMs);
 
       try {
-        const method = enableSEO ? 'GET' : 'HEAD';
-        const response = await safeFetch(url, {
-          ...this.fetchOpts,
-          method,
-          readBody: enableSEO,
-        });
-
+        const { response, bodyRead } = await this._plannedFetch(url, wantsBody);
         const responseTime = Date.now() - startTime;
 
         if (isRateLimitStatus(response.status, response.headers)) {
-          const wait = noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
+          const wait = await noteRateLimit(host, parseRetryAfter(response.headers.get('retry-after')));
           if (attempt < this.options.retryAttempts) {
             await batchUtils.delay(wait);
             attempt++;
@@ -412,7 +598,11 @@ export class HttpChecker {
           return this._rateLimitedResult(url, sourceUrl, response.status, responseTime, attempt + 1);
         }
 
-        noteSuccess(host);
+        await noteSuccess(host, gate);
+        const blockedBy = await this._botProtection(url, response, bodyRead ? await response.text() : null);
+        if (blockedBy) {
+          return this._blockedByTargetResult(url, sourceUrl, response.status, responseTime, attempt + 1, blockedBy);
+        }
         const isWorking = this._isStatusCodeOk(response.status);
 
         const result = {
@@ -425,37 +615,50 @@ export class HttpChecker {
           statusCode: response.status, responseTime, isWorking,
           finalUrl: response.url,
           redirectCount: response.redirectCount,
+          redirectChain: response.redirects,
           headers: this._extractRelevantHeaders(response.headers),
           attempt: attempt + 1,
           timestamp: new Date().toISOString(),
           seo_data: null,
         };
 
-        if (enableSEO && isWorking) {
-          const contentType = response.headers.get('content-type') || '';
-          if (contentType.includes('text/html')) {
-            try {
-              const html = await response.text();
-              const seoContext = {
-                headers: {
-                  'x-robots-tag': response.headers.get('x-robots-tag') || null,
-                  'last-modified': response.headers.get('last-modified') || null,
-                  // Security headers (G16) — presence rolled up into the Security cell
-                  'strict-transport-security':
-                    response.headers.get('strict-transport-security') || null,
-                  'content-security-policy':
-                    response.headers.get('content-security-policy') || null,
-                  'x-frame-options': response.headers.get('x-frame-options') || null,
-                  'x-content-type-options': response.headers.get('x-content-type-options') || null,
-                  'referrer-policy': response.headers.get('referrer-policy') || null,
-                  'permissions-policy': response.headers.get('permissions-policy') || null,
-                },
-                robotsTxt: options.robotsRules ? evaluateRobots(options.robotsRules, url) : null,
-              };
-              result.seo_data = seoDetector.analyzePage(html, url, response.status, responseTime, seoContext);
-            } catch (seoError) {
-              result.seo_data = { url, error: seoError.message, analyzedAt: new Date().toISOString() };
-            }
+        const html = bodyRead && isWorking ? await response.text() : null;
+
+        const soft404Match = html && response.status === 200 ? matchSoft404(soft404, html) : null;
+        if (soft404Match) {
+          const message = soft404Message(soft404Match);
+          Object.assign(result, {
+            is_working: false, isWorking: false,
+            error_message: message, errorMessage: message,
+            errorType: 'soft_404',
+          });
+        } else if (html) {
+          // Ids for fragment-link validation (lib/fragments)
+          result.anchorIds = anchorIdsOf(html);
+          if (keepBody) result.body = html;
+        }
+
+        if (enableSEO && html && !soft404Match) {
+          try {
+            const seoContext = {
+              headers: {
+                'x-robots-tag': response.headers.get('x-robots-tag') || null,
+                'last-modified': response.headers.get('last-modified') || null,
+                // Security headers (G16) — presence rolled up into the Security cell
+                'strict-transport-security':
+                  response.headers.get('strict-transport-security') || null,
+                'content-security-policy':
+                  response.headers.get('content-security-policy') || null,
+                'x-frame-options': response.headers.get('x-frame-options') || null,
+                'x-content-type-options': response.headers.get('x-content-type-options') || null,
+                'referrer-policy': response.headers.get('referrer-policy') || null,
+                'permissions-policy': response.headers.get('permissions-policy') || null,
+              },
+              robotsTxt: options.robotsRules ? evaluateRobots(options.robotsRules, url) : null,
+            };
+            result.seo_data = seoDetector.analyzePage(html, url, response.status, responseTime, seoContext);
+          } catch (seoError) {
+            result.seo_data = { url, error: seoError.message, analyzedAt: new Date().toISOString() };
           }
         }
 
@@ -475,6 +678,7 @@ export class HttpChecker {
             error_message: error.message,
             statusCode: null, responseTime, isWorking: false,
             errorType, errorMessage: error.message,
+            redirectChain: error.redirects || null,
             attempt: attempt + 1,
             timestamp: new Date().toISOString(),
             seo_data: null,
@@ -516,6 +720,10 @@ export class HttpChecker {
           const result = await this.checkUrlWithSEO(url, sourceUrl, {
             enableSEO: shouldAnalyzeSEO,
             robotsRules: options.robotsRules || null,
+            // Only the site's own pages can be its not-found template
+            soft404: urlData.isInternal ? options.soft404 : null,
+            keepBody: !!urlData.keepBody,
+            isInternal: urlData.isInternal,
           });
           results[index] = result;
           completedCount++;
@@ -544,7 +752,7 @@ export class HttpChecker {
       };
     });
 
-    await batchUtils.rateLimit(checkFunctions, this.options.maxConcurrent, enableSEO ? 300 : 200);
+    await batchUtils.rateLimit(checkFunctions, this.options.maxConcurrent, 200);
 
     const summary = this._generateSummary(results);
     if (enableSEO) {
@@ -581,6 +789,73 @@ export class HttpChecker {
     };
   }
 
+  // One check request, planned per target (see "Fetch planning" above).
+  // Resolves to { response, bodyRead }; bodyRead means response.text() holds
+  // the HTML.
+  async _plannedFetch(url, wantsBody) {
+    if (wantsBody && looksLikeHtmlPage(url)) {
+      const response = await safeFetch(url, {
+        ...this.fetchOpts,
+        method: 'GET',
+        readBody: isHtmlResponse,
+      });
+      return { response, bodyRead: isHtmlResponse(response.headers) };
+    }
+
+    try {
+      const response = await safeFetch(url, { ...this.fetchOpts, method: 'HEAD', readBody: false });
+      if (!HEAD_REJECTED_STATUSES.includes(response.status)) return { response, bodyRead: false };
+    } catch (error) {
+      // A malformed HEAD reply (bad Content-Length, reset stream) often works as GET
+      const errorType = errorUtils.classifyError(null, error);
+      if (error.code === 'SSRF_BLOCKED' || HEAD_FINAL_ERRORS.includes(errorType)) throw error;
+    }
+    const response = await safeFetch(url, { ...this.fetchOpts, method: 'GET', readBody: false });
+    return { response, bodyRead: false };
+  }
+
+  // Bot-protection vendor behind a refused response, or null. When the
+  // headers don't settle it and no body was read (HEAD, or a status-only
+  // GET), the page is fetched once more to fingerprint its body.
+  async _botProtection(url, response, body = null) {
+    const vendor = detectBotProtection(response.status, response.headers, body || '');
+    if (vendor || body != null || !CHALLENGE_STATUSES.includes(response.status)) return vendor;
+    try {
+      const page = await safeFetch(url, {
+        ...this.fetchOpts,
+        readBody: true,
+        maxBodyBytes: CHALLENGE_BODY_BYTES,
+      });
+      return detectBotProtection(page.status, page.headers, await page.text());
+    } catch {
+      // Too large for a challenge page, or the retry failed — keep the status
+      return null;
+    }
+  }
+
+  // Like a rate-limited URL, a bot-protection refusal is "undetermined": the
+  // target answered a challenge instead of the page. The blockedByTarget flag
+  // keeps it out of the broken-link findings and the Link Integrity score.
+  _blockedByTargetResult(url, sourceUrl, status, responseTime, attempt, vendor) {
+    return {
+      url, sourceUrl,
+      http_status_code: status,
+      response_time: responseTime,
+      checked_at: new Date().toISOString(),
+      is_working: false,
+      blockedByTarget: true,
+      blockedBy: vendor,
+      error_message: `Blocked by ${vendor} bot protection (HTTP ${status})`,
+      statusCode: status,
+      responseTime,
+      isWorking: false,
+      errorType: 'blocked_by_target',
+      attempt,
+      timestamp: new Date().toISOString(),
+      seo_data: null,
+    };
+  }
+
   _isStatusCodeOk(statusCode) {
     return statusCode >= 200 && statusCode < 400;
   }
@@ -596,7 +871,7 @@ export class HttpChecker {
   }
 
   _generateSummary(results) {
-    const summary = { total: results.length, working: 0, broken: 0, blocked: 0, rateLimited: 0, errors: {}, statusCodes: {}, averageResponseTime: 0, totalResponseTime: 0 };
+    const summary = { total: results.length, working: 0, broken: 0, blocked: 0, rateLimited: 0, blockedByTarget: 0, errors: {}, statusCodes: {}, averageResponseTime: 0, totalResponseTime: 0 };
     let totalTime = 0;
     let timeCount = 0;
 
@@ -606,6 +881,9 @@ export class HttpChecker {
       } else if (result.rateLimited) {
         // Undetermined, not broken — the host throttled us before answering.
         summary.rateLimited++;
+      } else if (result.blockedByTarget) {
+        // Undetermined too — bot protection answered instead of the page.
+        summary.blockedByTarget++;
       } else if (result.is_working) {
         summary.working++;
       } else {
@@ -0,0 +1,57 @@
+// src/lib/jobSettings.js - the settings a crawl job is created with
+//
+// Validated crawl settings (lib/validation) become the job's stored settings:
+// the core options always present, optional features and scope rules only
+// when set, so older jobs and defaults read the same. Shared by
+// /api/crawl/start and scheduled audits (lib/scheduledAudits).
+
+import { crawlProfileOf } from './crawlProfiles.js';
+
+const SCOPE_SETTING_KEYS = [
+  'maxPages',
+  'batchSize',
+  'includeSubdomains',
+  'pathPrefix',
+  'includePatterns',
+  'excludePatterns',
+];
+
+/**
+ * @param {object} settings validated crawl settings
+ * @param {object} [opts]
+ * @param {boolean} [opts.preAnalyzed]  the job starts from pre-analyzed URLs
+ * @param {string}  [opts.authType]     kind of site login, when the job has one
+ * @param {number}  [opts.crawlDelayMs] the site's robots.txt Crawl-delay
+ */
+export function buildJobSettings(
+  settings,
+  { preAnalyzed = false, authType = null, crawlDelayMs = null } = {}
+) {
+  const jobSettings = {
+    maxDepth: settings.maxDepth || 3,
+    includeExternal: settings.includeExternal || false,
+    timeout: settings.timeout || 10000,
+    usePreAnalyzedUrls: preAnalyzed,
+    crawlMode: settings.crawlMode || 'auto',
+    enableSEO: settings.enableSEO || false,
+    crawlProfile: crawlProfileOf(settings).id,
+  };
+  if (settings.customHeaders && Object.keys(settings.customHeaders).length) {
+    jobSettings.customHeaders = settings.customHeaders;
+  }
+  if (settings.renderJs) jobSettings.renderJs = true;
+  if (settings.parityAudit) jobSettings.parityAudit = true;
+  if (settings.checkAssets) jobSettings.checkAssets = true;
+  // Only the kind of login is recorded on the job; the secret goes to job_credentials
+  if (authType) jobSettings.authType = authType;
+  // Capped like Retry-After: a Crawl-delay of minutes would stall the job
+  if (crawlDelayMs) jobSettings.crawlDelayMs = Math.min(crawlDelayMs, 30_000);
+  if (jobSettings.crawlMode === 'sitemap' && settings.sitemapUrl) {
+    jobSettings.sitemapUrl = settings.sitemapUrl;
+  }
+  // Scope rules are only recorded when set, so older jobs and defaults read the same
+  for (const key of SCOPE_SETTING_KEYS) {
+    if (settings[key] !== undefined) jobSettings[key] = settings[key];
+  }
+  return jobSettings;
+}
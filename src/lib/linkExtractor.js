@@ -6,24 +6,89 @@
 import * as cheerio from 'cheerio';
 import { urlUtils, textUtils } from './utils.js';
 import { securityUtils } from './security.js'; // Import security
+import { anchorIdsOf, checkableFragment } from './fragments.js';
+
+// id/class names of comment threads, where links are user-generated
+const COMMENT_AREA = /(^|[\s_-])comments?([\s_-]|$)/i;
+// url(...) references in CSS
+const CSS_URL = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]+))\s*\)/gi;
+const FONT_EXTENSIONS = /\.(woff2?|ttf|otf|eot)(\?|$)/i;
+
+/**
+ * Candidate URLs of a srcset attribute ("a.jpg 1x, b.jpg 2x", or minified
+ * "a.jpg 1x,b.jpg 2x"), parsed as the HTML spec does: a URL runs to the next
+ * whitespace, and its descriptor to the next comma outside parentheses. A
+ * URL may itself hold commas (data: URLs); trailing ones end the candidate.
+ */
+function srcsetUrls(srcset) {
+  const urls = [];
+  let i = 0;
+  while (i < srcset.length) {
+    while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+    const start = i;
+    while (i < srcset.length && !/\s/.test(srcset[i])) i++;
+    let url = srcset.slice(start, i);
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      let depth = 0;
+      for (; i < srcset.length && (depth > 0 || srcset[i] !== ','); i++) {
+        if (srcset[i] === '(') depth++;
+        else if (srcset[i] === ')') depth = Math.max(0, depth - 1);
+      }
+    }
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+/** The asset type of a <link href> by its rel (extractAssets only). */
+function linkTagType(rel) {
+  const tokens = (rel || '').toLowerCase().split(/\s+/);
+  if (tokens.includes('stylesheet')) return 'stylesheet';
+  if (tokens.some((t) => t === 'icon' || t === 'apple-touch-icon' || t === 'mask-icon')) {
+    return 'icon';
+  }
+  if (tokens.includes('manifest')) return 'manifest';
+  return 'resource';
+}
 
 export class LinkExtractor {
   constructor(options = {}) {
     this.options = {
       includeExternal: false,
       maxLinksPerPage: 1000,
+      // rel=nofollow links are always extracted; this decides whether they
+      // are `followed` (and so crawlable) or only checked
       followNofollow: false,
+      // Also extract every asset a page references — srcset and <picture>
+      // sources, scripts, media, CSS url()s, icons — internal or external
+      extractAssets: false,
+      // Optional (url) => boolean overriding the same-host check, e.g. a crawl
+      // scope that treats subdomains of the start URL as internal.
+      isInternalUrl: null,
       ...options,
     };
   }
 
+  _isInternal(url, baseDomain) {
+    return this.options.isInternalUrl
+      ? this.options.isInternalUrl(url)
+      : urlUtils.isInternalUrl(url, baseDomain);
+  }
+
   /**
-   * Extracts all links from HTML content
+   * Extracts all links from HTML content.
+   *
+   * Link URLs are normalized without their #fragment; internal links that
+   * carry one are also returned as `fragmentLinks`, and the page's own ids as
+   * `anchorIds`, for fragment validation (lib/fragments).
    */
   extractLinks(html, baseUrl, currentDepth = 0) {
     try {
       const $ = cheerio.load(html);
       const links = [];
+      const fragmentLinks = [];
       const baseDomain = urlUtils.getDomain(baseUrl);
 
       // Find all anchor tags with href attributes
@@ -37,11 +102,6 @@ export class LinkExtractor {
 
         if (!href || href.trim() === '') return;
 
-        // Skip nofollow links if option is set
-        if (!this.options.followNofollow && $link.attr('rel')?.includes('nofollow')) {
-          return;
-        }
-
         // Resolve relative URLs
         const absoluteUrl = urlUtils.resolveUrl(href, baseUrl);
         if (!absoluteUrl) return;
@@ -60,19 +120,35 @@ export class LinkExtractor {
         }
 
         // Check if internal/external
-        const isInternal = urlUtils.isInternalUrl(normalizedUrl, baseDomain);
+        const isInternal = this._isInternal(normalizedUrl, baseDomain);
 
         // Skip external links if not included
         if (!isInternal && !this.options.includeExternal) return;
 
+        const linkText = textUtils.extractLinkText($link);
+        const fragment = isInternal ? checkableFragment(href) : null;
+        if (
+          fragment &&
+          !fragmentLinks.some((f) => f.targetUrl === normalizedUrl && f.fragment === fragment)
+        ) {
+          fragmentLinks.push({ sourceUrl: baseUrl, targetUrl: normalizedUrl, fragment, linkText });
+        }
+
+        const rel = ($link.attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const followed = this.options.followNofollow || !rel.includes('nofollow');
+
         // Extract link information
         const linkInfo = {
           url: normalizedUrl,
           sourceUrl: baseUrl,
-          linkText: textUtils.extractLinkText($link),
+          linkText,
           isInternal,
           depth: currentDepth + 1,
-          shouldCrawl: isInternal && urlUtils.shouldCrawlUrl(normalizedUrl),
+          shouldCrawl: isInternal && followed && urlUtils.shouldCrawlUrl(normalizedUrl),
+          rel,
+          target: $link.attr('target')?.trim() || null,
+          placement: this._placementOf($, $link),
+          followed,
           attributes: this._extractLinkAttributes($link),
         };
 
@@ -87,6 +163,8 @@ export class LinkExtractor {
 
       return {
         links: [...links, ...additionalLinks],
+        fragmentLinks,
+        anchorIds: anchorIdsOf(html),
         pageInfo: this._extractPageInfo($, baseUrl),
         stats: {
           totalAnchors: $('a[href]').length,
@@ -99,6 +177,8 @@ export class LinkExtractor {
       console.error('Error extracting links:', error);
       return {
         links: [],
+        fragmentLinks: [],
+        anchorIds: [],
         pageInfo: { title: 'Error parsing page', description: '' },
         stats: { totalAnchors: 0, internalLinks: 0, externalLinks: 0, crawlableLinks: 0 },
         error: error.message,
@@ -126,9 +206,9 @@ export class LinkExtractor {
           return; // Skip unsafe URLs
         }
 
-        const isInternal = urlUtils.isInternalUrl(absoluteUrl, baseDomain);
+        const isInternal = this._isInternal(absoluteUrl, baseDomain);
 
-        if (isInternal || this.options.includeExternal) {
+        if (isInternal || this.options.includeExternal || this.options.extractAssets) {
           additionalLinks.push({
             url: urlUtils.normalizeUrl(absoluteUrl),
             sourceUrl: baseUrl,
@@ -159,9 +239,9 @@ export class LinkExtractor {
           return; // Skip unsafe URLs
         }
 
-        const isInternal = urlUtils.isInternalUrl(absoluteUrl, baseDomain);
+        const isInternal = this._isInternal(absoluteUrl, baseDomain);
 
-        if (isInternal || this.options.includeExternal) {
+        if (isInternal || this.options.includeExternal || this.options.extractAssets) {
           additionalLinks.push({
             url: urlUtils.normalizeUrl(absoluteUrl),
             sourceUrl: baseUrl,
@@ -193,9 +273,9 @@ export class LinkExtractor {
           return; // Skip unsafe URLs
         }
 
-        const isInternal = urlUtils.isInternalUrl(absoluteUrl, baseDomain);
+        const isInternal = this._isInternal(absoluteUrl, baseDomain);
 
-        if (isInternal || this.options.includeExternal) {
+        if (isInternal || this.options.includeExternal || this.options.extractAssets) {
           additionalLinks.push({
             url: urlUtils.normalizeUrl(absoluteUrl),
             sourceUrl: baseUrl,
@@ -203,7 +283,7 @@ export class LinkExtractor {
             isInternal,
             depth: currentDepth + 1,
             shouldCrawl: false,
-            type: 'resource',
+            type: this.options.extractAssets ? linkTagType($(element).attr('rel')) : 'resource',
             attributes: {
               rel: $(element).attr('rel'),
               type: $(element).attr('type'),
@@ -213,9 +293,64 @@ export class LinkExtractor {
       }
     });
 
+    if (this.options.extractAssets) {
+      additionalLinks.push(...this._extractAssets($, baseUrl, currentDepth, additionalLinks));
+    }
+
     return additionalLinks;
   }
 
+  /**
+   * Assets beyond img/iframe/link tags, for asset checking: responsive image
+   * candidates, video posters, media sources, scripts, and url()s in style
+   * attributes and <style> blocks. One entry per URL per page.
+   */
+  _extractAssets($, baseUrl, currentDepth, alreadyFound) {
+    const baseDomain = urlUtils.getDomain(baseUrl);
+    const seen = new Set(alreadyFound.map((link) => link.url));
+    const assets = [];
+    const add = (ref, type, linkText) => {
+      const absoluteUrl = ref && urlUtils.resolveUrl(ref.trim(), baseUrl);
+      if (!absoluteUrl || !/^https?:/i.test(absoluteUrl)) return;
+      const url = urlUtils.normalizeUrl(absoluteUrl);
+      if (seen.has(url)) return;
+      seen.add(url);
+      const validation = securityUtils.isSafeUrl(url);
+      if (!validation.safe) {
+        console.log(`🚫 BLOCKED asset during extraction: ${url} - ${validation.reason}`);
+        return;
+      }
+      assets.push({
+        url,
+        sourceUrl: baseUrl,
+        linkText,
+        isInternal: this._isInternal(url, baseDomain),
+        depth: currentDepth + 1,
+        shouldCrawl: false,
+        type,
+      });
+    };
+    const addCssUrls = (css) => {
+      for (const match of css.matchAll(CSS_URL)) {
+        const ref = match[1] ?? match[2] ?? match[3];
+        add(ref, FONT_EXTENSIONS.test(ref) ? 'font' : 'image', 'CSS url()');
+      }
+    };
+
+    $('img[srcset], source[srcset]').each((_, el) => {
+      srcsetUrls($(el).attr('srcset')).forEach((ref) => add(ref, 'image', 'Responsive image'));
+    });
+    $('video[poster]').each((_, el) => add($(el).attr('poster'), 'image', 'Video poster'));
+    $('video[src], audio[src], source[src], track[src], embed[src]').each((_, el) => {
+      add($(el).attr('src'), 'media', `<${el.tagName}> source`);
+    });
+    $('script[src]').each((_, el) => add($(el).attr('src'), 'script', 'Script'));
+    $('[style*="url("]').each((_, el) => addCssUrls($(el).attr('style')));
+    $('style').each((_, el) => addCssUrls($(el).text()));
+
+    return assets;
+  }
+
   /**
    * Extracts metadata about the page
    */
@@ -241,6 +376,31 @@ export class LinkExtractor {
     };
   }
 
+  /**
+   * Page region an anchor sits in: 'comments', 'nav', 'header', 'footer',
+   * 'main', or null for none of them. The nearest landmark wins, so a menu
+   * inside the site header is 'nav'; a <header>/<footer> inside an article or
+   * section belongs to that content, not to the page, and is skipped.
+   */
+  _placementOf($, $link) {
+    for (const el of $link.parents().toArray()) {
+      const attribs = el.attribs || {};
+      const role = (attribs.role || '').toLowerCase();
+      if (COMMENT_AREA.test(`${attribs.id || ''} ${attribs.class || ''}`)) return 'comments';
+      if (el.tagName === 'nav' || role === 'navigation') return 'nav';
+      if (role === 'banner') return 'header';
+      if (role === 'contentinfo') return 'footer';
+      if (el.tagName === 'main' || role === 'main') return 'main';
+      if (
+        (el.tagName === 'header' || el.tagName === 'footer') &&
+        $(el).parents('article, aside, main, nav, section').length === 0
+      ) {
+        return el.tagName;
+      }
+    }
+    return null;
+  }
+
   /**
    * Extracts relevant attributes from link elements
    */
@@ -0,0 +1,197 @@
+// src/lib/linkGraph.js - internal link graph analytics
+//
+// The crawl records every internal <a href> it extracts as a link_edges row
+// (source page → target). Once the job completes, this module folds those
+// edges into per-page metrics and stores them in link_graph_pages:
+//   inlinks / outlinks – distinct linking pages / distinct pages linked to
+//   click depth        – fewest clicks from the start URL (BFS)
+//   importance         – PageRank over the internal graph, log-scaled 0–100
+//   anchors            – anchor-text distribution of the links pointing in
+// and flags the pages a visitor (or a search engine) will struggle to reach.
+
+import { query } from './pg.js';
+import { db } from './supabase.js';
+import { normalizeCompareUrl } from './seoDetector.js';
+import { urlUtils } from './utils.js';
+
+// ≥ N clicks from the start URL ⇒ buried.
+export const BURIED_DEPTH = 4;
+// ≤ N linking pages ⇒ under-linked.
+export const UNDER_LINKED_MAX = 1;
+
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+// Anchor texts kept per page.
+const MAX_ANCHORS = 5;
+// Rows per flagged list in the summary; the counts stay exact.
+const MAX_FLAGGED = 200;
+
+/**
+ * The internal <a href> edges out of one crawled page, ready for
+ * db.addLinkEdges(). Images, frames, <link> resources and self-links are not
+ * navigation and stay out of the graph.
+ */
+export function internalEdgesFrom(sourceUrl, links) {
+  const self = normalizeCompareUrl(sourceUrl);
+  return links
+    .filter((link) => link.isInternal && !link.type && normalizeCompareUrl(link.url) !== self)
+    .map((link) => ({ sourceUrl, targetUrl: link.url, anchorText: link.linkText || null }));
+}
+
+/**
+ * Pure graph pass: edges in, one metrics row per page out.
+ *
+ * @param {Array}  edges     link_edges rows ({ source_url, target_url, anchor_text })
+ * @param {string} startUrl  the job's start URL (click depth 0)
+ * @param {Map}    statuses  normalized url -> HTTP status from discovered_links
+ */
+export function analyzeLinkGraph(edges, startUrl, statuses = new Map()) {
+  const nodes = new Map(); // normalized url -> node
+  const nodeFor = (url) => {
+    const key = normalizeCompareUrl(url);
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, url, out: new Set(), in: new Set(), anchors: new Map() });
+    }
+    return nodes.get(key);
+  };
+
+  const start = nodeFor(startUrl);
+  for (const edge of edges) {
+    const source = nodeFor(edge.source_url);
+    const target = nodeFor(edge.target_url);
+    if (source === target || source.out.has(target.key)) continue;
+    source.out.add(target.key);
+    target.in.add(source.key);
+    const text = (edge.anchor_text || '').trim() || 'No text';
+    const anchorKey = text.toLowerCase();
+    const anchor = target.anchors.get(anchorKey) || { text, count: 0 };
+    anchor.count++;
+    target.anchors.set(anchorKey, anchor);
+  }
+
+  // Click depth: breadth-first from the start page along outgoing links
+  const depth = new Map([[start.key, 0]]);
+  const queue = [start.key];
+  for (let i = 0; i < queue.length; i++) {
+    const key = queue[i];
+    for (const next of nodes.get(key).out) {
+      if (!depth.has(next)) {
+        depth.set(next, depth.get(key) + 1);
+        queue.push(next);
+      }
+    }
+  }
+
+  // PageRank; rank from dangling pages (no outlinks) is spread evenly
+  const keys = [...nodes.keys()];
+  const n = keys.length;
+  let rank = new Map(keys.map((key) => [key, 1 / n]));
+  for (let i = 0; i < ITERATIONS; i++) {
+    let dangling = 0;
+    for (const key of keys) {
+      if (nodes.get(key).out.size === 0) dangling += rank.get(key);
+    }
+    const next = new Map(keys.map((key) => [key, (1 - DAMPING) / n + (DAMPING * dangling) / n]));
+    for (const key of keys) {
+      const node = nodes.get(key);
+      if (node.out.size === 0) continue;
+      const share = (DAMPING * rank.get(key)) / node.out.size;
+      for (const target of node.out) next.set(target, next.get(target) + share);
+    }
+    rank = next;
+  }
+  // rank × n is 1 for an average page; the log keeps a long tail readable
+  const maxScaled = Math.log1p(Math.max(...rank.values()) * n);
+
+  return keys.map((key) => {
+    const node = nodes.get(key);
+    const clickDepth = depth.has(key) ? depth.get(key) : null;
+    const status = statuses.get(key) ?? null;
+    const flags = [];
+    // Only live pages are judged — assets and broken targets have their own findings
+    if (status === 200 && urlUtils.shouldCrawlUrl(node.url) && node !== start) {
+      if (clickDepth === null) flags.push('unreachable');
+      else if (clickDepth >= BURIED_DEPTH) flags.push('buried');
+      if (node.in.size <= UNDER_LINKED_MAX) flags.push('under_linked');
+    }
+    return {
+      url: node.url,
+      status,
+      inlinks: node.in.size,
+      outlinks: node.out.size,
+      clickDepth,
+      importance:
+        maxScaled > 0 ? Math.round((1000 * Math.log1p(rank.get(key) * n)) / maxScaled) / 10 : 0,
+      anchors: [...node.anchors.values()].sort((a, b) => b.count - a.count).slice(0, MAX_ANCHORS),
+      flags,
+    };
+  });
+}
+
+/**
+ * Compute and store the link graph for a finished job (a crawl_jobs row).
+ * Returns the number of pages analyzed — 0 when the crawl mode extracts no
+ * links (e.g. discovered-links mode checks a fixed URL list).
+ */
+export async function computeLinkGraph(job) {
+  const edges = await db.getLinkEdges(job.id);
+  if (edges.length === 0) {
+    // Still stamped, so the report doesn't retry an analysis with nothing to analyse
+    await db.saveLinkGraphPages(job.id, []);
+    return 0;
+  }
+
+  const { rows } = await query(
+    'SELECT url, http_status_code FROM discovered_links WHERE job_id = $1 AND is_internal = true',
+    [job.id]
+  );
+  const statuses = new Map(rows.map((row) => [normalizeCompareUrl(row.url), row.http_status_code]));
+
+  const pages = analyzeLinkGraph(edges, job.url, statuses);
+  await db.saveLinkGraphPages(job.id, pages);
+  return pages.length;
+}
+
+/**
+ * Report-ready rollup of stored link_graph_pages rows (camelCased): counts,
+ * the click-depth distribution of live pages and the flagged lists.
+ */
+export function summarizeLinkGraph(pages) {
+  const live = pages.filter((p) => p.status === 200);
+  const byDepth = new Map();
+  for (const page of live) {
+    const key = page.clickDepth ?? 'unreachable';
+    byDepth.set(key, (byDepth.get(key) || 0) + 1);
+  }
+  const depthRank = (depth) => (depth === 'unreachable' ? Infinity : depth);
+  const flagged = (flag) => pages.filter((p) => p.flags.includes(flag));
+  const buried = [...flagged('buried'), ...flagged('unreachable')].sort(
+    (a, b) => (b.clickDepth ?? Infinity) - (a.clickDepth ?? Infinity) || a.url.localeCompare(b.url)
+  );
+  const underLinked = flagged('under_linked').sort(
+    (a, b) => a.inlinks - b.inlinks || a.importance - b.importance
+  );
+
+  return {
+    summary: {
+      pages: pages.length,
+      livePages: live.length,
+      links: pages.reduce((sum, p) => sum + p.outlinks, 0),
+      avgInlinks: live.length
+        ? Math.round((10 * live.reduce((sum, p) => sum + p.inlinks, 0)) / live.length) / 10
+        : 0,
+      maxDepth: Math.max(0, ...live.map((p) => p.clickDepth ?? 0)),
+      // Numeric depths in order, then the unreachable bucket last
+      depthDistribution: [...byDepth.entries()]
+        .map(([depth, count]) => ({ depth, count }))
+        .sort((a, b) => depthRank(a.depth) - depthRank(b.depth)),
+      buried: buried.length,
+      underLinked: underLinked.length,
+      buriedDepth: BURIED_DEPTH,
+      underLinkedMax: UNDER_LINKED_MAX,
+    },
+    topPages: live.slice().sort((a, b) => b.importance - a.importance).slice(0, 20),
+    buried: buried.slice(0, MAX_FLAGGED),
+    underLinked: underLinked.slice(0, MAX_FLAGGED),
+  };
+}
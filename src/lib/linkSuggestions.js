@@ -0,0 +1,188 @@
+// src/lib/linkSuggestions.js - "did you mean" replacements for dead internal links
+//
+// After the crawl, each internal URL that answered 404/410 is fuzzy-matched
+// against the URLs the same job knows to be live: pages that answered 200,
+// sitemap entries, and redirect targets observed elsewhere in the crawl. The
+// best few matches are stored on the dead URL's discovered_links row.
+
+import { query } from './pg.js';
+import { db } from './supabase.js';
+import { normalizeCompareUrl } from './seoDetector.js';
+import { urlUtils } from './utils.js';
+
+const DEAD_STATUSES = [404, 410];
+// Below this a match is more likely noise than a moved page.
+const MIN_SCORE = 0.5;
+const MAX_SUGGESTIONS = 3;
+// A redirect whose source looks like the dead URL is near-certain evidence.
+const REDIRECT_SCORE = 0.95;
+
+function pathTokens(url) {
+  try {
+    const { pathname } = new URL(url);
+    return decodeURIComponent(pathname)
+      .toLowerCase()
+      .replace(/\.(html?|php|aspx?)$/, '')
+      .split(/[/\-_.]+/)
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function lastSlug(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return decodeURIComponent(segments[segments.length - 1] || '')
+      .toLowerCase()
+      .replace(/\.(html?|php|aspx?)$/, '');
+  } catch {
+    return '';
+  }
+}
+
+function firstSegment(url) {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean)[0] || '';
+  } catch {
+    return '';
+  }
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice over character bigrams — tolerant of typos and small renames.
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, count] of a) {
+    overlap += Math.min(count, b.get(gram) || 0);
+    total += count;
+  }
+  for (const count of b.values()) total += count;
+  return (2 * overlap) / total;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const token of a) if (b.has(token)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function profile(url) {
+  return {
+    url,
+    key: normalizeCompareUrl(url),
+    slug: bigrams(lastSlug(url)),
+    tokens: new Set(pathTokens(url)),
+    section: firstSegment(url),
+  };
+}
+
+function similarity(dead, candidate) {
+  const score = 0.6 * dice(dead.slug, candidate.slug) + 0.4 * jaccard(dead.tokens, candidate.tokens);
+  // Same top-level section (/blog/…, /docs/…) breaks ties between similar slugs
+  return dead.section && dead.section === candidate.section ? Math.min(1, score + 0.1) : score;
+}
+
+/**
+ * Rank replacement candidates for one dead URL. Pure.
+ *
+ * @param {string} deadUrl
+ * @param {Array}  candidates profile() of each live URL
+ * @param {Array}  redirects  [{ from: profile, to: url }] observed in the crawl
+ * @returns {Array} [{ url, score, reason }] best first; reason is
+ *                  'redirect' | 'slug' | 'path', score is 0–1
+ */
+export function rankReplacements(deadUrl, candidates, redirects = []) {
+  const dead = profile(deadUrl);
+  const best = new Map(); // normalized url -> suggestion
+
+  const offer = (url, score, reason) => {
+    const key = normalizeCompareUrl(url);
+    if (key === dead.key || score < MIN_SCORE) return;
+    const current = best.get(key);
+    if (!current || current.score < score) {
+      best.set(key, { url, score: Math.round(score * 100) / 100, reason });
+    }
+  };
+
+  for (const redirect of redirects) {
+    if (redirect.from.key === dead.key || dice(dead.slug, redirect.from.slug) >= 0.8) {
+      offer(redirect.to, REDIRECT_SCORE, 'redirect');
+    }
+  }
+  for (const candidate of candidates) {
+    const slugScore = dice(dead.slug, candidate.slug);
+    const score = similarity(dead, candidate);
+    offer(candidate.url, score, slugScore >= jaccard(dead.tokens, candidate.tokens) ? 'slug' : 'path');
+  }
+
+  return [...best.values()].sort((a, b) => b.score - a.score).slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Compute and store suggestions for every dead internal URL of a finished
+ * job (a crawl_jobs row). Returns the number of dead URLs that got at least
+ * one suggestion.
+ */
+export async function computeLinkSuggestions(job) {
+  const [{ rows: links }, { rows: sitemapRows }] = await Promise.all([
+    query(
+      `SELECT url, http_status_code, final_url
+       FROM discovered_links
+       WHERE job_id = $1 AND is_internal = true AND status = 'checked'`,
+      [job.id]
+    ),
+    query(
+      `SELECT url, http_status_code, final_url, redirect_count
+       FROM sitemap_entries WHERE job_id = $1`,
+      [job.id]
+    ),
+  ]);
+
+  const dead = links.filter((link) => DEAD_STATUSES.includes(link.http_status_code));
+  if (dead.length === 0) return 0;
+
+  const candidates = new Map(); // normalized url -> profile
+  const addCandidate = (url) => {
+    if (!url || !urlUtils.shouldCrawlUrl(url)) return;
+    const key = normalizeCompareUrl(url);
+    if (!candidates.has(key)) candidates.set(key, profile(url));
+  };
+  const redirects = [];
+
+  for (const link of links) {
+    if (link.http_status_code !== 200) continue;
+    addCandidate(link.final_url || link.url);
+    if (link.final_url && normalizeCompareUrl(link.final_url) !== normalizeCompareUrl(link.url)) {
+      redirects.push({ from: profile(link.url), to: link.final_url });
+    }
+  }
+  for (const entry of sitemapRows) {
+    if (entry.http_status_code != null && entry.http_status_code !== 200) continue;
+    addCandidate(entry.final_url || entry.url);
+    if (entry.redirect_count > 0 && entry.final_url) {
+      redirects.push({ from: profile(entry.url), to: entry.final_url });
+    }
+  }
+  // Sitemap URLs no crawled page linked to never made it into discovered_links
+  for (const orphan of job.sitemap_coverage?.orphans || []) addCandidate(orphan.url);
+
+  const pool = [...candidates.values()];
+  const rows = dead
+    .map((link) => ({ url: link.url, suggestions: rankReplacements(link.url, pool, redirects) }))
+    .filter((row) => row.suggestions.length > 0);
+
+  await db.saveLinkSuggestions(job.id, rows);
+  return rows.length;
+}
@@ -0,0 +1,217 @@
+// src/lib/parityAudit.js - mobile vs desktop parity for content pages
+//
+// Google indexes the mobile version of a page, so anything a site serves to
+// desktop but not to phones — a shorter title, a dropped canonical, a
+// stripped-down menu, missing JSON-LD — is invisible to search. With
+// settings.parityAudit, once the crawl completes each working content page is
+// fetched twice, as Googlebot smartphone and as desktop Chrome
+// (lib/crawlProfiles), both responses go through seoDetector.analyzePage, and
+// the two analyses are compared field by field. Results land in page_parity;
+// pages where the mobile version loses something are flagged drops_content.
+
+import { query } from './pg.js';
+import { db } from './supabase.js';
+import { seoDetector, normalizeCompareUrl } from './seoDetector.js';
+import { LinkExtractor } from './linkExtractor.js';
+import { safeFetch } from './safeFetch.js';
+import { crawlHeaders } from './crawlProfiles.js';
+import { createCrawlScope } from './crawler/scope.js';
+import { createJobScheduler } from './hostScheduler.js';
+
+// Pages fetched per job (twice each); shallowest first.
+export const MAX_PARITY_PAGES = 50;
+// Mobile internal links below this share of desktop's, and at least
+// LINK_DROP_MIN fewer, count as dropped navigation.
+const LINK_RATIO = 0.9;
+const LINK_DROP_MIN = 3;
+// Mobile word count below this share of desktop's counts as dropped content.
+const WORD_RATIO = 0.8;
+// Each page is fetched as these, in this order
+const PARITY_PROFILES = ['googlebot_smartphone', 'desktop'];
+
+/**
+ * The parts of an analyzePage() result that parity compares, plus the page's
+ * internal link count and where the request ended up.
+ */
+export function paritySnapshot(seoData, { finalUrl, internalLinks }) {
+  return {
+    finalUrl,
+    title: seoData.title?.text || '',
+    description: seoData.metaDescription?.text || '',
+    canonical: seoData.canonicalUrl || null,
+    noindex: !!seoData.signals?.robots?.noindex,
+    nofollow: !!seoData.signals?.robots?.nofollow,
+    h1: seoData.headings?.h1Count ?? 0,
+    h2: seoData.headings?.h2Count ?? 0,
+    h3: seoData.headings?.h3Count ?? 0,
+    headings: seoData.signals?.headings?.totalHeadings ?? 0,
+    internalLinks,
+    structuredDataTypes: seoData.signals?.structuredData?.types || [],
+    wordCount: seoData.wordCount ?? 0,
+  };
+}
+
+/**
+ * Mobile-vs-desktop differences for one page. Pure.
+ *
+ * Each difference is { field, kind, mobile, desktop } where kind is
+ *   missing   – desktop has it, mobile doesn't
+ *   fewer     – mobile has less of it
+ *   different – both have it, with different values
+ *   added     – mobile has something desktop doesn't
+ * and dropsContent is true when any difference is missing or fewer, or
+ * mobile adds a noindex.
+ */
+export function compareParity(mobile, desktop) {
+  const differences = [];
+  const add = (field, kind) =>
+    differences.push({ field, kind, mobile: mobile[field], desktop: desktop[field] });
+
+  const comparable = (snapshot, field) => {
+    const value = snapshot[field];
+    return field === 'canonical' && value ? normalizeCompareUrl(value) : value;
+  };
+  for (const field of ['title', 'description', 'canonical']) {
+    const m = comparable(mobile, field);
+    const d = comparable(desktop, field);
+    if (d && !m) add(field, 'missing');
+    else if (m && !d) add(field, 'added');
+    else if (m !== d) add(field, 'different');
+  }
+
+  // Directives mobile lifts hide nothing; only ones it adds are reported
+  if (mobile.noindex && !desktop.noindex) add('noindex', 'added');
+  if (mobile.nofollow && !desktop.nofollow) add('nofollow', 'added');
+
+  const headingDiffs = differences.length;
+  for (const field of ['h1', 'h2', 'h3']) {
+    if (desktop[field] > 0 && mobile[field] === 0) add(field, 'missing');
+    else if (mobile[field] < desktop[field]) add(field, 'fewer');
+  }
+  // h4–h6 only show up in the total
+  if (differences.length === headingDiffs && mobile.headings < desktop.headings) {
+    add('headings', 'fewer');
+  }
+
+  if (
+    mobile.internalLinks < desktop.internalLinks * LINK_RATIO &&
+    desktop.internalLinks - mobile.internalLinks >= LINK_DROP_MIN
+  ) {
+    add('internalLinks', 'fewer');
+  }
+
+  const mobileTypes = new Set(mobile.structuredDataTypes);
+  const missingTypes = desktop.structuredDataTypes.filter((type) => !mobileTypes.has(type));
+  if (missingTypes.length > 0) {
+    differences.push({
+      field: 'structuredDataTypes',
+      kind: 'missing',
+      mobile: mobile.structuredDataTypes,
+      desktop: missingTypes,
+    });
+  }
+
+  if (desktop.wordCount > 0 && mobile.wordCount < desktop.wordCount * WORD_RATIO) {
+    add('wordCount', 'fewer');
+  }
+
+  // A mobile noindex drops the whole page
+  const dropsContent =
+    differences.some((diff) => diff.kind === 'missing' || diff.kind === 'fewer') ||
+    (mobile.noindex && !desktop.noindex);
+  return { differences, dropsContent };
+}
+
+// The job's custom headers, minus any User-Agent: the comparison is only as
+// good as each fetch identifying as its own profile
+function parityHeaders(settings, crawlProfile) {
+  const customHeaders = Object.fromEntries(
+    Object.entries(settings.customHeaders || {}).filter(
+      ([name]) => name.toLowerCase() !== 'user-agent'
+    )
+  );
+  return crawlHeaders({ ...settings, crawlProfile, customHeaders });
+}
+
+async function fetchSnapshot(url, settings, crawlProfile, linkExtractor) {
+  const response = await safeFetch(url, {
+    timeout: settings.timeout || 10000,
+    headers: parityHeaders(settings, crawlProfile),
+    readBody: (headers) => (headers.get('content-type') || '').includes('html'),
+    auth: settings.auth,
+  });
+  const html = await response.text();
+  if (response.status >= 400 || !html) {
+    throw new Error(`${crawlProfile} fetch returned ${response.status}`);
+  }
+  const seoData = seoDetector.analyzePage(html, url, response.status, 0, {
+    headers: { 'x-robots-tag': response.headers.get('x-robots-tag') || null },
+  });
+  if (!seoData || seoData.error) {
+    throw new Error(seoData?.error || `${crawlProfile} response is not an HTML page`);
+  }
+  // Distinct internal <a href> targets — what mobile navigation can lose
+  const { links } = linkExtractor.extractLinks(html, response.url);
+  const internal = new Set(
+    links.filter((link) => link.isInternal && !link.type).map((link) => link.url)
+  );
+  return paritySnapshot(seoData, { finalUrl: response.url, internalLinks: internal.size });
+}
+
+/**
+ * Fetch a completed job's content pages as mobile and desktop, compare them
+ * and store the results. Returns { pages, dropping }.
+ *
+ * settings is the worker's in-memory copy, so a job's credentials
+ * (settings.auth) apply to both fetches. opts.scheduler is the crawl's own
+ * (lib/hostScheduler), so the fetches keep to the pace the crawl left off at.
+ */
+export async function computeParity(
+  job,
+  settings,
+  { scheduler = createJobScheduler(job.url, settings) } = {}
+) {
+  const { rows } = await query(
+    `SELECT url FROM discovered_links
+     WHERE job_id = $1 AND is_internal = true AND http_status_code = 200
+     ORDER BY depth, url
+     LIMIT $2`,
+    [job.id, MAX_PARITY_PAGES * 4]
+  );
+  const urls = rows
+    .map((row) => row.url)
+    .filter((url) => seoDetector.isContentPage(url))
+    .slice(0, MAX_PARITY_PAGES);
+  if (urls.length === 0) return { pages: 0, dropping: 0 };
+
+  const linkExtractor = new LinkExtractor({
+    maxLinksPerPage: 2000,
+    isInternalUrl: createCrawlScope(job.url, settings).isInternal,
+  });
+
+  const fetches = urls.flatMap((url) =>
+    PARITY_PROFILES.map((crawlProfile) => ({ url, crawlProfile }))
+  );
+  const fetched = await scheduler.run(fetches, async ({ url, crawlProfile }) => {
+    try {
+      return { snapshot: await fetchSnapshot(url, settings, crawlProfile, linkExtractor) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  const results = urls.map((url, i) => {
+    const [mobile, desktop] = fetched.slice(i * PARITY_PROFILES.length);
+    const error = mobile.error || desktop.error;
+    if (error) return { url, error };
+    return {
+      url,
+      mobile: mobile.snapshot,
+      desktop: desktop.snapshot,
+      ...compareParity(mobile.snapshot, desktop.snapshot),
+    };
+  });
+
+  await db.savePageParity(job.id, results);
+  return { pages: results.length, dropping: results.filter((r) => r.dropsContent).length };
+}
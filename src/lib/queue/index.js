@@ -19,12 +19,97 @@ export function getCrawlQueue() {
 /**
  * Enqueue a crawl job. The DB row must already exist with status='queued'.
  * Returns the BullMQ Job object.
+ *
+ * opts.resume – continue from the job's checkpoint instead of starting over.
+ * The original BullMQ job may still be retained (removeOnFail keeps it a day),
+ * and BullMQ silently drops adds that reuse an id, so resumes get their own.
  */
-export async function enqueueCrawl(jobId, crawlType, url, preAnalyzedUrls, settings) {
+export async function enqueueCrawl(
+  jobId,
+  crawlType,
+  url,
+  preAnalyzedUrls,
+  settings,
+  { resume = false } = {}
+) {
   const queue = getCrawlQueue();
   return queue.add(
     'crawl',
-    { jobId, crawlType, url, preAnalyzedUrls, settings },
-    { jobId }
+    { jobId, crawlType, url, preAnalyzedUrls, settings, resume },
+    { jobId: resume ? `${jobId}-resume-${Date.now()}` : jobId }
   );
 }
+
+// Job name of the runs a schedule fires; the worker turns each into a crawl.
+export const SCHEDULED_AUDIT_JOB = 'scheduled-audit';
+
+const schedulerId = (scheduleId) => `schedule-${scheduleId}`;
+
+/**
+ * Register (or re-register, after an edit) a schedule as a BullMQ job
+ * scheduler firing on its cron pattern in its time zone. Idempotent.
+ */
+export async function registerSchedule(schedule) {
+  const queue = getCrawlQueue();
+  return queue.upsertJobScheduler(
+    schedulerId(schedule.id),
+    { pattern: schedule.cron, tz: schedule.timezone },
+    { name: SCHEDULED_AUDIT_JOB, data: { scheduleId: schedule.id } }
+  );
+}
+
+/** Stop a schedule firing (paused or deleted). Resolves false if it wasn't registered. */
+export async function unregisterSchedule(scheduleId) {
+  return getCrawlQueue().removeJobScheduler(schedulerId(scheduleId));
+}
+
+/** When a registered schedule fires next (epoch ms), or null. */
+export async function nextScheduledRun(scheduleId) {
+  const scheduler = await getCrawlQueue().getJobScheduler(schedulerId(scheduleId));
+  return scheduler?.next ?? null;
+}
+
+/**
+ * Make BullMQ's schedulers match the active schedules in Postgres — after a
+ * Redis flush, or a schedule deleted while its site was. Returns the counts.
+ */
+export async function syncSchedules(activeSchedules) {
+  const queue = getCrawlQueue();
+  const wanted = new Set(activeSchedules.map((schedule) => schedulerId(schedule.id)));
+  let removed = 0;
+  for (const scheduler of await queue.getJobSchedulers(0, -1)) {
+    if (scheduler.key.startsWith('schedule-') && !wanted.has(scheduler.key)) {
+      await queue.removeJobScheduler(scheduler.key);
+      removed++;
+    }
+  }
+  for (const schedule of activeSchedules) await registerSchedule(schedule);
+  return { registered: activeSchedules.length, removed };
+}
+
+// Outgoing webhook deliveries (src/lib/webhooks.js) run on their own queue, so
+// a slow receiver never holds up a crawl. A failed attempt is retried with
+// exponential backoff: 30s, 1m, 2m, 4m, 8m, 16m.
+export const WEBHOOK_DELIVERY_JOB = 'webhook-delivery';
+const WEBHOOK_ATTEMPTS = 7;
+
+let _webhookQueue = null;
+
+export function getWebhookQueue() {
+  if (_webhookQueue) return _webhookQueue;
+  _webhookQueue = new Queue('webhooks', {
+    connection: getRedisConnection(),
+    defaultJobOptions: {
+      attempts: WEBHOOK_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 30_000 },
+      removeOnComplete: { age: 3600 },
+      removeOnFail: { age: 86400 },
+    },
+  });
+  return _webhookQueue;
+}
+
+/** Queue a webhook_deliveries row for sending. The row must already exist. */
+export async function enqueueWebhookDelivery(deliveryId) {
+  return getWebhookQueue().add(WEBHOOK_DELIVERY_JOB, { deliveryId }, { jobId: deliveryId });
+}
@@ -0,0 +1,120 @@
+// src/lib/redirectAudit.js - redirect chain and loop auditing
+//
+// safeFetch records every 3xx hop it follows (status, Location, timing) and
+// the link check stores them on discovered_links.redirect_chain. This module
+// turns those chains into findings, each with the pages whose links to fix:
+//   loop          – the chain comes back to a URL it already visited
+//   chain         – more than one hop before the final response
+//   temporary     – a site-owned 302/303/307 that should be a permanent 301/308
+//   downgrade     – a hop from HTTPS to HTTP
+//   internal_link – an internal link that points at a redirecting URL
+
+import { query } from './pg.js';
+import { urlUtils } from './utils.js';
+
+const TEMPORARY_STATUSES = [302, 303, 307];
+const LOOP_ERRORS = ['redirect_loop', 'too_many_redirects'];
+// Rows in the report; the counts stay exact.
+const MAX_ROWS = 500;
+// Source pages listed per redirecting URL.
+const MAX_SOURCES = 20;
+
+/**
+ * Issue keys for one redirected link. Pure.
+ *
+ * @param {Array}  chain   [{ url, status, location, ms }] as recorded by safeFetch
+ * @param {object} link    { isInternal, errorType }
+ * @param {string} siteUrl the job's start URL, for "site-owned" hops
+ */
+export function redirectIssues(chain, { isInternal, errorType }, siteUrl) {
+  const issues = [];
+  if (LOOP_ERRORS.includes(errorType)) issues.push('loop');
+  if (chain.length > 1) issues.push('chain');
+  if (
+    chain.some(
+      (hop) => TEMPORARY_STATUSES.includes(hop.status) && urlUtils.isInternalUrl(hop.url, siteUrl)
+    )
+  ) {
+    issues.push('temporary');
+  }
+  if (chain.some((hop) => hop.url.startsWith('https:') && hop.location.startsWith('http:'))) {
+    issues.push('downgrade');
+  }
+  if (isInternal) issues.push('internal_link');
+  return issues;
+}
+
+/**
+ * Redirect report for a job: every checked URL whose redirect needs a fix,
+ * with its hops, issues and linking pages, plus per-issue counts.
+ */
+export async function auditRedirects(job) {
+  const { rows } = await query(
+    `SELECT dl.url, dl.source_url, dl.is_internal, dl.http_status_code, dl.final_url,
+            dl.redirect_chain, bl.error_type
+     FROM discovered_links dl
+     LEFT JOIN broken_links bl ON bl.job_id = dl.job_id AND bl.url = dl.url
+     WHERE dl.job_id = $1 AND jsonb_array_length(dl.redirect_chain) > 0
+     ORDER BY dl.url`,
+    [job.id]
+  );
+
+  // discovered_links keeps only the first linking page; link_edges has them all
+  const { rows: edges } = rows.length
+    ? await query(
+        `SELECT target_url, source_url FROM link_edges
+         WHERE job_id = $1 AND target_url = ANY($2::text[])`,
+        [job.id, rows.map((row) => row.url)]
+      )
+    : { rows: [] };
+  const sourcesByTarget = new Map();
+  for (const edge of edges) {
+    if (!sourcesByTarget.has(edge.target_url)) sourcesByTarget.set(edge.target_url, new Set());
+    sourcesByTarget.get(edge.target_url).add(edge.source_url);
+  }
+
+  const counts = { loop: 0, chain: 0, temporary: 0, downgrade: 0, internal_link: 0 };
+  const redirects = rows.map((row) => {
+    const chain = row.redirect_chain;
+    const issues = redirectIssues(
+      chain,
+      { isInternal: row.is_internal, errorType: row.error_type },
+      job.url
+    );
+    for (const issue of issues) counts[issue]++;
+    const sources = new Set(sourcesByTarget.get(row.url));
+    if (row.source_url) sources.add(row.source_url);
+    return {
+      url: row.url,
+      isInternal: row.is_internal,
+      finalUrl: issues.includes('loop') ? null : row.final_url || chain[chain.length - 1].location,
+      finalStatus: row.http_status_code,
+      hops: chain,
+      totalMs: chain.reduce((sum, hop) => sum + (hop.ms || 0), 0),
+      issues,
+      sourceCount: sources.size,
+      sources: [...sources].slice(0, MAX_SOURCES),
+    };
+  });
+
+  // A single permanent hop on an external link is nothing to fix
+  const flagged = redirects.filter((r) => r.issues.length > 0);
+  // Loops first, then the longest chains, then the most-linked
+  flagged.sort(
+    (a, b) =>
+      Number(b.issues.includes('loop')) - Number(a.issues.includes('loop')) ||
+      b.hops.length - a.hops.length ||
+      b.sourceCount - a.sourceCount
+  );
+
+  return {
+    summary: {
+      redirected: redirects.length,
+      internal: redirects.filter((r) => r.isInternal).length,
+      maxHops: Math.max(0, ...redirects.map((r) => r.hops.length)),
+      flagged: flagged.length,
+      counts,
+    },
+    redirects: flagged.slice(0, MAX_ROWS),
+  };
+}
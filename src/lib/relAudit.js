@@ -0,0 +1,147 @@
+// src/lib/relAudit.js - rel / target attribute auditing
+//
+// The crawl stores each link's rel tokens, target and page region (nav,
+// header, footer, main, comments) on discovered_links, from the <a> it was
+// first found in. This module turns those into findings:
+//   internal_nofollow – an internal link marked nofollow: the site withholds
+//                       its own link equity from its own page
+//   missing_sponsored – an external link to an affiliate / tracking URL
+//                       without rel="sponsored"
+//   missing_ugc       – an external link in a comment thread without rel="ugc"
+//   unsafe_blank      – target="_blank" without rel="noopener" (or
+//                       "noreferrer", which implies it)
+
+import { query } from './pg.js';
+
+// Rows in the report; the counts stay exact.
+const MAX_ROWS = 500;
+
+// Affiliate networks and link shorteners they run on
+const AFFILIATE_HOSTS = [
+  'amzn.to',
+  'shareasale.com',
+  'awin1.com',
+  'linksynergy.com',
+  'anrdoezrs.net',
+  'dpbolvw.net',
+  'jdoqocy.com',
+  'kqzyfj.com',
+  'tkqlhce.com',
+  'skimresources.com',
+  'prf.hn',
+  'pntra.com',
+  'sjv.io',
+  'rstyle.me',
+  'clickbank.net',
+  'avantlink.com',
+  'go2cloud.org',
+];
+const AFFILIATE_PARAMS = [
+  'aff',
+  'aff_id',
+  'affid',
+  'affiliate',
+  'affiliate_id',
+  'ref_id',
+  'irclickid',
+];
+
+/** Whether an external URL looks like a paid / affiliate link. Pure. */
+export function looksSponsored(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (AFFILIATE_HOSTS.some((h) => host === h || host.endsWith(`.${h}`))) return true;
+  // Amazon's associate tag rides on ordinary product URLs
+  if (/(^|\.)amazon\.[a-z.]+$/.test(host) && parsed.searchParams.has('tag')) return true;
+  if (/affiliate|sponsor|paid/i.test(parsed.searchParams.get('utm_medium') || '')) return true;
+  return AFFILIATE_PARAMS.some((param) => parsed.searchParams.has(param));
+}
+
+/**
+ * Issue keys for one link. Pure.
+ *
+ * @param {object} link { url, isInternal, rel: string[], target, placement }
+ */
+export function relIssues({ url, isInternal, rel, target, placement }) {
+  const issues = [];
+  if (isInternal && rel.includes('nofollow')) issues.push('internal_nofollow');
+  if (!isInternal && !rel.includes('sponsored') && looksSponsored(url)) {
+    issues.push('missing_sponsored');
+  }
+  if (!isInternal && placement === 'comments' && !rel.includes('ugc')) issues.push('missing_ugc');
+  if (
+    (target || '').toLowerCase() === '_blank' &&
+    !rel.includes('noopener') &&
+    !rel.includes('noreferrer')
+  ) {
+    issues.push('unsafe_blank');
+  }
+  return issues;
+}
+
+/**
+ * rel report for a job: counts of how the crawl's links are marked up, plus
+ * every link with a finding and the page it was found on. `annotated` counts
+ * the links that carry any attribute at all — links from the pre-analysis
+ * step (and jobs crawled before these columns) have none.
+ */
+export async function auditRel(job) {
+  const { rows } = await query(
+    `SELECT url, source_url, is_internal, rel, link_target, placement
+     FROM discovered_links WHERE job_id = $1
+     ORDER BY url`,
+    [job.id]
+  );
+
+  const counts = { internal_nofollow: 0, missing_sponsored: 0, missing_ugc: 0, unsafe_blank: 0 };
+  const marked = { nofollow: 0, sponsored: 0, ugc: 0 };
+  const placements = { nav: 0, header: 0, footer: 0, main: 0, comments: 0 };
+  const flagged = [];
+  let annotated = 0;
+  for (const row of rows) {
+    if (row.rel || row.link_target || row.placement) annotated++;
+    const rel = row.rel ? row.rel.split(' ') : [];
+    for (const token of Object.keys(marked)) if (rel.includes(token)) marked[token]++;
+    if (row.placement in placements) placements[row.placement]++;
+
+    const issues = relIssues({
+      url: row.url,
+      isInternal: row.is_internal,
+      rel,
+      target: row.link_target,
+      placement: row.placement,
+    });
+    if (issues.length === 0) continue;
+    for (const issue of issues) counts[issue]++;
+    flagged.push({
+      url: row.url,
+      sourceUrl: row.source_url,
+      isInternal: row.is_internal,
+      rel,
+      target: row.link_target,
+      placement: row.placement,
+      issues,
+    });
+  }
+
+  // Withheld internal equity first, then paid / user links, then target=_blank
+  const order = Object.keys(counts);
+  flagged.sort((a, b) => order.indexOf(a.issues[0]) - order.indexOf(b.issues[0]));
+
+  return {
+    summary: {
+      links: rows.length,
+      annotated,
+      marked,
+      placements,
+      flagged: flagged.length,
+      counts,
+    },
+    links: flagged.slice(0, MAX_ROWS),
+  };
+}
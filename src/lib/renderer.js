@@ -0,0 +1,240 @@
+// src/lib/renderer.js - headless Chromium rendering for JavaScript-built pages
+//
+// Optional: a job opts in with settings.renderJs, and it only runs where the
+// worker has a Chromium binary (CHROMIUM_PATH). Each page loads in its own
+// throwaway browser context, so no cookies or storage carry between pages,
+// and every request the page makes is held to the same SSRF rules safeFetch
+// applies: securityUtils.isSafeUrl, then the host's DNS answer checked for
+// private addresses. Traffic request interception can't see — WebSockets,
+// workers, service workers, WebRTC — is switched off in the page. Images,
+// media and fonts are never fetched; they cost time and contain no links.
+//
+// As in safeFetch, Chromium resolves the host again after the check; a short
+// DNS TTL could still rebind in between. Accepted as defence-in-depth.
+
+import net from 'net';
+import { securityUtils } from './security.js';
+import { assertSafeDns } from './safeFetch.js';
+
+export const RENDER_LIMITS = {
+  pageTimeoutMs: 15_000, // one page: navigation plus settling
+  idleMs: 500, // network quiet this long = the page has rendered
+  maxPages: 25, // pages rendered per job
+  budgetMs: 180_000, // wall-clock rendering time per job
+};
+
+const SKIPPED_RESOURCES = new Set(['image', 'media', 'font']);
+// Googlebot smartphone renders at a Pixel-class viewport; desktop at a laptop's
+const VIEWPORTS = {
+  mobile: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+  desktop: { width: 1366, height: 768 },
+};
+// Rendered-only links listed per page; the count stays exact.
+const MAX_LISTED_LINKS = 50;
+
+const LAUNCH_ARGS = [
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-extensions',
+  '--disable-background-networking',
+  '--disable-sync',
+  '--no-first-run',
+  '--mute-audio',
+];
+
+/** Whether this process can render at all (a Chromium binary is configured). */
+export function isRenderingAvailable() {
+  return !!process.env.CHROMIUM_PATH;
+}
+
+/**
+ * Whether the page may make a request. dnsChecks caches each hostname's
+ * verdict (a promise) for the page being rendered.
+ */
+async function isAllowedRequest(url, dnsChecks) {
+  if (url.startsWith('data:') || url.startsWith('blob:')) return true;
+  if (!/^https?:/i.test(url)) return false;
+  if (!securityUtils.isSafeUrl(url).safe) return false;
+
+  // isSafeUrl has already judged IP literals; names are judged by what they resolve to
+  const rawHost = new URL(url).hostname;
+  const hostname = rawHost.startsWith('[') ? rawHost.slice(1, -1) : rawHost;
+  if (net.isIP(hostname) !== 0) return true;
+  if (!dnsChecks.has(hostname)) {
+    const verdict = assertSafeDns(hostname).then(() => true, () => false);
+    dnsChecks.set(hostname, verdict);
+  }
+  return dnsChecks.get(hostname);
+}
+
+// Runs in every frame before the page's own scripts: the channels request
+// interception never sees are made unavailable
+function disableUninterceptedChannels() {
+  const blocked = function () {
+    throw new DOMException('Blocked by the crawler', 'SecurityError');
+  };
+  for (const name of [
+    'WebSocket',
+    'WebTransport',
+    'Worker',
+    'SharedWorker',
+    'RTCPeerConnection',
+    'webkitRTCPeerConnection',
+  ]) {
+    if (name in window) {
+      Object.defineProperty(window, name, { value: blocked, configurable: false });
+    }
+  }
+  if ('serviceWorker' in navigator) {
+    Object.defineProperty(navigator, 'serviceWorker', { value: undefined, configurable: false });
+  }
+}
+
+/**
+ * Launch a renderer for one job. Resolves to null when rendering is
+ * unavailable (no Chromium configured, or the launch failed) — callers carry
+ * on with raw HTML.
+ *
+ * The renderer: render(url) → { url, finalUrl, status, html, ms }, throws on
+ * navigation failure; `exhausted` once the page or time budget is spent;
+ * close() when the job is done.
+ *
+ * opts.auth         – job credential scope (lib/credentials); its headers go only
+ *                     on requests to the credential's origin, like safeFetch.
+ * opts.userAgent    – the job's crawl-profile User-Agent (lib/crawlProfiles).
+ * opts.extraHeaders – the job's custom headers, sent with every request.
+ * opts.device       – 'mobile' or 'desktop' viewport.
+ */
+export async function createRenderer({
+  auth = null,
+  userAgent = securityUtils.getCrawlHeaders()['User-Agent'],
+  extraHeaders = null,
+  device = 'desktop',
+  ...limits
+} = {}) {
+  if (!isRenderingAvailable()) return null;
+  const budget = { ...RENDER_LIMITS, ...limits };
+
+  let browser;
+  try {
+    const { default: puppeteer } = await import('puppeteer-core');
+    browser = await puppeteer.launch({
+      executablePath: process.env.CHROMIUM_PATH,
+      headless: true,
+      args:
+        process.env.CHROMIUM_SANDBOX === 'off' ? [...LAUNCH_ARGS, '--no-sandbox'] : LAUNCH_ARGS,
+    });
+  } catch (error) {
+    console.error('Headless rendering unavailable:', error.message);
+    return null;
+  }
+
+  const startedAt = Date.now();
+  let rendered = 0;
+
+  return {
+    get exhausted() {
+      return rendered >= budget.maxPages || Date.now() - startedAt >= budget.budgetMs;
+    },
+
+    async render(url) {
+      const dnsChecks = new Map();
+      if (!(await isAllowedRequest(url, dnsChecks))) {
+        throw new Error('SSRF blocked: unsafe render target');
+      }
+      rendered++;
+      const timeout = Math.max(
+        1000,
+        Math.min(budget.pageTimeoutMs, budget.budgetMs - (Date.now() - startedAt))
+      );
+      const begin = Date.now();
+      const context = await browser.createBrowserContext({ downloadBehavior: { policy: 'deny' } });
+      try {
+        const page = await context.newPage();
+        await page.setUserAgent(userAgent);
+        await page.setViewport(VIEWPORTS[device] || VIEWPORTS.desktop);
+        if (extraHeaders) await page.setExtraHTTPHeaders(extraHeaders);
+        await page.setBypassServiceWorker(true);
+        await page.evaluateOnNewDocument(disableUninterceptedChannels);
+        // Backstop for the WebSocket override: refused at the network layer too
+        const cdp = await page.createCDPSession();
+        await cdp.send('Network.enable');
+        await cdp.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+        await page.setRequestInterception(true);
+        page.on('request', async (request) => {
+          const allowed =
+            !SKIPPED_RESOURCES.has(request.resourceType()) &&
+            (await isAllowedRequest(request.url(), dnsChecks));
+          if (!allowed) {
+            request.abort('blockedbyclient').catch(() => {});
+            return;
+          }
+          const authHeaders = auth?.headersFor(request.url());
+          request
+            .continue(authHeaders ? { headers: { ...request.headers(), ...authHeaders } } : {})
+            .catch(() => {});
+        });
+        page.on('dialog', (dialog) => dialog.dismiss().catch(() => {}));
+
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        try {
+          await page.waitForNetworkIdle({
+            idleTime: budget.idleMs,
+            timeout: Math.max(0, timeout - (Date.now() - begin)),
+          });
+        } catch {
+          // A chatty page never goes idle — take the DOM as it stands
+        }
+        return {
+          url,
+          finalUrl: page.url(),
+          status: response?.status() ?? null,
+          html: await page.content(),
+          ms: Date.now() - begin,
+        };
+      } finally {
+        await context.close().catch(() => {});
+      }
+    },
+
+    async close() {
+      await browser.close().catch(() => {});
+    },
+  };
+}
+
+function titleOf(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, ' ').trim() : '';
+}
+
+function wordCountOf(html) {
+  const text = html
+    .replace(/<(head|script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ');
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Raw-vs-rendered comparison for one page. Pure.
+ *
+ * @param {object} raw      { html, links } — links as returned by LinkExtractor
+ * @param {object} rendered { html, links }
+ */
+export function compareRendered(raw, rendered) {
+  const rawUrls = new Set(raw.links.map((link) => link.url));
+  const renderedOnly = rendered.links.filter((link) => !rawUrls.has(link.url));
+  const rawTitle = titleOf(raw.html);
+  const renderedTitle = titleOf(rendered.html);
+  return {
+    rawLinks: raw.links.length,
+    renderedLinks: rendered.links.length,
+    renderedOnlyCount: renderedOnly.length,
+    renderedOnly: renderedOnly.slice(0, MAX_LISTED_LINKS).map((link) => link.url),
+    rawTitle,
+    renderedTitle,
+    rawWords: wordCountOf(raw.html),
+    renderedWords: wordCountOf(rendered.html),
+  };
+}
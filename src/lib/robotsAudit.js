@@ -6,6 +6,7 @@
 // Rules are fetched once per crawl job and matched per checked URL.
 
 import { safeFetch } from './safeFetch.js';
+import { crawlHeaders } from './crawlProfiles.js';
 
 // Googlebot ignores generic groups when a specific one exists, so we audit
 // against the 'googlebot' group if present, falling back to '*'.
@@ -15,8 +16,11 @@ const AUDIT_AGENTS = ['googlebot', '*'];
  * Fetch and parse robots.txt for the site a crawl job targets.
  * Returns null when the audit cannot run (bad URL, network failure) —
  * callers treat null as "no robots signal", never as an error.
+ *
+ * opts.headers – the job's crawl headers (lib/crawlProfiles), so robots.txt
+ *                is requested with the same identity as the pages.
  */
-export async function loadRobotsRules(siteUrl) {
+export async function loadRobotsRules(siteUrl, { headers = crawlHeaders() } = {}) {
   let origin;
   try {
     origin = new URL(siteUrl).origin;
@@ -28,6 +32,7 @@ export async function loadRobotsRules(siteUrl) {
     const res = await safeFetch(`${origin}/robots.txt`, {
       timeout: 8000,
       maxRedirects: 2,
+      headers,
       readBody: true,
     });
 
@@ -6,6 +6,9 @@
  *   2. DNS resolution — all returned IPs checked against private ranges
  *   3. Response body capped at maxBodyBytes (C5)
  *
+ * Each redirect hop is recorded (status, Location, timing) and returned as
+ * `redirects`; a hop back to an already-visited URL fails fast as a loop.
+ *
  * TOCTOU note: DNS is resolved before the TCP connect. A sufficiently short
  * DNS TTL could allow rebinding between the check and the connection. Full
  * mitigation requires connecting to the pinned resolved IP, which is not
@@ -29,27 +32,39 @@ const DEFAULT_TIMEOUT_MS = 15_000;
  * @param {object} opts
  * @param {string}   [opts.method='GET']
  * @param {object}   [opts.headers={}]
+ * @param {string}   [opts.body]            request body, sent on the first hop only
  * @param {number}   [opts.timeout=15000]   ms timeout per hop
  * @param {number}   [opts.maxRedirects=5]
- * @param {boolean}  [opts.readBody=false]  whether to buffer the response body
+ * @param {boolean|Function} [opts.readBody=false] whether to buffer the response body;
+ *   a function gets the final response's headers and decides per response
  * @param {number}   [opts.maxBodyBytes]    body size cap (default 5 MB)
  * @param {AbortSignal} [opts.signal]       optional external abort signal
- * @returns {Promise<{ok, status, statusText, headers, url, redirectCount, text}>}
+ * @param {object}   [opts.auth]            job credential scope (lib/credentials); its
+ *   headers are added per hop, only while the hop stays on the credential's origin
+ * @returns {Promise<{ok, status, statusText, headers, url, redirectCount, redirects, text, bytes}>}
+ *   redirects: [{ url, status, location, ms }] one entry per 3xx hop followed
+ *
+ * Redirect failures throw with `code` REDIRECT_LOOP or TOO_MANY_REDIRECTS and
+ * the hops followed so far on `err.redirects`.
  */
 export async function safeFetch(url, opts = {}) {
   const {
     method = 'GET',
     headers = {},
+    body = undefined,
     timeout = DEFAULT_TIMEOUT_MS,
     maxRedirects = MAX_REDIRECTS,
     readBody = false,
     maxBodyBytes = MAX_BODY_BYTES,
     signal: externalSignal,
+    auth = null,
   } = opts;
 
   let currentUrl = url;
   let redirectCount = 0;
   let currentMethod = method;
+  const redirects = [];
+  const visited = new Set([url]);
 
   for (;;) {
     // 1. Structural SSRF check
@@ -73,14 +88,17 @@ export async function safeFetch(url, opts = {}) {
     const timer = setTimeout(() => controller.abort(new Error('Request timed out')), timeout);
 
     let response;
+    const hopStart = Date.now();
     try {
       const signals = externalSignal
         ? AbortSignal.any([controller.signal, externalSignal])
         : controller.signal;
 
+      const authHeaders = auth?.headersFor(currentUrl);
       response = await fetch(currentUrl, {
         method: currentMethod,
-        headers,
+        headers: authHeaders ? { ...headers, ...authHeaders } : headers,
+        body: redirectCount === 0 ? body : undefined,
         redirect: 'manual',
         signal: signals,
       });
@@ -92,23 +110,40 @@ export async function safeFetch(url, opts = {}) {
     if (response.status >= 300 && response.status < 400) {
       await drainBody(response);
 
-      if (redirectCount >= maxRedirects) {
-        throw new Error(`Too many redirects (max ${maxRedirects})`);
-      }
-
       const location = response.headers.get('location');
       if (!location) throw new Error('Redirect response missing Location header');
 
-      currentUrl = new URL(location, currentUrl).toString();
+      const nextUrl = new URL(location, currentUrl).toString();
+      redirects.push({
+        url: currentUrl,
+        status: response.status,
+        location: nextUrl,
+        ms: Date.now() - hopStart,
+      });
+
+      if (visited.has(nextUrl)) {
+        throw redirectError('REDIRECT_LOOP', `Redirect loop detected at ${nextUrl}`, redirects);
+      }
+      if (redirectCount >= maxRedirects) {
+        throw redirectError(
+          'TOO_MANY_REDIRECTS',
+          `Too many redirects (max ${maxRedirects})`,
+          redirects
+        );
+      }
+
+      visited.add(nextUrl);
+      currentUrl = nextUrl;
       redirectCount++;
       currentMethod = 'GET'; // POST→GET on redirect (RFC 7231)
       continue;
     }
 
     // 5. Buffer body up to the cap (or drain + discard)
-    let bodyText = null;
-    if (readBody && currentMethod !== 'HEAD') {
-      bodyText = await readCappedBody(response, maxBodyBytes);
+    let bodyBytes = null;
+    const wantBody = typeof readBody === 'function' ? readBody(response.headers) : readBody;
+    if (wantBody && currentMethod !== 'HEAD') {
+      bodyBytes = await readCappedBody(response, maxBodyBytes);
     } else {
       await drainBody(response);
     }
@@ -120,15 +155,26 @@ export async function safeFetch(url, opts = {}) {
       headers: response.headers,
       url: currentUrl,
       redirectCount,
-      text: () => Promise.resolve(bodyText ?? ''),
+      redirects,
+      text: () => Promise.resolve(bodyBytes ? new TextDecoder().decode(bodyBytes) : ''),
+      // Raw body for binary payloads (e.g. gzipped sitemaps)
+      bytes: () => Promise.resolve(bodyBytes ?? new Uint8Array(0)),
     };
   }
 }
 
+function redirectError(code, message, redirects) {
+  const err = new Error(message);
+  err.code = code;
+  err.redirects = redirects;
+  return err;
+}
+
 /**
- * Resolve hostname and throw if any returned address is private.
+ * Resolve hostname and throw if any returned address is private. Also used
+ * by the renderer (lib/renderer) for requests headless Chromium makes.
  */
-async function assertSafeDns(hostname) {
+export async function assertSafeDns(hostname) {
   let addresses;
   try {
     addresses = await dnsLookup(hostname, { all: true });
@@ -155,7 +201,7 @@ async function drainBody(response) {
 }
 
 async function readCappedBody(response, maxBytes) {
-  if (!response.body) return '';
+  if (!response.body) return new Uint8Array(0);
 
   const reader = response.body.getReader();
   const chunks = [];
@@ -183,5 +229,5 @@ async function readCappedBody(response, maxBytes) {
     all.set(chunk, offset);
     offset += chunk.byteLength;
   }
-  return new TextDecoder().decode(all);
+  return all;
 }
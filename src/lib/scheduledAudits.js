@@ -0,0 +1,146 @@
+// src/lib/scheduledAudits.js - recurring audits of a site
+//
+// A schedule (audit_schedules) is a site, the URL to audit, a five-field cron
+// pattern and a time zone. Postgres is the record; each active schedule is
+// also registered as a BullMQ job scheduler on the crawl queue (lib/queue),
+// which fires a SCHEDULED_AUDIT_JOB at every occurrence. The worker hands
+// that to startScheduledAudit(), which creates a fresh crawl_jobs row from the
+// schedule's settings — or the site's saved defaults — and queues the crawl
+// the way /api/crawl/start does. Scheduled runs never carry a site login.
+
+import { db } from './supabase.js';
+import { securityUtils } from './security.js';
+import { crawlHeaders } from './crawlProfiles.js';
+import { buildJobSettings } from './jobSettings.js';
+import {
+  enqueueCrawl,
+  registerSchedule,
+  unregisterSchedule,
+  nextScheduledRun,
+} from './queue/index.js';
+
+const UNFINISHED_STATUSES = ['queued', 'pending', 'running'];
+// Each run is a full-site audit outside the crawl rate limit
+export const MAX_ACTIVE_SCHEDULES = 5;
+
+/**
+ * Cron pattern for a preset frequency, at hour:minute in the schedule's time
+ * zone — weekly on dayOfWeek (0 = Sunday), monthly on dayOfMonth.
+ */
+export function cronFor({ frequency, hour = 6, minute = 0, dayOfWeek = 1, dayOfMonth = 1 }) {
+  if (frequency === 'daily') return `${minute} ${hour} * * *`;
+  if (frequency === 'weekly') return `${minute} ${hour} * * ${dayOfWeek}`;
+  return `${minute} ${hour} ${dayOfMonth} * *`;
+}
+
+/** Register an active schedule with BullMQ, or take a paused one off. */
+export async function applySchedule(schedule) {
+  if (schedule.paused) await unregisterSchedule(schedule.id);
+  else await registerSchedule(schedule);
+}
+
+/** Whether the site already has MAX_ACTIVE_SCHEDULES schedules firing. */
+export async function atScheduleLimit(siteId) {
+  const active = await db.getSchedules({ siteId, activeOnly: true });
+  return active.length >= MAX_ACTIVE_SCHEDULES;
+}
+
+/** API shape of an audit_schedules row; `nextRunAt` comes from BullMQ. */
+export function scheduleJson(row, nextRun = null) {
+  return {
+    id: row.id,
+    siteId: row.site_id,
+    ...(row.site_origin ? { site: { origin: row.site_origin, name: row.site_name } } : {}),
+    url: row.url,
+    cron: row.cron,
+    timezone: row.timezone,
+    // null = the site's default settings at run time
+    settings: row.settings,
+    paused: !!row.paused,
+    nextRunAt: nextRun ? new Date(nextRun).toISOString() : null,
+    lastRunAt: row.last_run_at,
+    lastJobId: row.last_job_id,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+  };
+}
+
+/** scheduleJson() with the next run BullMQ has queued, when Redis can say. */
+export async function describeSchedule(row) {
+  const nextRun = row.paused ? null : await nextScheduledRun(row.id).catch(() => null);
+  return scheduleJson(row, nextRun);
+}
+
+/**
+ * One occurrence of a schedule: create and queue its crawl job. Returns the
+ * new job id, or null when the run was skipped — the reason is recorded on
+ * the schedule (last_error).
+ */
+export async function startScheduledAudit(scheduleId) {
+  const schedule = await db.getSchedule(scheduleId);
+  if (!schedule) {
+    // Deleted, or its site was, after the scheduler last fired
+    await unregisterSchedule(scheduleId);
+    return null;
+  }
+  if (schedule.paused) return null;
+
+  const skip = async (reason) => {
+    console.log(`⏰ SCHEDULE: ${scheduleId} skipped — ${reason}`);
+    await db.recordScheduledRun(scheduleId, { error: reason });
+    return null;
+  };
+
+  // One run at a time: a crawl still going when the next is due is left to finish
+  if (schedule.last_job_id) {
+    const last = await db.getJob(schedule.last_job_id).catch(() => null);
+    if (last && UNFINISHED_STATUSES.includes(last.status)) {
+      return skip(`the previous run (${last.id}) is still ${last.status}`);
+    }
+  }
+
+  const urlSafety = securityUtils.isSafeUrl(schedule.url);
+  if (!urlSafety.safe) return skip(`URL blocked for security reasons: ${urlSafety.reason}`);
+
+  const site = await db.getSite(schedule.site_id);
+  const settings = { ...(schedule.settings || site?.default_settings || {}) };
+  // There is no scope estimate to ride on, so content_pages falls back to a crawl
+  if (settings.crawlMode !== 'sitemap') settings.crawlMode = 'auto';
+
+  // Checked on every run: robots.txt may have changed since the schedule was made
+  let crawlDelayMs = null;
+  if (settings.respectRobots !== false) {
+    let robotsCheck = null;
+    try {
+      robotsCheck = await securityUtils.checkRobotsTxt(schedule.url, crawlHeaders(settings));
+    } catch {
+      // robots.txt unreachable — proceed
+    }
+    if (robotsCheck && !robotsCheck.allowed) {
+      return skip(`crawling not allowed by robots.txt: ${robotsCheck.reason}`);
+    }
+    crawlDelayMs = robotsCheck?.declaredCrawlDelay || null;
+  }
+
+  const jobSettings = buildJobSettings(settings, { crawlDelayMs });
+  const job = await db.createJob(schedule.url, jobSettings, {
+    siteId: schedule.site_id,
+    scheduleId,
+  });
+  try {
+    await enqueueCrawl(
+      job.id,
+      jobSettings.crawlMode === 'sitemap' ? 'smart' : 'traditional',
+      schedule.url,
+      null,
+      jobSettings
+    );
+  } catch (error) {
+    await db.updateJobStatus(job.id, 'failed', 'Could not queue the crawl').catch(() => {});
+    throw error;
+  }
+
+  await db.recordScheduledRun(scheduleId, { jobId: job.id });
+  console.log(`⏰ SCHEDULE: ${scheduleId} started job ${job.id} for ${schedule.url}`);
+  return job.id;
+}
@@ -130,11 +130,16 @@ export const securityUtils = {
   },
 
   /**
-   * Enhanced headers for respectful crawling
+   * Enhanced headers for respectful crawling. The bot's name comes from
+   * CRAWLER_USER_AGENT and its contact address from CRAWLER_CONTACT_EMAIL.
    */
-  getCrawlHeaders(userContact = 'support@yourapp.com') {
+  getCrawlHeaders(userContact = process.env.CRAWLER_CONTACT_EMAIL || 'support@seoscrub.in') {
+    const agent = process.env.CRAWLER_USER_AGENT || 'SeoScrub Bot/1.0 (+https://seoscrub.in/bot)';
     return {
-      'User-Agent': `SeoScrub Bot/1.0 (+https://seoscrub.in/bot; ${userContact})`,
+      // "Name/1.0 (+url)" becomes "Name/1.0 (+url; contact)"
+      'User-Agent': agent.endsWith(')')
+        ? `${agent.slice(0, -1)}; ${userContact})`
+        : `${agent} (${userContact})`,
       Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
       'Accept-Language': 'en-US,en;q=0.5',
       'Accept-Encoding': 'gzip, deflate',
@@ -148,13 +153,14 @@ export const securityUtils = {
 
   /**
    * Check robots.txt before crawling. Uses safeFetch so redirects are validated.
+   * `headers` lets a job ask with its own crawl profile (lib/crawlProfiles).
    */
-  async checkRobotsTxt(baseUrl) {
+  async checkRobotsTxt(baseUrl, headers = this.getCrawlHeaders()) {
     try {
       const { safeFetch } = await import('./safeFetch.js');
       const robotsUrl = new URL('/robots.txt', baseUrl).toString();
       const response = await safeFetch(robotsUrl, {
-        headers: this.getCrawlHeaders(),
+        headers,
         timeout: 5000,
         readBody: true,
         maxBodyBytes: 512 * 1024, // 512 KB is more than enough for robots.txt
@@ -175,6 +181,8 @@ export const securityUtils = {
     const lines = robotsText.split('\n');
     let userAgentSection = false;
     let crawlDelay = 1000;
+    // What the site actually asked for (ms), null when it set no Crawl-delay
+    let declaredCrawlDelay = null;
     let disallowedPaths = [];
 
     for (const line of lines) {
@@ -195,6 +203,8 @@ export const securityUtils = {
         }
         if (cleanLine.startsWith('crawl-delay:')) {
           crawlDelay = parseInt(cleanLine.split(':')[1].trim()) * 1000;
+          const seconds = parseFloat(cleanLine.split(':')[1]);
+          if (Number.isFinite(seconds) && seconds > 0) declaredCrawlDelay = seconds * 1000;
         }
       }
     }
@@ -202,6 +212,7 @@ export const securityUtils = {
     return {
       allowed: true,
       crawlDelay: Math.max(crawlDelay, 1000),
+      declaredCrawlDelay,
       disallowedPaths,
     };
   },
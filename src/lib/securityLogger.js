@@ -197,6 +197,7 @@ class SecurityLogger {
     delete sanitized.token;
     delete sanitized.secret;
     delete sanitized.key;
+    delete sanitized.credentials; // crawl-start login (lib/credentials)
 
     // Truncate long strings
     Object.keys(sanitized).forEach((key) => {
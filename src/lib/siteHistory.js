@@ -0,0 +1,78 @@
+// src/lib/siteHistory.js - a site's audits over time
+//
+// Each completed audit of a site leaves one audit_history row: broken links
+// by failure class (classifyFinding), the Link Integrity and overall health
+// scores buildReport() gives it, the average SEO score (getSEOSummary), the
+// average response time and the pages crawled. The worker records it once the
+// post-crawl analysis is done, so it matches the report; audits that finished
+// before history was kept are filled in the first time their site's history
+// is read.
+
+import { db } from './supabase.js';
+import { buildReport } from './auditReport.js';
+import { loadAuditSnapshot } from './auditDiff.js';
+
+// Older audits filled in per read, so a long backlog can't stall one request
+const BACKFILL_PER_READ = 10;
+// Audits on a site's trend charts, most recent
+const MAX_POINTS = 100;
+
+/** Compute and store a completed audit's history row. Returns it, or null. */
+export async function recordAuditHistory(job) {
+  if (!job.site_id || job.status !== 'completed') return null;
+  const snapshot = await loadAuditSnapshot(job);
+  const report = buildReport(snapshot);
+
+  let seoScore = null;
+  if (snapshot.seoPages.length > 0) {
+    const seoSummary = await db.getSEOSummary(job.id);
+    if (seoSummary?.avg_score != null) seoScore = Math.round(Number(seoSummary.avg_score));
+  }
+
+  const entry = {
+    jobId: job.id,
+    siteId: job.site_id,
+    completedAt: job.completed_at || new Date().toISOString(),
+    linksChecked: report.kpis.totalChecked,
+    brokenLinks: report.kpis.issues,
+    brokenByClass: Object.fromEntries(report.categories.map((c) => [c.cls, c.total])),
+    integrity: report.score.integrity,
+    health: report.score.overall,
+    grade: report.score.grade,
+    seoScore,
+    avgResponseMs: report.kpis.avgResponse || null,
+    pagesCrawled: snapshot.summary.sourcePagesCount,
+  };
+  await db.saveAuditHistory(entry);
+  return entry;
+}
+
+/** API shape of an audit_history row. */
+export function historyJson(row) {
+  return {
+    jobId: row.job_id,
+    url: row.url,
+    completedAt: row.completed_at,
+    linksChecked: row.links_checked,
+    brokenLinks: row.broken_links,
+    brokenByClass: row.broken_by_class || {},
+    integrity: row.integrity_score,
+    health: row.health_score,
+    grade: row.grade,
+    seoScore: row.seo_score,
+    avgResponseMs: row.avg_response_ms,
+    pagesCrawled: row.pages_crawled,
+  };
+}
+
+/** A site's audit history, oldest first, filling in audits not yet recorded. */
+export async function getSiteHistory(siteId) {
+  for (const job of await db.getJobsMissingHistory(siteId, BACKFILL_PER_READ)) {
+    try {
+      await recordAuditHistory(job);
+    } catch (error) {
+      console.warn(`History for job ${job.id} could not be recorded:`, error.message);
+    }
+  }
+  return (await db.getAuditHistory(siteId, MAX_POINTS)).map(historyJson);
+}
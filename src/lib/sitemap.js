@@ -2,17 +2,21 @@
  * Sitemap discovery: robots.txt `Sitemap:` directives first, then the
  * conventional /sitemap.xml and /sitemap_index.xml locations. Sitemap
  * indexes list child sitemap files rather than pages, so they are recursed
- * one level. All fetches go through safeFetch (SSRF guard + body cap).
+ * (up to MAX_INDEX_DEPTH levels). Gzipped sitemaps (.xml.gz) are inflated
+ * with a size cap. All fetches go through safeFetch (SSRF guard + body cap).
  */
 
+import { gunzipSync } from 'node:zlib';
 import { safeFetch } from './safeFetch.js';
+import { browserHeaders, crawlHeaders } from './crawlProfiles.js';
 
 const MAX_URLS = 2000;
 const MAX_CHILD_SITEMAPS = 10;
-
-const BOT_UA = 'Mozilla/5.0 SeoScrub Bot/1.0';
-const BROWSER_UA =
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const MAX_INDEX_DEPTH = 3;
+// Total sitemap documents fetched per walk, across all index levels
+const MAX_SITEMAP_FILES = 50;
+// sitemaps.org caps an uncompressed sitemap at 50 MB
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
 
 const FETCH_OPTS = {
   timeout: 10000,
@@ -20,19 +24,22 @@ const FETCH_OPTS = {
   maxBodyBytes: 5 * 1024 * 1024,
 };
 
-// Identify honestly first; some WAFs (Cloudflare et al.) 403 any UA with
-// "Bot" in it even on public sitemap files — retry once as a plain browser.
-async function fetchSitemapDoc(url, timeout = FETCH_OPTS.timeout) {
+// Identify as the job's crawl profile first; some WAFs (Cloudflare et al.)
+// 403 any UA with "Bot" in it even on public sitemap files — retry once as a
+// plain browser. `request` carries the job's { auth, settings }.
+async function fetchSitemapDoc(url, { timeout = FETCH_OPTS.timeout, auth = null, settings = {} } = {}) {
   let response = await safeFetch(url, {
     ...FETCH_OPTS,
     timeout,
-    headers: { 'User-Agent': BOT_UA },
+    headers: crawlHeaders(settings),
+    auth,
   });
   if (response.status === 403) {
     response = await safeFetch(url, {
       ...FETCH_OPTS,
       timeout,
-      headers: { 'User-Agent': BROWSER_UA },
+      headers: browserHeaders(settings),
+      auth,
     });
   }
   return response;
@@ -50,9 +57,9 @@ export async function findSitemapUrls(baseUrl) {
     // Hosts the sitemap documents were actually served from count as "this
     // site" too — canonical-domain migrations (old.tld → new.tld) redirect
     // the sitemap and list pages only on the new host.
-    const allowedHosts = new Set([hostKey(baseUrl)]);
-    const urls = await readSitemap(candidate, 0, allowedHosts);
-    const pages = urls.filter((url) => allowedHosts.has(hostKey(url)));
+    const walk = newWalk(baseUrl, MAX_URLS);
+    const entries = await readSitemap(candidate, 0, walk);
+    const pages = entries.map((e) => e.url).filter((url) => walk.allowedHosts.has(hostKey(url)));
     if (pages.length > 0) {
       console.log(`🗺️ SITEMAP: ${pages.length} page URLs via ${candidate}`);
       return [...new Set(pages)];
@@ -61,10 +68,55 @@ export async function findSitemapUrls(baseUrl) {
   return [];
 }
 
-async function sitemapCandidates(baseUrl) {
+/**
+ * Full sitemap inventory for the sitemap crawl mode. Unlike findSitemapUrls
+ * this merges every declared sitemap (not just the first that answers) and
+ * keeps where each URL was listed, so entries can be audited individually.
+ *
+ * opts.sitemapUrl – user-supplied sitemap; skips discovery when set.
+ * opts.maxUrls    – cap on returned entries.
+ * opts.auth       – job credential scope (lib/credentials) for sites behind a login.
+ * opts.settings   – job settings, for its crawl profile and custom headers.
+ *
+ * Returns { sitemaps: [fetched document URLs], entries: [{ url, sitemap, lastmod }] }.
+ */
+export async function loadSitemapEntries(
+  baseUrl,
+  { sitemapUrl = null, maxUrls = MAX_URLS, auth = null, settings = {} } = {}
+) {
+  const walk = newWalk(baseUrl, maxUrls, { auth, settings });
+  const candidates = sitemapUrl ? [sitemapUrl] : await sitemapCandidates(baseUrl, walk.request);
+  const byUrl = new Map();
+
+  for (const candidate of candidates) {
+    if (walk.visited.has(candidate) || byUrl.size >= maxUrls) continue;
+    for (const entry of await readSitemap(candidate, 0, walk)) {
+      if (!walk.allowedHosts.has(hostKey(entry.url)) || byUrl.has(entry.url)) continue;
+      byUrl.set(entry.url, entry);
+      if (byUrl.size >= maxUrls) break;
+    }
+  }
+
+  return { sitemaps: walk.fetched, entries: [...byUrl.values()] };
+}
+
+function newWalk(baseUrl, maxUrls, request = {}) {
+  return {
+    allowedHosts: new Set([hostKey(baseUrl)]),
+    visited: new Set(), // sitemap documents requested (dedupes index cycles)
+    fetched: [], // sitemap documents that answered with a sitemap
+    maxUrls,
+    request, // { auth, settings } for fetchSitemapDoc
+  };
+}
+
+async function sitemapCandidates(baseUrl, request = {}) {
   const candidates = [];
   try {
-    const res = await fetchSitemapDoc(new URL('/robots.txt', baseUrl).toString(), 5000);
+    const res = await fetchSitemapDoc(new URL('/robots.txt', baseUrl).toString(), {
+      ...request,
+      timeout: 5000,
+    });
     if (res.ok) {
       const text = await res.text();
       for (const match of text.matchAll(/^\s*sitemap:\s*(\S+)/gim)) {
@@ -83,33 +135,58 @@ async function sitemapCandidates(baseUrl) {
   return candidates;
 }
 
-async function readSitemap(sitemapUrl, depth, allowedHosts) {
+async function readSitemap(sitemapUrl, depth, walk) {
+  if (walk.visited.has(sitemapUrl) || walk.visited.size >= MAX_SITEMAP_FILES) return [];
+  walk.visited.add(sitemapUrl);
+
   let xml;
   try {
-    const response = await fetchSitemapDoc(sitemapUrl);
+    const response = await fetchSitemapDoc(sitemapUrl, walk.request);
     if (!response.ok) return [];
-    allowedHosts.add(hostKey(response.url));
-    xml = await response.text();
+    walk.allowedHosts.add(hostKey(response.url));
+    xml = decodeSitemapBody(await response.bytes());
   } catch {
     return [];
   }
 
-  const locs = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) =>
-    decodeXmlEntities(m[1])
-  );
-  if (locs.length === 0) return [];
-
   if (/<sitemapindex[\s>]/i.test(xml)) {
-    if (depth >= 1) return []; // don't follow indexes nested inside indexes
+    const children = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) =>
+      decodeXmlEntities(m[1])
+    );
+    if (children.length === 0) return [];
+    walk.fetched.push(sitemapUrl);
+    if (depth >= MAX_INDEX_DEPTH) return []; // pathological nesting — stop here
     const pages = [];
-    for (const child of locs.slice(0, MAX_CHILD_SITEMAPS)) {
-      pages.push(...(await readSitemap(child, depth + 1, allowedHosts)));
-      if (pages.length >= MAX_URLS) break;
+    for (const child of children.slice(0, MAX_CHILD_SITEMAPS)) {
+      pages.push(...(await readSitemap(child, depth + 1, walk)));
+      if (pages.length >= walk.maxUrls) break;
     }
-    return pages.slice(0, MAX_URLS);
+    return pages.slice(0, walk.maxUrls);
   }
 
-  return locs.slice(0, MAX_URLS);
+  const entries = [];
+  for (const block of xml.matchAll(/<url[\s>]([\s\S]*?)<\/url>/gi)) {
+    const loc = block[1].match(/<loc>\s*([^<]+?)\s*<\/loc>/i);
+    if (!loc) continue;
+    const lastmod = block[1].match(/<lastmod>\s*([^<]+?)\s*<\/lastmod>/i);
+    entries.push({
+      url: decodeXmlEntities(loc[1]),
+      sitemap: sitemapUrl,
+      lastmod: lastmod ? lastmod[1] : null,
+    });
+    if (entries.length >= walk.maxUrls) break;
+  }
+  if (entries.length > 0) walk.fetched.push(sitemapUrl);
+  return entries;
+}
+
+// .xml.gz files are usually served as application/gzip without a
+// Content-Encoding header, so fetch hands back the raw gzip stream.
+function decodeSitemapBody(bytes) {
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return gunzipSync(bytes, { maxOutputLength: MAX_INFLATED_BYTES }).toString('utf8');
+  }
+  return new TextDecoder().decode(bytes);
 }
 
 function hostKey(url) {
@@ -0,0 +1,126 @@
+// src/lib/sitemapCoverage.js - sitemap vs. link-graph coverage
+//
+// Post-crawl diff of the URLs a site's sitemap lists against the internal
+// link graph the crawl recorded in discovered_links:
+//   orphans  – listed in the sitemap, but no crawled page links to them
+//   unlisted – internally linked pages that answered 200 but the sitemap omits
+// The snapshot is cached on crawl_jobs.sitemap_coverage so the report and the
+// public share pages read the same numbers without re-fetching the sitemap.
+
+import { query } from './pg.js';
+import { loadSitemapEntries } from './sitemap.js';
+import { normalizeCompareUrl } from './seoDetector.js';
+import { urlUtils } from './utils.js';
+import { createCrawlScope } from './crawler/scope.js';
+
+// Rows kept per list in the cached snapshot; the counts stay exact.
+const MAX_LISTED = 1000;
+
+async function sitemapUrlsFor(job, scope) {
+  const settings = job.settings || {};
+
+  // Sitemap-mode jobs already audited their sitemap; reuse those rows so the
+  // two views can't disagree about what the sitemap contained.
+  if (settings.crawlMode === 'sitemap') {
+    const { rows } = await query(
+      `SELECT url, sitemap_url, lastmod, internally_linked
+       FROM sitemap_entries WHERE job_id = $1`,
+      [job.id]
+    );
+    return {
+      sitemaps: settings.sitemapFiles || [],
+      entries: rows.map((row) => ({
+        url: row.url,
+        sitemap: row.sitemap_url,
+        lastmod: row.lastmod,
+        linked: row.internally_linked === true,
+      })),
+    };
+  }
+
+  const { sitemaps, entries } = await loadSitemapEntries(job.url, {
+    sitemapUrl: settings.sitemapUrl || null,
+    settings,
+  });
+  // Sections the crawl was told to skip can't be judged orphaned
+  return { sitemaps, entries: entries.filter((entry) => scope.shouldFollow(entry.url)) };
+}
+
+/**
+ * Compute the coverage snapshot for a finished job (a crawl_jobs row).
+ * Returns `{ reason: 'no_sitemap' }` when the site has no readable sitemap.
+ */
+export async function computeSitemapCoverage(job) {
+  const scope = createCrawlScope(job.url, job.settings);
+  const { sitemaps, entries } = await sitemapUrlsFor(job, scope);
+  const generatedAt = new Date().toISOString();
+  if (entries.length === 0) {
+    return { generatedAt, reason: 'no_sitemap', sitemaps };
+  }
+
+  const [{ rows: links }, { rows: counted }] = await Promise.all([
+    query(
+      `SELECT url, source_url, http_status_code
+       FROM discovered_links
+       WHERE job_id = $1 AND is_internal = true`,
+      [job.id]
+    ),
+    query(
+      `SELECT COUNT(*) AS checked FROM discovered_links WHERE job_id = $1 AND status = 'checked'`,
+      [job.id]
+    ),
+  ]);
+
+  // A link counts when another crawled page carries it — not the crawl seed,
+  // and not a sitemap file (sitemap mode records those as the source).
+  const sitemapFiles = new Set(sitemaps);
+  const sourcePages = new Set();
+  const linked = new Map(); // normalized url -> one page that links to it
+  for (const link of links) {
+    const source = link.source_url;
+    if (!source || source === 'Discovery' || sitemapFiles.has(source)) continue;
+    const target = normalizeCompareUrl(link.url);
+    if (target === normalizeCompareUrl(source)) continue;
+    sourcePages.add(source);
+    if (!linked.has(target)) linked.set(target, source);
+  }
+
+  const root = normalizeCompareUrl(job.url);
+  const listed = new Set(entries.map((entry) => normalizeCompareUrl(entry.url)));
+
+  const orphans = entries
+    .filter((entry) => {
+      const key = normalizeCompareUrl(entry.url);
+      return key !== root && !entry.linked && !linked.has(key);
+    })
+    .map((entry) => ({ url: entry.url, sitemapUrl: entry.sitemap, lastmod: entry.lastmod }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  const seen = new Set();
+  const unlisted = [];
+  for (const link of links) {
+    const key = normalizeCompareUrl(link.url);
+    if (link.http_status_code !== 200 || !linked.has(key) || listed.has(key) || seen.has(key)) {
+      continue;
+    }
+    // Documents, images and scripts don't belong in a page sitemap
+    if (!urlUtils.shouldCrawlUrl(link.url) || !scope.shouldFollow(link.url)) continue;
+    seen.add(key);
+    unlisted.push({ url: link.url, sourceUrl: linked.get(key) });
+  }
+  unlisted.sort((a, b) => a.url.localeCompare(b.url));
+
+  return {
+    generatedAt,
+    sitemaps,
+    sitemapUrls: entries.length,
+    linkingPages: sourcePages.size,
+    // A crawl that hit its page budget never saw part of the site, so some
+    // "orphans" may simply be pages it didn't reach.
+    budgetReached: Number(counted[0]?.checked || 0) >= scope.maxPages,
+    orphanCount: orphans.length,
+    unlistedCount: unlisted.length,
+    orphans: orphans.slice(0, MAX_LISTED),
+    unlisted: unlisted.slice(0, MAX_LISTED),
+  };
+}
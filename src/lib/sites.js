@@ -0,0 +1,43 @@
+// src/lib/sites.js - sites: the audited site above its one-off crawl jobs
+//
+// Every audit is filed under a site, found (or created) by the normalized
+// origin of the URL it starts from, so one site's audits stay together
+// whether they were started from www.acme.com, acme.com/blog or
+// https://ACME.com:443. A site also keeps default crawl settings: the audit
+// form starts from them (/audit?site=<id>) and an audit can save its own
+// settings as the site's new defaults.
+
+/**
+ * The site key for a URL: lower-case scheme and host, no credentials, no
+ * leading "www.", no default port. site_origin() in database/init.sql
+ * backfills older jobs the same way — keep the two in step.
+ */
+export function siteOrigin(url) {
+  const parsed = new URL(url);
+  return `${parsed.protocol}//${parsed.host.replace(/^www\./, '')}`;
+}
+
+/** API shape of a sites row; list rows also carry job_count and the latest audit. */
+export function siteJson(row) {
+  return {
+    id: row.id,
+    origin: row.origin,
+    name: row.name || new URL(row.origin).host,
+    defaultSettings: row.default_settings || {},
+    createdAt: row.created_at,
+    ...(row.job_count === undefined
+      ? {}
+      : {
+          jobCount: row.job_count,
+          latestJob: row.latest_job_id
+            ? {
+                id: row.latest_job_id,
+                url: row.latest_url,
+                status: row.latest_status,
+                createdAt: row.latest_created_at,
+                brokenCount: row.latest_broken_count,
+              }
+            : null,
+        }),
+  };
+}
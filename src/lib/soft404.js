@@ -0,0 +1,159 @@
+// src/lib/soft404.js - soft-404 detection
+//
+// Plenty of sites answer 200 with their "page not found" template, so a plain
+// status check counts those pages as working. Once per job we request a path
+// that cannot exist, fingerprint whatever comes back (title, visible text,
+// size) and store it on the job; every internal HTML page fetched during the
+// crawl is then compared against that fingerprint.
+
+import { randomUUID } from 'crypto';
+import { safeFetch } from './safeFetch.js';
+import { crawlHeaders } from './crawlProfiles.js';
+import { db } from './supabase.js';
+
+// Word 3-gram overlap at which two pages are "the same template".
+const BODY_SIMILARITY = 0.85;
+// With an identical <title>, a looser overlap is enough.
+const TITLE_SIMILARITY = 0.6;
+// Page size must be within this factor of the 404 template's.
+const SIZE_RATIO = 1.25;
+// Shingle hashes kept in the stored fingerprint.
+const MAX_SHINGLES = 2000;
+
+const SOFT_404_TITLE = /\b(404|not found|page (?:can(?:no|')t|could not) be found)\b/i;
+
+function textOf(html) {
+  return html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .toLowerCase();
+}
+
+function titleOf(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, ' ').trim().toLowerCase() : '';
+}
+
+// FNV-1a, enough to keep the stored fingerprint small
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function shinglesOf(text) {
+  const words = text.split(/[^a-z0-9\u00c0-\uffff]+/).filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i + 3 <= words.length && shingles.size < MAX_SHINGLES; i++) {
+    shingles.add(hash(words.slice(i, i + 3).join(' ')));
+  }
+  return shingles;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/** Fingerprint of one HTML document, in the stored (JSON-safe) shape. */
+export function fingerprintHtml(html) {
+  return {
+    title: titleOf(html),
+    size: html.length,
+    shingles: [...shinglesOf(textOf(html))],
+  };
+}
+
+/**
+ * Compare a fetched 200 page against the job's 404 fingerprint. Pure.
+ * Returns null, or { reason: 'title' | 'body', similarity } for a soft 404.
+ */
+export function matchSoft404(fingerprint, html) {
+  if (!fingerprint?.usable) return null;
+  const page = fingerprintHtml(html);
+  const similarity = jaccard(new Set(fingerprint.shingles), new Set(page.shingles));
+  const ratio = Math.max(page.size, fingerprint.size) / Math.max(1, Math.min(page.size, fingerprint.size));
+  const rounded = Math.round(similarity * 100) / 100;
+
+  if (similarity >= BODY_SIMILARITY && ratio <= SIZE_RATIO) return { reason: 'body', similarity: rounded };
+  if (fingerprint.title && page.title === fingerprint.title && similarity >= TITLE_SIMILARITY) {
+    return { reason: 'title', similarity: rounded };
+  }
+  return null;
+}
+
+/** The error message a soft-404 finding carries. */
+export function soft404Message(match) {
+  return match.reason === 'title'
+    ? `Soft 404: same title as the site's not-found page (${Math.round(match.similarity * 100)}% similar)`
+    : `Soft 404: content matches the site's not-found page (${Math.round(match.similarity * 100)}% similar)`;
+}
+
+async function fetchHtml(url, { timeout, auth, headers, scheduler }) {
+  const load = () => safeFetch(url, { timeout, headers, readBody: true, auth });
+  const response = await (scheduler ? scheduler.schedule(url, load) : load());
+  const contentType = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    html: contentType.includes('text/html') ? await response.text() : null,
+  };
+}
+
+/**
+ * Probe the site's not-found template. `usable` is false when there is no
+ * HTML template to compare against, or when the start page matches it too —
+ * a single-page app serving one shell for every path would otherwise flag
+ * every page. opts.scheduler (lib/hostScheduler) paces both fetches with the
+ * rest of the crawl.
+ */
+export async function probeSoft404(
+  siteUrl,
+  { timeout = 10000, auth = null, headers = crawlHeaders(), scheduler = null } = {}
+) {
+  const request = { timeout, auth, headers, scheduler };
+  const probeUrl = new URL(`/${randomUUID()}-not-found-check`, siteUrl).toString();
+  const probe = await fetchHtml(probeUrl, request);
+  if (!probe.html) return { probeUrl, status: probe.status, usable: false, reason: 'no_html' };
+
+  const fingerprint = { probeUrl, status: probe.status, usable: true, ...fingerprintHtml(probe.html) };
+  const start = await fetchHtml(siteUrl, request);
+  if (start.status === 200 && start.html && matchSoft404(fingerprint, start.html)) {
+    return { ...fingerprint, usable: false, reason: 'start_page_matches', shingles: [] };
+  }
+  // A title like "Page not found" is what a soft 404 looks like; a generic
+  // site-wide title would flag any thin page sharing it.
+  if (!SOFT_404_TITLE.test(fingerprint.title)) fingerprint.title = '';
+  return fingerprint;
+}
+
+/**
+ * The job's 404 fingerprint, probing once and caching it on the job. Returns
+ * null when detection is unavailable (probe failed or template unusable).
+ */
+export async function loadSoft404Fingerprint(
+  jobId,
+  { timeout, auth, headers, scheduler } = {}
+) {
+  const job = await db.getJob(jobId);
+  if (job.soft404_fingerprint) {
+    return job.soft404_fingerprint.usable ? job.soft404_fingerprint : null;
+  }
+
+  let fingerprint;
+  try {
+    fingerprint = await probeSoft404(job.url, { timeout, auth, headers, scheduler });
+  } catch (error) {
+    fingerprint = { usable: false, reason: 'probe_failed', error: error.message };
+  }
+  await db.saveSoft404Fingerprint(jobId, fingerprint);
+  if (!fingerprint.usable) {
+    console.log(`🕳️ SOFT 404: detection off for job ${jobId} (${fingerprint.reason})`);
+  }
+  return fingerprint.usable ? fingerprint : null;
+}
@@ -96,7 +96,7 @@ export const db = {
   },
 
   // Job operations
-  async createJob(url, settings = {}) {
+  async createJob(url, settings = {}, { siteId = null, scheduleId = null } = {}) {
     const defaultSettings = {
       maxDepth: 3,
       includeExternal: false,
@@ -109,6 +109,8 @@ export const db = {
         url,
         settings: { ...defaultSettings, ...settings },
         status: 'queued',
+        site_id: siteId,
+        schedule_id: scheduleId,
       })
       .select()
       .single();
@@ -193,6 +195,353 @@ export const db = {
     return pool ?? [];
   },
 
+  /**
+   * Flip a failed/reaped job back to 'queued' so the worker will pick it up
+   * again. Guarded on status so two concurrent resume clicks can't both win.
+   * Returns the job row, or null if it was not in a resumable state.
+   */
+  async requeueJob(jobId) {
+    const { rows } = await query(
+      `UPDATE crawl_jobs SET status = 'queued', error_message = NULL, completed_at = NULL,
+         heartbeat_at = NOW()
+       WHERE id = $1 AND status = 'failed'
+       RETURNING *`,
+      [jobId]
+    );
+    return rows[0] || null;
+  },
+
+  // Crawl frontier checkpoint (resumable traditional crawls)
+  async addFrontierUrls(jobId, entries) {
+    if (entries.length === 0) return;
+    await query(
+      `INSERT INTO crawl_frontier (job_id, url, depth, source_url)
+       SELECT $1, u.url, u.depth, u.source_url
+       FROM UNNEST($2::text[], $3::int[], $4::text[]) AS u(url, depth, source_url)
+       ON CONFLICT (job_id, url) DO NOTHING`,
+      [
+        jobId,
+        entries.map((e) => e.url),
+        entries.map((e) => e.depth || 0),
+        entries.map((e) => e.sourceUrl || null),
+      ]
+    );
+  },
+
+  async removeFrontierUrls(jobId, urls) {
+    if (urls.length === 0) return;
+    await query('DELETE FROM crawl_frontier WHERE job_id = $1 AND url = ANY($2::text[])', [
+      jobId,
+      urls,
+    ]);
+  },
+
+  async getFrontier(jobId) {
+    const { rows } = await query(
+      `SELECT url, depth, source_url FROM crawl_frontier
+       WHERE job_id = $1 ORDER BY depth, created_at`,
+      [jobId]
+    );
+    return rows;
+  },
+
+  async clearFrontier(jobId) {
+    await query('DELETE FROM crawl_frontier WHERE job_id = $1', [jobId]);
+  },
+
+  // URLs already written to discovered_links, split by whether they were checked.
+  // A resumed crawl treats checked rows as done and re-queues the rest.
+  async getLinkCheckState(jobId) {
+    const { rows } = await query(
+      `SELECT url, source_url, is_internal, depth, status
+       FROM discovered_links WHERE job_id = $1`,
+      [jobId]
+    );
+    return {
+      checked: rows.filter((r) => r.status === 'checked'),
+      unchecked: rows.filter((r) => r.status !== 'checked'),
+    };
+  },
+
+  // Sitemap audit operations (sitemap crawl mode)
+  async addSitemapEntries(jobId, entries) {
+    if (entries.length === 0) return;
+    const { error } = await supabase.from('sitemap_entries').upsert(
+      entries.map((e) => ({
+        job_id: jobId,
+        url: e.url,
+        sitemap_url: e.sitemapUrl || null,
+        lastmod: e.lastmod || null,
+        http_status_code: e.status ?? null,
+        final_url: e.finalUrl || null,
+        redirect_count: e.redirectCount || 0,
+        noindex: !!e.noindex,
+        canonical_url: e.canonicalUrl || null,
+        issues: e.issues || [],
+        checked_at: new Date().toISOString(),
+      })),
+      { onConflict: 'job_id,url' }
+    );
+    if (error) throw error;
+  },
+
+  async getSitemapEntries(jobId) {
+    const { data, error } = await supabase
+      .from('sitemap_entries')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('url', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async markSitemapEntriesLinked(jobId, urls) {
+    await query(
+      `UPDATE sitemap_entries SET internally_linked = (url = ANY($2::text[]))
+       WHERE job_id = $1`,
+      [jobId, urls]
+    );
+  },
+
+  // rows: [{ url, suggestions }]; recomputing replaces the job's previous set
+  async saveLinkSuggestions(jobId, rows) {
+    await query(
+      'UPDATE discovered_links SET suggestions = NULL WHERE job_id = $1 AND suggestions IS NOT NULL',
+      [jobId]
+    );
+    if (rows.length === 0) return;
+    await query(
+      `UPDATE discovered_links dl SET suggestions = s.suggestions::jsonb
+       FROM UNNEST($2::text[], $3::text[]) AS s(url, suggestions)
+       WHERE dl.job_id = $1 AND dl.url = s.url`,
+      [jobId, rows.map((r) => r.url), rows.map((r) => JSON.stringify(r.suggestions))]
+    );
+  },
+
+  async savePageAnchors(jobId, pages) {
+    if (pages.length === 0) return;
+    await query(
+      `INSERT INTO page_anchors (job_id, url, anchors)
+       SELECT $1, p.url, p.anchors::jsonb
+       FROM UNNEST($2::text[], $3::text[]) AS p(url, anchors)
+       ON CONFLICT (job_id, url) DO UPDATE SET anchors = EXCLUDED.anchors`,
+      [jobId, pages.map((p) => p.url), pages.map((p) => JSON.stringify(p.anchors))]
+    );
+  },
+
+  // sealed: lib/credentials sealCredentials() output — never the plain secret
+  async saveJobCredentials(jobId, sealed) {
+    await query(
+      `INSERT INTO job_credentials (job_id, sealed) VALUES ($1, $2)
+       ON CONFLICT (job_id) DO UPDATE SET sealed = EXCLUDED.sealed`,
+      [jobId, sealed]
+    );
+  },
+
+  async getJobCredentials(jobId) {
+    const { rows } = await query('SELECT sealed FROM job_credentials WHERE job_id = $1', [jobId]);
+    return rows[0]?.sealed ?? null;
+  },
+
+  // page: { url, comparison (renderer.compareRendered), renderMs, error }
+  async saveRenderedPage(jobId, page) {
+    const c = page.comparison || {};
+    await query(
+      `INSERT INTO rendered_pages (job_id, url, raw_links, rendered_links, rendered_only_count,
+         rendered_only, raw_title, rendered_title, raw_words, rendered_words, render_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (job_id, url) DO UPDATE SET
+         raw_links = EXCLUDED.raw_links, rendered_links = EXCLUDED.rendered_links,
+         rendered_only_count = EXCLUDED.rendered_only_count, rendered_only = EXCLUDED.rendered_only,
+         raw_title = EXCLUDED.raw_title, rendered_title = EXCLUDED.rendered_title,
+         raw_words = EXCLUDED.raw_words, rendered_words = EXCLUDED.rendered_words,
+         render_ms = EXCLUDED.render_ms, error = EXCLUDED.error`,
+      [
+        jobId,
+        page.url,
+        c.rawLinks ?? 0,
+        c.renderedLinks ?? 0,
+        c.renderedOnlyCount ?? 0,
+        JSON.stringify(c.renderedOnly || []),
+        c.rawTitle ?? null,
+        c.renderedTitle ?? null,
+        c.rawWords ?? 0,
+        c.renderedWords ?? 0,
+        page.renderMs ?? null,
+        page.error ?? null,
+      ]
+    );
+  },
+
+  async getRenderedPages(jobId) {
+    const { rows } = await query(
+      `SELECT url, raw_links, rendered_links, rendered_only_count, rendered_only,
+              raw_title, rendered_title, raw_words, rendered_words, render_ms, error
+       FROM rendered_pages WHERE job_id = $1
+       ORDER BY rendered_only_count DESC, url`,
+      [jobId]
+    );
+    return rows;
+  },
+
+  async savePageParity(jobId, pages) {
+    await query('DELETE FROM page_parity WHERE job_id = $1', [jobId]);
+    if (pages.length === 0) return;
+    await query(
+      `INSERT INTO page_parity (job_id, url, mobile, desktop, differences, drops_content, error)
+       SELECT $1, p.url, p.mobile::jsonb, p.desktop::jsonb, p.differences::jsonb,
+              p.drops_content, p.error
+       FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::boolean[], $7::text[])
+         AS p(url, mobile, desktop, differences, drops_content, error)`,
+      [
+        jobId,
+        pages.map((p) => p.url),
+        pages.map((p) => (p.mobile ? JSON.stringify(p.mobile) : null)),
+        pages.map((p) => (p.desktop ? JSON.stringify(p.desktop) : null)),
+        pages.map((p) => JSON.stringify(p.differences || [])),
+        pages.map((p) => !!p.dropsContent),
+        pages.map((p) => p.error ?? null),
+      ]
+    );
+  },
+
+  async getPageParity(jobId) {
+    const { rows } = await query(
+      `SELECT url, mobile, desktop, differences, drops_content, error
+       FROM page_parity WHERE job_id = $1
+       ORDER BY drops_content DESC, jsonb_array_length(differences) DESC, url`,
+      [jobId]
+    );
+    return rows;
+  },
+
+  async addFragmentLinks(jobId, links) {
+    if (links.length === 0) return;
+    await query(
+      `INSERT INTO fragment_links (job_id, source_url, target_url, fragment, link_text)
+       SELECT $1, f.source_url, f.target_url, f.fragment, f.link_text
+       FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[])
+         AS f(source_url, target_url, fragment, link_text)
+       ON CONFLICT (job_id, source_url, target_url, fragment) DO NOTHING`,
+      [
+        jobId,
+        links.map((l) => l.sourceUrl),
+        links.map((l) => l.targetUrl),
+        links.map((l) => l.fragment),
+        links.map((l) => l.linkText || null),
+      ]
+    );
+  },
+
+  // findings: [{ url (target#fragment), sourceUrl, linkText }]. One broken_links
+  // row per source, and nothing in discovered_links (lib/fragments); recomputing
+  // replaces the job's previous set.
+  async replaceMissingAnchorFindings(jobId, findings) {
+    await query(`DELETE FROM broken_links WHERE job_id = $1 AND error_type = 'missing_anchor'`, [
+      jobId,
+    ]);
+    if (findings.length === 0) return;
+
+    await query(
+      `INSERT INTO broken_links (job_id, url, source_url, status_code, error_type, link_text)
+       SELECT $1, b.url, b.source_url, 200, 'missing_anchor', b.link_text
+       FROM UNNEST($2::text[], $3::text[], $4::text[]) AS b(url, source_url, link_text)`,
+      [
+        jobId,
+        findings.map((f) => f.url),
+        findings.map((f) => f.sourceUrl),
+        findings.map((f) => f.linkText || 'Link'),
+      ]
+    );
+  },
+
+  async addLinkEdges(jobId, edges) {
+    if (edges.length === 0) return;
+    await query(
+      `INSERT INTO link_edges (job_id, source_url, target_url, anchor_text)
+       SELECT $1, e.source_url, e.target_url, e.anchor_text
+       FROM UNNEST($2::text[], $3::text[], $4::text[]) AS e(source_url, target_url, anchor_text)
+       ON CONFLICT (job_id, source_url, target_url) DO NOTHING`,
+      [
+        jobId,
+        edges.map((e) => e.sourceUrl),
+        edges.map((e) => e.targetUrl),
+        edges.map((e) => e.anchorText || null),
+      ]
+    );
+  },
+
+  async getLinkEdges(jobId) {
+    const { rows } = await query(
+      'SELECT source_url, target_url, anchor_text FROM link_edges WHERE job_id = $1',
+      [jobId]
+    );
+    return rows;
+  },
+
+  // Replaces the job's link-graph rows wholesale — the analysis is recomputed, not merged —
+  // and stamps the job as analysed, in one statement: the worker and a backfilling GET may
+  // save the same job at once, and a reader never sees it half written.
+  async saveLinkGraphPages(jobId, pages) {
+    await query(
+      `WITH pages AS (
+         SELECT * FROM UNNEST($2::text[], $3::int[], $4::int[], $5::int[], $6::int[], $7::real[],
+                              $8::text[], $9::text[])
+           AS p(url, status, inlinks, outlinks, click_depth, importance, anchors, flags)
+       ),
+       stale AS (
+         DELETE FROM link_graph_pages WHERE job_id = $1 AND url <> ALL($2::text[])
+       ),
+       stamped AS (
+         UPDATE crawl_jobs SET link_graph_computed_at = NOW() WHERE id = $1
+       )
+       INSERT INTO link_graph_pages
+         (job_id, url, http_status_code, inlinks, outlinks, click_depth, importance, anchors, flags)
+       SELECT $1, p.url, p.status, p.inlinks, p.outlinks, p.click_depth, p.importance,
+              p.anchors::jsonb, p.flags::jsonb
+       FROM pages p
+       ON CONFLICT (job_id, url) DO UPDATE SET
+         http_status_code = EXCLUDED.http_status_code,
+         inlinks = EXCLUDED.inlinks,
+         outlinks = EXCLUDED.outlinks,
+         click_depth = EXCLUDED.click_depth,
+         importance = EXCLUDED.importance,
+         anchors = EXCLUDED.anchors,
+         flags = EXCLUDED.flags`,
+      [
+        jobId,
+        pages.map((p) => p.url),
+        pages.map((p) => p.status ?? null),
+        pages.map((p) => p.inlinks),
+        pages.map((p) => p.outlinks),
+        pages.map((p) => p.clickDepth),
+        pages.map((p) => p.importance),
+        pages.map((p) => JSON.stringify(p.anchors)),
+        pages.map((p) => JSON.stringify(p.flags)),
+      ]
+    );
+  },
+
+  async getLinkGraphPages(jobId) {
+    const { rows } = await query(
+      `SELECT url, http_status_code, inlinks, outlinks, click_depth, importance, anchors, flags
+       FROM link_graph_pages WHERE job_id = $1
+       ORDER BY importance DESC, url`,
+      [jobId]
+    );
+    return rows;
+  },
+
+  async saveSitemapCoverage(jobId, coverage) {
+    const { error } = await supabase
+      .from('crawl_jobs')
+      .update({ sitemap_coverage: coverage })
+      .eq('id', jobId);
+
+    if (error) throw error;
+  },
+
   async updateJobProgress(jobId, current, total) {
     const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
 
@@ -228,6 +577,15 @@ export const db = {
       checked_at: url.checked_at || null,
       is_working: url.is_working || null,
       error_message: url.error_message || null,
+      final_url: url.final_url || null,
+      redirect_chain: url.redirect_chain || null,
+      blocked_by: url.blocked_by || null,
+      // Anchor attributes, from the extraction that found the link
+      rel: url.rel?.length ? url.rel.join(' ') : null,
+      link_target: url.target || null,
+      placement: url.placement || null,
+      resource_type: url.type || null,
+      content_length: url.content_length ?? null,
     }));
 
     const { data, error } = await supabase
@@ -273,13 +631,26 @@ export const db = {
         checked_at: statusData.checked_at,
         is_working: statusData.is_working,
         error_message: statusData.error_message,
+        final_url: statusData.final_url ?? null,
+        redirect_chain: statusData.redirect_chain ?? null,
+        blocked_by: statusData.blocked_by ?? null,
         has_seo_data: statusData.has_seo_data ?? false,
+        content_length: statusData.content_length ?? null,
       })
       .eq('job_id', jobId)
       .eq('url', url);
     if (error) throw error;
   },
 
+  async saveSoft404Fingerprint(jobId, fingerprint) {
+    const { error } = await supabase
+      .from('crawl_jobs')
+      .update({ soft404_fingerprint: fingerprint })
+      .eq('id', jobId);
+
+    if (error) throw error;
+  },
+
   async getPendingLinks(jobId, limit = 50) {
     const { data, error } = await supabase
       .from('discovered_links')
@@ -400,6 +771,345 @@ export const db = {
     return rows;
   },
 
+  // Site operations (src/lib/sites.js)
+
+  /** The site for a normalized origin, created on first sight. */
+  async ensureSite(origin) {
+    const { rows } = await query(
+      `INSERT INTO sites (origin) VALUES ($1)
+       ON CONFLICT (origin) DO UPDATE SET origin = EXCLUDED.origin
+       RETURNING *`,
+      [origin]
+    );
+    return rows[0];
+  },
+
+  async getSite(siteId) {
+    const { rows } = await query('SELECT * FROM sites WHERE id = $1', [siteId]);
+    return rows[0] || null;
+  },
+
+  /** Set a site's name (null = use the host) and / or its default crawl settings. */
+  async updateSite(siteId, { name, defaultSettings } = {}) {
+    const { rows } = await query(
+      `UPDATE sites SET
+         name = CASE WHEN $2::boolean THEN $3::text ELSE name END,
+         default_settings = COALESCE($4::jsonb, default_settings),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        siteId,
+        name !== undefined,
+        name ?? null,
+        defaultSettings ? JSON.stringify(defaultSettings) : null,
+      ]
+    );
+    return rows[0] || null;
+  },
+
+  /** Sites by most recent audit, with their audit count and latest audit. */
+  async getSitesWithCounts(limit = 50) {
+    const { rows } = await query(
+      `SELECT s.*,
+              (SELECT COUNT(*)::int FROM crawl_jobs c WHERE c.site_id = s.id) AS job_count,
+              j.id AS latest_job_id, j.url AS latest_url, j.status AS latest_status,
+              j.created_at AS latest_created_at,
+              (SELECT COUNT(*)::int FROM broken_links b WHERE b.job_id = j.id)
+                AS latest_broken_count
+       FROM sites s
+       LEFT JOIN LATERAL (
+         SELECT id, url, status, created_at FROM crawl_jobs
+         WHERE site_id = s.id ORDER BY created_at DESC LIMIT 1
+       ) j ON true
+       ORDER BY j.created_at DESC NULLS LAST, s.created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return rows;
+  },
+
+  async getSiteJobsWithCounts(siteId, limit = 50) {
+    const { rows } = await query(
+      `SELECT j.id, j.url, j.status, j.created_at, j.completed_at,
+              (SELECT COUNT(*)::int FROM broken_links b WHERE b.job_id = j.id) AS broken_count,
+              (SELECT COUNT(*)::int FROM discovered_links d WHERE d.job_id = j.id) AS total_links
+       FROM crawl_jobs j
+       WHERE j.site_id = $1
+       ORDER BY j.created_at DESC
+       LIMIT $2`,
+      [siteId, limit]
+    );
+    return rows;
+  },
+
+  /** The site's last completed audit before this one — what a run-over-run diff compares to. */
+  async getPreviousCompletedJob(job) {
+    if (!job.site_id) return null;
+    const { rows } = await query(
+      `SELECT * FROM crawl_jobs
+       WHERE site_id = $1 AND status = 'completed' AND created_at < $2 AND id <> $3
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [job.site_id, job.created_at, job.id]
+    );
+    return rows[0] || null;
+  },
+
+  // Schedule operations (src/lib/scheduledAudits.js)
+
+  async createSchedule({ siteId, url, cron, timezone, settings = null }) {
+    const { rows } = await query(
+      `INSERT INTO audit_schedules (site_id, url, cron, timezone, settings)
+       VALUES ($1, $2, $3, $4, $5::jsonb)
+       RETURNING *`,
+      [siteId, url, cron, timezone, settings ? JSON.stringify(settings) : null]
+    );
+    return rows[0];
+  },
+
+  async getSchedule(scheduleId) {
+    const { rows } = await query('SELECT * FROM audit_schedules WHERE id = $1', [scheduleId]);
+    return rows[0] || null;
+  },
+
+  /** Schedules with their site, optionally for one site only. */
+  async getSchedules({ siteId = null, activeOnly = false } = {}) {
+    const { rows } = await query(
+      `SELECT sc.*, s.origin AS site_origin, s.name AS site_name
+       FROM audit_schedules sc
+       JOIN sites s ON s.id = sc.site_id
+       WHERE ($1::uuid IS NULL OR sc.site_id = $1) AND (NOT $2::boolean OR NOT sc.paused)
+       ORDER BY s.origin, sc.created_at`,
+      [siteId, activeOnly]
+    );
+    return rows;
+  },
+
+  /** Change any of url, cron, timezone, settings (null = site defaults), paused. */
+  async updateSchedule(scheduleId, patch) {
+    const columns = { url: 'url', cron: 'cron', timezone: 'timezone', paused: 'paused' };
+    const sets = [];
+    const values = [scheduleId];
+    for (const [key, column] of Object.entries(columns)) {
+      if (patch[key] === undefined) continue;
+      values.push(patch[key]);
+      sets.push(`${column} = $${values.length}`);
+    }
+    if (patch.settings !== undefined) {
+      values.push(patch.settings ? JSON.stringify(patch.settings) : null);
+      sets.push(`settings = $${values.length}::jsonb`);
+    }
+    const { rows } = await query(
+      `UPDATE audit_schedules SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      values
+    );
+    return rows[0] || null;
+  },
+
+  async deleteSchedule(scheduleId) {
+    const { rowCount } = await query('DELETE FROM audit_schedules WHERE id = $1', [scheduleId]);
+    return rowCount > 0;
+  },
+
+  /** Record a scheduled run: the job it created, or why it created none. */
+  async recordScheduledRun(scheduleId, { jobId = null, error = null }) {
+    await query(
+      `UPDATE audit_schedules
+       SET last_run_at = NOW(), last_job_id = COALESCE($2, last_job_id), last_error = $3
+       WHERE id = $1`,
+      [scheduleId, jobId, error]
+    );
+  },
+
+  // History operations (src/lib/siteHistory.js)
+
+  async saveAuditHistory(entry) {
+    await query(
+      `INSERT INTO audit_history (job_id, site_id, completed_at, links_checked, broken_links,
+                                  broken_by_class, integrity_score, health_score, grade,
+                                  seo_score, avg_response_ms, pages_crawled)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (job_id) DO UPDATE SET
+         completed_at = EXCLUDED.completed_at, links_checked = EXCLUDED.links_checked,
+         broken_links = EXCLUDED.broken_links, broken_by_class = EXCLUDED.broken_by_class,
+         integrity_score = EXCLUDED.integrity_score, health_score = EXCLUDED.health_score,
+         grade = EXCLUDED.grade, seo_score = EXCLUDED.seo_score,
+         avg_response_ms = EXCLUDED.avg_response_ms, pages_crawled = EXCLUDED.pages_crawled,
+         recorded_at = NOW()`,
+      [
+        entry.jobId,
+        entry.siteId,
+        entry.completedAt,
+        entry.linksChecked,
+        entry.brokenLinks,
+        JSON.stringify(entry.brokenByClass),
+        entry.integrity,
+        entry.health,
+        entry.grade,
+        entry.seoScore,
+        entry.avgResponseMs,
+        entry.pagesCrawled,
+      ]
+    );
+  },
+
+  /** A site's latest `limit` history rows, oldest first. */
+  async getAuditHistory(siteId, limit = 100) {
+    const { rows } = await query(
+      `SELECT * FROM (
+         SELECT h.*, j.url
+         FROM audit_history h
+         JOIN crawl_jobs j ON j.id = h.job_id
+         WHERE h.site_id = $1
+         ORDER BY h.completed_at DESC
+         LIMIT $2
+       ) latest
+       ORDER BY completed_at`,
+      [siteId, limit]
+    );
+    return rows;
+  },
+
+  /** Completed audits of a site with no history row yet, newest first. */
+  async getJobsMissingHistory(siteId, limit = 10) {
+    const { rows } = await query(
+      `SELECT j.* FROM crawl_jobs j
+       LEFT JOIN audit_history h ON h.job_id = j.id
+       WHERE j.site_id = $1 AND j.status = 'completed' AND h.job_id IS NULL
+       ORDER BY j.completed_at DESC NULLS LAST
+       LIMIT $2`,
+      [siteId, limit]
+    );
+    return rows;
+  },
+
+  // Webhook operations (src/lib/webhooks.js)
+
+  async createWebhook({ siteId, url, secret, events }) {
+    const { rows } = await query(
+      `INSERT INTO site_webhooks (site_id, url, secret, events)
+       VALUES ($1, $2, $3, $4::text[])
+       RETURNING *`,
+      [siteId, url, secret, events]
+    );
+    return rows[0];
+  },
+
+  async getWebhook(webhookId) {
+    const { rows } = await query('SELECT * FROM site_webhooks WHERE id = $1', [webhookId]);
+    return rows[0] || null;
+  },
+
+  /** Webhooks with their site, optionally for one site only. */
+  async getWebhooks({ siteId = null } = {}) {
+    const { rows } = await query(
+      `SELECT w.*, s.origin AS site_origin, s.name AS site_name
+       FROM site_webhooks w
+       JOIN sites s ON s.id = w.site_id
+       WHERE $1::uuid IS NULL OR w.site_id = $1
+       ORDER BY s.origin, w.created_at`,
+      [siteId]
+    );
+    return rows;
+  },
+
+  /** A site's active webhooks subscribed to any of `events`. */
+  async getSubscribedWebhooks(siteId, events) {
+    const { rows } = await query(
+      `SELECT * FROM site_webhooks
+       WHERE site_id = $1 AND active AND events && $2::text[]
+       ORDER BY created_at`,
+      [siteId, events]
+    );
+    return rows;
+  },
+
+  /** Change any of url, events, active, secret. */
+  async updateWebhook(webhookId, patch) {
+    const columns = { url: 'url', active: 'active', secret: 'secret' };
+    const sets = [];
+    const values = [webhookId];
+    for (const [key, column] of Object.entries(columns)) {
+      if (patch[key] === undefined) continue;
+      values.push(patch[key]);
+      sets.push(`${column} = $${values.length}`);
+    }
+    if (patch.events !== undefined) {
+      values.push(patch.events);
+      sets.push(`events = $${values.length}::text[]`);
+    }
+    const { rows } = await query(
+      `UPDATE site_webhooks SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      values
+    );
+    return rows[0] || null;
+  },
+
+  async deleteWebhook(webhookId) {
+    const { rowCount } = await query('DELETE FROM site_webhooks WHERE id = $1', [webhookId]);
+    return rowCount > 0;
+  },
+
+  async createWebhookDelivery({ webhookId, jobId = null, event, payload, replayOf = null }) {
+    const { rows } = await query(
+      `INSERT INTO webhook_deliveries (webhook_id, job_id, event, payload, replay_of)
+       VALUES ($1, $2, $3, $4::jsonb, $5)
+       RETURNING *`,
+      [webhookId, jobId, event, JSON.stringify(payload), replayOf]
+    );
+    return rows[0];
+  },
+
+  async getWebhookDelivery(deliveryId) {
+    const { rows } = await query('SELECT * FROM webhook_deliveries WHERE id = $1', [
+      deliveryId,
+    ]);
+    return rows[0] || null;
+  },
+
+  /** A webhook's latest deliveries, newest first, without their payloads. */
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    const { rows } = await query(
+      `SELECT id, webhook_id, job_id, event, status, attempts, response_status, error,
+              duration_ms, replay_of, created_at, last_attempt_at, delivered_at
+       FROM webhook_deliveries
+       WHERE webhook_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [webhookId, limit]
+    );
+    return rows;
+  },
+
+  /** Record one delivery attempt and the status it leaves the delivery in. */
+  async recordWebhookAttempt(
+    deliveryId,
+    { status, responseStatus = null, responseBody = null, error = null, durationMs = null }
+  ) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = attempts + 1, response_status = $3, response_body = $4,
+           error = $5, duration_ms = $6, last_attempt_at = NOW(),
+           delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+       WHERE id = $1`,
+      [deliveryId, status, responseStatus, responseBody, error, durationMs]
+    );
+  },
+
+  /**
+   * Swap a page's SEO row for a fresh analysis (e.g. of its rendered DOM)
+   */
+  async replaceSEOAnalysis(jobId, seoData) {
+    if (!seoData || seoData.error) return null;
+    await query('DELETE FROM seo_analysis WHERE job_id = $1 AND url = $2', [jobId, seoData.url]);
+    return this.addSEOAnalysis(jobId, seoData);
+  },
+
   /**
    * Save SEO analysis data for a URL
    */
@@ -215,6 +215,9 @@ export const errorUtils = {
     }
 
     if (error) {
+      if (error.code === 'REDIRECT_LOOP') return 'redirect_loop';
+      if (error.code === 'TOO_MANY_REDIRECTS') return 'too_many_redirects';
+
       const errorMessage = error.message?.toLowerCase() || '';
 
       // 🔧 NEW: Handle SSL/Certificate errors specifically
@@ -252,6 +255,11 @@ export const errorUtils = {
       connection_error: 'Connection failed',
       invalid_url: 'Invalid URL format',
       ssl_error: 'SSL Certificate Error',
+      redirect_loop: 'Redirect loop',
+      too_many_redirects: 'Too many redirects',
+      soft_404: 'Soft 404 (not-found page returned 200)',
+      missing_anchor: 'Missing #anchor on target page',
+      blocked_by_target: 'Blocked by bot protection (Cloudflare, Akamai, …)',
       other: 'Unknown error',
     };
 
@@ -1,6 +1,7 @@
 // src/lib/validation.js - Input validation + Redis-backed rate limiting
 import { z } from 'zod';
 import { securityUtils } from './security.js';
+import { CRAWL_PROFILES, RESERVED_HEADERS } from './crawlProfiles.js';
 import { logRateLimitViolation } from './securityLogger.js';
 import { checkAndRecord } from './redisRateLimit.js';
 
@@ -35,20 +36,92 @@ const urlSchema = z
     }
   }, 'URL contains suspicious elements');
 
+// Include/exclude path glob, e.g. "/blog/**" or "*.pdf"
+const pathGlobSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .max(200)
+  .regex(/^[^\s]+$/, 'Path patterns cannot contain whitespace');
+
+// Header-safe text: no CR/LF, so a value can't smuggle extra headers
+const headerValueSchema = (max) =>
+  z
+    .string()
+    .max(max)
+    .regex(/^[^\r\n]*$/, 'Header values cannot contain line breaks');
+
+// Job-supplied request headers; credentials go through `credentials` instead
+const customHeadersSchema = z
+  .record(
+    z
+      .string()
+      .regex(/^[A-Za-z0-9-]{1,64}$/, 'Invalid header name')
+      .refine(
+        (name) => !RESERVED_HEADERS.includes(name.toLowerCase()),
+        'This header cannot be set here — use the site login for credentials'
+      ),
+    headerValueSchema(1000)
+  )
+  .refine((headers) => Object.keys(headers).length <= 20, 'At most 20 custom headers');
+
 // Crawl settings schema
 const crawlSettingsSchema = z.object({
   maxDepth: z.number().int().min(1).max(5),
   includeExternal: z.boolean(),
   timeout: z.number().int().min(1000).max(30000),
   usePreAnalyzedUrls: z.boolean().optional(),
-  crawlMode: z.enum(['auto', 'content_pages', 'discovered_links']).optional(),
+  crawlMode: z.enum(['auto', 'content_pages', 'discovered_links', 'sitemap']).optional(),
   enableSEO: z.boolean().optional(),
+  // Who the crawler identifies as (see src/lib/crawlProfiles.js)
+  crawlProfile: z
+    .string()
+    .refine((id) => Object.hasOwn(CRAWL_PROFILES, id), 'Unknown crawl profile')
+    .optional(),
+  customHeaders: customHeadersSchema.optional(),
+  // Load pages in headless Chromium before extraction (src/lib/renderer.js)
+  renderJs: z.boolean().optional(),
+  // Re-fetch content pages as mobile and desktop and compare (src/lib/parityAudit.js)
+  parityAudit: z.boolean().optional(),
+  // Check every asset a page references, not just its links (src/lib/assetAudit.js)
+  checkAssets: z.boolean().optional(),
+  // Sitemap mode: audit this sitemap instead of discovering one
+  sitemapUrl: urlSchema.optional(),
+  // Scope rules and page budget (see src/lib/crawler/scope.js)
+  maxPages: z.number().int().min(1).max(5000).optional(),
+  batchSize: z.number().int().min(1).max(50).optional(),
+  includeSubdomains: z.boolean().optional(),
+  pathPrefix: z
+    .string()
+    .trim()
+    .max(200)
+    .regex(/^\/[^\s*?]*$/, 'Path prefix must start with / and contain no wildcards')
+    .optional(),
+  includePatterns: z.array(pathGlobSchema).max(50).optional(),
+  excludePatterns: z.array(pathGlobSchema).max(50).optional(),
 });
 
+// Per-job login for staging / members-only sites (see src/lib/credentials.js)
+const credentialsSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('basic'),
+    username: headerValueSchema(200)
+      .min(1)
+      .regex(/^[^:]*$/, 'Username cannot contain a colon'),
+    password: headerValueSchema(500),
+  }),
+  z.object({ type: z.literal('bearer'), token: headerValueSchema(4000).min(1) }),
+  // A Cookie header value: "session=abc; theme=dark"
+  z.object({ type: z.literal('cookie'), cookies: headerValueSchema(8000).min(1) }),
+]);
+
 // Start crawl request schema
 export const startCrawlSchema = z.object({
   url: urlSchema,
   settings: crawlSettingsSchema,
+  credentials: credentialsSchema.optional(),
+  // Store these settings as the site's defaults for its next audits
+  saveSiteDefaults: z.boolean().optional(),
   preAnalyzedUrls: z
     .array(
       z.object({
@@ -60,6 +133,137 @@ export const startCrawlSchema = z.object({
     .optional(),
 });
 
+// Crawl settings a site keeps as defaults for its next audits (src/lib/sites.js)
+export const siteDefaultsSchema = crawlSettingsSchema.omit({ usePreAnalyzedUrls: true }).partial();
+
+const siteNameSchema = z.string().trim().min(1).max(100);
+
+// Register a site ahead of its first audit
+export const createSiteSchema = z.object({
+  url: urlSchema,
+  name: siteNameSchema.optional(),
+  defaultSettings: siteDefaultsSchema.optional(),
+});
+
+// Rename a site (null = back to its host) and / or replace its defaults
+export const updateSiteSchema = z.object({
+  name: siteNameSchema.nullable().optional(),
+  defaultSettings: siteDefaultsSchema.optional(),
+});
+
+// One cron field: "*", or a list of values / ranges, each with an optional "/step"
+const CRON_FIELD_RANGES = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 7], // day of week, 0 and 7 = Sunday
+];
+
+function isCronField(field, [min, max]) {
+  return field.split(',').every((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return false;
+    const [, , from, to, step] = match;
+    const inRange = (n) => n === undefined || (Number(n) >= min && Number(n) <= max);
+    if (!inRange(from) || !inRange(to)) return false;
+    if (to !== undefined && Number(to) < Number(from)) return false;
+    return step === undefined || Number(step) >= 1;
+  });
+}
+
+// Five-field cron pattern (minute hour day-of-month month day-of-week)
+const cronSchema = z
+  .string()
+  .trim()
+  .max(100)
+  .refine((cron) => {
+    const fields = cron.split(/\s+/);
+    return fields.length === 5 && fields.every((f, i) => isCronField(f, CRON_FIELD_RANGES[i]));
+  }, 'Invalid cron pattern — expected five fields: minute hour day-of-month month day-of-week')
+  // Each run is a full-site audit outside the crawl rate limit: at most one a day per pattern
+  .refine(
+    (cron) => cron.split(/\s+/).slice(0, 2).every((field) => /^\d+$/.test(field)),
+    'Schedules run at most daily — give the minute and hour as single numbers (e.g. "30 6 * * 1")'
+  );
+
+// IANA time zone name, e.g. "Europe/London"
+const timezoneSchema = z
+  .string()
+  .max(64)
+  .refine((tz) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  }, 'Unknown time zone');
+
+// A schedule's timing: a cron pattern, or a preset frequency at a time of day
+const scheduleTimingShape = {
+  cron: cronSchema.optional(),
+  frequency: z.enum(['daily', 'weekly', 'monthly']).optional(),
+  hour: z.number().int().min(0).max(23).optional(),
+  minute: z.number().int().min(0).max(59).optional(),
+  // Weekly: 0 = Sunday
+  dayOfWeek: z.number().int().min(0).max(6).optional(),
+  // Monthly: capped at 28 so every month has the day
+  dayOfMonth: z.number().int().min(1).max(28).optional(),
+  timezone: timezoneSchema.optional(),
+};
+
+const oneTiming = (schedule) =>
+  !(schedule.cron && schedule.frequency) &&
+  (schedule.frequency ||
+    ['hour', 'minute', 'dayOfWeek', 'dayOfMonth'].every((key) => schedule[key] === undefined));
+const ONE_TIMING = 'Give either cron or frequency (with hour, minute, dayOfWeek, dayOfMonth)';
+
+// Schedule recurring audits of a site (src/lib/scheduledAudits.js)
+export const createScheduleSchema = z
+  .object({
+    siteId: z.string().uuid('Invalid site ID format'),
+    // Defaults to the site's most recent audit URL, or its origin
+    url: urlSchema.optional(),
+    ...scheduleTimingShape,
+    // null / omitted = the site's default settings at each run
+    settings: siteDefaultsSchema.nullable().optional(),
+  })
+  .refine(oneTiming, ONE_TIMING)
+  .refine((schedule) => schedule.cron || schedule.frequency, 'Give a cron pattern or a frequency');
+
+// Edit a schedule; a new cron or frequency replaces its cron pattern
+export const updateScheduleSchema = z
+  .object({
+    url: urlSchema.optional(),
+    ...scheduleTimingShape,
+    settings: siteDefaultsSchema.nullable().optional(),
+  })
+  .refine(oneTiming, ONE_TIMING);
+
+// Events a site's webhooks can subscribe to (src/lib/webhooks.js)
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'job.stopped', 'links.newly_broken'];
+
+const webhookEventsSchema = z
+  .array(z.enum(WEBHOOK_EVENTS))
+  .min(1, 'Subscribe to at least one event')
+  .transform((events) => [...new Set(events)]);
+
+// Add an outgoing webhook to a site; it receives every event by default
+export const createWebhookSchema = z.object({
+  siteId: z.string().uuid('Invalid site ID format'),
+  url: urlSchema,
+  events: webhookEventsSchema.default(WEBHOOK_EVENTS),
+});
+
+// Edit a webhook; rotateSecret issues it a new signing secret
+export const updateWebhookSchema = z.object({
+  url: urlSchema.optional(),
+  events: webhookEventsSchema.optional(),
+  active: z.boolean().optional(),
+  rotateSecret: z.boolean().optional(),
+});
+
 // Analysis request schema
 export const analyzeUrlSchema = z.object({
   url: urlSchema,
@@ -70,6 +274,16 @@ export const analyzeUrlSchema = z.object({
 // Job ID schema
 export const jobIdSchema = z.string().uuid('Invalid job ID format');
 
+// Site ID schema
+export const siteIdSchema = z.string().uuid('Invalid site ID format');
+
+// Schedule ID schema
+export const scheduleIdSchema = z.string().uuid('Invalid schedule ID format');
+
+// Webhook and webhook delivery ID schemas
+export const webhookIdSchema = z.string().uuid('Invalid webhook ID format');
+export const deliveryIdSchema = z.string().uuid('Invalid delivery ID format');
+
 // Results query schema
 export const resultsQuerySchema = z.object({
   page: z.number().int().min(1).default(1),
@@ -106,6 +320,12 @@ const BASE_RATE_LIMITS = {
     windowMs: 15 * 60 * 1000,
     blockDurationMs: 10 * 60 * 1000,
   },
+  // Writes to sites, schedules and webhooks — configuration, not traffic
+  settings: {
+    maxRequests: 60,
+    windowMs: 15 * 60 * 1000,
+    blockDurationMs: 15 * 60 * 1000,
+  },
   health: {
     maxRequests: 2000,
     windowMs: 5 * 60 * 1000,
@@ -236,6 +456,108 @@ export function validateAnalysisRequest(data) {
   }
 }
 
+export function validateSiteCreate(data) {
+  try {
+    return {
+      success: true,
+      data: createSiteSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
+export function validateSiteUpdate(data) {
+  try {
+    return {
+      success: true,
+      data: updateSiteSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
+export function validateScheduleCreate(data) {
+  try {
+    return {
+      success: true,
+      data: createScheduleSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
+export function validateScheduleUpdate(data) {
+  try {
+    return {
+      success: true,
+      data: updateScheduleSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
+export function validateWebhookCreate(data) {
+  try {
+    return {
+      success: true,
+      data: createWebhookSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
+export function validateWebhookUpdate(data) {
+  try {
+    return {
+      success: true,
+      data: updateWebhookSchema.parse(data),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: error.errors.map((err) => ({
+        field: err.path.join('.'),
+        message: err.message,
+      })),
+    };
+  }
+}
+
 export function validateJobId(jobId) {
   try {
     return {
@@ -0,0 +1,269 @@
+// src/lib/webhooks.js - outgoing webhooks on audit lifecycle events
+//
+// A site's webhooks (site_webhooks) each subscribe to some of
+//   job.completed       – an audit finished, post-crawl analysis included
+//   job.failed          – an audit failed, or was lost when the worker died
+//   job.stopped         – an audit was stopped by hand
+//   links.newly_broken  – a completed audit found broken links the site's
+//                         previous completed audit didn't (src/lib/auditDiff.js)
+// The worker calls emitJobEvents() when a crawl ends. Every webhook an event
+// goes to gets its own webhook_deliveries row — the delivery log — queued on
+// the webhooks queue (lib/queue); deliverWebhook() POSTs it and BullMQ retries
+// a failed attempt with backoff. Any logged delivery can be replayed.
+//
+// Signing: X-SeoScrub-Signature is "sha256=" and the hex HMAC-SHA256, keyed
+// with the webhook's secret, of `${X-SeoScrub-Timestamp}.${raw body}`. A
+// receiver recomputes it over the body as received and drops stale timestamps.
+
+import crypto from 'node:crypto';
+import { db } from './supabase.js';
+import { safeFetch } from './safeFetch.js';
+import { buildReport } from './auditReport.js';
+import { diffAudits, loadAuditSnapshot } from './auditDiff.js';
+import { enqueueWebhookDelivery } from './queue/index.js';
+
+// crawl/stop marks a stopped job failed with this message
+const STOPPED_MESSAGE = 'Stopped by user';
+// Newly broken links listed in a payload; the count stays exact
+const MAX_LISTED_LINKS = 100;
+const DELIVERY_TIMEOUT_MS = 10_000;
+// Of the receiver's response, kept on the delivery log
+const MAX_RESPONSE_CHARS = 2000;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/** The X-SeoScrub-Signature value for a body sent at `timestamp` (epoch seconds). */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/** The lifecycle event a job's status amounts to, or null while it is unfinished. */
+export function jobEvent(job) {
+  if (job.status === 'completed') return 'job.completed';
+  if (job.status !== 'failed') return null;
+  return job.error_message === STOPPED_MESSAGE ? 'job.stopped' : 'job.failed';
+}
+
+// Absolute link into the app; a bare path when DEPLOYMENT_URL is unset
+function appUrl(path) {
+  const base = process.env.DEPLOYMENT_URL?.replace(/\/+$/, '');
+  return base ? `${base}${path}` : path;
+}
+
+/**
+ * API shape of a site_webhooks row. The secret is only ever returned when it
+ * is issued (create, rotate); otherwise its last four characters.
+ */
+export function webhookJson(row, { withSecret = false } = {}) {
+  return {
+    id: row.id,
+    siteId: row.site_id,
+    ...(row.site_origin ? { site: { origin: row.site_origin, name: row.site_name } } : {}),
+    url: row.url,
+    events: row.events,
+    active: !!row.active,
+    ...(withSecret ? { secret: row.secret } : { secretHint: `…${row.secret.slice(-4)}` }),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/** API shape of a webhook_deliveries row; payload and response body when loaded. */
+export function deliveryJson(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    jobId: row.job_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    replayOf: row.replay_of,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at,
+    ...(row.payload === undefined
+      ? {}
+      : { payload: row.payload, responseBody: row.response_body }),
+  };
+}
+
+function buildPayload(event, job, site, snapshot) {
+  const report = buildReport(snapshot);
+  const finished = job.status === 'completed';
+  return {
+    event,
+    occurredAt: new Date().toISOString(),
+    site: { id: site.id, origin: site.origin, name: site.name || new URL(site.origin).host },
+    job: {
+      id: job.id,
+      url: job.url,
+      status: jobEvent(job).slice('job.'.length),
+      scheduled: !!job.schedule_id,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+      error: finished ? null : job.error_message,
+    },
+    summary: {
+      linksDiscovered: report.kpis.totalDiscovered,
+      linksChecked: report.kpis.totalChecked,
+      workingLinks: report.kpis.healthy,
+      brokenLinks: report.kpis.issues,
+      internalBroken: report.kpis.internalIssues,
+      externalBroken: report.kpis.externalIssues,
+      pagesCrawled: snapshot.summary.sourcePagesCount,
+      // Scores only mean something for a finished audit
+      healthScore: finished ? report.score.overall : null,
+      linkIntegrity: finished ? report.score.integrity : null,
+      grade: finished ? report.score.grade : null,
+    },
+    reportUrl: appUrl(`/results/${job.id}`),
+    shareUrl: job.share_token ? appUrl(`/share/${job.share_token}`) : null,
+  };
+}
+
+// Null for a site's first audit (everything would be "new") or when nothing is
+async function newlyBrokenPayload(job, site, snapshot) {
+  const previous = await db.getPreviousCompletedJob(job);
+  if (!previous) return null;
+  const { links } = diffAudits(await loadAuditSnapshot(previous), snapshot);
+  if (links.counts.new === 0) return null;
+  return {
+    ...buildPayload('links.newly_broken', job, site, snapshot),
+    newlyBroken: {
+      comparedWith: {
+        jobId: previous.id,
+        completedAt: previous.completed_at,
+        reportUrl: appUrl(`/results/${previous.id}`),
+      },
+      count: links.counts.new,
+      links: links.new.slice(0, MAX_LISTED_LINKS).map((row) => ({
+        url: row.url,
+        sourceUrl: row.sourceUrl,
+        isInternal: row.isInternal,
+        statusCode: row.statusCode,
+        errorType: row.errorType,
+        class: row.cls,
+      })),
+    },
+  };
+}
+
+/**
+ * Queue a delivery to every subscribed webhook of the job's site for the
+ * event its status amounts to — plus links.newly_broken after a completed
+ * audit that found some. Returns the number of deliveries queued.
+ */
+export async function emitJobEvents(jobId) {
+  const job = await db.getJob(jobId);
+  const event = jobEvent(job);
+  if (!event || !job.site_id) return 0;
+
+  const candidates = event === 'job.completed' ? [event, 'links.newly_broken'] : [event];
+  const webhooks = await db.getSubscribedWebhooks(job.site_id, candidates);
+  if (webhooks.length === 0) return 0;
+
+  const site = await db.getSite(job.site_id);
+  const snapshot = await loadAuditSnapshot(job);
+  const payloads = { [event]: buildPayload(event, job, site, snapshot) };
+  if (
+    event === 'job.completed' &&
+    webhooks.some((webhook) => webhook.events.includes('links.newly_broken'))
+  ) {
+    const newlyBroken = await newlyBrokenPayload(job, site, snapshot);
+    if (newlyBroken) payloads['links.newly_broken'] = newlyBroken;
+  }
+
+  let queued = 0;
+  for (const webhook of webhooks) {
+    for (const [name, payload] of Object.entries(payloads)) {
+      if (!webhook.events.includes(name)) continue;
+      const delivery = await db.createWebhookDelivery({
+        webhookId: webhook.id,
+        jobId,
+        event: name,
+        payload,
+      });
+      await enqueueWebhookDelivery(delivery.id);
+      queued++;
+    }
+  }
+  return queued;
+}
+
+/**
+ * One attempt at sending a delivery, recorded on the log. Throws when it fails
+ * so the queue retries it; `final` is the queue's last attempt, after which
+ * the delivery is marked failed rather than retrying.
+ */
+export async function deliverWebhook(deliveryId, { final = false } = {}) {
+  const delivery = await db.getWebhookDelivery(deliveryId);
+  // Deleted with its webhook since it was queued
+  if (!delivery) return;
+  const webhook = await db.getWebhook(delivery.webhook_id);
+  if (!webhook) return;
+  if (!webhook.active) {
+    await db.recordWebhookAttempt(deliveryId, {
+      status: 'failed',
+      error: 'The webhook is disabled',
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let response = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    response = await safeFetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SeoScrub-Webhooks/1.0',
+        'X-SeoScrub-Event': delivery.event,
+        'X-SeoScrub-Delivery': delivery.id,
+        'X-SeoScrub-Timestamp': String(timestamp),
+        'X-SeoScrub-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      timeout: DELIVERY_TIMEOUT_MS,
+      // A receiver that moved should be re-registered, not followed
+      maxRedirects: 0,
+      readBody: true,
+      maxBodyBytes: 1024 * 1024,
+    });
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_CHARS);
+    if (!response.ok) error = `Receiver responded ${response.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  await db.recordWebhookAttempt(deliveryId, {
+    status: error ? (final ? 'failed' : 'retrying') : 'delivered',
+    responseStatus: response?.status ?? null,
+    responseBody,
+    error,
+    durationMs: Date.now() - started,
+  });
+  if (error) throw new Error(`Delivery ${deliveryId} to ${webhook.url} failed: ${error}`);
+}
+
+/** Send a logged delivery again, as a new delivery pointing back at it. */
+export async function replayDelivery(delivery) {
+  const replay = await db.createWebhookDelivery({
+    webhookId: delivery.webhook_id,
+    jobId: delivery.job_id,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery.id,
+  });
+  await enqueueWebhookDelivery(replay.id);
+  return replay;
+}
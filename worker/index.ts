@@ -2,8 +2,12 @@ import { Worker, type Job } from 'bullmq';
 import { getRedisConnection } from '@/lib/queue/connection';
 import { db } from '@/lib/supabase';
 import { runSmartCrawl, runTraditionalCrawlWithErrorHandling } from '@/lib/crawler/index';
+import { SCHEDULED_AUDIT_JOB, syncSchedules } from '@/lib/queue/index';
+import { startScheduledAudit } from '@/lib/scheduledAudits';
+import { deliverWebhook, emitJobEvents, jobEvent } from '@/lib/webhooks';
 
 const CONCURRENCY = Number(process.env.WORKER_CONCURRENCY || 3);
+const WEBHOOK_CONCURRENCY = 5;
 
 interface CrawlJobData {
   jobId: string;
@@ -11,24 +15,71 @@ interface CrawlJobData {
   url: string;
   preAnalyzedUrls?: string[];
   settings: Record<string, unknown>;
+  resume?: boolean;
+}
+
+// Fired by a schedule's BullMQ job scheduler (src/lib/scheduledAudits.js)
+interface ScheduledAuditData {
+  scheduleId: string;
+}
+
+type QueueJobData = CrawlJobData | ScheduledAuditData;
+
+// One webhook_deliveries row to send (src/lib/webhooks.js)
+interface WebhookDeliveryData {
+  deliveryId: string;
+}
+
+function describeJob(job: Job<QueueJobData>): string {
+  return job.name === SCHEDULED_AUDIT_JOB
+    ? `Schedule ${(job.data as ScheduledAuditData).scheduleId} run`
+    : `Job ${(job.data as CrawlJobData).jobId}`;
+}
+
+async function processQueueJob(job: Job<QueueJobData>): Promise<void> {
+  if (job.name === SCHEDULED_AUDIT_JOB) {
+    // Creates a fresh crawl job and queues it; the crawl runs as its own queue job
+    await startScheduledAudit((job.data as ScheduledAuditData).scheduleId);
+    return;
+  }
+  await processCrawlJob(job as Job<CrawlJobData>);
 }
 
 async function processCrawlJob(job: Job<CrawlJobData>): Promise<void> {
-  const { jobId, crawlType, url, preAnalyzedUrls, settings } = job.data;
+  const { jobId, crawlType, url, preAnalyzedUrls, settings, resume = false } = job.data;
 
   const dbJob = await db.getJob(jobId);
   if (dbJob.status !== 'queued') {
     console.log(`[worker] Skipping job ${jobId} — status is '${dbJob.status}'`);
+    // Stopped before it started: nothing else sees this job end
+    if (jobEvent(dbJob) === 'job.stopped') await notifyWebhooks(jobId);
     return;
   }
 
-  console.log(`[worker] Starting ${crawlType} crawl for job ${jobId}`);
+  console.log(`[worker] ${resume ? 'Resuming' : 'Starting'} ${crawlType} crawl for job ${jobId}`);
 
   if (crawlType === 'smart') {
-    await runSmartCrawl(jobId, url, preAnalyzedUrls ?? [], settings);
+    await runSmartCrawl(jobId, url, preAnalyzedUrls ?? [], settings, { resume });
   } else {
-    await runTraditionalCrawlWithErrorHandling(jobId, url, settings);
+    await runTraditionalCrawlWithErrorHandling(jobId, url, settings, { resume });
   }
+  await notifyWebhooks(jobId);
+}
+
+// Queue the site's webhooks for however the job ended. Never fails the job.
+async function notifyWebhooks(jobId: string): Promise<void> {
+  try {
+    const queued = await emitJobEvents(jobId);
+    if (queued > 0) console.log(`[worker] Job ${jobId} — ${queued} webhook deliveries queued`);
+  } catch (err) {
+    console.error(`[worker] Webhooks for job ${jobId} failed:`, (err as Error).message);
+  }
+}
+
+async function processWebhookDelivery(job: Job<WebhookDeliveryData>): Promise<void> {
+  // attemptsMade counts the attempts already failed; the last one marks the delivery failed
+  const final = job.attemptsMade + 1 >= (job.opts.attempts ?? 1);
+  await deliverWebhook(job.data.deliveryId, { final });
 }
 
 async function main() {
@@ -38,9 +89,18 @@ async function main() {
   const reaped = await db.reapStaleJobs();
   if (reaped.length > 0) {
     console.log(`[worker] Reaped ${reaped.length} stale job(s):`, reaped.map((r: { id: string }) => r.id));
+    for (const { id } of reaped as { id: string }[]) await notifyWebhooks(id);
   }
 
-  const worker = new Worker<CrawlJobData>('crawl', processCrawlJob, {
+  // Re-register active schedules (a Redis flush loses them) and drop stale ones
+  try {
+    const { registered, removed } = await syncSchedules(await db.getSchedules({ activeOnly: true }));
+    console.log(`[worker] Schedules synced — ${registered} active, ${removed} stale removed`);
+  } catch (err) {
+    console.error('[worker] Schedule sync failed:', (err as Error).message);
+  }
+
+  const worker = new Worker<QueueJobData>('crawl', processQueueJob, {
     connection,
     concurrency: CONCURRENCY,
     // BullMQ lock must outlast the longest expected crawl; lock is auto-renewed
@@ -51,24 +111,40 @@ async function main() {
   });
 
   worker.on('completed', (job) => {
-    console.log(`[worker] Job ${job.data.jobId} completed`);
+    console.log(`[worker] ${describeJob(job)} completed`);
   });
 
   worker.on('failed', (job, err) => {
-    console.error(`[worker] Job ${job?.data.jobId} failed:`, err.message);
+    console.error(`[worker] ${job ? describeJob(job) : 'Job'} failed:`, err.message);
   });
 
   worker.on('error', (err) => {
     console.error('[worker] Worker error:', err.message);
   });
 
+  const webhookWorker = new Worker<WebhookDeliveryData>('webhooks', processWebhookDelivery, {
+    connection,
+    concurrency: WEBHOOK_CONCURRENCY,
+  });
+
+  webhookWorker.on('failed', (job, err) => {
+    if (!job) return;
+    const retrying = job.attemptsMade < (job.opts.attempts ?? 1);
+    console.warn(`[worker] Webhook ${retrying ? 'attempt' : 'delivery'} failed:`, err.message);
+  });
+
+  webhookWorker.on('error', (err) => {
+    console.error('[worker] Webhook worker error:', err.message);
+  });
+
   console.log(`[worker] Listening on queue 'crawl' — concurrency ${CONCURRENCY}`);
+  console.log(`[worker] Listening on queue 'webhooks' — concurrency ${WEBHOOK_CONCURRENCY}`);
 
   // Graceful shutdown
   for (const sig of ['SIGTERM', 'SIGINT'] as const) {
     process.once(sig, async () => {
       console.log(`[worker] ${sig} received — shutting down`);
-      await worker.close();
+      await Promise.all([worker.close(), webhookWorker.close()]);
       process.exit(0);
     });
   }